@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+/**
+ * Polygon Clipping Command-Line Tool
+ *
+ * This file clips subject/clipping polygon pairs read from files with the
+ * clipping core, for batches of scenes such as a folder of assignments.
+ * Every input file holds one pair: a scene saved by the app, GeoJSON, or
+ * WKT. The results, and optionally the recorded steps, are written as JSON
+ * to stdout or to one file per input. Inputs that cannot be clipped are
+ * reported on stderr and make the tool exit with status 1.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, statSync, readdirSync } from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  SutherlandHodgman, WeilerAtherton, GreinerHormann, MultiRingClipper,
+  CohenSutherland, LiangBarsky, CyrusBeck, GeometryUtils, SceneFile, GeoFile
+} from '../static/js/clipping-core.js';
+
+// Keyed by the values of the app's algorithm selector, as in scene files
+const CLIPPERS = {
+  'sutherland-hodgman': SutherlandHodgman,
+  'weiler-atherton': WeilerAtherton,
+  'greiner-hormann': GreinerHormann,
+  'cohen-sutherland': CohenSutherland,
+  'liang-barsky': LiangBarsky,
+  'cyrus-beck': CyrusBeck
+};
+
+// Files picked up when a directory is given
+const INPUT_EXTENSIONS = ['.json', '.geojson', '.wkt'];
+
+const USAGE = `Usage: polygon-clip [options] <file or directory>...
+
+Clips the subject polygon of every input against its clipping polygon.
+Inputs are scenes saved by the app (.json), GeoJSON or WKT; a directory
+stands for the ${INPUT_EXTENSIONS.join(', ')} files in it.
+
+Options:
+  -a, --algorithm <name>  ${Object.keys(CLIPPERS).join(', ')}
+                          (default: the scene's algorithm, else sutherland-hodgman)
+  -p, --operation <name>  Greiner-Hormann operation: ${Object.keys(GreinerHormann.OPERATIONS).join(', ')}
+                          (default: the scene's operation, else intersection)
+  -s, --steps             Include every recorded step in the output
+  -d, --out-dir <dir>     Write <input file name>.result.json files there instead of printing
+      --cleanup           Remove degenerate Sutherland-Hodgman output
+      --epsilon <number>  Sutherland-Hodgman on-line tolerance (default: ${SutherlandHodgman.DEFAULT_EPSILON})
+  -h, --help              Show this help
+
+Exit status: 0 when every input was clipped, 1 when an input was invalid,
+2 for a usage error.`;
+
+/**
+ * Read the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - {options, files, errors}
+ */
+function readArguments(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        'algorithm': { type: 'string', short: 'a' },
+        'operation': { type: 'string', short: 'p' },
+        'steps': { type: 'boolean', short: 's', default: false },
+        'out-dir': { type: 'string', short: 'd' },
+        'cleanup': { type: 'boolean', default: false },
+        'epsilon': { type: 'string' },
+        'help': { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    return { options: null, files: [], errors: [error.message] };
+  }
+
+  const { values, positionals } = parsed;
+  const errors = [];
+  if (values.algorithm !== undefined && !CLIPPERS[values.algorithm]) {
+    errors.push(`Unknown algorithm "${values.algorithm}"`);
+  }
+  if (values.operation !== undefined && !GreinerHormann.OPERATIONS[values.operation]) {
+    errors.push(`Unknown boolean operation "${values.operation}"`);
+  }
+  const epsilon = values.epsilon === undefined ? undefined : Number(values.epsilon);
+  if (epsilon !== undefined && !(Number.isFinite(epsilon) && epsilon >= 0)) {
+    errors.push(`Tolerance must be a number of at least 0, got "${values.epsilon}"`);
+  }
+  if (positionals.length === 0 && !values.help) {
+    errors.push('No input files');
+  }
+
+  return {
+    options: {
+      algorithm: values.algorithm,
+      operation: values.operation,
+      steps: values.steps,
+      outDir: values['out-dir'],
+      cleanup: values.cleanup,
+      epsilon,
+      help: values.help
+    },
+    files: positionals,
+    errors
+  };
+}
+
+/**
+ * Expand directories into the input files they contain, in name order
+ * @param {Array} names - Paths from the command line
+ * @returns {Object} - {files, errors}
+ */
+function listInputs(names) {
+  const files = [];
+  const errors = [];
+  names.forEach(name => {
+    let stats;
+    try {
+      stats = statSync(name);
+    } catch (error) {
+      errors.push(`${name}: cannot be read (${error.code || error.message})`);
+      return;
+    }
+    if (!stats.isDirectory()) {
+      files.push(name);
+      return;
+    }
+    const entries = readdirSync(name)
+      .filter(entry => INPUT_EXTENSIONS.includes(path.extname(entry).toLowerCase()))
+      .sort();
+    if (entries.length === 0) {
+      errors.push(`${name}: no ${INPUT_EXTENSIONS.join(', ')} files in this directory`);
+    }
+    files.push(...entries.map(entry => path.join(name, entry)));
+  });
+  return { files, errors };
+}
+
+/**
+ * Read a subject/clipping pair from a scene, GeoJSON or WKT text. GeoJSON
+ * and WKT coordinates are used as they are, without the app's projection.
+ * @param {String} text - File contents
+ * @returns {Object} - {input, errors, warnings}; input is {subject, subjectLines, clipping, algorithm, operation}
+ */
+function readPair(text) {
+  const trimmed = text.trim();
+  let data = null;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      return { input: null, errors: [`Not valid JSON: ${error.message}`], warnings: [] };
+    }
+  }
+
+  // Anything JSON without a GeoJSON type is taken for a scene, so a wrong format gets the scene's messages
+  if (data && !Array.isArray(data) && data.type === undefined) {
+    const errors = SceneFile.validate(data, {
+      algorithms: Object.keys(CLIPPERS),
+      operations: Object.keys(GreinerHormann.OPERATIONS)
+    });
+    const input = {
+      subject: [data.subjectPolygon || [], ...(data.subjectRings || [])],
+      subjectLines: data.subjectLines || [],
+      clipping: data.clippingPolygon || [],
+      algorithm: data.algorithm,
+      operation: data.operation
+    };
+    return { input: errors.length === 0 ? input : null, errors, warnings: [] };
+  }
+
+  const { shapes, errors, warnings } = GeoFile.parse(text);
+  if (errors.length > 0) {
+    return { input: null, errors, warnings };
+  }
+  const { subjectRings, clipping, ignored } = GeoFile.assignRoles(shapes);
+  if (ignored > 0) {
+    warnings.push(`${ignored} extra polygon(s) ignored`);
+  }
+  if (clipping && clipping.holes.length > 0) {
+    warnings.push(`${clipping.holes.length} hole(s) of the clipping polygon ignored`);
+  }
+
+  const toPoints = (ring) => ring.map(position => ({ x: position[0], y: position[1] }));
+  return {
+    input: {
+      subject: subjectRings.map(toPoints),
+      subjectLines: [],
+      clipping: clipping ? toPoints(clipping.ring) : [],
+      algorithm: undefined,
+      operation: undefined
+    },
+    errors: [],
+    warnings
+  };
+}
+
+/**
+ * Clip one pair with the algorithm chosen on the command line or in the scene
+ * @param {Object} input - From readPair()
+ * @param {Object} options - From readArguments()
+ * @returns {Object} - {output, errors, warnings}; output is the JSON document for the input, null on errors
+ */
+function clipPair(input, options) {
+  const algorithm = options.algorithm || input.algorithm || 'sutherland-hodgman';
+  const operation = options.operation || input.operation || 'intersection';
+  const algorithmClipper = new CLIPPERS[algorithm]();
+  const isLines = algorithmClipper.subjectType === 'lines';
+  const errors = [];
+  const warnings = [];
+
+  if (isLines && input.subjectLines.length === 0) {
+    errors.push(`${algorithmClipper.name} clips lines, but there are no subject lines`);
+  }
+  if (!isLines && (input.subject[0] || []).length === 0) {
+    errors.push('Subject polygon is missing');
+  }
+  if (input.clipping.length === 0) {
+    errors.push('Clipping polygon is missing');
+  }
+  // Scenes are checked by SceneFile; this covers GeoJSON and WKT rings too
+  input.subject.forEach((ring, i) => errors.push(...SceneFile.validatePolygon(ring, i === 0 ? 'Subject polygon' : `Subject ring ${i + 1}`)));
+  errors.push(...SceneFile.validatePolygon(input.clipping, 'Clipping polygon'));
+  if (errors.length > 0) {
+    return { output: null, errors: [...new Set(errors)], warnings };
+  }
+
+  if (algorithmClipper.requiresConvexClipper && !GeometryUtils.isConvex(input.clipping)) {
+    warnings.push(`${algorithmClipper.name} needs a convex clipping polygon; the result can be wrong`);
+  }
+  const crossed = (isLines ? [] : input.subject).concat([input.clipping])
+    .filter(ring => GeometryUtils.findSelfIntersections(ring).length > 0).length;
+  if (crossed > 0) {
+    warnings.push(`${crossed} self-intersecting polygon(s); the result may be wrong`);
+  }
+
+  if (algorithm === 'greiner-hormann') {
+    algorithmClipper.setOperation(operation);
+  }
+  if (algorithm === 'sutherland-hodgman') {
+    algorithmClipper.cleanupOutput = options.cleanup;
+    if (options.epsilon !== undefined) {
+      algorithmClipper.setEpsilon(options.epsilon);
+    }
+  }
+
+  // Polygon clippers are wrapped as in the app, so a subject with holes works with every algorithm
+  const clipper = isLines ? algorithmClipper : new MultiRingClipper(algorithmClipper);
+  clipper.recordSteps = options.steps;
+  const result = clipper.clip(isLines ? input.subjectLines : input.subject, input.clipping);
+
+  const output = { algorithm };
+  if (algorithm === 'greiner-hormann') {
+    output.operation = operation;
+  }
+  if (isLines) {
+    Object.assign(output, { subjectLines: input.subjectLines, clippingPolygon: input.clipping, resultLines: result });
+  } else {
+    // The clippers return rings that do not cross each other, which evenOddArea() relies on
+    const rings = result.length > 0 && !Array.isArray(result[0]) ? [result] : result;
+    Object.assign(output, {
+      subjectPolygon: input.subject[0],
+      subjectRings: input.subject.slice(1),
+      clippingPolygon: input.clipping,
+      resultPolygons: rings,
+      resultArea: GeometryUtils.evenOddArea(rings)
+    });
+  }
+  if (options.steps) {
+    output.steps = Array.from({ length: clipper.getTotalSteps() }, (_, i) => clipper.getStep(i));
+  }
+
+  return { output, errors, warnings };
+}
+
+/**
+ * Run the tool
+ * @param {Array} args - Arguments after the script name
+ * @returns {Number} - Exit status
+ */
+function main(args) {
+  const { options, files: names, errors: usageErrors } = readArguments(args);
+  if (options && options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (usageErrors.length > 0) {
+    usageErrors.forEach(message => console.error(`polygon-clip: ${message}`));
+    console.error('Run polygon-clip --help for the options.');
+    return 2;
+  }
+
+  const { files, errors: inputErrors } = listInputs(names);
+  inputErrors.forEach(message => console.error(`polygon-clip: ${message}`));
+  let failed = inputErrors.length > 0;
+  const outputs = [];
+
+  files.forEach(file => {
+    const report = (messages, kind) => messages.forEach(message => console.error(`${file}: ${kind}${message}`));
+    let text;
+    try {
+      text = readFileSync(file, 'utf8');
+    } catch (error) {
+      report([`cannot be read (${error.code || error.message})`], '');
+      failed = true;
+      return;
+    }
+
+    const pair = readPair(text);
+    report(pair.warnings, 'warning: ');
+    let clipped;
+    try {
+      clipped = pair.input ? clipPair(pair.input, options) : { output: null, errors: pair.errors, warnings: [] };
+    } catch (error) {
+      // A clipper bug on one input should not end the rest of the batch
+      clipped = { output: null, errors: [`clipping failed: ${error.message}`], warnings: [] };
+    }
+    report(clipped.warnings, 'warning: ');
+    if (!clipped.output) {
+      report(clipped.errors, '');
+      failed = true;
+      return;
+    }
+
+    const warnings = pair.warnings.concat(clipped.warnings);
+    const output = { input: file, ...clipped.output, ...(warnings.length > 0 ? { warnings } : {}) };
+    if (options.outDir) {
+      const target = path.join(options.outDir, `${path.basename(file)}.result.json`);
+      try {
+        mkdirSync(options.outDir, { recursive: true });
+        writeFileSync(target, `${JSON.stringify(output, null, 2)}\n`);
+      } catch (error) {
+        console.error(`polygon-clip: cannot write ${target} (${error.code || error.message})`);
+        failed = true;
+      }
+    } else {
+      outputs.push(output);
+    }
+  });
+
+  if (!options.outDir) {
+    console.log(JSON.stringify(outputs, null, 2));
+  }
+  return failed ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -5,14 +5,255 @@
  */
 
 class AnimationController {
-  constructor(canvasManager, clipper) {
+  /**
+   * @param {CanvasManager} canvasManager - View the playback is drawn on
+   * @param {Object} clipper - Clipper exposing clip(), getStep() and getTotalSteps()
+   * @param {Object} options - {indicatorId, messageId}: step indicator elements other than the main
+   *                           ones, and {controlsTransport}: false when something else drives the transport bar
+   */
+  constructor(canvasManager, clipper, options = {}) {
     this.canvasManager = canvasManager;
-    this.clipper = clipper;
+    this.clipper = this.wrapClipper(clipper);
+    this.clipEdgeStart = 0; // Clipping polygon vertex whose edge is clipped against first
+    this.controlsTransport = options.controlsTransport !== false;
     this.stepByStepMode = false;
+    this.vertexDetailMode = false; // Play back every recorded action, not just every clip edge
+    this.playbackSpeed = 1;
     this.timeline = null;
+    this.unitTween = null; // Tween playing a single unit in step-by-step mode
+    this.frames = []; // Every displayable state of the playback, in order
+    this.units = []; // Groups of frames that Next/Previous move between
+    this.currentFrameIndex = -1;
+    this.currentUnitIndex = -1;
     this.currentStep = null;
-    this.stepIndicator = document.getElementById('step-indicator');
-    this.currentStepElement = document.getElementById('current-step');
+    this.stepIndicator = document.getElementById(options.indicatorId || 'step-indicator');
+    this.currentStepElement = document.getElementById(options.messageId || 'current-step');
+  }
+  
+  /**
+   * Swap the clipping algorithm driven by this controller
+   * @param {Object} clipper - Clipper exposing clip(), getStep() and getTotalSteps()
+   */
+  setClipper(clipper) {
+    this.reset();
+    this.clipper = this.wrapClipper(clipper);
+  }
+  
+  /**
+   * Let a polygon clipper take subjects with several rings
+   * @param {Object} clipper - Clipper to drive
+   * @returns {Object} - A MultiRingClipper around a polygon clipper, or the line clipper itself
+   */
+  wrapClipper(clipper) {
+    return clipper.subjectType === 'lines' ? clipper : new MultiRingClipper(clipper);
+  }
+  
+  /**
+   * Get the clipping polygon in the order the clipper walks its edges: the
+   * same polygon, starting at vertex clipEdgeStart
+   * @returns {Array} - Array of points
+   */
+  getClippingPolygon() {
+    const polygon = this.canvasManager.clippingPolygon;
+    const start = polygon.length > 0 ? this.clipEdgeStart % polygon.length : 0;
+    return start === 0 ? polygon : polygon.slice(start).concat(polygon.slice(0, start));
+  }
+  
+  /**
+   * Check whether the current clipper clips line segments rather than polygons
+   * @returns {Boolean} - True for Cohen-Sutherland, Liang-Barsky and Cyrus-Beck
+   */
+  isLineClipper() {
+    return this.clipper.subjectType === 'lines';
+  }
+  
+  /**
+   * Get the final output of the last clipping run
+   * @returns {Array} - Array of result polygons, or visible segments for line clippers
+   */
+  getFinalResult() {
+    const lastStep = this.clipper.getStep(this.clipper.getTotalSteps() - 1);
+    if (!lastStep) {
+      return [];
+    }
+    if (this.isLineClipper()) {
+      return lastStep.outputLines;
+    }
+    return this.getStepOutput(lastStep);
+  }
+  
+  /**
+   * Display the final output of the last clipping run
+   * @param {Array} result - Result of getFinalResult()
+   */
+  showFinalResult(result) {
+    if (this.isLineClipper()) {
+      const total = this.canvasManager.subjectLines.length;
+      this.canvasManager.setResultLines(result);
+      this.updateStepIndicator(`Clipping complete! ${result.length} of ${total} segment(s) visible`);
+      return;
+    }
+    
+    this.canvasManager.setResultPolygon(result);
+    this.updateStepIndicator(result.length > 0
+      ? this.describeResult(result)
+      : this.describeEmptyResult());
+  }
+  
+  /**
+   * Display the intermediate output of one step
+   * @param {Object} step - The step details
+   * @param {String} unit - "Edge" or "Step", for the indicator message
+   * @param {Number} index - Zero-based step index
+   */
+  showStepOutput(step, unit, index) {
+    if (step.outputLines) {
+      this.canvasManager.resultLines = step.outputLines;
+      this.canvasManager.updateCoordinateDisplay();
+      return;
+    }
+    
+    const intermediateResult = this.getStepOutput(step);
+    const vertexCount = intermediateResult.reduce((sum, ring) => sum + ring.length, 0);
+    if (intermediateResult.length > 0) {
+      this.canvasManager.setResultPolygon(intermediateResult);
+      this.updateStepIndicator(step.phase === 'rings' || step.phase === 'cleanup'
+        ? `${unit} ${index + 1}: ${step.description} (${vertexCount} vertices)`
+        : `${this.stepLabel(step, unit, index)} complete (${vertexCount} vertices)`);
+    } else {
+      this.canvasManager.setResultPolygon([]);
+      this.updateStepIndicator(step.phase
+        ? `${this.stepLabel(step, unit, index)}: No result polygon yet`
+        : `${this.stepLabel(step, unit, index)}: No polygon remains`);
+    }
+  }
+  
+  /**
+   * Name a step for the indicator, counting within its subject ring when
+   * the subject has several rings
+   * @param {Object} step - The step details
+   * @param {String} unit - "Edge" or "Step"
+   * @param {Number} index - Zero-based step index
+   * @returns {String} - e.g. "Edge 3" or "Ring 2 of 2 (hole): Edge 1"
+   */
+  stepLabel(step, unit, index) {
+    return step.ring
+      ? `${step.ring.label}${unit} ${step.ring.index + 1}`
+      : `${unit} ${index + 1}`;
+  }
+  
+  /**
+   * Draw the highlights for one step on top of the rendered scene
+   * @param {Object} step - The step details
+   */
+  highlightStep(step) {
+    if (step.clipEdge) {
+      this.canvasManager.highlightClippingEdge(
+        step.clipEdge.start, 
+        step.clipEdge.end
+      );
+    }
+    if (step.line || step.window) {
+      this.canvasManager.highlightLineStep(step);
+    }
+    if (step.artifacts) {
+      this.canvasManager.highlightArtifacts(step.artifacts);
+    }
+  }
+  
+  /**
+   * Get the output of a step as an array of polygons
+   * @param {Object} step - The step details
+   * @returns {Array} - Array of polygons
+   */
+  getStepOutput(step) {
+    if (step.outputPolygons) {
+      return step.outputPolygons;
+    }
+    return step.outputPolygon.length > 0 ? [step.outputPolygon] : [];
+  }
+  
+  /**
+   * Describe the result of a clipping run for the step indicator
+   * @param {Array} rings - Array of result polygons
+   * @returns {String} - Summary message
+   */
+  describeResult(rings) {
+    const totalPoints = rings.reduce((sum, ring) => sum + ring.length, 0);
+    const warning = this.getClipperWarning();
+    const suffix = warning ? ` (${warning})` : '';
+    if (rings.length > 1) {
+      return `Clipping complete! Result has ${rings.length} polygons (${totalPoints} points)${suffix}`;
+    }
+    return `Clipping complete! Result has ${totalPoints} points${suffix}`;
+  }
+  
+  /**
+   * Explain an empty result, pointing at a bad clipping polygon when there is one
+   * @returns {String} - Message for the step indicator
+   */
+  describeEmptyResult() {
+    const diagnostics = this.canvasManager.clippingDiagnostics;
+    if (diagnostics && diagnostics.selfIntersections.length > 0) {
+      return 'No result: the clipping polygon crosses itself';
+    }
+    if (diagnostics && !diagnostics.convex && this.clipper.requiresConvexClipper) {
+      return `No result: ${this.clipper.name} needs a convex clipping polygon`;
+    }
+    const missed = this.clipper.missedIntersections || [];
+    if (missed.length > 0) {
+      return `No result: ${missed.length} expected intersection(s) could not be computed, try a larger tolerance`;
+    }
+    return 'No intersection found between polygons';
+  }
+  
+  /**
+   * Warn when the clipping polygon breaks the current algorithm's assumptions
+   * @returns {String|null} - Warning text, or null if the input is fine
+   */
+  getClipperWarning() {
+    const diagnostics = this.canvasManager.clippingDiagnostics;
+    if (!diagnostics) {
+      return null;
+    }
+    if (diagnostics.selfIntersections.length > 0) {
+      return 'clipping polygon crosses itself, result may be wrong';
+    }
+    if (!diagnostics.convex && this.clipper.requiresConvexClipper) {
+      return 'clipping polygon is concave, result may be wrong';
+    }
+    const missed = this.clipper.missedIntersections || [];
+    if (missed.length > 0) {
+      return `${missed.length} expected intersection(s) could not be computed, try a larger tolerance`;
+    }
+    if (this.clipper.unresolvedContacts) {
+      return 'the polygons touch in a way that could not be resolved, result may be wrong';
+    }
+    return null;
+  }
+  
+  /**
+   * Highlight the final result and flash its outline
+   */
+  highlightFinalResult() {
+    // Skip the flash if the playhead has been moved away in the meantime
+    const frameIndex = this.currentFrameIndex;
+    const stillShown = () => this.timeline !== null && this.currentFrameIndex === frameIndex;
+    
+    setTimeout(() => {
+      if (!stillShown()) return;
+      
+      // Show a more dramatic final result
+      this.canvasManager.drawHighlightedResult();
+      
+      // Flash the outline twice to draw attention to the result
+      this.canvasManager.flashResultOutline();
+      setTimeout(() => {
+        if (stillShown()) {
+          this.canvasManager.drawHighlightedResult();
+        }
+      }, 300);
+    }, 500);
   }
   
   /**
@@ -22,11 +263,83 @@ class AnimationController {
   setStepByStepMode(enabled) {
     this.stepByStepMode = enabled;
     
-    if (enabled) {
-      document.getElementById('nextStep').disabled = false;
-    } else {
-      document.getElementById('nextStep').disabled = true;
+    // Switching to step-by-step mode stops continuous playback where it is
+    if (enabled && this.timeline) {
+      this.stopUnitTween();
+      this.timeline.pause();
     }
+    this.updateTransportState();
+  }
+  
+  /**
+   * Toggle per-vertex playback of the recorded actions
+   * @param {Boolean} enabled - Whether each subject edge S→E is shown separately
+   */
+  setVertexDetailMode(enabled) {
+    this.vertexDetailMode = enabled;
+    
+    // The frame list depends on this mode, so rebuild an existing playback
+    if (this.timeline) {
+      this.buildTimeline();
+      this.updateStepIndicator('Playback rebuilt: press Play or Next Step');
+    }
+  }
+  
+  /**
+   * Check whether a step can be played back action by action
+   * @param {Object} step - The step details
+   * @returns {Boolean} - True if vertex detail is on and the actions carry their S→E edge
+   */
+  hasVertexDetail(step) {
+    return this.vertexDetailMode && step.actions.length > 0 &&
+      step.actions.every(action => action.subjectEdge);
+  }
+  
+  /**
+   * Show one recorded action: the subject edge S→E coloured by its case,
+   * the reason text and the output list grown up to this action
+   * @param {Object} step - The clip edge step
+   * @param {Number} actionIndex - Index into step.actions
+   * @param {Number} stepIndex - Zero-based index of the step
+   */
+  showAction(step, actionIndex, stepIndex) {
+    const action = step.actions[actionIndex];
+    const caseLabels = {
+      1: 'in → in',
+      2: 'in → out',
+      3: 'out → in',
+      4: 'out → out'
+    };
+    
+    // Output vertices emitted up to and including this action
+    const output = step.actions
+      .slice(0, actionIndex + 1)
+      .filter(a => a.type !== 'SKIP_VERTEX' && a.type !== 'MISSED_INTERSECTION')
+      .map(a => a.vertex);
+    
+    this.canvasManager.render();
+    this.canvasManager.highlightClippingEdge(step.clipEdge.start, step.clipEdge.end);
+    this.canvasManager.highlightSubjectEdge(
+      action.subjectEdge.start,
+      action.subjectEdge.end,
+      this.canvasManager.caseColors[action.case]
+    );
+    this.canvasManager.drawPartialOutput(output);
+    
+    if (action.type === 'ADD_INTERSECTION') {
+      this.canvasManager.highlightIntersectionPoints([action.vertex]);
+    }
+    
+    let emitted = `output ${action.type === 'ADD_INTERSECTION' ? 'I' : 'E'} (#${output.length})`;
+    if (action.type === 'SKIP_VERTEX') {
+      emitted = 'output nothing';
+    } else if (action.type === 'MISSED_INTERSECTION') {
+      emitted = 'the crossing is lost';
+    }
+    this.updateStepIndicator(
+      `${this.stepLabel(step, 'Edge', stepIndex)}, S→E ${action.subjectEdge.index + 1}/${step.inputPolygon.length}: ` +
+      `Case ${action.case} (${caseLabels[action.case]}) ${action.reason}, ${emitted}`
+    );
   }
   
   /**
@@ -43,26 +356,63 @@ class AnimationController {
     );
   }
   
+  /**
+   * Re-run the clipper on the current input and draw the result at once,
+   * without recording steps or animating. Used while polygons are edited.
+   * @param {Boolean} announce - Whether to summarize the result in the step indicator
+   */
+  runLiveClipping(announce = false) {
+    const clippingPolygon = this.getClippingPolygon();
+    const isLines = this.isLineClipper();
+    const subject = isLines ? this.canvasManager.subjectLines : this.canvasManager.getSubjectRings();
+
+    if ((isLines ? subject.length === 0 : this.canvasManager.subjectPolygon.length < 3) || clippingPolygon.length < 3) {
+      this.canvasManager.restoreResult([], isLines);
+      this.canvasManager.scheduleCoordinateDisplay();
+      this.canvasManager.render();
+      return;
+    }
+
+    this.clipper.recordSteps = false;
+    let result;
+    try {
+      result = this.clipper.clip(subject, clippingPolygon);
+    } catch (error) {
+      // Thrown inside an animation frame this would stop live updates; keep the last result instead
+      console.error('Live clipping failed:', error);
+      this.canvasManager.scheduleCoordinateDisplay();
+      this.canvasManager.render();
+      this.updateStepIndicator(`Live: clipping failed (${error.message}); showing the previous result`);
+      return;
+    } finally {
+      this.clipper.recordSteps = true;
+    }
+
+    this.canvasManager.restoreResult(result, isLines);
+    this.canvasManager.scheduleCoordinateDisplay();
+    this.canvasManager.render();
+
+    if (announce) {
+      const rings = this.canvasManager.resultPolygons;
+      if (isLines) {
+        this.updateStepIndicator(`Live: ${result.length} of ${subject.length} segment(s) visible`);
+      } else {
+        this.updateStepIndicator(`Live: ${rings.length > 0 ? this.describeResult(rings) : this.describeEmptyResult()}`);
+      }
+    }
+  }
+
   /**
    * Run the complete clipping animation
    */
   runClippingAnimation() {
-    const subjectPolygon = this.canvasManager.subjectPolygon;
-    const clippingPolygon = this.canvasManager.clippingPolygon;
-    
-    if (subjectPolygon.length < 3 || clippingPolygon.length < 3) {
-      this.updateStepIndicator('Need both polygons to run clipping');
+    if (!this.prepareClipping()) {
       return;
     }
     
-    // Run the clipping algorithm to generate steps
-    const resultPolygon = this.clipper.clip(subjectPolygon, clippingPolygon);
-    
     // If in step-by-step mode, prepare for stepping through
     if (this.stepByStepMode) {
-      this.clipper.resetSteps();
       this.updateStepIndicator('Step 1: Ready to start clipping');
-      document.getElementById('nextStep').disabled = false;
       return;
     }
     
@@ -71,203 +421,426 @@ class AnimationController {
   }
   
   /**
-   * Run the complete animation without step-by-step pauses
+   * Clip the current input, recording the steps, and build the paused playback
+   * @returns {Boolean} - False if the input is incomplete (the step indicator says why)
    */
-  runFullAnimation() {
-    const totalSteps = this.clipper.getTotalSteps();
+  prepareClipping() {
+    const subjectPolygon = this.canvasManager.subjectPolygon;
+    const clippingPolygon = this.getClippingPolygon();
     
-    // Create a new timeline
-    this.timeline = gsap.timeline({
-      onComplete: () => {
-        // Get the final result polygon
-        const resultPolygon = this.clipper.getStep(totalSteps - 1).outputPolygon;
-        
-        // Debug logs to track the result
-        console.log('Final clipped polygon:', resultPolygon);
-        console.log('Total steps:', totalSteps);
-        console.log('Last step index:', totalSteps - 1);
-        
-        if (resultPolygon && resultPolygon.length > 0) {
-          this.updateStepIndicator(`Clipping complete! Result has ${resultPolygon.length} points`);
-        } else {
-          this.updateStepIndicator('No intersection found between polygons');
-        }
-        
-        // Make sure to display even if empty (will show message)
-        this.canvasManager.setResultPolygon(resultPolygon || []);
-        
-        // Add a small delay and then highlight the result again
-        setTimeout(() => {
-          console.log('Highlighting final result');
-          // Show a more dramatic final result
-          this.canvasManager.drawHighlightedResult();
-          
-          // Create a flash effect to draw attention to the result
-          const flashEffect = () => {
-            // Flash outline
-            this.canvasManager.ctx.save();
-            this.canvasManager.ctx.lineWidth = 8;
-            this.canvasManager.ctx.strokeStyle = 'white';
-            this.canvasManager.ctx.beginPath();
-            this.canvasManager.ctx.moveTo(resultPolygon[0].x, resultPolygon[0].y);
-            for (let i = 1; i < resultPolygon.length; i++) {
-              this.canvasManager.ctx.lineTo(resultPolygon[i].x, resultPolygon[i].y);
-            }
-            this.canvasManager.ctx.closePath();
-            this.canvasManager.ctx.stroke();
-            this.canvasManager.ctx.restore();
-          };
-          
-          // Flash twice
-          flashEffect();
-          setTimeout(() => {
-            this.canvasManager.drawHighlightedResult();
-          }, 300);
-        }, 500);
+    if (this.isLineClipper()) {
+      if (this.canvasManager.subjectLines.length === 0 || clippingPolygon.length < 3) {
+        this.updateStepIndicator('Need subject lines and a clipping polygon to run line clipping');
+        return false;
       }
-    });
+    } else if (subjectPolygon.length < 3 || clippingPolygon.length < 3) {
+      this.updateStepIndicator('Need both polygons to run clipping');
+      return false;
+    }
     
-    // Starting animation
-    this.updateStepIndicator('Starting Sutherland-Hodgman clipping...');
+    // Run the clipping algorithm to generate steps
+    const subject = this.isLineClipper() ? this.canvasManager.subjectLines : this.canvasManager.getSubjectRings();
+    this.clipper.clip(subject, clippingPolygon);
+    this.buildTimeline();
+    return true;
+  }
+  
+  /**
+   * Build the frame list and the paused GSAP timeline that plays it.
+   * Every frame is drawn from the stored step data alone, so the playhead
+   * can be moved to any point, forwards or backwards.
+   */
+  buildTimeline() {
+    this.stopUnitTween();
+    if (this.timeline) {
+      this.timeline.kill();
+    }
     
-    // Process each step in the clipping algorithm
+    this.frames = [];
+    this.units = [];
+    this.currentFrameIndex = -1;
+    this.currentUnitIndex = -1;
+    this.clipper.resetSteps();
+    
+    let time = 0;
+    const addFrame = (frame, duration, startsUnit) => {
+      frame.start = time;
+      frame.duration = duration;
+      if (startsUnit || this.units.length === 0) {
+        this.units.push({ start: time, stepIndex: frame.stepIndex, firstFrame: this.frames.length, lastFrame: this.frames.length });
+      } else {
+        this.units[this.units.length - 1].lastFrame = this.frames.length;
+      }
+      frame.unitIndex = this.units.length - 1;
+      this.frames.push(frame);
+      time += duration;
+    };
+    
+    const totalSteps = this.clipper.getTotalSteps();
     for (let i = 0; i < totalSteps; i++) {
       const step = this.clipper.getStep(i);
       
-      this.timeline.add(() => {
-        this.canvasManager.render();
-        
-        // Highlight current clipping edge
-        this.canvasManager.highlightClippingEdge(
-          step.clipEdge.start, 
-          step.clipEdge.end
-        );
-        
-        this.updateStepIndicator(`Clipping against edge ${i + 1} of ${totalSteps}`);
-      });
-      
-      // Pause for edge visualization
-      this.timeline.to({}, { duration: 1 });
-      
-      // Show intersections if there are any
-      if (step.intersections.length > 0) {
-        this.timeline.add(() => {
-          this.canvasManager.highlightIntersectionPoints(step.intersections);
-          this.updateStepIndicator(`Found ${step.intersections.length} intersection(s)`);
+      // Per-vertex playback: one unit per recorded action, then the edge's output
+      if (this.hasVertexDetail(step)) {
+        step.actions.forEach((action, j) => {
+          addFrame({ type: 'action', stepIndex: i, actionIndex: j }, 0.8, true);
         });
-        
-        // Pause for intersection points visualization
-        this.timeline.to({}, { duration: 1 });
+        addFrame({ type: 'output', stepIndex: i }, 1, true);
+        continue;
       }
       
-      // Show intermediate result after this edge
-      this.timeline.add(() => {
-        const intermediateResult = step.outputPolygon;
-        if (intermediateResult.length > 0) {
-          this.canvasManager.setResultPolygon(intermediateResult);
-          this.updateStepIndicator(`Intermediate result after edge ${i + 1}`);
-        } else {
-          this.canvasManager.setResultPolygon([]);
-          this.updateStepIndicator(`No polygon remains after edge ${i + 1}`);
-        }
-      });
-      
-      // Pause before next step
-      this.timeline.to({}, { duration: 1 });
+      // Otherwise one unit per step: edge, intersections (if any), output
+      addFrame({ type: 'edge', stepIndex: i }, 1, true);
+      if (step.intersections.length > 0) {
+        addFrame({ type: 'intersections', stepIndex: i }, 1, false);
+      }
+      addFrame({ type: 'output', stepIndex: i }, 1, false);
     }
+    addFrame({ type: 'final', stepIndex: totalSteps - 1 }, 1, true);
+    
+    // A single placeholder tween gives the timeline its length; onUpdate does the drawing
+    this.timeline = gsap.timeline({
+      paused: true,
+      onUpdate: () => this.renderAt(this.timeline.time()),
+      onComplete: () => this.updateTransportState()
+    });
+    this.timeline.to({}, { duration: time });
+    this.timeline.timeScale(this.playbackSpeed);
+    
+    this.populateJumpList();
+    this.updateTransportState();
   }
   
   /**
-   * Advance to the next step in step-by-step mode
+   * Get the time range of every clipper step in the playback, with the
+   * final result as a last range of its own
+   * @returns {Array} - Array of {stepIndex, final, start, end} in seconds
    */
-  nextStep() {
-    if (!this.stepByStepMode) return;
-    
-    const step = this.clipper.getNextStep();
-    if (!step) {
-      // End of steps reached
-      const resultPolygon = this.clipper.getStep(this.clipper.getTotalSteps() - 1).outputPolygon;
-      this.canvasManager.setResultPolygon(resultPolygon);
-      this.updateStepIndicator('Clipping complete! Final result polygon displayed');
-      document.getElementById('nextStep').disabled = true;
-      
-      // Highlight the result with a small delay
-      setTimeout(() => {
-        // Show a more dramatic final result
-        this.canvasManager.drawHighlightedResult();
+  getStepSpans() {
+    const spans = [];
+    this.frames.forEach(frame => {
+      const final = frame.type === 'final';
+      const last = spans[spans.length - 1];
+      if (last && !final && !last.final && last.stepIndex === frame.stepIndex) {
+        last.end = frame.start + frame.duration;
+      } else {
+        spans.push({ stepIndex: frame.stepIndex, final, start: frame.start, end: frame.start + frame.duration });
+      }
+    });
+    return spans;
+  }
+  
+  /**
+   * Restore the result that was on screen before a step ran
+   * @param {Number} stepIndex - Index of the step about to be shown
+   */
+  restoreResultBefore(stepIndex) {
+    const previous = this.clipper.getStep(stepIndex - 1);
+    if (this.isLineClipper()) {
+      this.canvasManager.restoreResult(previous ? previous.outputLines : [], true);
+    } else {
+      this.canvasManager.restoreResult(previous ? this.getStepOutput(previous) : []);
+    }
+    this.canvasManager.updateCoordinateDisplay();
+  }
+  
+  /**
+   * Draw one frame of the playback from the stored step data
+   * @param {Object} frame - Entry of this.frames
+   */
+  renderFrame(frame) {
+    const step = this.clipper.getStep(frame.stepIndex);
+    const index = frame.stepIndex;
+    const totalSteps = this.clipper.getTotalSteps();
+    
+    this.clipper.currentStepIndex = index;
+    this.currentStep = step;
+    
+    if (frame.type === 'final') {
+      this.showFinalResult(this.getFinalResult());
+      this.highlightFinalResult();
+      return;
+    }
+    
+    // Sutherland-Hodgman steps are one per clip edge; other clippers have phases
+    const unit = step.phase ? 'Step' : 'Edge';
+    
+    switch (frame.type) {
+      case 'action':
+        this.restoreResultBefore(index);
+        this.showAction(step, frame.actionIndex, index);
+        break;
         
-        // Create a flash effect to draw attention to the result
-        const flashEffect = () => {
-          // Flash outline
-          this.canvasManager.ctx.save();
-          this.canvasManager.ctx.lineWidth = 8;
-          this.canvasManager.ctx.strokeStyle = 'white';
-          this.canvasManager.ctx.beginPath();
-          this.canvasManager.ctx.moveTo(resultPolygon[0].x, resultPolygon[0].y);
-          for (let i = 1; i < resultPolygon.length; i++) {
-            this.canvasManager.ctx.lineTo(resultPolygon[i].x, resultPolygon[i].y);
-          }
-          this.canvasManager.ctx.closePath();
-          this.canvasManager.ctx.stroke();
-          this.canvasManager.ctx.restore();
-        };
+      case 'output':
+        this.restoreResultBefore(index);
+        this.showStepOutput(step, unit, index);
+        if (step.outputLines) {
+          this.canvasManager.render();
+          this.highlightStep(step);
+        } else if (step.artifacts) {
+          // Keep the removed artifacts visible next to the cleaned-up result
+          this.canvasManager.highlightArtifacts(step.artifacts);
+        }
+        break;
         
-        // Flash twice
-        flashEffect();
-        setTimeout(() => {
-          this.canvasManager.drawHighlightedResult();
-        }, 300);
-      }, 500);
+      default:
+        this.restoreResultBefore(index);
+        this.canvasManager.render();
+        this.highlightStep(step);
+        this.updateStepIndicator(step.description
+          ? `Step ${index + 1} of ${totalSteps}: ${step.description}`
+          : `Clipping against edge ${index + 1} of ${totalSteps}`);
+        
+        if (frame.type === 'intersections') {
+          this.canvasManager.highlightIntersectionPoints(step.intersections);
+          // Line steps keep their description, which already names the t-values
+          if (!step.line) {
+            this.updateStepIndicator(`${this.stepLabel(step, unit, index)}: Found ${step.intersections.length} intersection(s)`);
+          }
+        }
+    }
+  }
+  
+  /**
+   * Draw the frame under a playhead position, if it changed
+   * @param {Number} time - Timeline time in seconds
+   */
+  renderAt(time) {
+    let index = this.frames.length - 1;
+    for (let i = 0; i < this.frames.length; i++) {
+      if (time < this.frames[i].start + this.frames[i].duration) {
+        index = i;
+        break;
+      }
+    }
+    
+    if (index !== this.currentFrameIndex) {
+      this.currentFrameIndex = index;
+      this.currentUnitIndex = this.frames[index].unitIndex;
+      this.renderFrame(this.frames[index]);
+    }
+    this.updateTransportState();
+  }
+  
+  /**
+   * Redraw the frame under the playhead, e.g. after the view was zoomed or panned
+   */
+  redrawCurrentFrame() {
+    if (!this.timeline || this.currentFrameIndex < 0 || !this.frames[this.currentFrameIndex]) {
       return;
     }
+    this.renderFrame(this.frames[this.currentFrameIndex]);
+  }
+  
+  /**
+   * Stop a unit being played by Next Step
+   */
+  stopUnitTween() {
+    if (this.unitTween) {
+      this.unitTween.kill();
+      this.unitTween = null;
+    }
+  }
+  
+  /**
+   * Pause and move the playhead, rebuilding the canvas for that position
+   * @param {Number} time - Timeline time in seconds
+   */
+  seek(time) {
+    if (!this.timeline) return;
     
-    this.currentStep = step;
-    const currentStepIndex = this.clipper.currentStepIndex;
-    const totalSteps = this.clipper.getTotalSteps();
+    this.stopUnitTween();
+    this.timeline.pause(time);
+    this.renderAt(this.timeline.time());
+  }
+  
+  /**
+   * Play a single unit from its first to its last frame, then stop
+   * @param {Number} unitIndex - Index into this.units
+   */
+  playUnit(unitIndex) {
+    const unit = this.units[unitIndex];
+    const lastFrame = this.frames[unit.lastFrame];
     
-    // Clear canvas and redraw polygons
-    this.canvasManager.render();
+    this.seek(unit.start);
+    if (unit.lastFrame === unit.firstFrame) {
+      return;
+    }
     
-    // Step 1: Highlight the current clipping edge
-    this.canvasManager.highlightClippingEdge(
-      step.clipEdge.start, 
-      step.clipEdge.end
-    );
+    this.unitTween = this.timeline.tweenFromTo(unit.start, lastFrame.start, {
+      onUpdate: () => this.renderAt(this.timeline.time()),
+      onComplete: () => {
+        // Land exactly on the last frame of the unit
+        this.unitTween = null;
+        this.seek(lastFrame.start);
+      }
+    });
+  }
+  
+  /**
+   * Run the complete animation without step-by-step pauses
+   */
+  runFullAnimation() {
+    if (!this.timeline) {
+      this.buildTimeline();
+    }
     
-    this.updateStepIndicator(`Edge ${currentStepIndex + 1} of ${totalSteps}: Processing`);
+    this.announceStart();
+    this.timeline.play(0);
+  }
+  
+  /**
+   * Name the algorithm about to play in the step indicator, with any warning about the input
+   */
+  announceStart() {
+    const warning = this.getClipperWarning();
+    this.updateStepIndicator(warning
+      ? `Starting ${this.clipper.name} clipping... Warning: ${warning}`
+      : `Starting ${this.clipper.name} clipping...`);
+  }
+  
+  /**
+   * Play or pause the playback, restarting it if it already finished
+   */
+  togglePlayback() {
+    if (!this.timeline) return;
     
-    // Step 2: Highlight intersections after a delay
-    setTimeout(() => {
-      if (step.intersections.length > 0) {
-        this.canvasManager.highlightIntersectionPoints(step.intersections);
-        this.updateStepIndicator(`Edge ${currentStepIndex + 1}: Found ${step.intersections.length} intersection(s)`);
+    this.stopUnitTween();
+    if (this.timeline.isActive()) {
+      this.timeline.pause();
+    } else if (this.timeline.progress() >= 1) {
+      this.timeline.restart();
+    } else {
+      this.timeline.play();
+    }
+    this.updateTransportState();
+  }
+  
+  /**
+   * Advance to the next step, animating its stages
+   */
+  nextStep() {
+    if (!this.timeline) return;
+    
+    const next = this.currentUnitIndex + 1;
+    if (next < this.units.length) {
+      this.playUnit(next);
+    }
+  }
+  
+  /**
+   * Go back to the completed state of the previous step
+   */
+  previousStep() {
+    if (!this.timeline) return;
+    
+    const previous = this.currentUnitIndex - 1;
+    if (previous < 0) {
+      this.seek(0);
+      return;
+    }
+    this.seek(this.frames[this.units[previous].lastFrame].start);
+  }
+  
+  /**
+   * Jump to the start of a step (a clip edge for Sutherland-Hodgman)
+   * @param {Number} stepIndex - Index of the clipper step
+   */
+  jumpToStep(stepIndex) {
+    const unit = this.units.find(u => u.stepIndex === stepIndex);
+    if (unit) {
+      this.seek(unit.start);
+    }
+  }
+  
+  /**
+   * Move the playhead to a fraction of the whole playback
+   * @param {Number} progress - Value between 0 and 1
+   */
+  scrubTo(progress) {
+    if (!this.timeline) return;
+    this.seek(progress * this.timeline.duration());
+  }
+  
+  /**
+   * Change the playback speed multiplier
+   * @param {Number} speed - e.g. 0.5 for half speed, 2 for double speed
+   */
+  setPlaybackSpeed(speed) {
+    this.playbackSpeed = speed;
+    if (this.timeline) {
+      this.timeline.timeScale(speed);
+    }
+  }
+  
+  /**
+   * Fill the jump list with one entry per clipper step
+   */
+  populateJumpList() {
+    const jumpList = document.getElementById('jumpToStep');
+    if (!jumpList || !this.controlsTransport) return;
+    
+    let html = '<option value="" disabled selected>Jump to…</option>';
+    for (let i = 0; i < this.clipper.getTotalSteps(); i++) {
+      const step = this.clipper.getStep(i);
+      const label = step.description || `Clip edge ${i + 1}`;
+      html += `<option value="${i}">${i + 1}. ${label}</option>`;
+    }
+    jumpList.innerHTML = html;
+  }
+  
+  /**
+   * Sync the transport bar with the playback state
+   */
+  updateTransportState() {
+    if (!this.controlsTransport) return;
+    
+    const hasTimeline = this.timeline !== null;
+    const playing = hasTimeline && this.timeline.isActive();
+    
+    const prevBtn = document.getElementById('prevStep');
+    const nextBtn = document.getElementById('nextStep');
+    const playBtn = document.getElementById('playPause');
+    const scrubber = document.getElementById('timelineScrubber');
+    const jumpList = document.getElementById('jumpToStep');
+    
+    nextBtn.disabled = !hasTimeline || this.currentUnitIndex >= this.units.length - 1;
+    if (prevBtn) prevBtn.disabled = !hasTimeline || this.currentFrameIndex <= 0;
+    if (playBtn) {
+      playBtn.disabled = !hasTimeline;
+      playBtn.textContent = playing ? 'Pause' : 'Play';
+    }
+    if (scrubber) {
+      scrubber.disabled = !hasTimeline;
+      scrubber.value = hasTimeline ? Math.round(this.timeline.progress() * 1000) : 0;
+    }
+    if (jumpList) {
+      jumpList.disabled = !hasTimeline;
+      if (hasTimeline && this.currentFrameIndex >= 0) {
+        jumpList.value = String(this.frames[this.currentFrameIndex].stepIndex);
       }
-      
-      // Step 3: Show the output polygon for this edge after another delay
-      setTimeout(() => {
-        const intermediateResult = step.outputPolygon;
-        if (intermediateResult.length > 0) {
-          this.canvasManager.setResultPolygon(intermediateResult);
-          this.updateStepIndicator(`Edge ${currentStepIndex + 1} complete (${intermediateResult.length} vertices)`);
-        } else {
-          this.canvasManager.setResultPolygon([]);
-          this.updateStepIndicator(`Edge ${currentStepIndex + 1}: No polygon remains`);
-        }
-      }, 1000);
-    }, 1000);
+    }
   }
   
   /**
    * Reset the animation controller
    */
   reset() {
+    this.stopUnitTween();
     if (this.timeline) {
       this.timeline.kill();
     }
+    this.timeline = null;
+    this.frames = [];
+    this.units = [];
+    this.currentFrameIndex = -1;
+    this.currentUnitIndex = -1;
     
     this.clipper.resetSteps();
     this.currentStep = null;
     this.updateStepIndicator('Ready');
-    document.getElementById('nextStep').disabled = true;
+    this.updateTransportState();
+    
+    document.dispatchEvent(new CustomEvent('playbackReset', { detail: { controller: this } }));
   }
 }
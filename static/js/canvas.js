@@ -6,18 +6,50 @@
  */
 
 class CanvasManager {
-  constructor(canvasId) {
+  /**
+   * @param {String} canvasId - Id of the canvas element
+   * @param {Object} options - {source}: another CanvasManager whose input this one only mirrors,
+   *                           as the second view of compare mode
+   */
+  constructor(canvasId, options = {}) {
     this.canvas = document.getElementById(canvasId);
     this.ctx = this.canvas.getContext('2d');
     this.subjectPolygon = []; // Cyan polygon to be clipped
+    this.subjectRings = []; // Further subject rings (extra parts and holes), read with the even-odd rule
     this.clippingPolygon = []; // Yellow clipping boundary
     this.resultPolygon = []; // Green result after clipping
+    this.resultPolygons = []; // Every result ring when the clip splits into pieces
+    this.clippingDiagnostics = null; // Orientation/convexity report for the clipping polygon
+    this.crossingPolicy = 'repair'; // Closing a polygon whose edges cross: "repair", "reject" or "allow"
+    this.crossings = {}; // Self-intersections of each closed polygon by type, drawn in red
+    this.subjectLines = []; // Line segments for the line clipping algorithms
+    this.resultLines = []; // Visible parts of the segments after line clipping
+    this.pendingLineStart = null; // First endpoint of the segment being drawn
+    this.geoProjection = null; // Map-to-canvas projection of an imported GeoJSON/WKT scene
     
     this.selectedPolygon = null; // Which polygon we're currently drawing
     this.isDrawing = false;
     this.hoverPoint = null;
-    this.snapDistance = 15; // Pixel distance for vertex snapping
+    this.snapDistance = 15; // Pixel distance for vertex and edge snapping
+    this.snapping = { grid: false, vertex: false, edge: false, angle: false }; // Enabled snap targets
+    this.gridSpacing = null; // Grid spacing in world units, or null to follow the zoom
+    this.angleIncrement = 15; // Degrees between snapped directions from the previous vertex
+    this.snapResult = null; // Last snap for the indicator: {kind, point, anchor, edge, degrees}
     this.snapToFirstDistance = 20; // Distance to snap to first point to close the polygon
+    this.hitRadius = 10; // Pixel distance for grabbing a vertex or an edge midpoint
+    this.hoverTarget = null; // Vertex or edge midpoint under the mouse when not drawing
+    this.dragTarget = null; // Vertex being dragged: {polygonType, index, action, moved, before}
+    this.coordinateDisplayFrame = null; // Pending requestAnimationFrame for the coordinate lists
+    this.shapeTool = 'points'; // Drawing tool: points, rectangle, ngon, star or lasso
+    this.shapeOptions = { sides: 6, rotation: 0, innerRatio: 0.5, lassoTolerance: 3 };
+    this.shapeDrag = null; // Shape being dragged out: {start, current, path}
+    this.view = { scale: 1, offsetX: 0, offsetY: 0, yUp: false }; // World-to-screen transform
+    this.showAxes = false; // Draw labelled x/y axes through the world origin
+    this.panDrag = null; // Pan in progress: {start, offsetX, offsetY} in screen pixels
+    this.spacePressed = false; // Space + drag pans, like in most drawing programs
+    this.history = new HistoryManager(100); // Undo/redo of every edit to the scene
+    this.source = options.source || null; // Editable view mirrored by a compare view
+    this.compareRings = null; // Result of the other compare view, for the diff overlay
     
     this.colors = {
       subject: 'rgba(0, 128, 255, 0.7)',      // Blue for subject polygon
@@ -27,15 +59,49 @@ class CanvasManager {
       resultGlow: 'rgba(0, 204, 0, 1)',       // Green glow
       background: 'rgba(16, 24, 32, 1)',      // Dark background
       grid: 'rgba(50, 60, 70, 0.2)',          // Subtle grid lines
+      snap: 'rgba(255, 64, 255, 0.9)',        // Snap indicator
+      axis: 'rgba(169, 215, 230, 0.6)',       // Labelled x/y axes
       pointHighlight: 'rgba(255, 255, 255, 0.9)',
-      edgeHighlight: 'rgba(255, 255, 0, 0.9)' // Yellow for edge highlight
+      edgeHighlight: 'rgba(255, 255, 0, 0.9)', // Yellow for edge highlight
+      clipWindow: 'rgba(255, 128, 0, 0.9)',   // Dashed rectangular line clipping window
+      partialOutput: 'rgba(0, 255, 128, 0.9)', // Output list while it grows vertex by vertex
+      artifact: 'rgba(255, 82, 82, 0.95)',    // Vertices and bridge edges removed by the cleanup pass
+      crossing: 'rgba(255, 23, 68, 1)',       // Edges of a polygon that cross each other
+      diffOwn: 'rgba(255, 64, 129, 0.55)',    // Compare mode: covered by this view's result only
+      diffOther: 'rgba(255, 214, 0, 0.45)'    // Compare mode: covered by the other view's result only
+    };
+    
+    // One color per Sutherland-Hodgman case for the subject edge S→E
+    this.caseColors = {
+      1: 'rgba(0, 230, 118, 1)',   // in → in: output E
+      2: 'rgba(255, 171, 0, 1)',   // in → out: output I
+      3: 'rgba(0, 229, 255, 1)',   // out → in: output I and E
+      4: 'rgba(255, 82, 82, 1)'    // out → out: output nothing
     };
     
     this.resize();
-    this.setupEventListeners();
+    if (this.source) {
+      // A mirror view is only drawn on: the source handles all input and the coordinate panels
+      this.mirror(this.source);
+    } else {
+      this.setupEventListeners();
+      this.setupCoordinateEditing();
+    }
     this.initializeCanvas();
   }
   
+  /**
+   * Read the polygons, lines, crossings and view of another CanvasManager
+   * instead of keeping own ones, so both views always show the same input
+   * @param {CanvasManager} source - The editable view
+   */
+  mirror(source) {
+    ['subjectPolygon', 'subjectRings', 'clippingPolygon', 'subjectLines', 'clippingDiagnostics',
+      'crossings', 'geoProjection', 'view', 'showAxes', 'gridSpacing'].forEach(field => {
+      Object.defineProperty(this, field, { get: () => source[field], configurable: true });
+    });
+  }
+  
   /**
    * Set up the canvas size according to container
    */
@@ -47,168 +113,1557 @@ class CanvasManager {
   }
   
   /**
-   * Initialize canvas with background and grid
+   * Initialize canvas with background and grid
+   */
+  initializeCanvas() {
+    this.clear();
+    this.drawGrid();
+  }
+  
+  /**
+   * Clear the canvas
+   */
+  clear() {
+    this.ctx.fillStyle = this.colors.background;
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+  
+  /**
+   * Draw a grid on the canvas. The grid follows world units, with a spacing
+   * that stays readable at any zoom, and optionally labelled axes.
+   */
+  drawGrid() {
+    // A fixed spacing that gets too dense when zoomed out only draws every n-th line
+    const spacing = this.getGridSpacing();
+    const gridSize = spacing * Math.max(1, Math.ceil(this.toWorldDistance(8) / spacing));
+    const topLeft = this.toWorld({ x: 0, y: 0 });
+    const bottomRight = this.toWorld({ x: this.canvas.width, y: this.canvas.height });
+    const minX = Math.min(topLeft.x, bottomRight.x);
+    const maxX = Math.max(topLeft.x, bottomRight.x);
+    const minY = Math.min(topLeft.y, bottomRight.y);
+    const maxY = Math.max(topLeft.y, bottomRight.y);
+    
+    this.ctx.strokeStyle = this.colors.grid;
+    this.ctx.lineWidth = 0.5;
+    
+    // Draw vertical lines
+    for (let x = Math.ceil(minX / gridSize) * gridSize; x <= maxX; x += gridSize) {
+      const screenX = this.toScreen({ x, y: 0 }).x;
+      this.ctx.beginPath();
+      this.ctx.moveTo(screenX, 0);
+      this.ctx.lineTo(screenX, this.canvas.height);
+      this.ctx.stroke();
+    }
+    
+    // Draw horizontal lines
+    for (let y = Math.ceil(minY / gridSize) * gridSize; y <= maxY; y += gridSize) {
+      const screenY = this.toScreen({ x: 0, y }).y;
+      this.ctx.beginPath();
+      this.ctx.moveTo(0, screenY);
+      this.ctx.lineTo(this.canvas.width, screenY);
+      this.ctx.stroke();
+    }
+    
+    if (this.showAxes) {
+      this.drawAxes(gridSize, { minX, maxX, minY, maxY });
+    }
+  }
+  
+  /**
+   * Get the grid spacing used for drawing and snapping: the configured one, or else
+   * 1, 2 or 5 times a power of ten, at least 25 pixels apart on screen
+   * @returns {Number} - Spacing in world units
+   */
+  getGridSpacing() {
+    if (this.gridSpacing) {
+      return this.gridSpacing;
+    }
+    
+    const minimum = this.toWorldDistance(25);
+    const power = Math.pow(10, Math.floor(Math.log10(minimum)));
+    return [1, 2, 5, 10].map(f => f * power).find(step => step >= minimum);
+  }
+  
+  /**
+   * Set a fixed grid spacing
+   * @param {Number|null} spacing - Spacing in world units, or null to follow the zoom
+   */
+  setGridSpacing(spacing) {
+    this.gridSpacing = spacing > 0 ? spacing : null;
+    this.render();
+  }
+  
+  /**
+   * Draw the x and y axes with a labelled tick on every other grid line.
+   * An axis outside the view is pinned to the nearest edge so its labels stay visible.
+   * @param {Number} gridSize - Grid spacing in world units
+   * @param {Object} bounds - Visible world area {minX, maxX, minY, maxY}
+   */
+  drawAxes(gridSize, bounds) {
+    const origin = this.toScreen({ x: 0, y: 0 });
+    const axisX = Math.min(Math.max(origin.x, 0), this.canvas.width - 1);
+    const axisY = Math.min(Math.max(origin.y, 0), this.canvas.height - 1);
+    const tick = gridSize * 2;
+    const decimals = Math.max(0, -Math.floor(Math.log10(tick)));
+    const format = (value) => (Math.abs(value) < tick / 2 ? 0 : value).toFixed(decimals);
+    
+    this.ctx.save();
+    this.ctx.strokeStyle = this.colors.axis;
+    this.ctx.fillStyle = this.colors.axis;
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.moveTo(0, axisY);
+    this.ctx.lineTo(this.canvas.width, axisY);
+    this.ctx.moveTo(axisX, 0);
+    this.ctx.lineTo(axisX, this.canvas.height);
+    this.ctx.stroke();
+    
+    this.ctx.font = '10px "Roboto Mono", monospace';
+    
+    // Labels go on the inner side of a pinned axis
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = axisY > this.canvas.height - 20 ? 'bottom' : 'top';
+    const labelY = axisY + (this.ctx.textBaseline === 'top' ? 4 : -4);
+    for (let x = Math.ceil(bounds.minX / tick) * tick; x <= bounds.maxX; x += tick) {
+      const screenX = this.toScreen({ x, y: 0 }).x;
+      this.ctx.fillRect(screenX - 0.5, axisY - 3, 1, 6);
+      if (Math.abs(x) >= tick / 2) {
+        this.ctx.fillText(format(x), screenX, labelY);
+      }
+    }
+    
+    this.ctx.textAlign = axisX > this.canvas.width - 50 ? 'right' : 'left';
+    this.ctx.textBaseline = 'middle';
+    const labelX = axisX + (this.ctx.textAlign === 'left' ? 5 : -5);
+    for (let y = Math.ceil(bounds.minY / tick) * tick; y <= bounds.maxY; y += tick) {
+      const screenY = this.toScreen({ x: 0, y }).y;
+      this.ctx.fillRect(axisX - 3, screenY - 0.5, 6, 1);
+      this.ctx.fillText(format(y), labelX, screenY);
+    }
+    
+    // Mark which way y grows
+    this.ctx.textAlign = 'left';
+    this.ctx.textBaseline = 'top';
+    this.ctx.fillText(this.view.yUp ? 'y ↑' : 'y ↓', 6, 6);
+    this.ctx.restore();
+  }
+  
+  /**
+   * Convert a world point to canvas pixels
+   * @param {Object} point - World point
+   * @returns {Object} - Screen point
+   */
+  toScreen(point) {
+    const { scale, offsetX, offsetY, yUp } = this.view;
+    return {
+      x: point.x * scale + offsetX,
+      y: (yUp ? -point.y : point.y) * scale + offsetY
+    };
+  }
+  
+  /**
+   * Convert canvas pixels to a world point
+   * @param {Object} point - Screen point
+   * @returns {Object} - World point
+   */
+  toWorld(point) {
+    const { scale, offsetX, offsetY, yUp } = this.view;
+    const y = (point.y - offsetY) / scale;
+    return {
+      x: (point.x - offsetX) / scale,
+      y: yUp ? -y : y
+    };
+  }
+  
+  /**
+   * Convert a distance in pixels (hit radii, snapping) to world units
+   * @param {Number} pixels - Distance on screen
+   * @returns {Number} - Distance in world units
+   */
+  toWorldDistance(pixels) {
+    return pixels / this.view.scale;
+  }
+  
+  /**
+   * Start a new subpath at a world point
+   * @param {Object} point - World point
+   */
+  worldMoveTo(point) {
+    const p = this.toScreen(point);
+    this.ctx.moveTo(p.x, p.y);
+  }
+  
+  /**
+   * Add a straight line to a world point
+   * @param {Object} point - World point
+   */
+  worldLineTo(point) {
+    const p = this.toScreen(point);
+    this.ctx.lineTo(p.x, p.y);
+  }
+  
+  /**
+   * Add a circle of a fixed on-screen radius around a world point
+   * @param {Object} point - World point
+   * @param {Number} radius - Radius in pixels
+   */
+  worldArc(point, radius) {
+    const p = this.toScreen(point);
+    this.ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+  }
+  
+  /**
+   * Zoom by a factor, keeping the world point under a screen position still
+   * @param {Object} screenPoint - Fixed point in canvas pixels, usually the cursor
+   * @param {Number} factor - Greater than 1 zooms in
+   */
+  zoomAt(screenPoint, factor) {
+    const anchor = this.toWorld(screenPoint);
+    this.view.scale = Math.min(Math.max(this.view.scale * factor, 0.01), 1000);
+    
+    const moved = this.toScreen(anchor);
+    this.view.offsetX += screenPoint.x - moved.x;
+    this.view.offsetY += screenPoint.y - moved.y;
+    this.notifyViewChanged();
+  }
+  
+  /**
+   * Zoom around the center of the canvas
+   * @param {Number} factor - Greater than 1 zooms in
+   */
+  zoomBy(factor) {
+    this.zoomAt({ x: this.canvas.width / 2, y: this.canvas.height / 2 }, factor);
+  }
+  
+  /**
+   * Zoom and pan so every polygon, line and result fits with a margin
+   */
+  fitToContent() {
+    const points = [].concat(
+      this.subjectPolygon,
+      this.clippingPolygon,
+      ...this.subjectLines.map(line => [line.start, line.end]),
+      ...this.resultPolygons
+    );
+    if (points.length === 0) {
+      this.resetView();
+      return;
+    }
+    
+    const box = GeometryUtils.boundingBox(points);
+    const margin = 40;
+    const width = Math.max(box.maxX - box.minX, 1e-6);
+    const height = Math.max(box.maxY - box.minY, 1e-6);
+    this.view.scale = Math.min(Math.max(Math.min(
+      (this.canvas.width - 2 * margin) / width,
+      (this.canvas.height - 2 * margin) / height
+    ), 0.01), 1000);
+    this.centerOn({ x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 });
+  }
+  
+  /**
+   * Go back to one world unit per pixel with the origin in the top-left corner
+   * (bottom-left with y up)
+   */
+  resetView() {
+    this.view.scale = 1;
+    this.view.offsetX = 0;
+    this.view.offsetY = this.view.yUp ? this.canvas.height : 0;
+    this.notifyViewChanged();
+  }
+  
+  /**
+   * Pan so a world point is in the middle of the canvas
+   * @param {Object} point - World point
+   */
+  centerOn(point) {
+    const screen = this.toScreen(point);
+    this.view.offsetX += this.canvas.width / 2 - screen.x;
+    this.view.offsetY += this.canvas.height / 2 - screen.y;
+    this.notifyViewChanged();
+  }
+  
+  /**
+   * Switch between screen-style (y down) and mathematical (y up) axes.
+   * Stored coordinates do not change; the picture is mirrored about the middle of the view.
+   * @param {Boolean} enabled - Whether y grows upwards
+   */
+  setYUp(enabled) {
+    if (this.view.yUp === enabled) return;
+    
+    const center = this.toWorld({ x: this.canvas.width / 2, y: this.canvas.height / 2 });
+    this.view.yUp = enabled;
+    this.centerOn(center);
+  }
+  
+  /**
+   * Show or hide the labelled axes
+   * @param {Boolean} enabled - Whether to draw the axes
+   */
+  setShowAxes(enabled) {
+    this.showAxes = enabled;
+    this.notifyViewChanged();
+  }
+  
+  /**
+   * Redraw after the view changed and let the playback redraw its overlay
+   */
+  notifyViewChanged() {
+    this.render();
+    document.dispatchEvent(new CustomEvent('viewChanged', { detail: { scale: this.view.scale } }));
+  }
+  
+  /**
+   * Start drawing a specific polygon
+   * @param {String} polygonType - "subject" or "clipping"
+   */
+  startDrawingPolygon(polygonType) {
+    console.log(`Starting to draw ${polygonType} polygon`);
+    const before = this.captureState();
+    this.selectedPolygon = polygonType;
+    this.isDrawing = true;
+    this.dropUnfinishedRings();
+    
+    if (polygonType === 'subject') {
+      console.log('Resetting subject polygon array');
+      this.subjectPolygon = [];
+      this.subjectRings = [];
+    } else if (polygonType === 'clipping') {
+      console.log('Resetting clipping polygon array');
+      this.clippingPolygon = [];
+      this.clippingDiagnostics = null;
+    }
+    
+    this.resultPolygon = []; // Clear result when starting a new drawing
+    this.resultPolygons = [];
+    this.resultLines = [];
+    
+    document.getElementById('runClipping').disabled = true;
+    this.updateCoordinateDisplay();
+    this.render();
+    this.recordChange(`Draw ${polygonType} polygon`, before);
+    
+    console.log(`Drawing mode active: ${this.isDrawing}, selected polygon: ${this.selectedPolygon}`);
+  }
+  
+  /**
+   * Start drawing one more ring of the subject: a further part, or a hole
+   * when it lies inside another ring. The subject's first ring must be closed.
+   * @returns {Boolean} - True if drawing started
+   */
+  startDrawingRing() {
+    if (this.subjectPolygon.length < 3) {
+      return false;
+    }
+    
+    const before = this.captureState();
+    this.dropUnfinishedRings();
+    this.subjectRings.push([]);
+    this.selectedPolygon = `ring-${this.subjectRings.length + 1}`;
+    this.isDrawing = true;
+    this.invalidateResult();
+    
+    document.getElementById('runClipping').disabled = true;
+    this.updateCoordinateDisplay();
+    this.render();
+    this.recordChange('Draw subject ring', before);
+    return true;
+  }
+  
+  /**
+   * Remove rings that were started but never closed
+   */
+  dropUnfinishedRings() {
+    this.subjectRings = this.subjectRings.filter(ring => ring.length >= 3);
+  }
+  
+  /**
+   * Remove one of the extra subject rings, as an undoable edit
+   * @param {String} polygonType - "ring-N"
+   */
+  removeRing(polygonType) {
+    const index = this.getRingIndex(polygonType);
+    if (index === null || !this.subjectRings[index]) {
+      return;
+    }
+    
+    const before = this.captureState();
+    this.subjectRings.splice(index, 1);
+    this.hoverTarget = null;
+    this.invalidateResult();
+    this.notifyPolygonEdited('subject', 'delete', false);
+    this.recordChange(`Remove ${this.getPolygonLabel(polygonType)}`, before);
+    this.updateCoordinateDisplay();
+    this.render();
+  }
+  
+  /**
+   * Start drawing subject line segments, two clicks per segment
+   */
+  startDrawingLines() {
+    console.log('Starting to draw subject lines');
+    const before = this.captureState();
+    this.selectedPolygon = 'lines';
+    this.isDrawing = true;
+    this.subjectLines = [];
+    this.pendingLineStart = null;
+    this.resultPolygon = [];
+    this.resultPolygons = [];
+    this.resultLines = [];
+    
+    document.getElementById('runClipping').disabled = true;
+    this.updateCoordinateDisplay();
+    this.render();
+    this.recordChange('Draw lines', before);
+  }
+  
+  /**
+   * Stop drawing line segments, dropping an unfinished one
+   */
+  finishLines() {
+    if (!this.isDrawing || this.selectedPolygon !== 'lines') {
+      return;
+    }
+    
+    const before = this.captureState();
+    this.isDrawing = false;
+    this.selectedPolygon = null;
+    this.pendingLineStart = null;
+    
+    const event = new CustomEvent('polygonCompleted', { 
+      detail: { 
+        polygonType: 'lines',
+        subjectComplete: this.subjectPolygon.length >= 3,
+        clippingComplete: this.clippingPolygon.length >= 3,
+        linesComplete: this.subjectLines.length > 0,
+        diagnostics: null
+      } 
+    });
+    this.recordChange('Finish lines', before);
+    document.dispatchEvent(event);
+    
+    this.updateCoordinateDisplay();
+    this.render();
+  }
+  
+  /**
+   * Complete the current polygon being drawn
+   * @param {Object} before - Snapshot to undo to; defaults to the state before closing
+   * @param {String} label - Name of the edit in the undo history
+   */
+  finishPolygon(before = null, label = null) {
+    if (!this.isDrawing || this.selectedPolygon === 'lines' || this.getPolygon(this.selectedPolygon).length < 3) {
+      return;
+    }
+    
+    const completedPolygonType = this.selectedPolygon; // Store which polygon we just completed
+    const crossings = GeometryUtils.findSelfIntersections(this.getPolygon(completedPolygonType));
+    
+    // Refuse to close: the polygon stays open with its crossing edges marked
+    if (crossings.length > 0 && this.crossingPolicy === 'reject') {
+      this.crossings = { [completedPolygonType]: crossings };
+      document.dispatchEvent(new CustomEvent('polygonRejected', {
+        detail: { polygonType: completedPolygonType, crossings }
+      }));
+      this.render();
+      return;
+    }
+    
+    before = before || this.captureState();
+    this.isDrawing = false;
+    this.selectedPolygon = null;
+    
+    // Splitting is part of the same edit, so one undo reopens the original polygon.
+    // A clipping polygon that would lose pieces stays as drawn with its crossings
+    // marked: only the Repair button and Run Clipping may drop them, after asking.
+    const losesPieces = completedPolygonType === 'clipping' && crossings.length > 0 &&
+      GeometryUtils.splitSelfIntersections(this.clippingPolygon).length > 1;
+    const repair = crossings.length > 0 && this.crossingPolicy === 'repair' && !losesPieces
+      ? this.splitCrossingPolygons([completedPolygonType])
+      : null;
+    this.updateCrossings();
+    
+    // Normalize the clipper's winding and check it before anything clips against it
+    if (completedPolygonType === 'clipping') {
+      this.clippingDiagnostics = this.validateClippingPolygon();
+    }
+    
+    // Enable the run clipping button if both polygons are complete
+    if (this.subjectPolygon.length >= 3 && this.clippingPolygon.length >= 3) {
+      document.getElementById('runClipping').disabled = false;
+    }
+    
+    // Update button state back to ready state
+    // Dispatch a custom event that script.js can listen for
+    const event = new CustomEvent('polygonCompleted', { 
+      detail: { 
+        polygonType: completedPolygonType,
+        subjectComplete: this.subjectPolygon.length >= 3,
+        clippingComplete: this.clippingPolygon.length >= 3,
+        diagnostics: completedPolygonType === 'clipping' ? this.clippingDiagnostics : null,
+        crossings: repair ? [] : crossings,
+        repair
+      } 
+    });
+    this.recordChange(label || `Close ${this.getPolygonLabel(completedPolygonType)}`, before);
+    document.dispatchEvent(event);
+    
+    this.updateCoordinateDisplay();
+    this.render();
+  }
+  
+  /**
+   * Check the clipping polygon's winding, convexity and simplicity.
+   * A counter-clockwise (in y-down coordinates) clipper is reversed in place,
+   * because the clippers treat the left of each directed edge as inside.
+   * The reported orientation is the one seen on screen, which flips with y up.
+   * @returns {Object} - Diagnostics with a list of messages for the UI
+   */
+  validateClippingPolygon() {
+    const messages = [];
+    const selfIntersections = GeometryUtils.findSelfIntersections(this.clippingPolygon);
+    const area = GeometryUtils.signedArea(this.clippingPolygon);
+    const orientation = (area >= 0) !== this.view.yUp ? 'clockwise' : 'counter-clockwise';
+    let reversed = false;
+    
+    if (selfIntersections.length > 0) {
+      messages.push({
+        level: 'warning',
+        text: `Clipping polygon crosses itself at ${selfIntersections.length} point(s): its inside is ambiguous and clipping results will be unreliable`
+      });
+    } else if (Math.abs(area) < 1e-9) {
+      messages.push({
+        level: 'warning',
+        text: 'Clipping polygon has zero area: nothing can lie inside it'
+      });
+    } else if (area < 0) {
+      this.clippingPolygon.reverse();
+      reversed = true;
+      messages.push({
+        level: 'info',
+        text: `Clipping polygon was drawn ${this.view.yUp ? 'clockwise' : 'counter-clockwise'}: vertex order reversed so its inside is on the left of every edge`
+      });
+    }
+    
+    const convex = selfIntersections.length === 0 && GeometryUtils.isConvex(this.clippingPolygon);
+    if (!convex && selfIntersections.length === 0) {
+      messages.push({
+        level: 'warning',
+        text: 'Clipping polygon is concave: Sutherland-Hodgman needs a convex clipper, use Weiler-Atherton or Greiner-Hormann'
+      });
+    }
+    
+    // The step indicator only has room for one line, so lead with the worst problem
+    const summary = messages.find(m => m.level === 'warning') || messages[0] || null;
+    
+    return {
+      orientation,
+      reversed,
+      convex,
+      selfIntersections,
+      messages,
+      summary: summary ? summary.text : null
+    };
+  }
+  
+  /**
+   * Choose what closing a polygon with crossing edges does
+   * @param {String} policy - "repair" splits it into simple polygons, "reject" keeps it open,
+   *                          "allow" closes it as drawn
+   */
+  setCrossingPolicy(policy) {
+    this.crossingPolicy = policy;
+  }
+  
+  /**
+   * Find the self-intersections of every closed polygon again, for the red
+   * highlight and the Repair button. The polygon being drawn is skipped.
+   */
+  updateCrossings() {
+    const crossings = {};
+    this.getPolygonTypes().forEach(type => {
+      if (this.isDrawing && type === this.selectedPolygon) return;
+      const found = GeometryUtils.findSelfIntersections(this.getPolygon(type));
+      if (found.length > 0) {
+        crossings[type] = found;
+      }
+    });
+    this.crossings = crossings;
+    
+    const event = new CustomEvent('crossingsChanged', {
+      detail: { count: Object.values(crossings).reduce((sum, list) => sum + list.length, 0) }
+    });
+    document.dispatchEvent(event);
+  }
+  
+  /**
+   * Check whether any closed polygon crosses itself
+   * @returns {Boolean} - True if there is at least one crossing
+   */
+  hasCrossings() {
+    return Object.keys(this.crossings).some(type => !(this.isDrawing && type === this.selectedPolygon));
+  }
+  
+  /**
+   * Describe the crossings for the step indicator
+   * @returns {String|null} - e.g. "Subject polygon crosses itself at 2 point(s): ...", or null
+   */
+  describeCrossings() {
+    const types = Object.keys(this.crossings);
+    if (types.length === 0) {
+      return null;
+    }
+    
+    const parts = types.map(type => `${this.getPolygonName(type)} at ${this.crossings[type].length} point(s)`);
+    return `Crossing edges in the ${parts.join(' and the ')}: click Repair to split into simple polygons`;
+  }
+  
+  /**
+   * Say what repairing the clipping polygon would throw away. It has to stay
+   * one polygon, so every piece but the largest is dropped.
+   * @returns {Object|null} - {pieces, droppedPercent}, or null if the repair keeps all of it
+   */
+  getClippingRepairLoss() {
+    if (!this.crossings.clipping) {
+      return null;
+    }
+    const pieces = GeometryUtils.splitSelfIntersections(this.clippingPolygon);
+    return pieces.length > 1 ? this.describePieceLoss(pieces) : null;
+  }
+  
+  /**
+   * Measure the pieces after the largest one
+   * @param {Array} pieces - Simple polygons, largest first
+   * @returns {Object} - {pieces, droppedPercent}: piece count and the share of their area beyond the largest
+   */
+  describePieceLoss(pieces) {
+    const areas = pieces.map(piece => GeometryUtils.area(piece));
+    const total = areas.reduce((sum, area) => sum + area, 0);
+    return {
+      pieces: pieces.length,
+      droppedPercent: total > 0 ? Math.round(100 * (total - areas[0]) / total) : 0
+    };
+  }
+  
+  /**
+   * Replace crossing polygons by the simple polygons they split into. The
+   * pieces of a subject ring become rings of their own, which the even-odd
+   * rule fills exactly like the original; the clipping polygon has to stay
+   * one polygon, so only its largest piece is kept, the message says how
+   * much was dropped, and the caller has to validate it again.
+   * @param {Array} types - Polygon types to split
+   * @returns {String} - What was done, for the step indicator
+   */
+  splitCrossingPolygons(types) {
+    const notes = [];
+    const subjectTypes = this.getPolygonTypes().filter(type => type !== 'clipping');
+    
+    if (types.some(type => type !== 'clipping')) {
+      const rings = [];
+      subjectTypes.forEach(type => {
+        const polygon = this.getPolygon(type);
+        if (!types.includes(type)) {
+          rings.push(polygon);
+          return;
+        }
+        const pieces = GeometryUtils.splitSelfIntersections(polygon);
+        rings.push(...pieces);
+        notes.push(`${this.getPolygonName(type)} split into ${pieces.length} simple polygon(s)`);
+      });
+      this.subjectPolygon = rings[0] || [];
+      this.subjectRings = rings.slice(1);
+    }
+    
+    if (types.includes('clipping')) {
+      const pieces = GeometryUtils.splitSelfIntersections(this.clippingPolygon);
+      this.clippingPolygon = pieces[0] || [];
+      if (pieces.length > 1) {
+        const { droppedPercent } = this.describePieceLoss(pieces);
+        const others = pieces.length === 2 ? 'the other piece' : `the other ${pieces.length - 1} pieces`;
+        notes.push(`clipping polygon split into ${pieces.length} pieces; kept the largest and dropped ${others} ` +
+          `(${droppedPercent}% of its area), undo to get them back`);
+      } else {
+        notes.push('clipping polygon made simple');
+      }
+    }
+    
+    return `Repaired crossing edges: ${notes.join('; ')}`;
+  }
+  
+  /**
+   * Split every closed polygon that crosses itself, as one undoable edit
+   * @param {String} label - Name of the edit in the undo history
+   * @returns {String|null} - What was done, or null if there was nothing to repair
+   */
+  repairPolygons(label = 'Repair crossing edges') {
+    if (this.isDrawing || !this.hasCrossings()) {
+      return null;
+    }
+    
+    const before = this.captureState();
+    const types = Object.keys(this.crossings);
+    const summary = this.splitCrossingPolygons(types);
+    this.hoverTarget = null;
+    this.invalidateResult();
+    this.recordChange(label, before);
+    
+    const subjectRepaired = types.some(type => type !== 'clipping');
+    if (subjectRepaired) {
+      this.notifyPolygonEdited('subject', 'repair', false);
+    }
+    if (types.includes('clipping')) {
+      this.notifyPolygonEdited('clipping', 'repair', false);
+    }
+    
+    this.updateCoordinateDisplay();
+    this.render();
+    return summary;
+  }
+  
+  /**
+   * Reset the canvas and all polygons
+   */
+  reset() {
+    const before = this.captureState();
+    this.subjectPolygon = [];
+    this.subjectRings = [];
+    this.clippingPolygon = [];
+    this.resultPolygon = [];
+    this.resultPolygons = [];
+    this.clippingDiagnostics = null;
+    this.subjectLines = [];
+    this.resultLines = [];
+    this.pendingLineStart = null;
+    this.geoProjection = null;
+    this.selectedPolygon = null;
+    this.isDrawing = false;
+    this.hoverTarget = null;
+    this.dragTarget = null;
+    this.updateCrossings();
+    
+    document.getElementById('runClipping').disabled = true;
+    document.getElementById('nextStep').disabled = true;
+    
+    this.updateCoordinateDisplay();
+    this.initializeCanvas();
+    this.recordChange('Reset', before);
+  }
+  
+  /**
+   * Add a point to the currently selected polygon
+   * @param {Number} x - X coordinate
+   * @param {Number} y - Y coordinate
+   */
+  addPoint(x, y) {
+    if (!this.isDrawing || !this.selectedPolygon) {
+      return;
+    }
+    
+    const point = { x, y };
+    
+    // Line mode: the first click starts a segment and the second one ends it
+    if (this.selectedPolygon === 'lines') {
+      const before = this.captureState();
+      if (!this.pendingLineStart) {
+        this.pendingLineStart = point;
+      } else {
+        this.subjectLines.push({ start: this.pendingLineStart, end: point });
+        this.pendingLineStart = null;
+      }
+      this.updateCoordinateDisplay();
+      this.render();
+      this.recordChange(this.pendingLineStart ? 'Start line' : 'Add line', before);
+      return;
+    }
+    
+    // Check if we're near the first point to close the polygon
+    const polygon = this.getPolygon(this.selectedPolygon);
+    if (polygon.length > 2 && this.getDistance(point, polygon[0]) < this.toWorldDistance(this.snapToFirstDistance)) {
+      this.finishPolygon();
+      return;
+    }
+    
+    // Add point to the selected polygon; a refused close is forgotten once drawing goes on
+    const before = this.captureState();
+    polygon.push(point);
+    delete this.crossings[this.selectedPolygon];
+    
+    this.updateCoordinateDisplay();
+    this.render();
+    this.recordChange(`Add ${this.getPolygonLabel(this.selectedPolygon)} point`, before);
+  }
+  
+  /**
+   * Choose how the next polygon is drawn
+   * @param {String} tool - "points" (click per vertex), "rectangle", "ngon", "star" or "lasso"
+   */
+  setShapeTool(tool) {
+    this.shapeTool = tool;
+    this.shapeDrag = null;
+    this.canvas.style.cursor = '';
+    this.render();
+  }
+  
+  /**
+   * Change the settings of the shape tools
+   * @param {Object} options - Any of {sides, rotation, innerRatio, lassoTolerance}
+   */
+  setShapeOptions(options) {
+    Object.assign(this.shapeOptions, options);
+    this.render();
+  }
+  
+  /**
+   * Check whether a press on the canvas should start a shape instead of adding a point.
+   * Shapes only replace a polygon that has no points yet.
+   * @returns {Boolean} - True if a shape tool is active for the polygon being drawn
+   */
+  usesShapeTool() {
+    return this.isDrawing && this.shapeTool !== 'points' && this.selectedPolygon !== 'lines' &&
+      this.getPolygon(this.selectedPolygon).length === 0;
+  }
+  
+  /**
+   * Start dragging out a shape
+   * @param {Object} point - Canvas point where the drag starts
+   */
+  beginShape(point) {
+    this.shapeDrag = { start: point, current: point, path: [point] };
+    this.render();
+  }
+  
+  /**
+   * Follow the pointer while a shape is dragged out
+   * @param {Object} point - Current canvas point
+   */
+  continueShape(point) {
+    this.shapeDrag.current = point;
+    
+    // The lasso keeps its raw path; tiny moves add nothing but noise
+    const path = this.shapeDrag.path;
+    if (this.shapeTool === 'lasso' && this.getDistance(point, path[path.length - 1]) >= this.toWorldDistance(2)) {
+      path.push(point);
+    }
+    this.render();
+  }
+  
+  /**
+   * Get the polygon the current drag would produce
+   * @returns {Array} - Shape points, empty while the drag is too small
+   */
+  getShapePoints() {
+    const { start, current, path } = this.shapeDrag;
+    const options = this.shapeOptions;
+    const radius = this.getDistance(start, current);
+    const minimum = this.toWorldDistance(3); // Smaller drags are treated as stray clicks
+    
+    switch (this.shapeTool) {
+      case 'rectangle':
+        return Math.abs(current.x - start.x) >= minimum && Math.abs(current.y - start.y) >= minimum
+          ? ShapeTools.rectangle(start, current)
+          : [];
+      case 'ngon':
+        return radius >= minimum ? ShapeTools.regularPolygon(start, radius, options.sides, options.rotation) : [];
+      case 'star':
+        return radius >= minimum ? ShapeTools.star(start, radius, options.sides, options.innerRatio, options.rotation) : [];
+      case 'lasso':
+        return ShapeTools.lasso(path, this.toWorldDistance(options.lassoTolerance));
+      default:
+        return [];
+    }
+  }
+  
+  /**
+   * Finish the dragged shape and close the polygon with it, as one undoable edit
+   * @returns {Boolean} - True if a polygon was created
+   */
+  endShape() {
+    const points = this.getShapePoints();
+    this.shapeDrag = null;
+    
+    if (points.length < 3) {
+      console.log(`Shape too small, nothing drawn with the ${this.shapeTool} tool`);
+      this.render();
+      return false;
+    }
+    
+    const polygonType = this.selectedPolygon;
+    const before = this.captureState();
+    this.getPolygon(polygonType).push(...points);
+    
+    const names = { rectangle: 'rectangle', ngon: 'regular polygon', star: 'star', lasso: 'lasso' };
+    this.finishPolygon(before, `Draw ${this.getPolygonLabel(polygonType)} ${names[this.shapeTool]}`);
+    return true;
+  }
+  
+  /**
+   * Take a copy of everything an edit can change, for the undo history
+   * @returns {Object} - Snapshot of the polygons, lines and drawing mode
+   */
+  captureState() {
+    return JSON.parse(JSON.stringify({
+      subjectPolygon: this.subjectPolygon,
+      subjectRings: this.subjectRings,
+      clippingPolygon: this.clippingPolygon,
+      clippingDiagnostics: this.clippingDiagnostics,
+      subjectLines: this.subjectLines,
+      pendingLineStart: this.pendingLineStart,
+      geoProjection: this.geoProjection,
+      selectedPolygon: this.selectedPolygon,
+      isDrawing: this.isDrawing
+    }));
+  }
+  
+  /**
+   * Put the scene back into a captured state. The result of the last
+   * clipping run no longer matches the input, so it is dropped.
+   * @param {Object} state - Snapshot from captureState()
+   */
+  applyState(state) {
+    const copy = JSON.parse(JSON.stringify(state));
+    this.subjectPolygon = copy.subjectPolygon;
+    this.subjectRings = copy.subjectRings;
+    this.clippingPolygon = copy.clippingPolygon;
+    this.clippingDiagnostics = copy.clippingDiagnostics;
+    this.subjectLines = copy.subjectLines;
+    this.pendingLineStart = copy.pendingLineStart;
+    this.geoProjection = copy.geoProjection;
+    this.selectedPolygon = copy.selectedPolygon;
+    this.isDrawing = copy.isDrawing;
+    this.hoverTarget = null;
+    this.dragTarget = null;
+    this.invalidateResult();
+    this.updateCrossings();
+    
+    document.getElementById('runClipping').disabled = this.isDrawing ||
+      this.subjectPolygon.length < 3 || this.clippingPolygon.length < 3;
+    
+    this.updateCoordinateDisplay();
+    this.render();
+    
+    const event = new CustomEvent('sceneRestored', {
+      detail: {
+        isDrawing: this.isDrawing,
+        selectedPolygon: this.selectedPolygon,
+        diagnostics: this.clippingDiagnostics
+      }
+    });
+    document.dispatchEvent(event);
+  }
+  
+  /**
+   * Replace the scene with an imported one, as a single undoable edit
+   * @param {Object} scene - Validated scene in canvas coordinates
+   * @param {String} label - Name of the edit in the undo history
+   * @returns {Object|null} - Diagnostics for the clipping polygon, if there is one
+   */
+  loadScene(scene, label = 'Import scene') {
+    const before = this.captureState();
+    const copy = JSON.parse(JSON.stringify(scene));
+    
+    this.subjectPolygon = copy.subjectPolygon || [];
+    this.subjectRings = this.subjectPolygon.length >= 3 ? copy.subjectRings || [] : [];
+    this.clippingPolygon = copy.clippingPolygon || [];
+    this.subjectLines = copy.subjectLines || [];
+    this.pendingLineStart = null;
+    this.geoProjection = copy.geoProjection || null;
+    this.selectedPolygon = null;
+    this.isDrawing = false;
+    this.hoverTarget = null;
+    this.dragTarget = null;
+    this.clippingDiagnostics = this.clippingPolygon.length >= 3 ? this.validateClippingPolygon() : null;
+    this.updateCrossings();
+    this.recordChange(label, before);
+    
+    // Show the saved result until something is edited
+    if (copy.resultLines && copy.resultLines.length > 0) {
+      this.restoreResult(copy.resultLines, true);
+    } else if (copy.resultPolygons && copy.resultPolygons.length > 0) {
+      this.restoreResult(copy.resultPolygons);
+    } else {
+      this.restoreResult(copy.resultPolygon || []);
+    }
+    
+    document.getElementById('runClipping').disabled =
+      this.subjectPolygon.length < 3 || this.clippingPolygon.length < 3;
+    this.updateCoordinateDisplay();
+    this.render();
+    return this.clippingDiagnostics;
+  }
+  
+  /**
+   * Record an edit in the undo history
+   * @param {String} label - Name of the edit, shown on the undo/redo buttons
+   * @param {Object} before - Snapshot taken before the edit
+   */
+  recordChange(label, before) {
+    const after = this.captureState();
+    this.history.record({
+      label,
+      undo: () => this.applyState(before),
+      redo: () => this.applyState(after)
+    });
+  }
+  
+  /**
+   * Undo the last edit, unless a vertex is being dragged
+   * @returns {Boolean} - True if an edit was undone
+   */
+  undo() {
+    return !this.dragTarget && this.history.undo() !== null;
+  }
+  
+  /**
+   * Redo the last undone edit, unless a vertex is being dragged
+   * @returns {Boolean} - True if an edit was redone
+   */
+  redo() {
+    return !this.dragTarget && this.history.redo() !== null;
+  }
+  
+  /**
+   * Calculate distance between two points
+   * @param {Object} p1 - First point
+   * @param {Object} p2 - Second point
+   * @returns {Number} - Distance between the points
+   */
+  getDistance(p1, p2) {
+    return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+  }
+  
+  /**
+   * Get a polygon by type
+   * @param {String} polygonType - "subject", "clipping", or "ring-N" for the subject's N-th ring
+   * @returns {Array} - The polygon's points
+   */
+  getPolygon(polygonType) {
+    if (polygonType === 'clipping') {
+      return this.clippingPolygon;
+    }
+    const ring = this.getRingIndex(polygonType);
+    return ring === null ? this.subjectPolygon : (this.subjectRings[ring] || []);
+  }
+  
+  /**
+   * Get the index into subjectRings of a "ring-N" polygon type.
+   * The subject polygon itself is ring 1, so "ring-2" is subjectRings[0].
+   * @param {String} polygonType - Polygon type
+   * @returns {Number|null} - Index, or null for "subject" and "clipping"
+   */
+  getRingIndex(polygonType) {
+    const match = /^ring-(\d+)$/.exec(polygonType || '');
+    return match ? Number(match[1]) - 2 : null;
+  }
+  
+  /**
+   * Get every polygon type in the scene: the subject, its extra rings and the clipping polygon
+   * @returns {Array} - Polygon types
+   */
+  getPolygonTypes() {
+    return ['subject', ...this.subjectRings.map((ring, i) => `ring-${i + 2}`), 'clipping'];
+  }
+  
+  /**
+   * Name a polygon for messages and the undo history
+   * @param {String} polygonType - Polygon type
+   * @returns {String} - e.g. "subject", "clipping" or "subject ring 2"
+   */
+  getPolygonLabel(polygonType) {
+    const ring = this.getRingIndex(polygonType);
+    return ring === null ? polygonType : `subject ring ${ring + 2}`;
+  }
+  
+  /**
+   * Name a polygon in a sentence
+   * @param {String} polygonType - Polygon type
+   * @returns {String} - e.g. "subject polygon", "clipping polygon" or "subject ring 2"
+   */
+  getPolygonName(polygonType) {
+    return this.getRingIndex(polygonType) === null ? `${polygonType} polygon` : this.getPolygonLabel(polygonType);
+  }
+  
+  /**
+   * Get the closed rings of the subject, for clipping and drawing
+   * @returns {Array} - The subject polygon followed by the extra rings, at least 3 points each
+   */
+  getSubjectRings() {
+    return this.getPolygonTypes()
+      .filter(type => type !== 'clipping' && !(this.isDrawing && type === this.selectedPolygon))
+      .map(type => this.getPolygon(type))
+      .filter(ring => ring.length >= 3);
+  }
+  
+  /**
+   * Find the closed polygons that can be edited, topmost first
+   * @returns {Array} - Polygon types, clipping before subject since it is drawn on top
+   */
+  getEditablePolygons() {
+    return this.getPolygonTypes().reverse().filter(type => this.getPolygon(type).length >= 3);
+  }
+  
+  /**
+   * Find the vertex under a point
+   * @param {Object} point - Canvas point
+   * @returns {Object|null} - {kind: 'vertex', polygonType, index} or null
+   */
+  hitTestVertex(point) {
+    for (const polygonType of this.getEditablePolygons()) {
+      const index = this.getPolygon(polygonType).findIndex(
+        vertex => this.getDistance(point, vertex) <= this.toWorldDistance(this.hitRadius)
+      );
+      if (index !== -1) {
+        return { kind: 'vertex', polygonType, index };
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Find the edge midpoint handle under a point
+   * @param {Object} point - Canvas point
+   * @returns {Object|null} - {kind: 'midpoint', polygonType, index} for edge index → index + 1, or null
+   */
+  hitTestEdgeMidpoint(point) {
+    for (const polygonType of this.getEditablePolygons()) {
+      const polygon = this.getPolygon(polygonType);
+      for (let i = 0; i < polygon.length; i++) {
+        if (this.getDistance(point, this.getEdgeMidpoint(polygon, i)) <= this.toWorldDistance(this.hitRadius)) {
+          return { kind: 'midpoint', polygonType, index: i };
+        }
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Get the midpoint of a polygon edge
+   * @param {Array} polygon - Array of points
+   * @param {Number} index - Edge index; the edge runs from vertex index to index + 1
+   * @returns {Object} - The midpoint
+   */
+  getEdgeMidpoint(polygon, index) {
+    const start = polygon[index];
+    const end = polygon[(index + 1) % polygon.length];
+    return { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  }
+  
+  /**
+   * Drop the result of the last clipping run after the input changed
+   */
+  invalidateResult() {
+    this.resultPolygon = [];
+    this.resultPolygons = [];
+    this.resultLines = [];
+  }
+  
+  /**
+   * Insert a vertex into a closed polygon
+   * @param {String} polygonType - "subject", "clipping" or "ring-N"
+   * @param {Number} edgeIndex - Edge to split; the vertex goes after vertex edgeIndex
+   * @param {Object} point - Position of the new vertex
+   * @returns {Number} - Index of the new vertex
+   */
+  insertVertex(polygonType, edgeIndex, point) {
+    const polygon = this.getPolygon(polygonType);
+    polygon.splice(edgeIndex + 1, 0, { x: point.x, y: point.y });
+    this.invalidateResult();
+    this.updateCoordinateDisplay();
+    this.render();
+    return edgeIndex + 1;
+  }
+  
+  /**
+   * Delete a vertex from a closed polygon, keeping at least a triangle
+   * @param {String} polygonType - "subject", "clipping" or "ring-N"
+   * @param {Number} index - Vertex index
+   * @returns {Boolean} - True if the vertex was deleted
+   */
+  deleteVertex(polygonType, index) {
+    const polygon = this.getPolygon(polygonType);
+    if (polygon.length <= 3) {
+      console.log(`Cannot delete vertex: the ${this.getPolygonLabel(polygonType)} polygon needs at least 3 points`);
+      return false;
+    }
+    
+    const before = this.captureState();
+    polygon.splice(index, 1);
+    this.hoverTarget = null;
+    this.invalidateResult();
+    this.notifyPolygonEdited(polygonType, 'delete', false);
+    this.recordChange(`Delete ${this.getPolygonLabel(polygonType)} vertex`, before);
+    this.updateCoordinateDisplay();
+    this.render();
+    return true;
+  }
+  
+  /**
+   * Apply a change to a closed polygon as one undoable edit
+   * @param {String} polygonType - "subject", "clipping" or "ring-N"
+   * @param {String} action - Action reported in the polygonEdited event
+   * @param {String} label - Name of the edit in the undo history
+   * @param {Function} change - Receives the polygon and modifies it in place
+   */
+  editPolygon(polygonType, action, label, change) {
+    const before = this.captureState();
+    change(this.getPolygon(polygonType));
+    this.invalidateResult();
+    this.notifyPolygonEdited(polygonType, action, false);
+    this.recordChange(label, before);
+    this.updateCoordinateDisplay();
+    this.render();
+  }
+  
+  /**
+   * Move a vertex to exact coordinates
+   * @param {String} polygonType - "subject", "clipping" or "ring-N"
+   * @param {Number} index - Vertex index
+   * @param {Object} point - New position
+   */
+  setVertex(polygonType, index, point) {
+    this.editPolygon(polygonType, 'move', `Edit ${this.getPolygonLabel(polygonType)} vertex`, (polygon) => {
+      polygon[index] = { x: point.x, y: point.y };
+    });
+  }
+  
+  /**
+   * Swap a vertex with its neighbour in the vertex order
+   * @param {String} polygonType - "subject", "clipping" or "ring-N"
+   * @param {Number} index - Vertex index
+   * @param {Number} offset - -1 to move it up the list, 1 to move it down
+   */
+  reorderVertex(polygonType, index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.getPolygon(polygonType).length) {
+      return;
+    }
+    
+    this.editPolygon(polygonType, 'reorder', `Reorder ${this.getPolygonLabel(polygonType)} vertices`, (polygon) => {
+      [polygon[index], polygon[target]] = [polygon[target], polygon[index]];
+    });
+  }
+  
+  /**
+   * Add a vertex at the midpoint of the edge that starts at a vertex
+   * @param {String} polygonType - "subject", "clipping" or "ring-N"
+   * @param {Number} index - The new vertex goes after this one
+   */
+  insertVertexAfter(polygonType, index) {
+    const midpoint = this.getEdgeMidpoint(this.getPolygon(polygonType), index);
+    this.editPolygon(polygonType, 'insert', `Insert ${this.getPolygonLabel(polygonType)} vertex`, (polygon) => {
+      polygon.splice(index + 1, 0, midpoint);
+    });
+  }
+  
+  /**
+   * Replace every vertex of a polygon, e.g. from a pasted list
+   * @param {String} polygonType - "subject", "clipping" or "ring-N"
+   * @param {Array} points - New vertices, at least 3
+   */
+  setPolygonPoints(polygonType, points) {
+    this.editPolygon(polygonType, 'paste', `Paste ${this.getPolygonLabel(polygonType)} coordinates`, (polygon) => {
+      polygon.splice(0, polygon.length, ...points.map(p => ({ x: p.x, y: p.y })));
+    });
+  }
+  
+  /**
+   * Read a pasted coordinate list. Each line (or ';'-separated part) holds
+   * one "x,y" pair, or several pairs in a row; brackets and spaces are ignored.
+   * @param {String} text - Pasted text
+   * @returns {Object} - {points, errors}
+   */
+  parsePointList(text) {
+    const points = [];
+    const errors = [];
+    
+    text.split('\n').forEach((line, lineIndex) => {
+      line.split(';').forEach(part => {
+        const numbers = part.match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g);
+        if (!numbers) return;
+        
+        if (numbers.length % 2 !== 0) {
+          errors.push(`Line ${lineIndex + 1}: expected x,y pairs but found ${numbers.length} number(s)`);
+          return;
+        }
+        for (let i = 0; i < numbers.length; i += 2) {
+          points.push({ x: parseFloat(numbers[i]), y: parseFloat(numbers[i + 1]) });
+        }
+      });
+    });
+    
+    if (errors.length === 0 && points.length < 3) {
+      errors.push(`Found ${points.length} point(s), a polygon needs at least 3`);
+    }
+    return { points, errors };
+  }
+  
+  /**
+   * Tell the rest of the app that a closed polygon changed.
+   * The clipping polygon is re-validated once an edit is finished.
+   * @param {String} polygonType - "subject", "clipping" or "ring-N"
+   * @param {String} action - "move", "insert", "delete", "reorder" or "paste"
+   * @param {Boolean} dragging - Whether the vertex is still being dragged
+   */
+  notifyPolygonEdited(polygonType, action, dragging) {
+    if (polygonType === 'clipping' && !dragging) {
+      this.clippingDiagnostics = this.validateClippingPolygon();
+    }
+    this.updateCrossings();
+    
+    const event = new CustomEvent('polygonEdited', {
+      detail: {
+        polygonType,
+        action,
+        dragging,
+        diagnostics: polygonType === 'clipping' && !dragging ? this.clippingDiagnostics : null
+      }
+    });
+    document.dispatchEvent(event);
+  }
+  
+  /**
+   * Start editing at a point: grab a vertex, or split an edge at its midpoint
+   * @param {Object} point - Canvas point
+   * @returns {Boolean} - True if something was grabbed
+   */
+  beginEdit(point) {
+    // The whole drag becomes one undoable edit
+    const before = this.captureState();
+    
+    const vertex = this.hitTestVertex(point);
+    if (vertex) {
+      this.dragTarget = { polygonType: vertex.polygonType, index: vertex.index, action: 'move', moved: false, before };
+      return true;
+    }
+    
+    const midpoint = this.hitTestEdgeMidpoint(point);
+    if (midpoint) {
+      const polygon = this.getPolygon(midpoint.polygonType);
+      const index = this.insertVertex(midpoint.polygonType, midpoint.index, this.getEdgeMidpoint(polygon, midpoint.index));
+      this.dragTarget = { polygonType: midpoint.polygonType, index, action: 'insert', moved: true, before };
+      this.notifyPolygonEdited(midpoint.polygonType, 'insert', true);
+      return true;
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Drag the grabbed vertex to a point
+   * @param {Object} point - Canvas point
+   */
+  continueEdit(point) {
+    const target = this.dragTarget;
+    if (!target.moved) {
+      target.moved = true;
+      this.invalidateResult();
+    }
+    
+    this.getPolygon(target.polygonType)[target.index] = { x: point.x, y: point.y };
+    this.notifyPolygonEdited(target.polygonType, target.action, true);
+    this.scheduleCoordinateDisplay();
+    this.render();
+  }
+  
+  /**
+   * Release the grabbed vertex
+   */
+  endEdit() {
+    const target = this.dragTarget;
+    this.dragTarget = null;
+    
+    if (target && target.moved) {
+      this.hoverTarget = null; // Validation may have reversed the clipping polygon
+      this.notifyPolygonEdited(target.polygonType, target.action, false);
+      this.recordChange(target.action === 'insert'
+        ? `Insert ${this.getPolygonLabel(target.polygonType)} vertex`
+        : `Move ${this.getPolygonLabel(target.polygonType)} vertex`, target.before);
+      this.updateCoordinateDisplay();
+      this.render();
+    }
+  }
+  
+  /**
+   * Get the pixel position of a mouse or touch event on the canvas
+   * @param {Object} e - Event or touch with clientX and clientY
+   * @returns {Object} - Screen point
+   */
+  getScreenPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+  
+  /**
+   * Get the world position of a mouse or touch event
+   * @param {Object} e - Event or touch with clientX and clientY
+   * @returns {Object} - Canvas point in world units
+   */
+  getCanvasPoint(e) {
+    return this.toWorld(this.getScreenPoint(e));
+  }
+  
+  /**
+   * Turn snap targets on or off
+   * @param {Object} options - Any of {grid, vertex, edge, angle} as booleans
    */
-  initializeCanvas() {
-    this.clear();
-    this.drawGrid();
+  setSnapping(options) {
+    Object.assign(this.snapping, options);
+    this.snapResult = null;
+    this.render();
   }
   
   /**
-   * Clear the canvas
+   * Set the angle increment for direction snapping
+   * @param {Number} degrees - Increment, between 1 and 90
    */
-  clear() {
-    this.ctx.fillStyle = this.colors.background;
-    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  setAngleIncrement(degrees) {
+    this.angleIncrement = Math.min(90, Math.max(1, degrees));
   }
   
   /**
-   * Draw a grid on the canvas
+   * Get the world position of an event with snapping applied.
+   * Holding Alt places the point exactly where the pointer is.
+   * @param {Object} e - Mouse event or touch
+   * @returns {Object} - Canvas point in world units
    */
-  drawGrid() {
-    const gridSize = 30;
-    this.ctx.strokeStyle = this.colors.grid;
-    this.ctx.lineWidth = 0.5;
-    
-    // Draw vertical lines
-    for (let x = 0; x <= this.canvas.width; x += gridSize) {
-      this.ctx.beginPath();
-      this.ctx.moveTo(x, 0);
-      this.ctx.lineTo(x, this.canvas.height);
-      this.ctx.stroke();
-    }
-    
-    // Draw horizontal lines
-    for (let y = 0; y <= this.canvas.height; y += gridSize) {
-      this.ctx.beginPath();
-      this.ctx.moveTo(0, y);
-      this.ctx.lineTo(this.canvas.width, y);
-      this.ctx.stroke();
+  getSnappedPoint(e) {
+    const point = this.getCanvasPoint(e);
+    if (e.altKey || (this.shapeDrag && this.shapeTool === 'lasso')) {
+      this.snapResult = null;
+      return point;
     }
+    return this.snapPoint(point);
   }
   
   /**
-   * Start drawing a specific polygon
-   * @param {String} polygonType - "subject" or "clipping"
+   * Snap a point for the vertex being placed or dragged. Existing vertices win over
+   * edges, edges over angle increments and those over the grid.
+   * @param {Object} point - Raw canvas point
+   * @returns {Object} - Snapped point (the raw one if nothing is in reach)
    */
-  startDrawingPolygon(polygonType) {
-    console.log(`Starting to draw ${polygonType} polygon`);
-    this.selectedPolygon = polygonType;
-    this.isDrawing = true;
+  snapPoint(point) {
+    this.snapResult = null;
+    const { anchor, vertices, edges, closing } = this.getSnapTargets();
+    const radius = this.toWorldDistance(this.snapDistance);
     
-    if (polygonType === 'subject') {
-      console.log('Resetting subject polygon array');
-      this.subjectPolygon = [];
-    } else if (polygonType === 'clipping') {
-      console.log('Resetting clipping polygon array');
-      this.clippingPolygon = [];
+    // Leave the pointer alone near the first vertex so the polygon can be closed
+    if (closing && this.getDistance(point, closing) < this.toWorldDistance(this.snapToFirstDistance)) {
+      return point;
     }
     
-    this.resultPolygon = []; // Clear result when starting a new drawing
+    if (this.snapping.vertex) {
+      const vertex = Snapping.nearestVertex(point, vertices, radius);
+      if (vertex) {
+        this.snapResult = { kind: 'vertex', point: { x: vertex.x, y: vertex.y } };
+        return this.snapResult.point;
+      }
+    }
     
-    document.getElementById('runClipping').disabled = true;
-    this.updateCoordinateDisplay();
-    this.render();
+    if (this.snapping.edge) {
+      const hit = Snapping.nearestOnEdge(point, edges, radius);
+      if (hit) {
+        this.snapResult = { kind: 'edge', point: hit.point, edge: hit.edge };
+        return hit.point;
+      }
+    }
     
-    console.log(`Drawing mode active: ${this.isDrawing}, selected polygon: ${this.selectedPolygon}`);
+    if (this.snapping.angle && anchor) {
+      const turned = Snapping.toAngle(point, anchor, this.angleIncrement);
+      if (turned) {
+        this.snapResult = { kind: 'angle', point: turned.point, anchor, degrees: turned.degrees };
+        return turned.point;
+      }
+    }
+    
+    if (this.snapping.grid) {
+      this.snapResult = { kind: 'grid', point: Snapping.toGrid(point, this.getGridSpacing()) };
+      return this.snapResult.point;
+    }
+    
+    return point;
   }
   
   /**
-   * Complete the current polygon being drawn
+   * Collect what the current vertex can snap to. The vertex itself and the
+   * edges it belongs to are left out, so a dragged vertex cannot snap to its old place.
+   * @returns {Object} - {anchor, vertices, edges, closing}: anchor is the previous vertex
+   *                     for angle snapping, closing the first vertex of a polygon being drawn
    */
-  finishPolygon() {
-    if (!this.isDrawing || (this.selectedPolygon === 'subject' && this.subjectPolygon.length < 3) || 
-        (this.selectedPolygon === 'clipping' && this.clippingPolygon.length < 3)) {
-      return;
-    }
-    
-    const completedPolygonType = this.selectedPolygon; // Store which polygon we just completed
-    this.isDrawing = false;
-    this.selectedPolygon = null;
+  getSnapTargets() {
+    const drag = this.dragTarget;
+    const drawing = this.isDrawing && !this.shapeDrag ? this.selectedPolygon : null;
+    const vertices = [];
+    const edges = [];
+    let anchor = null;
+    let closing = null;
     
-    // Enable the run clipping button if both polygons are complete
-    if (this.subjectPolygon.length >= 3 && this.clippingPolygon.length >= 3) {
-      document.getElementById('runClipping').disabled = false;
-    }
+    this.getPolygonTypes().forEach(polygonType => {
+      const polygon = this.getPolygon(polygonType);
+      const closed = !(this.isDrawing && this.selectedPolygon === polygonType);
+      const skip = drag && drag.polygonType === polygonType ? drag.index : -1;
+      
+      polygon.forEach((vertex, i) => {
+        if (i === skip) return;
+        // The last vertex of the polygon being drawn is where the new edge starts
+        if (drawing === polygonType && i === polygon.length - 1) return;
+        vertices.push(vertex);
+      });
+      
+      const edgeCount = closed && polygon.length >= 3 ? polygon.length : polygon.length - 1;
+      for (let i = 0; i < edgeCount; i++) {
+        const j = (i + 1) % polygon.length;
+        if (i !== skip && j !== skip) {
+          edges.push({ start: polygon[i], end: polygon[j] });
+        }
+      }
+      
+      if (drawing === polygonType && polygon.length > 0) {
+        anchor = polygon[polygon.length - 1];
+        closing = polygon.length > 2 ? polygon[0] : null;
+      }
+      if (skip !== -1 && polygon.length > 1) {
+        anchor = polygon[(skip - 1 + polygon.length) % polygon.length];
+      }
+    });
     
-    // Update button state back to ready state
-    // Dispatch a custom event that script.js can listen for
-    const event = new CustomEvent('polygonCompleted', { 
-      detail: { 
-        polygonType: completedPolygonType,
-        subjectComplete: this.subjectPolygon.length >= 3,
-        clippingComplete: this.clippingPolygon.length >= 3
-      } 
+    this.subjectLines.forEach(line => {
+      vertices.push(line.start, line.end);
+      edges.push(line);
     });
-    document.dispatchEvent(event);
+    if (this.pendingLineStart) {
+      anchor = this.pendingLineStart;
+      vertices.push(this.pendingLineStart);
+    }
     
-    this.updateCoordinateDisplay();
-    this.render();
+    return { anchor, vertices, edges, closing };
   }
   
   /**
-   * Reset the canvas and all polygons
+   * Start panning the view
+   * @param {Object} e - Mouse event
    */
-  reset() {
-    this.subjectPolygon = [];
-    this.clippingPolygon = [];
-    this.resultPolygon = [];
-    this.selectedPolygon = null;
-    this.isDrawing = false;
-    
-    document.getElementById('runClipping').disabled = true;
-    document.getElementById('nextStep').disabled = true;
-    
-    this.updateCoordinateDisplay();
-    this.initializeCanvas();
+  beginPan(e) {
+    this.panDrag = { last: this.getScreenPoint(e) };
+    this.canvas.style.cursor = 'grabbing';
   }
   
   /**
-   * Add a point to the currently selected polygon
-   * @param {Number} x - X coordinate
-   * @param {Number} y - Y coordinate
+   * Move the view along with the mouse
+   * @param {Object} e - Mouse event
    */
-  addPoint(x, y) {
-    if (!this.isDrawing || !this.selectedPolygon) {
-      return;
-    }
-    
-    const point = { x, y };
-    
-    // Check if we're near the first point to close the polygon
-    if (this.selectedPolygon === 'subject' && this.subjectPolygon.length > 2) {
-      const firstPoint = this.subjectPolygon[0];
-      if (this.getDistance(point, firstPoint) < this.snapToFirstDistance) {
-        this.finishPolygon();
-        return;
-      }
-    } else if (this.selectedPolygon === 'clipping' && this.clippingPolygon.length > 2) {
-      const firstPoint = this.clippingPolygon[0];
-      if (this.getDistance(point, firstPoint) < this.snapToFirstDistance) {
-        this.finishPolygon();
-        return;
-      }
-    }
-    
-    // Add point to the selected polygon
-    if (this.selectedPolygon === 'subject') {
-      this.subjectPolygon.push(point);
-    } else if (this.selectedPolygon === 'clipping') {
-      this.clippingPolygon.push(point);
-    }
-    
-    this.updateCoordinateDisplay();
-    this.render();
+  continuePan(e) {
+    const point = this.getScreenPoint(e);
+    this.view.offsetX += point.x - this.panDrag.last.x;
+    this.view.offsetY += point.y - this.panDrag.last.y;
+    this.panDrag.last = point;
+    this.notifyViewChanged();
   }
   
   /**
-   * Calculate distance between two points
-   * @param {Object} p1 - First point
-   * @param {Object} p2 - Second point
-   * @returns {Number} - Distance between the points
+   * Stop panning the view
    */
-  getDistance(p1, p2) {
-    return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+  endPan() {
+    this.panDrag = null;
+    this.canvas.style.cursor = this.spacePressed ? 'grab' : '';
   }
   
   /**
@@ -220,35 +1675,179 @@ class CanvasManager {
     // Mouse events
     this.canvas.addEventListener('mousedown', (e) => {
       console.log('Canvas mousedown event triggered');
-      const rect = this.canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
+      // The right button deletes vertices through the contextmenu event
+      if (e.button === 2) return;
+      
+      // The middle button, or Space with the left button, pans the view
+      if (e.button === 1 || this.spacePressed) {
+        e.preventDefault();
+        this.beginPan(e);
+        return;
+      }
+      
+      // Closed polygons can be edited whenever nothing is being drawn
+      if (!this.isDrawing) {
+        this.beginEdit(this.getCanvasPoint(e));
+        return;
+      }
+      
+      const { x, y } = this.getSnappedPoint(e);
+      this.snapResult = null;
+      
+      if (this.usesShapeTool()) {
+        this.beginShape({ x, y });
+        return;
+      }
+      
       console.log(`Adding point at (${x}, ${y})`);
       this.addPoint(x, y);
     });
     
     this.canvas.addEventListener('mousemove', (e) => {
-      const rect = this.canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
+      if (this.panDrag) {
+        this.continuePan(e);
+        return;
+      }
+      
+      // Snap only what is being placed; plain hovering uses the raw position for hit tests
+      const placing = this.isDrawing || this.dragTarget;
+      const { x, y } = placing ? this.getSnappedPoint(e) : this.getCanvasPoint(e);
       
       // Update hover point for snapping indication
       this.hoverPoint = { x, y };
+      
+      if (this.dragTarget) {
+        this.continueEdit({ x, y });
+        return;
+      }
+      
+      if (this.shapeDrag) {
+        this.continueShape({ x, y });
+        return;
+      }
+      
+      if (!this.isDrawing) {
+        this.hoverTarget = this.hitTestVertex(this.hoverPoint) || this.hitTestEdgeMidpoint(this.hoverPoint);
+        this.canvas.style.cursor = this.hoverTarget && !this.spacePressed
+          ? (this.hoverTarget.kind === 'vertex' ? 'grab' : 'copy')
+          : (this.spacePressed ? 'grab' : '');
+      }
       this.render();
     });
     
+    this.canvas.addEventListener('mouseup', () => {
+      this.snapResult = null;
+      if (this.panDrag) {
+        this.endPan();
+        return;
+      }
+      if (this.shapeDrag) {
+        this.endShape();
+        return;
+      }
+      this.endEdit();
+    });
+    
+    this.canvas.addEventListener('mouseleave', () => {
+      this.snapResult = null;
+      if (this.panDrag) {
+        this.endPan();
+      }
+      if (this.shapeDrag) {
+        this.endShape();
+      }
+      this.endEdit();
+      this.hoverTarget = null;
+    });
+    
+    // Right-click deletes the vertex under the mouse
+    this.canvas.addEventListener('contextmenu', (e) => {
+      if (this.isDrawing) return;
+      
+      const vertex = this.hitTestVertex(this.getCanvasPoint(e));
+      if (vertex) {
+        e.preventDefault();
+        this.deleteVertex(vertex.polygonType, vertex.index);
+      }
+    });
+    
+    // The mouse wheel zooms around the cursor
+    this.canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const factor = Math.pow(1.0015, -e.deltaY * (e.deltaMode === 1 ? 33 : 1));
+      this.zoomAt(this.getScreenPoint(e), factor);
+    }, { passive: false });
+    
+    // Holding Space turns a left-button drag into panning
+    document.addEventListener('keydown', (e) => {
+      if (e.code !== 'Space' || ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(e.target.tagName)) return;
+      e.preventDefault();
+      if (!this.spacePressed) {
+        this.spacePressed = true;
+        this.canvas.style.cursor = 'grab';
+      }
+    });
+    document.addEventListener('keyup', (e) => {
+      if (e.code !== 'Space') return;
+      this.spacePressed = false;
+      if (!this.panDrag) {
+        this.canvas.style.cursor = '';
+      }
+    });
+    
+    // Delete/Backspace deletes the hovered vertex
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Delete' && e.key !== 'Backspace') return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      
+      if (!this.isDrawing && this.hoverTarget && this.hoverTarget.kind === 'vertex') {
+        e.preventDefault();
+        this.deleteVertex(this.hoverTarget.polygonType, this.hoverTarget.index);
+      }
+    });
+    
     // Touch events
     this.canvas.addEventListener('touchstart', (e) => {
       console.log('Canvas touchstart event triggered');
       e.preventDefault();
-      const rect = this.canvas.getBoundingClientRect();
-      const touch = e.touches[0];
-      const x = touch.clientX - rect.left;
-      const y = touch.clientY - rect.top;
+      
+      if (!this.isDrawing) {
+        this.beginEdit(this.getCanvasPoint(e.touches[0]));
+        return;
+      }
+      
+      const { x, y } = this.getSnappedPoint(e.touches[0]);
+      this.snapResult = null;
+      
+      if (this.usesShapeTool()) {
+        this.beginShape({ x, y });
+        return;
+      }
+      
       console.log(`Adding touch point at (${x}, ${y})`);
       this.addPoint(x, y);
     });
     
+    this.canvas.addEventListener('touchmove', (e) => {
+      if (this.shapeDrag) {
+        e.preventDefault();
+        this.continueShape(this.getSnappedPoint(e.touches[0]));
+        return;
+      }
+      if (!this.dragTarget) return;
+      e.preventDefault();
+      this.continueEdit(this.getSnappedPoint(e.touches[0]));
+    });
+    
+    this.canvas.addEventListener('touchend', () => {
+      this.snapResult = null;
+      if (this.shapeDrag) {
+        this.endShape();
+        return;
+      }
+      this.endEdit();
+    });
+    
     // Window resize
     window.addEventListener('resize', () => {
       this.resize();
@@ -258,29 +1857,119 @@ class CanvasManager {
   }
   
   /**
-   * Draw a polygon on the canvas
-   * @param {Array} points - Array of points to draw
+   * Set up the editable coordinate rows and the bulk entry boxes of the
+   * Subject and Clipping panels. The rows are rebuilt on every update, so
+   * their events are handled on the panels.
+   */
+  setupCoordinateEditing() {
+    ['subject', 'clipping'].forEach(polygonType => {
+      const list = document.getElementById(`${polygonType}-coordinates`);
+      const bulk = document.getElementById(`${polygonType}-bulk`);
+      if (!list || !bulk) return;
+      
+      // Typed values are applied when the field is left or Enter is pressed
+      list.addEventListener('change', (e) => {
+        const input = e.target.closest('.coordinate-input');
+        if (!input || this.isDrawing) return;
+        
+        // The subject panel also lists the extra rings, each with its own polygon type
+        const rowType = input.dataset.polygon;
+        const index = Number(input.dataset.index);
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value)) {
+          this.updateCoordinateDisplay(); // Put the old value back
+          return;
+        }
+        const point = { ...this.getPolygon(rowType)[index] };
+        point[input.dataset.axis] = value;
+        this.setVertex(rowType, index, point);
+      });
+      
+      list.addEventListener('click', (e) => {
+        const button = e.target.closest('.row-button');
+        if (!button || this.isDrawing) return;
+        
+        const rowType = button.dataset.polygon;
+        if (button.classList.contains('ring-remove')) {
+          this.removeRing(rowType);
+          return;
+        }
+        
+        const index = Number(button.dataset.index);
+        switch (button.dataset.action) {
+          case 'up':
+            this.reorderVertex(rowType, index, -1);
+            break;
+          case 'down':
+            this.reorderVertex(rowType, index, 1);
+            break;
+          case 'insert':
+            this.insertVertexAfter(rowType, index);
+            break;
+          case 'delete':
+            this.deleteVertex(rowType, index);
+            break;
+        }
+      });
+      
+      const textarea = bulk.querySelector('textarea');
+      const error = bulk.querySelector('.bulk-error');
+      
+      // Opening the box fills it with the current vertices at full precision,
+      // so applying it unchanged leaves every vertex where it was
+      bulk.addEventListener('toggle', () => {
+        if (!bulk.open) return;
+        textarea.value = this.getPolygon(polygonType)
+          .map(p => `${p.x}, ${p.y}`)
+          .join('\n');
+        error.textContent = '';
+      });
+      
+      bulk.querySelector('.bulk-apply').addEventListener('click', () => {
+        if (this.isDrawing) {
+          error.textContent = 'Finish drawing first';
+          return;
+        }
+        
+        const { points, errors } = this.parsePointList(textarea.value);
+        if (errors.length > 0) {
+          error.textContent = errors.join('; ');
+          return;
+        }
+        error.textContent = '';
+        this.setPolygonPoints(polygonType, points);
+      });
+    });
+  }
+  
+  /**
+   * Draw a polygon on the canvas. Several rings are drawn as one shape with
+   * the even-odd fill rule, so a ring inside another one shows as a hole.
+   * @param {Array} points - Array of points to draw, or an array of rings
    * @param {String} color - Color to use for the polygon
    * @param {Boolean} filled - Whether to fill the polygon
    * @param {Number} lineWidth - Width of the polygon lines
    */
   drawPolygon(points, color, filled = true, lineWidth = 2) {
-    if (points.length < 2) return;
+    const rings = (Array.isArray(points[0]) ? points : [points]).filter(ring => ring.length >= 2);
+    if (rings.length === 0) return;
     
     this.ctx.beginPath();
-    this.ctx.moveTo(points[0].x, points[0].y);
-    
-    for (let i = 1; i < points.length; i++) {
-      this.ctx.lineTo(points[i].x, points[i].y);
-    }
-    
-    if (points.length > 2) {
-      this.ctx.closePath();
-    }
+    rings.forEach(ring => {
+      this.worldMoveTo(ring[0]);
+      
+      for (let i = 1; i < ring.length; i++) {
+        this.worldLineTo(ring[i]);
+      }
+      
+      if (ring.length > 2) {
+        this.ctx.closePath();
+      }
+    });
     
     if (filled) {
       this.ctx.fillStyle = color;
-      this.ctx.fill();
+      this.ctx.fill('evenodd');
     }
     
     this.ctx.strokeStyle = color;
@@ -296,7 +1985,7 @@ class CanvasManager {
    */
   drawPoint(point, color, radius = 5) {
     this.ctx.beginPath();
-    this.ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+    this.worldArc(point, radius);
     this.ctx.fillStyle = color;
     this.ctx.fill();
     this.ctx.strokeStyle = 'white';
@@ -304,6 +1993,41 @@ class CanvasManager {
     this.ctx.stroke();
   }
   
+  /**
+   * Draw a line segment with its endpoints
+   * @param {Object} line - {start, end}
+   * @param {String} color - Color to use for the segment
+   * @param {Number} lineWidth - Width of the segment
+   */
+  drawLine(line, color, lineWidth = 2) {
+    this.ctx.beginPath();
+    this.worldMoveTo(line.start);
+    this.worldLineTo(line.end);
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = lineWidth;
+    this.ctx.stroke();
+    
+    this.drawPoint(line.start, color, 4);
+    this.drawPoint(line.end, color, 4);
+  }
+  
+  /**
+   * Draw a text label with a dark shadow so it stays readable over polygons
+   * @param {String} text - The label text
+   * @param {Object} point - Where to draw the label
+   * @param {String} color - Text color
+   */
+  drawLabel(text, worldPoint, color = '#FFFFFF') {
+    const point = this.toScreen(worldPoint);
+    this.ctx.font = 'bold 12px "Roboto Mono", monospace';
+    this.ctx.textAlign = 'left';
+    this.ctx.textBaseline = 'bottom';
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    this.ctx.fillText(text, point.x + 9, point.y - 5);
+    this.ctx.fillStyle = color;
+    this.ctx.fillText(text, point.x + 8, point.y - 6);
+  }
+  
   /**
    * Render the canvas with all polygons and current state
    */
@@ -311,31 +2035,35 @@ class CanvasManager {
     this.clear();
     this.drawGrid();
     
-    // Draw the result polygon if available
-    if (this.resultPolygon.length > 2) {
+    // Draw the result polygons if available, as one even-odd shape so holes stay open
+    const resultRings = this.resultPolygons.filter(ring => ring.length > 2);
+    if (resultRings.length > 0) {
       // Draw with thicker line and glow effect
       this.ctx.save();
       this.ctx.shadowColor = this.colors.resultGlow;
       this.ctx.shadowBlur = 10;
-      this.drawPolygon(this.resultPolygon, this.colors.result, true, 3);
+      this.drawPolygon(resultRings, this.colors.result, true, 3);
       this.ctx.restore();
       
       // Draw points for the result
-      this.resultPolygon.forEach(point => {
+      resultRings.forEach(ring => ring.forEach(point => {
         this.drawPoint(point, this.colors.resultStroke, 6);
-      });
+      }));
     }
     
-    // Draw the subject polygon
-    if (this.subjectPolygon.length > 0) {
-      this.drawPolygon(this.subjectPolygon, this.colors.subject, 
-        this.subjectPolygon.length > 2);
-      
-      // Draw points
-      this.subjectPolygon.forEach(point => {
+    // Draw the subject polygon with all of its closed rings; a ring being drawn is drawn on its own
+    this.drawPolygon(this.getSubjectRings(), this.colors.subject);
+    const openRing = this.isDrawing && this.selectedPolygon !== 'clipping' && this.selectedPolygon !== 'lines'
+      ? this.getPolygon(this.selectedPolygon)
+      : [];
+    this.drawPolygon(openRing, this.colors.subject, openRing.length > 2);
+    
+    // Draw points
+    this.getPolygonTypes().filter(type => type !== 'clipping').forEach(type => {
+      this.getPolygon(type).forEach(point => {
         this.drawPoint(point, this.colors.subject);
       });
-    }
+    });
     
     // Draw the clipping polygon
     if (this.clippingPolygon.length > 0) {
@@ -348,32 +2076,44 @@ class CanvasManager {
       });
     }
     
+    // Draw the subject line segments and their clipped parts
+    this.subjectLines.forEach(line => {
+      this.drawLine(line, this.colors.subject, 2);
+    });
+    this.resultLines.forEach(line => {
+      this.ctx.save();
+      this.ctx.shadowColor = this.colors.resultGlow;
+      this.ctx.shadowBlur = 10;
+      this.drawLine(line, this.colors.resultStroke, 4);
+      this.ctx.restore();
+    });
+    
+    // Mark the edges that cross each other
+    this.drawCrossings();
+    
+    // Draw the edit handles of the polygon under the mouse
+    if (!this.isDrawing) {
+      this.drawEditHandles();
+    }
+    
     // Draw the hover point indicator during drawing
     if (this.isDrawing && this.hoverPoint) {
       let shouldDrawSnap = false;
       let snapPoint = null;
       
       // Check for snapping to first point to close polygon
-      if (this.selectedPolygon === 'subject' && this.subjectPolygon.length > 2) {
-        const firstPoint = this.subjectPolygon[0];
-        if (this.getDistance(this.hoverPoint, firstPoint) < this.snapToFirstDistance) {
-          shouldDrawSnap = true;
-          snapPoint = firstPoint;
-        }
-      } else if (this.selectedPolygon === 'clipping' && this.clippingPolygon.length > 2) {
-        const firstPoint = this.clippingPolygon[0];
-        if (this.getDistance(this.hoverPoint, firstPoint) < this.snapToFirstDistance) {
-          shouldDrawSnap = true;
-          snapPoint = firstPoint;
-        }
+      const polygon = this.selectedPolygon === 'lines' ? [] : this.getPolygon(this.selectedPolygon);
+      if (polygon.length > 2 && this.getDistance(this.hoverPoint, polygon[0]) < this.toWorldDistance(this.snapToFirstDistance)) {
+        shouldDrawSnap = true;
+        snapPoint = polygon[0];
       }
       
       if (shouldDrawSnap && snapPoint) {
         // Draw snap indication
         this.ctx.beginPath();
         this.ctx.setLineDash([5, 5]);
-        this.ctx.moveTo(this.hoverPoint.x, this.hoverPoint.y);
-        this.ctx.lineTo(snapPoint.x, snapPoint.y);
+        this.worldMoveTo(this.hoverPoint);
+        this.worldLineTo(snapPoint);
         this.ctx.strokeStyle = this.colors.pointHighlight;
         this.ctx.lineWidth = 1;
         this.ctx.stroke();
@@ -384,33 +2124,226 @@ class CanvasManager {
       } else {
         // Draw normal hover point
         this.drawPoint(this.hoverPoint, 
-          this.selectedPolygon === 'subject' ? this.colors.subject : this.colors.clipping, 
+          this.selectedPolygon === 'clipping' ? this.colors.clipping : this.colors.subject, 
           3);
       }
       
+      // Draw the segment being placed in line mode
+      if (this.selectedPolygon === 'lines' && this.pendingLineStart) {
+        this.ctx.setLineDash([5, 5]);
+        this.drawLine({ start: this.pendingLineStart, end: this.hoverPoint }, this.colors.subject, 2);
+        this.ctx.setLineDash([]);
+      }
+      
       // Draw line from last point to current mouse position
-      if (this.selectedPolygon === 'subject' && this.subjectPolygon.length > 0) {
-        const lastPoint = this.subjectPolygon[this.subjectPolygon.length - 1];
+      if (polygon.length > 0) {
+        const lastPoint = polygon[polygon.length - 1];
         this.ctx.beginPath();
-        this.ctx.moveTo(lastPoint.x, lastPoint.y);
-        this.ctx.lineTo(this.hoverPoint.x, this.hoverPoint.y);
-        this.ctx.strokeStyle = this.colors.subject;
+        this.worldMoveTo(lastPoint);
+        this.worldLineTo(this.hoverPoint);
+        this.ctx.strokeStyle = this.selectedPolygon === 'clipping' ? this.colors.clipping : this.colors.subject;
         this.ctx.lineWidth = 2;
         this.ctx.setLineDash([5, 5]);
         this.ctx.stroke();
         this.ctx.setLineDash([]);
-      } else if (this.selectedPolygon === 'clipping' && this.clippingPolygon.length > 0) {
-        const lastPoint = this.clippingPolygon[this.clippingPolygon.length - 1];
+      }
+    }
+    
+    // Draw the shape being dragged out
+    if (this.shapeDrag) {
+      this.drawShapePreview();
+    }
+    
+    if (this.snapResult && (this.isDrawing || this.dragTarget)) {
+      this.drawSnapIndicator(this.snapResult);
+    }
+    
+    this.drawResultDiff();
+  }
+  
+  /**
+   * Shade where the results of the two compare views differ: the area
+   * covered by this view's result only, and the area covered by the other's only
+   */
+  drawResultDiff() {
+    if (!this.compareRings) return;
+    
+    const own = this.getValidResultRings();
+    const other = this.compareRings.filter(ring => ring.length >= 3);
+    [[own, other, this.colors.diffOwn], [other, own, this.colors.diffOther]].forEach(([covered, removed, color]) => {
+      // Cut the other result out of a separate layer, so the scene below is kept
+      const layer = document.createElement('canvas');
+      layer.width = this.canvas.width;
+      layer.height = this.canvas.height;
+      const ctx = layer.getContext('2d');
+      ctx.fillStyle = color;
+      this.traceRings(ctx, covered);
+      ctx.fill('evenodd');
+      ctx.globalCompositeOperation = 'destination-out';
+      this.traceRings(ctx, removed);
+      ctx.fill('evenodd');
+      this.ctx.drawImage(layer, 0, 0);
+    });
+  }
+  
+  /**
+   * Start a new path on a context made of closed rings
+   * @param {CanvasRenderingContext2D} ctx - Context to trace on
+   * @param {Array} rings - Polygons in world coordinates
+   */
+  traceRings(ctx, rings) {
+    ctx.beginPath();
+    rings.forEach(ring => {
+      ring.forEach((point, i) => {
+        const screen = this.toScreen(point);
+        if (i === 0) {
+          ctx.moveTo(screen.x, screen.y);
+        } else {
+          ctx.lineTo(screen.x, screen.y);
+        }
+      });
+      ctx.closePath();
+    });
+  }
+  
+  /**
+   * Show what the pointer snapped to: a cross on a grid point, a square on a vertex,
+   * the highlighted edge, or a guide through the previous vertex with its angle
+   * @param {Object} snap - Snap result from snapPoint()
+   */
+  drawSnapIndicator(snap) {
+    const p = this.toScreen(snap.point);
+    
+    this.ctx.save();
+    this.ctx.strokeStyle = this.colors.snap;
+    this.ctx.fillStyle = this.colors.snap;
+    this.ctx.lineWidth = 1.5;
+    this.ctx.beginPath();
+    
+    switch (snap.kind) {
+      case 'grid':
+        this.ctx.moveTo(p.x - 6, p.y);
+        this.ctx.lineTo(p.x + 6, p.y);
+        this.ctx.moveTo(p.x, p.y - 6);
+        this.ctx.lineTo(p.x, p.y + 6);
+        this.ctx.stroke();
+        break;
+        
+      case 'vertex':
+        this.ctx.strokeRect(p.x - 6, p.y - 6, 12, 12);
+        break;
+        
+      case 'edge':
+        this.ctx.lineWidth = 3;
+        this.worldMoveTo(snap.edge.start);
+        this.worldLineTo(snap.edge.end);
+        this.ctx.stroke();
         this.ctx.beginPath();
-        this.ctx.moveTo(lastPoint.x, lastPoint.y);
-        this.ctx.lineTo(this.hoverPoint.x, this.hoverPoint.y);
-        this.ctx.strokeStyle = this.colors.clipping;
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([5, 5]);
+        this.ctx.moveTo(p.x, p.y - 6);
+        this.ctx.lineTo(p.x + 6, p.y);
+        this.ctx.lineTo(p.x, p.y + 6);
+        this.ctx.lineTo(p.x - 6, p.y);
+        this.ctx.closePath();
+        this.ctx.stroke();
+        break;
+        
+      case 'angle': {
+        // Extend the guide past the pointer so the direction is easy to see
+        const a = this.toScreen(snap.anchor);
+        const length = Math.hypot(p.x - a.x, p.y - a.y) || 1;
+        this.ctx.setLineDash([3, 4]);
+        this.ctx.moveTo(a.x, a.y);
+        this.ctx.lineTo(p.x + (p.x - a.x) / length * 40, p.y + (p.y - a.y) / length * 40);
         this.ctx.stroke();
         this.ctx.setLineDash([]);
+        
+        // Label the direction counter-clockwise from +x as it looks on screen
+        const degrees = this.view.yUp ? snap.degrees : (360 - snap.degrees) % 360;
+        this.ctx.font = '11px "Roboto Mono", monospace';
+        this.ctx.fillText(`${degrees}°`, a.x + 8, a.y - 8);
+        break;
       }
     }
+    this.ctx.restore();
+  }
+  
+  /**
+   * Draw the outline the shape tool will create, and the raw lasso path
+   */
+  drawShapePreview() {
+    const color = this.selectedPolygon === 'clipping' ? this.colors.clipping : this.colors.subject;
+    
+    this.ctx.save();
+    this.ctx.setLineDash([5, 5]);
+    if (this.shapeTool === 'lasso') {
+      const path = this.shapeDrag.path;
+      this.ctx.beginPath();
+      this.worldMoveTo(path[0]);
+      path.forEach(point => this.worldLineTo(point));
+      this.ctx.strokeStyle = this.colors.pointHighlight;
+      this.ctx.lineWidth = 1;
+      this.ctx.stroke();
+    }
+    
+    const points = this.getShapePoints();
+    if (points.length >= 3) {
+      this.drawPolygon(points, color, true, 2);
+      points.forEach(point => this.drawPoint(point, color, 3));
+    }
+    this.ctx.restore();
+  }
+  
+  /**
+   * Draw the crossing edges of every polygon in red, with a ring around each crossing
+   */
+  drawCrossings() {
+    Object.keys(this.crossings).forEach(type => {
+      const polygon = this.getPolygon(type);
+      const n = polygon.length;
+      this.crossings[type].forEach(crossing => {
+        [crossing.edgeA, crossing.edgeB].forEach(edge => {
+          if (edge >= n) return;
+          this.drawLine({ start: polygon[edge], end: polygon[(edge + 1) % n] }, this.colors.crossing, 3);
+        });
+      });
+      
+      this.crossings[type].forEach(crossing => {
+        this.ctx.beginPath();
+        this.worldArc(crossing, 8);
+        this.ctx.strokeStyle = this.colors.crossing;
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+      });
+    });
+  }
+  
+  /**
+   * Draw the vertex and edge midpoint handles of the hovered or dragged polygon
+   */
+  drawEditHandles() {
+    const target = this.dragTarget || this.hoverTarget;
+    if (!target) return;
+    
+    const polygon = this.getPolygon(target.polygonType);
+    if (polygon.length < 3) return;
+    
+    // Hollow circles on the edge midpoints show where a vertex can be inserted
+    this.ctx.save();
+    this.ctx.strokeStyle = this.colors.pointHighlight;
+    this.ctx.lineWidth = 1;
+    for (let i = 0; i < polygon.length; i++) {
+      const midpoint = this.getEdgeMidpoint(polygon, i);
+      this.ctx.beginPath();
+      this.worldArc(midpoint, 4);
+      this.ctx.stroke();
+    }
+    this.ctx.restore();
+    
+    if (this.dragTarget || target.kind === 'vertex') {
+      this.drawPoint(polygon[target.index], this.colors.pointHighlight, 7);
+    } else {
+      this.drawPoint(this.getEdgeMidpoint(polygon, target.index), this.colors.pointHighlight, 5);
+    }
   }
   
   /**
@@ -420,8 +2353,8 @@ class CanvasManager {
    */
   highlightClippingEdge(start, end) {
     this.ctx.beginPath();
-    this.ctx.moveTo(start.x, start.y);
-    this.ctx.lineTo(end.x, end.y);
+    this.worldMoveTo(start);
+    this.worldLineTo(end);
     this.ctx.strokeStyle = this.colors.edgeHighlight;
     this.ctx.lineWidth = 4;
     this.ctx.stroke();
@@ -431,6 +2364,52 @@ class CanvasManager {
     this.drawPoint(end, this.colors.edgeHighlight, 7);
   }
   
+  /**
+   * Highlight the subject edge S→E being tested against the clip edge
+   * @param {Object} start - S, start of the subject edge
+   * @param {Object} end - E, end of the subject edge
+   * @param {String} color - Color for the current case
+   */
+  highlightSubjectEdge(start, end, color) {
+    this.ctx.beginPath();
+    this.worldMoveTo(start);
+    this.worldLineTo(end);
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 5;
+    this.ctx.stroke();
+    
+    this.drawPoint(start, color, 6);
+    this.drawPoint(end, color, 6);
+    this.drawLabel('S', start, color);
+    this.drawLabel('E', end, color);
+  }
+  
+  /**
+   * Draw the output list built so far as an open, numbered polyline
+   * @param {Array} points - Output vertices in emission order
+   */
+  drawPartialOutput(points) {
+    if (points.length === 0) {
+      return;
+    }
+    
+    this.ctx.beginPath();
+    this.worldMoveTo(points[0]);
+    for (let i = 1; i < points.length; i++) {
+      this.worldLineTo(points[i]);
+    }
+    this.ctx.strokeStyle = this.colors.partialOutput;
+    this.ctx.lineWidth = 2;
+    this.ctx.setLineDash([6, 3]);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+    
+    points.forEach((point, index) => {
+      this.drawPoint(point, this.colors.partialOutput, 5);
+      this.drawLabel(`${index + 1}`, point, this.colors.partialOutput);
+    });
+  }
+  
   /**
    * Highlight intersection points during animation
    * @param {Array} points - Array of intersection points
@@ -441,7 +2420,7 @@ class CanvasManager {
       
       // Draw a pulsing circle around the intersection
       this.ctx.beginPath();
-      this.ctx.arc(point.x, point.y, 12, 0, Math.PI * 2);
+      this.worldArc(point, 12);
       this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
       this.ctx.setLineDash([2, 2]);
       this.ctx.lineWidth = 2;
@@ -450,29 +2429,145 @@ class CanvasManager {
     });
   }
   
+  /**
+   * Mark what the Sutherland-Hodgman cleanup pass removed: bridge edges as
+   * dashed lines and dropped vertices as crosses labelled with the reason
+   * @param {Object} artifacts - {vertices: [{point, reason}], edges: [{start, end}]}
+   */
+  highlightArtifacts(artifacts) {
+    this.ctx.save();
+    this.ctx.setLineDash([6, 4]);
+    artifacts.edges.forEach(edge => this.drawLine(edge, this.colors.artifact, 4));
+    this.ctx.setLineDash([]);
+    
+    artifacts.vertices.forEach(({ point, reason }) => {
+      const p = this.toScreen(point);
+      this.ctx.beginPath();
+      this.ctx.moveTo(p.x - 6, p.y - 6);
+      this.ctx.lineTo(p.x + 6, p.y + 6);
+      this.ctx.moveTo(p.x + 6, p.y - 6);
+      this.ctx.lineTo(p.x - 6, p.y + 6);
+      this.ctx.strokeStyle = this.colors.artifact;
+      this.ctx.lineWidth = 2;
+      this.ctx.stroke();
+      this.drawLabel(reason, point, this.colors.artifact);
+    });
+    this.ctx.restore();
+  }
+  
+  /**
+   * Highlight one line clipping step: the window, the current segment,
+   * outcodes at its endpoints and the current parametric t-interval
+   * @param {Object} step - A step recorded by a line clipper
+   */
+  highlightLineStep(step) {
+    // Rectangular window used by Cohen-Sutherland and Liang-Barsky
+    if (step.window) {
+      const { minX, minY, maxX, maxY } = step.window;
+      const a = this.toScreen({ x: minX, y: minY });
+      const b = this.toScreen({ x: maxX, y: maxY });
+      this.ctx.save();
+      this.ctx.setLineDash([8, 4]);
+      this.ctx.strokeStyle = this.colors.clipWindow;
+      this.ctx.lineWidth = 2;
+      this.ctx.strokeRect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+      this.ctx.restore();
+    }
+    
+    if (!step.line) {
+      return;
+    }
+    
+    // Original segment faintly, the segment still in play brightly
+    this.ctx.save();
+    this.ctx.globalAlpha = 0.4;
+    this.drawLine(step.originalLine, this.colors.pointHighlight, 1);
+    this.ctx.restore();
+    
+    const color = step.phase === 'reject' ? '#FF6666' : this.colors.pointHighlight;
+    this.drawLine(step.line, color, 3);
+    
+    if (step.outcodes) {
+      this.drawLabel(step.outcodes.start, step.line.start, this.colors.edgeHighlight);
+      this.drawLabel(step.outcodes.end, step.line.end, this.colors.edgeHighlight);
+    }
+    
+    if (step.tInterval) {
+      const { start, end } = step.originalLine;
+      const pointAt = t => ({ x: start.x + t * (end.x - start.x), y: start.y + t * (end.y - start.y) });
+      const tEnter = Math.min(Math.max(step.tInterval.tEnter, 0), 1);
+      const tLeave = Math.min(Math.max(step.tInterval.tLeave, 0), 1);
+      
+      if (tEnter <= tLeave) {
+        this.drawLine({ start: pointAt(tEnter), end: pointAt(tLeave) }, this.colors.resultStroke, 4);
+      }
+      this.drawPoint(pointAt(tEnter), this.colors.edgeHighlight, 6);
+      this.drawPoint(pointAt(tLeave), this.colors.edgeHighlight, 6);
+      this.drawLabel(`tE=${step.tInterval.tEnter.toFixed(2)}`, pointAt(tEnter), this.colors.edgeHighlight);
+      this.drawLabel(`tL=${step.tInterval.tLeave.toFixed(2)}`, pointAt(tLeave), this.colors.edgeHighlight);
+    }
+  }
+  
+  /**
+   * Update the coordinate displays once on the next animation frame, so a
+   * drag over a polygon with hundreds of vertices rebuilds the lists at most
+   * once per frame
+   */
+  scheduleCoordinateDisplay() {
+    if (this.coordinateDisplayFrame) return;
+    
+    this.coordinateDisplayFrame = requestAnimationFrame(() => {
+      this.coordinateDisplayFrame = null;
+      this.updateCoordinateDisplay();
+    });
+  }
+  
   /**
    * Update the coordinate displays in the sidebar
    */
   updateCoordinateDisplay() {
+    // The coordinate panels belong to the editable view
+    if (this.source) return;
+    
+    // Rebuilding the rows drops focus; remember which field had it
+    const focused = document.activeElement;
+    const focusKey = focused && focused.classList && focused.classList.contains('coordinate-input')
+      ? `[data-polygon="${focused.dataset.polygon}"][data-index="${focused.dataset.index}"][data-axis="${focused.dataset.axis}"]`
+      : null;
+    
     // Update subject polygon coordinates
     const subjectCoordinatesEl = document.getElementById('subject-coordinates');
     if (this.subjectPolygon.length > 0) {
+      // With extra rings every ring gets its own header with its outer/hole role
+      const ringTypes = this.getPolygonTypes().filter(type => type !== 'clipping');
+      const roles = GeometryUtils.classifyRings(ringTypes.map(type => this.getPolygon(type)));
       let html = '';
-      if (this.subjectPolygon.length >= 3) {
-        html += `<div class="coordinate-header">
-          <strong>Subject Polygon: ${this.subjectPolygon.length} points</strong>
-        </div>`;
-      }
-      
-      this.subjectPolygon.forEach((point, index) => {
-        html += `<div class="coordinate-item">
-          <span>Point ${index + 1}</span>
-          <span>(${point.x.toFixed(2)}, ${point.y.toFixed(2)})</span>
+      ringTypes.forEach((type, i) => {
+        const polygon = this.getPolygon(type);
+        const title = ringTypes.length > 1
+          ? `Ring ${i + 1} (${polygon.length >= 3 ? roles[i] : 'drawing'})`
+          : 'Subject Polygon';
+        if (polygon.length >= 3 || ringTypes.length > 1) {
+          const remove = i > 0 && !this.isDrawing
+            ? `<button class="row-button ring-remove" data-polygon="${type}" title="Remove this ring">✕</button>`
+            : '';
+          html += `<div class="coordinate-header">
+          <strong>${title}: ${polygon.length} points</strong>${remove}
         </div>`;
+        }
+        
+        html += this.formatPointRows(polygon, type);
       });
       subjectCoordinatesEl.innerHTML = html;
-    } else {
+    } else if (this.subjectLines.length === 0) {
       subjectCoordinatesEl.innerHTML = '<p class="empty-state">Draw a subject polygon to see coordinates</p>';
+    } else {
+      subjectCoordinatesEl.innerHTML = '';
+    }
+    
+    // Append subject line segments, if any
+    if (this.subjectLines.length > 0) {
+      subjectCoordinatesEl.innerHTML += this.formatLines(this.subjectLines, 'Subject Lines');
     }
     
     // Update clipping polygon coordinates
@@ -485,12 +2580,13 @@ class CanvasManager {
         </div>`;
       }
       
-      this.clippingPolygon.forEach((point, index) => {
-        html += `<div class="coordinate-item">
-          <span>Point ${index + 1}</span>
-          <span>(${point.x.toFixed(2)}, ${point.y.toFixed(2)})</span>
-        </div>`;
-      });
+      if (this.clippingDiagnostics) {
+        this.clippingDiagnostics.messages.forEach(message => {
+          html += `<div class="diagnostic ${message.level}">${message.text}</div>`;
+        });
+      }
+      
+      html += this.formatPointRows(this.clippingPolygon, 'clipping');
       clippingCoordinatesEl.innerHTML = html;
     } else {
       clippingCoordinatesEl.innerHTML = '<p class="empty-state">Draw a clipping polygon to see coordinates</p>';
@@ -498,47 +2594,130 @@ class CanvasManager {
     
     // Update result polygon coordinates
     const resultCoordinatesEl = document.getElementById('result-coordinates');
-    if (this.resultPolygon && this.resultPolygon.length > 0) {
+    if (this.resultPolygons.length > 0) {
       let html = '';
+      const validRings = this.resultPolygons.filter(ring => ring.length >= 3);
       
-      if (this.resultPolygon.length >= 3) {
-        html += `<div class="coordinate-header">
-          <strong>Result Polygon: ${this.resultPolygon.length} points</strong>
-        </div>`;
-      
-        this.resultPolygon.forEach((point, index) => {
-          html += `<div class="coordinate-item">
-            <span>Point ${index + 1}</span>
-            <span>(${point.x.toFixed(2)}, ${point.y.toFixed(2)})</span>
+      if (validRings.length > 0) {
+        // Holes only exist when rings nest, so only then is each ring's role worth naming
+        const roles = GeometryUtils.classifyRings(validRings);
+        const hasHoles = roles.includes('hole');
+        validRings.forEach((ring, ringIndex) => {
+          const label = validRings.length > 1
+            ? `Result ${hasHoles ? 'Ring' : 'Polygon'} ${ringIndex + 1} of ${validRings.length}${hasHoles ? ` (${roles[ringIndex]})` : ''}`
+            : 'Result Polygon';
+          html += `<div class="coordinate-header">
+            <strong>${label}: ${ring.length} points</strong>
           </div>`;
+        
+          ring.forEach((point, index) => {
+            html += `<div class="coordinate-item">
+              <span>Point ${index + 1}</span>
+              <span>(${point.x.toFixed(2)}, ${point.y.toFixed(2)})</span>
+            </div>`;
+          });
         });
       } else {
         html = '<p class="empty-state warning">No valid clipping result (need at least 3 points)</p>';
       }
       
       resultCoordinatesEl.innerHTML = html;
+    } else if (this.resultLines.length > 0) {
+      resultCoordinatesEl.innerHTML = this.formatLines(this.resultLines, 'Visible Segments');
     } else {
       resultCoordinatesEl.innerHTML = '<p class="empty-state">Run clipping to see result coordinates</p>';
     }
     
+    if (focusKey) {
+      const input = document.querySelector(`.coordinate-input${focusKey}`);
+      if (input) input.focus();
+    }
+    
     // Log for debugging
-    console.log('Coordinate display updated: subject=', this.subjectPolygon.length, 
+    console.log('Coordinate display updated: subject=', this.subjectPolygon.length,
+                'rings=', this.subjectRings.length, 
                 'clipping=', this.clippingPolygon.length, 
-                'result=', this.resultPolygon ? this.resultPolygon.length : 0);
+                'result=', this.resultPolygons.length, 'ring(s)');
   }
   
   /**
-   * Set the result polygon after clipping
-   * @param {Array} resultPolygon - The clipped polygon result
+   * Format the vertex rows of the subject or clipping polygon. Rows of a
+   * finished polygon have x/y fields and buttons to reorder, insert and delete.
+   * @param {Array} polygon - Array of points
+   * @param {String} polygonType - "subject", "clipping" or "ring-N"
+   * @returns {String} - HTML markup
    */
-  setResultPolygon(resultPolygon) {
-    this.resultPolygon = resultPolygon;
-    this.updateCoordinateDisplay();
+  formatPointRows(polygon, polygonType) {
+    if (this.isDrawing) {
+      return polygon.map((point, index) => `<div class="coordinate-item">
+          <span>Point ${index + 1}</span>
+          <span>(${point.x.toFixed(2)}, ${point.y.toFixed(2)})</span>
+        </div>`).join('');
+    }
     
-    // Create a highlight animation for the result
-    this.drawHighlightedResult();
+    const data = (index) => `data-polygon="${polygonType}" data-index="${index}"`;
+    const field = (point, index, axis) => `<input type="number" step="any" class="coordinate-input" ${data(index)} ` +
+      `data-axis="${axis}" value="${point[axis]}" aria-label="Point ${index + 1} ${axis}">`;
+    
+    return polygon.map((point, index) => `<div class="coordinate-item editable">
+        <span>Point ${index + 1}</span>
+        <span class="coordinate-fields">${field(point, index, 'x')}${field(point, index, 'y')}</span>
+        <span class="row-actions">
+          <button class="row-button" ${data(index)} data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button class="row-button" ${data(index)} data-action="down" title="Move down" ${index === polygon.length - 1 ? 'disabled' : ''}>↓</button>
+          <button class="row-button" ${data(index)} data-action="insert" title="Insert a point after this one">+</button>
+          <button class="row-button" ${data(index)} data-action="delete" title="Delete this point" ${polygon.length <= 3 ? 'disabled' : ''}>✕</button>
+        </span>
+      </div>`).join('');
+  }
+  
+  /**
+   * Format line segments for the coordinate panels
+   * @param {Array} lines - Array of {start, end}
+   * @param {String} title - Header text
+   * @returns {String} - HTML markup
+   */
+  formatLines(lines, title) {
+    let html = `<div class="coordinate-header">
+      <strong>${title}: ${lines.length} segment(s)</strong>
+    </div>`;
+    
+    lines.forEach((line, index) => {
+      html += `<div class="coordinate-item">
+        <span>Line ${index + 1}</span>
+        <span>(${line.start.x.toFixed(2)}, ${line.start.y.toFixed(2)}) → (${line.end.x.toFixed(2)}, ${line.end.y.toFixed(2)})</span>
+      </div>`;
+    });
+    return html;
+  }
+  
+  /**
+   * Set the visible segments after line clipping
+   * @param {Array} lines - Array of {start, end}
+   */
+  setResultLines(lines) {
+    this.resultLines = lines;
+    this.resultPolygons = [];
+    this.resultPolygon = [];
+    this.render();
+    this.showResultTab();
+    this.updateCoordinateDisplay();
+  }
+  
+  /**
+   * Activate the Result tab and its data panel
+   */
+  showResultTab() {
+    this.showDataTab('result');
+  }
+  
+  /**
+   * Activate one of the sidebar tabs and its data panel
+   * @param {String} tab - Value of the tab's data-tab attribute, e.g. "result"
+   */
+  showDataTab(tab) {
+    if (this.source) return;
     
-    // Manually show the result tab content
     // First, hide all tabs and remove active class
     const tabs = document.querySelectorAll('.tab');
     const dataPanels = document.querySelectorAll('.data-panel');
@@ -546,23 +2725,79 @@ class CanvasManager {
     tabs.forEach(t => t.classList.remove('active'));
     dataPanels.forEach(panel => panel.classList.remove('active'));
     
-    // Then activate the result tab and its panel
-    const resultTab = document.querySelector('[data-tab="result"]');
-    const resultPanel = document.getElementById('result-data');
+    // Then activate the tab and its panel
+    const tabElement = document.querySelector(`[data-tab="${tab}"]`);
+    const panel = document.getElementById(`${tab}-data`);
     
-    if (resultTab) {
-      resultTab.classList.add('active');
+    if (tabElement) {
+      tabElement.classList.add('active');
     }
     
-    if (resultPanel) {
-      resultPanel.classList.add('active');
+    if (panel) {
+      panel.classList.add('active');
     }
+  }
+  
+  /**
+   * Set the result polygon after clipping
+   * @param {Array} resultPolygon - The clipped polygon, or an array of polygons
+   *                                when the result splits into several pieces
+   */
+  setResultPolygon(resultPolygon) {
+    this.resultPolygons = this.toRings(resultPolygon);
+    this.resultPolygon = this.resultPolygons.length > 0 ? this.resultPolygons[0] : [];
+    this.resultLines = [];
+    this.updateCoordinateDisplay();
+    
+    // Create a highlight animation for the result
+    this.drawHighlightedResult();
+    
+    // Manually show the result tab content
+    this.showResultTab();
     
     // Make sure the result coordinates are properly filled
     this.updateCoordinateDisplay();
     
     // Log for debugging
-    console.log('Result polygon set:', this.resultPolygon.length, 'points');
+    console.log('Result polygon set:', this.resultPolygons.length, 'ring(s)');
+  }
+  
+  /**
+   * Put back an earlier result without highlighting it or switching tabs,
+   * used when the playback is scrubbed or stepped backwards. The caller
+   * refreshes the coordinate display.
+   * @param {Array} result - Polygon rings, or segments when isLines is true
+   * @param {Boolean} isLines - Whether the result holds line segments
+   */
+  restoreResult(result, isLines = false) {
+    if (isLines) {
+      this.resultLines = result;
+      this.resultPolygons = [];
+    } else {
+      this.resultLines = [];
+      this.resultPolygons = this.toRings(result);
+    }
+    this.resultPolygon = this.resultPolygons.length > 0 ? this.resultPolygons[0] : [];
+  }
+
+  /**
+   * Normalize a result into an array of rings
+   * @param {Array} result - A single polygon or an array of polygons
+   * @returns {Array} - Array of polygons
+   */
+  toRings(result) {
+    if (!result || result.length === 0) {
+      return [];
+    }
+    return Array.isArray(result[0]) ? result.filter(ring => ring.length > 0) : [result];
+  }
+  
+  /**
+   * Get the result rings that form valid polygons
+   * @returns {Array} - Result polygons with at least 3 points
+   */
+  getValidResultRings() {
+    return this.resultPolygons.filter(ring => ring.length >= 3);
   }
   
   /**
@@ -576,16 +2811,30 @@ class CanvasManager {
     // ALWAYS draw the original polygons so user can see them
     // Draw original polygons with reduced opacity
     this.ctx.globalAlpha = 0.3;
-    if (this.subjectPolygon.length > 2) {
-      this.drawPolygon(this.subjectPolygon, this.colors.subject, true, 1);
-    }
+    this.drawPolygon(this.getSubjectRings(), this.colors.subject, true, 1);
     if (this.clippingPolygon.length > 2) {
       this.drawPolygon(this.clippingPolygon, this.colors.clipping, true, 1);
     }
+    this.subjectLines.forEach(line => {
+      this.drawLine(line, this.colors.subject, 1);
+    });
     this.ctx.globalAlpha = 1.0;
     
+    // Visible line segments are highlighted on their own
+    if (this.resultLines.length > 0) {
+      this.ctx.save();
+      this.ctx.shadowColor = this.colors.resultGlow;
+      this.ctx.shadowBlur = 20;
+      this.resultLines.forEach(line => {
+        this.drawLine(line, this.colors.resultStroke, 5);
+      });
+      this.ctx.restore();
+      return;
+    }
+    
     // Ensure we have a result to highlight
-    if (!this.resultPolygon || this.resultPolygon.length < 3) {
+    const rings = this.getValidResultRings();
+    if (rings.length === 0) {
       // If no valid result, show a "No Intersection" message
       this.ctx.font = 'bold 24px Arial';
       this.ctx.textAlign = 'center';
@@ -609,6 +2858,7 @@ class CanvasManager {
       this.ctx.lineTo(50, this.canvas.height - 50);
       this.ctx.stroke();
       
+      this.drawResultDiff();
       return;
     }
     
@@ -620,35 +2870,63 @@ class CanvasManager {
     this.ctx.shadowOffsetX = 0;
     this.ctx.shadowOffsetY = 0;
     
-    // Draw a filled result polygon with thick border
-    this.drawPolygon(this.resultPolygon, this.colors.result, true, 4);
+    // Draw the filled result with thick borders; nested rings are holes
+    this.drawPolygon(rings, this.colors.result, true, 4);
     
     // Draw result points with larger radius for emphasis
-    this.resultPolygon.forEach(point => {
-      this.drawPoint(point, this.colors.resultStroke, 8);
+    rings.forEach(ring => {
+      ring.forEach(point => {
+        this.drawPoint(point, this.colors.resultStroke, 8);
+      });
     });
     this.ctx.restore();
     
-    // Calculate center of result polygon
-    let centerX = 0, centerY = 0;
-    this.resultPolygon.forEach(point => {
-      centerX += point.x;
-      centerY += point.y;
-    });
-    centerX /= this.resultPolygon.length;
-    centerY /= this.resultPolygon.length;
-    
     // Draw text shadow for better visibility
     this.ctx.font = 'bold 20px Arial';
     this.ctx.textAlign = 'center';
     this.ctx.textBaseline = 'middle';
     
-    // Draw shadow first
-    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    this.ctx.fillText('FINAL RESULT', centerX + 2, centerY + 2);
+    // Label the centre of each result polygon, but not its holes
+    const roles = GeometryUtils.classifyRings(rings);
+    const outers = rings.filter((ring, index) => roles[index] === 'outer');
+    outers.forEach((ring, index) => {
+      const center = this.toScreen(GeometryUtils.centroid(ring));
+      const label = outers.length > 1 ? `RESULT ${index + 1}` : 'FINAL RESULT';
+      
+      // Draw shadow first
+      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+      this.ctx.fillText(label, center.x + 2, center.y + 2);
+      
+      // Draw main text
+      this.ctx.fillStyle = '#FFFFFF';
+      this.ctx.fillText(label, center.x, center.y);
+    });
     
-    // Draw main text
-    this.ctx.fillStyle = '#FFFFFF';
-    this.ctx.fillText('FINAL RESULT', centerX, centerY);
+    this.drawResultDiff();
+  }
+  
+  /**
+   * Flash a bright outline around every result polygon
+   */
+  flashResultOutline() {
+    this.ctx.save();
+    this.ctx.lineWidth = 8;
+    this.ctx.strokeStyle = 'white';
+    this.resultLines.forEach(line => {
+      this.ctx.beginPath();
+      this.worldMoveTo(line.start);
+      this.worldLineTo(line.end);
+      this.ctx.stroke();
+    });
+    this.getValidResultRings().forEach(ring => {
+      this.ctx.beginPath();
+      this.worldMoveTo(ring[0]);
+      for (let i = 1; i < ring.length; i++) {
+        this.worldLineTo(ring[i]);
+      }
+      this.ctx.closePath();
+      this.ctx.stroke();
+    });
+    this.ctx.restore();
   }
 }
@@ -0,0 +1,26 @@
+/**
+ * Clipping Core
+ *
+ * This file is the entry point of the geometry core: the polygon and line
+ * clippers with their recorded steps, the geometric predicates they are
+ * built on, and the readers for scene, GeoJSON and WKT files. None of it
+ * touches the DOM or GSAP, so it can be imported from Node as well as from
+ * the browser:
+ *
+ *   import { SutherlandHodgman } from './static/js/clipping-core.js';
+ *   const clipper = new SutherlandHodgman();
+ *   const result = clipper.clip(subject, clipPolygon);
+ *   const firstStep = clipper.getStep(0);
+ */
+
+export { GeometryUtils } from './geometry-utils.js';
+export { StepRecorder } from './step-recorder.js';
+export { SutherlandHodgman } from './sutherland-hodgman.js';
+export { WeilerAtherton } from './weiler-atherton.js';
+export { GreinerHormann } from './greiner-hormann.js';
+export { CohenSutherland } from './cohen-sutherland.js';
+export { LiangBarsky } from './liang-barsky.js';
+export { CyrusBeck } from './cyrus-beck.js';
+export { MultiRingClipper } from './multi-ring-clipper.js';
+export { SceneFile } from './scene-file.js';
+export { GeoFile } from './geo-file.js';
@@ -0,0 +1,217 @@
+/**
+ * Cohen-Sutherland Line Clipping Algorithm Implementation
+ *
+ * This file contains the implementation of the Cohen-Sutherland algorithm
+ * for clipping line segments against a rectangular window, using 4-bit
+ * region outcodes to accept or reject segments quickly.
+ */
+
+import { GeometryUtils } from './geometry-utils.js';
+import { StepRecorder } from './step-recorder.js';
+
+export class CohenSutherland extends StepRecorder {
+  constructor() {
+    super();
+    this.name = 'Cohen-Sutherland';
+    this.subjectType = 'lines';
+  }
+
+  /**
+   * Outcode bits. The canvas y axis points down, so TOP means y < minY.
+   */
+  static get OUTCODES() {
+    return { INSIDE: 0, LEFT: 1, RIGHT: 2, BOTTOM: 4, TOP: 8 };
+  }
+
+  /**
+   * Compute the region outcode of a point relative to the window
+   * @param {Object} point - The point to classify
+   * @param {Object} window - {minX, minY, maxX, maxY}
+   * @returns {Number} - Bitwise OR of the OUTCODES flags
+   */
+  computeOutcode(point, window) {
+    const { LEFT, RIGHT, BOTTOM, TOP, INSIDE } = CohenSutherland.OUTCODES;
+    let code = INSIDE;
+
+    if (point.x < window.minX) code |= LEFT;
+    else if (point.x > window.maxX) code |= RIGHT;
+
+    if (point.y < window.minY) code |= TOP;
+    else if (point.y > window.maxY) code |= BOTTOM;
+
+    return code;
+  }
+
+  /**
+   * Format an outcode as the textbook 4-bit string (TBRL)
+   * @param {Number} code - The outcode
+   * @returns {String} - e.g. "1001"
+   */
+  formatOutcode(code) {
+    return code.toString(2).padStart(4, '0');
+  }
+
+  /**
+   * Get the window side corresponding to one outcode bit, as an edge
+   * @param {Number} bit - One of the OUTCODES flags
+   * @param {Object} window - {minX, minY, maxX, maxY}
+   * @returns {Object} - {name, start, end}
+   */
+  getBoundary(bit, window) {
+    const { LEFT, RIGHT, BOTTOM } = CohenSutherland.OUTCODES;
+    if (bit === LEFT) {
+      return { name: `left boundary x = ${window.minX.toFixed(1)}`, start: { x: window.minX, y: window.minY }, end: { x: window.minX, y: window.maxY } };
+    }
+    if (bit === RIGHT) {
+      return { name: `right boundary x = ${window.maxX.toFixed(1)}`, start: { x: window.maxX, y: window.minY }, end: { x: window.maxX, y: window.maxY } };
+    }
+    if (bit === BOTTOM) {
+      return { name: `bottom boundary y = ${window.maxY.toFixed(1)}`, start: { x: window.minX, y: window.maxY }, end: { x: window.maxX, y: window.maxY } };
+    }
+    return { name: `top boundary y = ${window.minY.toFixed(1)}`, start: { x: window.minX, y: window.minY }, end: { x: window.maxX, y: window.minY } };
+  }
+
+  /**
+   * Record a step for the current line
+   * @param {Object} details - Step specific fields
+   * @param {Object} context - {lineIndex, originalLine, window, accepted}
+   */
+  addStep(details, context) {
+    if (!this.recordSteps) return;
+    this.steps.push(Object.assign({
+      phase: 'outcodes',
+      line: null,
+      originalLine: JSON.parse(JSON.stringify(context.originalLine)),
+      window: {...context.window},
+      inputPolygon: [],
+      outputPolygon: [],
+      intersections: [],
+      actions: [],
+      outputLines: JSON.parse(JSON.stringify(context.accepted))
+    }, details));
+  }
+
+  /**
+   * Clip one segment against the window
+   * @param {Object} line - {start, end}
+   * @param {Object} context - {lineIndex, originalLine, window, accepted}
+   * @returns {Object|null} - The visible part of the segment, or null
+   */
+  clipLine(line, context) {
+    const { window, lineIndex } = context;
+    const label = `Line ${lineIndex + 1}`;
+    let p0 = {...line.start};
+    let p1 = {...line.end};
+
+    // Every iteration moves one endpoint onto a boundary, so four iterations per end suffice
+    for (let iteration = 0; iteration < 8; iteration++) {
+      const code0 = this.computeOutcode(p0, window);
+      const code1 = this.computeOutcode(p1, window);
+      const outcodes = { start: this.formatOutcode(code0), end: this.formatOutcode(code1) };
+
+      this.addStep({
+        description: `${label}: outcodes ${outcodes.start} and ${outcodes.end}`,
+        line: { start: {...p0}, end: {...p1} },
+        outcodes
+      }, context);
+
+      if ((code0 | code1) === 0) {
+        const visible = { start: p0, end: p1 };
+        context.accepted.push(visible);
+        this.addStep({
+          phase: 'accept',
+          description: `${label}: both outcodes are 0000, trivially accept`,
+          line: JSON.parse(JSON.stringify(visible)),
+          outcodes,
+          actions: [{ type: 'ACCEPT_LINE', vertex: {...p0}, reason: 'Both endpoints inside the window' }]
+        }, context);
+        return visible;
+      }
+
+      if ((code0 & code1) !== 0) {
+        this.addStep({
+          phase: 'reject',
+          description: `${label}: outcodes share a bit (${this.formatOutcode(code0 & code1)}), trivially reject`,
+          line: { start: {...p0}, end: {...p1} },
+          outcodes,
+          actions: [{ type: 'REJECT_LINE', vertex: {...p0}, reason: 'Both endpoints outside the same boundary' }]
+        }, context);
+        return null;
+      }
+
+      // Move the outside endpoint to the first boundary it violates
+      const outsideCode = code0 !== 0 ? code0 : code1;
+      const { LEFT, RIGHT, BOTTOM, TOP } = CohenSutherland.OUTCODES;
+      const bit = [TOP, BOTTOM, RIGHT, LEFT].find(flag => outsideCode & flag);
+      const boundary = this.getBoundary(bit, window);
+      const dx = p1.x - p0.x;
+      const dy = p1.y - p0.y;
+      let point;
+
+      if (bit === TOP || bit === BOTTOM) {
+        const y = bit === TOP ? window.minY : window.maxY;
+        point = { x: p0.x + dx * (y - p0.y) / dy, y };
+      } else {
+        const x = bit === LEFT ? window.minX : window.maxX;
+        point = { x, y: p0.y + dy * (x - p0.x) / dx };
+      }
+
+      if (outsideCode === code0) {
+        p0 = point;
+      } else {
+        p1 = point;
+      }
+
+      this.addStep({
+        phase: 'boundary',
+        description: `${label}: clip ${outsideCode === code0 ? 'start' : 'end'} point (${this.formatOutcode(outsideCode)}) against the ${boundary.name}`,
+        clipEdge: { start: boundary.start, end: boundary.end },
+        line: { start: {...p0}, end: {...p1} },
+        outcodes,
+        intersections: [{...point}],
+        actions: [{ type: 'ADD_INTERSECTION', vertex: {...point}, reason: `Endpoint moved onto the ${boundary.name}` }]
+      }, context);
+    }
+
+    return null;
+  }
+
+  /**
+   * Clip a set of line segments against the clipping polygon's window
+   * @param {Array} lines - Array of {start, end} segments
+   * @param {Array} clipPolygon - Array of points; its bounding box is the window
+   * @returns {Array} - The visible segments
+   */
+  clip(lines, clipPolygon) {
+    // Reset steps for animation
+    this.clearSteps();
+
+    if (!lines || !clipPolygon || lines.length === 0 || clipPolygon.length < 3) {
+      return [];
+    }
+
+    const window = GeometryUtils.boundingBox(clipPolygon);
+    const accepted = [];
+
+    if (!GeometryUtils.isAxisAlignedRectangle(clipPolygon)) {
+      if (this.recordSteps) {
+        this.steps.push({
+          phase: 'window',
+          description: 'Clipping polygon is not an axis-aligned rectangle: using its bounding box as the window',
+          window: {...window},
+          inputPolygon: [],
+          outputPolygon: [],
+          intersections: [],
+          actions: [],
+          outputLines: []
+        });
+      }
+    }
+
+    lines.forEach((line, lineIndex) => {
+      this.clipLine(line, { lineIndex, originalLine: line, window, accepted });
+    });
+
+    return accepted;
+  }
+}
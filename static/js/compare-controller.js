@@ -0,0 +1,614 @@
+/**
+ * Compare Mode
+ *
+ * This file runs a second clipper next to the main one. A mirror
+ * CanvasManager on the right shows the same polygons and view as the
+ * editable canvas, a second AnimationController plays back its own steps,
+ * and one shared clock moves both playbacks in lock-step, a clipper step at
+ * a time. Once both have their final result, the areas covered by only one
+ * of them are shaded and the results are compared in the Compare tab.
+ */
+
+class CompareController {
+  /**
+   * @param {AnimationController} primary - Controller of the editable view, on the left
+   * @param {Object} clippers - The app's clippers by algorithm; the right view gets its own
+   *                            instances and copies their settings before every run
+   */
+  constructor(primary, clippers) {
+    this.primary = primary;
+    this.sourceClippers = clippers;
+    this.clippers = {};
+    Object.entries(clippers).forEach(([algorithm, clipper]) => {
+      this.clippers[algorithm] = new clipper.constructor();
+    });
+    this.algorithm = 'weiler-atherton';
+    this.active = false;
+    this.showDiff = true;
+    this.timeline = null; // Shared clock: one segment per step of the longer playback
+    this.unitTween = null; // Tween playing a single segment on Next Step
+    this.segments = []; // {start, duration} of every segment in seconds
+    this.spans = [[], []]; // getStepSpans() of the left and right controller
+    this.currentSegmentIndex = -1;
+    this.compared = false; // Whether the diff and the Compare tab show the current results
+
+    this.pane = document.getElementById('comparePane');
+    this.tab = document.querySelector('[data-tab="compare"]');
+    this.summaryElement = document.getElementById('compare-summary');
+    this.canvasManager = new CanvasManager('compareCanvas', { source: primary.canvasManager });
+    this.secondary = new AnimationController(this.canvasManager, this.clippers[this.algorithm], {
+      indicatorId: 'compare-step-indicator',
+      messageId: 'compare-current-step',
+      controlsTransport: false
+    });
+
+    // Any edit, and anything that resets the main playback, makes the comparison stale
+    ['historyChanged', 'polygonEdited'].forEach(type => {
+      document.addEventListener(type, () => this.invalidate());
+    });
+    document.addEventListener('playbackReset', (e) => {
+      if (e.detail.controller === this.primary) {
+        this.invalidate();
+      }
+    });
+    document.addEventListener('viewChanged', () => this.redraw());
+    window.addEventListener('resize', () => {
+      if (this.active) {
+        this.canvasManager.resize();
+        this.redraw();
+      }
+    });
+  }
+
+  /**
+   * Both controllers, left first
+   * @returns {Array} - [primary, secondary]
+   */
+  get controllers() {
+    return [this.primary, this.secondary];
+  }
+
+  /**
+   * Show or hide the second view. While it is shown, this controller drives the transport bar.
+   * @param {Boolean} active - Whether compare mode is on
+   */
+  setActive(active) {
+    if (!active) {
+      this.invalidate();
+      this.primary.clipEdgeStart = 0;
+      if (this.tab.classList.contains('active')) {
+        this.primary.canvasManager.showResultTab();
+      }
+    }
+
+    this.active = active;
+    this.pane.hidden = !active;
+    this.tab.hidden = !active;
+    this.primary.controlsTransport = !active;
+
+    // Both views start without a result, then share the width of the canvas area
+    this.primary.canvasManager.restoreResult([]);
+    this.primary.canvasManager.updateCoordinateDisplay();
+    this.primary.canvasManager.resize();
+    if (active) {
+      this.canvasManager.resize();
+    }
+    this.primary.reset();
+    this.primary.canvasManager.fitToContent();
+  }
+
+  /**
+   * Choose the algorithm of the right view
+   * @param {String} algorithm - Key of the clippers object
+   */
+  setAlgorithm(algorithm) {
+    this.algorithm = algorithm;
+    this.secondary.setClipper(this.clippers[algorithm]);
+    this.invalidate();
+  }
+
+  /**
+   * Choose the clipping polygon vertex whose edge one of the views clips against first
+   * @param {String} side - "left" or "right"
+   * @param {Number} index - Zero-based vertex index
+   */
+  setClipEdgeStart(side, index) {
+    const controller = side === 'left' ? this.primary : this.secondary;
+    controller.clipEdgeStart = index;
+    controller.reset();
+    this.invalidate();
+  }
+
+  /**
+   * Show or hide the shading of the areas where the two results differ
+   * @param {Boolean} enabled - Whether the diff is drawn
+   */
+  setShowDiff(enabled) {
+    this.showDiff = enabled;
+    if (this.compared) {
+      this.clearComparison();
+      this.showComparison(false);
+    }
+  }
+
+  /**
+   * Copy the settings of the app's clippers to the right view's clippers, so
+   * that only the algorithm and the first clip edge differ between the views
+   */
+  syncSettings() {
+    this.clippers['greiner-hormann'].setOperation(this.sourceClippers['greiner-hormann'].operation);
+    this.clippers['sutherland-hodgman'].cleanupOutput = this.sourceClippers['sutherland-hodgman'].cleanupOutput;
+    this.clippers['sutherland-hodgman'].setEpsilon(this.sourceClippers['sutherland-hodgman'].epsilon);
+    this.secondary.vertexDetailMode = this.primary.vertexDetailMode;
+    this.secondary.playbackSpeed = this.primary.playbackSpeed;
+  }
+
+  /**
+   * Drop both playbacks and the comparison after the input or a setting changed
+   */
+  invalidate() {
+    if (!this.active) return;
+
+    this.stopClock();
+    this.secondary.reset();
+    this.canvasManager.restoreResult([]);
+    this.clearComparison();
+    this.canvasManager.render();
+    this.summaryElement.innerHTML = '<p class="empty-state">Run clipping to compare the results</p>';
+  }
+
+  /**
+   * Redraw the right view, e.g. after the shared view was zoomed or panned
+   */
+  redraw() {
+    if (this.active) {
+      this.redrawView(this.secondary);
+    }
+  }
+
+  /**
+   * Redraw a view: the playback frame under its playhead, or the plain scene without one
+   * @param {AnimationController} controller - Controller of the view
+   */
+  redrawView(controller) {
+    if (controller.timeline && controller.currentFrameIndex >= 0) {
+      controller.redrawCurrentFrame();
+    } else {
+      controller.canvasManager.render();
+    }
+  }
+
+  /**
+   * Clip with both views and start the lock-step playback
+   */
+  run() {
+    this.syncSettings();
+    this.stopClock();
+    this.clearComparison();
+
+    // Both indicators say why when the input is incomplete
+    const ready = this.controllers.map(controller => controller.prepareClipping());
+    if (!ready.every(Boolean)) {
+      return;
+    }
+    this.buildClock();
+
+    if (this.primary.stepByStepMode) {
+      this.controllers.forEach(controller => controller.updateStepIndicator('Step 1: Ready to start clipping'));
+      return;
+    }
+    this.controllers.forEach(controller => controller.announceStart());
+    this.timeline.play(0);
+  }
+
+  /**
+   * Re-run both clippers at once on the current input and compare the results.
+   * Used while polygons are edited, after the main view ran its live clipping.
+   * @param {Boolean} announce - Whether to summarize the result in the step indicator
+   */
+  runLiveClipping(announce = false) {
+    this.syncSettings();
+    this.stopClock();
+    this.clearComparison();
+    this.secondary.runLiveClipping(announce);
+    this.showComparison(false);
+  }
+
+  /**
+   * Build the shared clock. Segment k plays step k of both playbacks and
+   * lasts as long as the longer of the two; the view with fewer steps
+   * holds its final result until the other one has caught up.
+   */
+  buildClock() {
+    this.spans = this.controllers.map(controller => controller.getStepSpans());
+    this.segments = [];
+    let time = 0;
+    const count = Math.max(...this.spans.map(spans => spans.length));
+    for (let i = 0; i < count; i++) {
+      const duration = Math.max(...this.spans
+        .filter(spans => i < spans.length)
+        .map(spans => spans[i].end - spans[i].start));
+      this.segments.push({ start: time, duration });
+      time += duration;
+    }
+    this.currentSegmentIndex = -1;
+
+    // Like the controllers' own timelines: a placeholder tween for the length, onUpdate does the drawing
+    this.timeline = gsap.timeline({
+      paused: true,
+      onUpdate: () => this.renderAt(this.timeline.time()),
+      onComplete: () => this.updateTransportState()
+    });
+    this.timeline.to({}, { duration: time });
+    this.timeline.timeScale(this.primary.playbackSpeed);
+
+    this.populateJumpList();
+    this.updateTransportState();
+  }
+
+  /**
+   * Stop the shared clock and forget its segments
+   */
+  stopClock() {
+    this.stopUnitTween();
+    if (this.timeline) {
+      this.timeline.kill();
+    }
+    this.timeline = null;
+    this.segments = [];
+    this.currentSegmentIndex = -1;
+    this.updateTransportState();
+  }
+
+  /**
+   * Move both playbacks to a position of the shared clock
+   * @param {Number} time - Clock time in seconds
+   */
+  renderAt(time) {
+    let index = this.segments.length - 1;
+    for (let i = 0; i < this.segments.length; i++) {
+      if (time < this.segments[i].start + this.segments[i].duration) {
+        index = i;
+        break;
+      }
+    }
+
+    // The same fraction of the segment in each playback's own step
+    const segment = this.segments[index];
+    const fraction = Math.min(1, Math.max(0, (time - segment.start) / segment.duration));
+    this.controllers.forEach((controller, side) => {
+      const spans = this.spans[side];
+      const span = spans[Math.min(index, spans.length - 1)];
+      controller.seek(index < spans.length ? span.start + fraction * (span.end - span.start) : span.end);
+    });
+
+    // The results are only compared once both are final
+    if (index !== this.currentSegmentIndex) {
+      this.currentSegmentIndex = index;
+      if (index === this.segments.length - 1) {
+        this.showComparison(true);
+      } else {
+        this.clearComparison();
+      }
+    }
+    this.updateTransportState();
+  }
+
+  /**
+   * Stop a segment being played by Next Step
+   */
+  stopUnitTween() {
+    if (this.unitTween) {
+      this.unitTween.kill();
+      this.unitTween = null;
+    }
+  }
+
+  /**
+   * Pause and move the shared clock
+   * @param {Number} time - Clock time in seconds
+   */
+  seek(time) {
+    if (!this.timeline) return;
+
+    this.stopUnitTween();
+    this.timeline.pause(time);
+    this.renderAt(this.timeline.time());
+  }
+
+  /**
+   * Time just before the end of a segment, where both views show the last frame of their step
+   * @param {Number} index - Index into this.segments
+   * @returns {Number} - Clock time in seconds
+   */
+  segmentEnd(index) {
+    const segment = this.segments[index];
+    return segment.start + segment.duration * 0.999;
+  }
+
+  /**
+   * Play a single segment, then stop at its end
+   * @param {Number} index - Index into this.segments
+   */
+  playSegment(index) {
+    const end = this.segmentEnd(index);
+    this.seek(this.segments[index].start);
+    this.unitTween = this.timeline.tweenFromTo(this.segments[index].start, end, {
+      onUpdate: () => this.renderAt(this.timeline.time()),
+      onComplete: () => {
+        this.unitTween = null;
+        this.seek(end);
+      }
+    });
+  }
+
+  /**
+   * Play or pause both playbacks, restarting them if they already finished
+   */
+  togglePlayback() {
+    if (!this.timeline) return;
+
+    this.stopUnitTween();
+    if (this.timeline.isActive()) {
+      this.timeline.pause();
+    } else if (this.timeline.progress() >= 1) {
+      this.timeline.restart();
+    } else {
+      this.timeline.play();
+    }
+    this.updateTransportState();
+  }
+
+  /**
+   * Advance both views by one step
+   */
+  nextStep() {
+    if (!this.timeline) return;
+
+    const next = this.currentSegmentIndex + 1;
+    if (next < this.segments.length) {
+      this.playSegment(next);
+    }
+  }
+
+  /**
+   * Go back to the completed state of the previous step in both views
+   */
+  previousStep() {
+    if (!this.timeline) return;
+
+    const previous = this.currentSegmentIndex - 1;
+    if (previous < 0) {
+      this.seek(0);
+      return;
+    }
+    this.seek(this.segmentEnd(previous));
+  }
+
+  /**
+   * Jump to the start of a segment
+   * @param {Number} index - Index into this.segments, as listed in the jump list
+   */
+  jumpToStep(index) {
+    if (this.segments[index]) {
+      this.seek(this.segments[index].start);
+    }
+  }
+
+  /**
+   * Move the shared clock to a fraction of the whole playback
+   * @param {Number} progress - Value between 0 and 1
+   */
+  scrubTo(progress) {
+    if (!this.timeline) return;
+    this.seek(progress * this.timeline.duration());
+  }
+
+  /**
+   * Change the playback speed multiplier of both views
+   * @param {Number} speed - e.g. 0.5 for half speed, 2 for double speed
+   */
+  setPlaybackSpeed(speed) {
+    this.controllers.forEach(controller => controller.setPlaybackSpeed(speed));
+    if (this.timeline) {
+      this.timeline.timeScale(speed);
+    }
+  }
+
+  /**
+   * Toggle step-by-step mode, pausing the lock-step playback when it is turned on
+   * @param {Boolean} enabled - Whether step-by-step mode is enabled
+   */
+  setStepByStepMode(enabled) {
+    this.primary.setStepByStepMode(enabled);
+    if (enabled && this.timeline) {
+      this.stopUnitTween();
+      this.timeline.pause();
+    }
+    this.updateTransportState();
+  }
+
+  /**
+   * Toggle per-vertex playback in both views, rebuilding the shared clock from the start
+   * @param {Boolean} enabled - Whether vertex detail mode is enabled
+   */
+  setVertexDetailMode(enabled) {
+    const playing = this.timeline !== null;
+    this.controllers.forEach(controller => controller.setVertexDetailMode(enabled));
+    if (playing) {
+      this.stopClock();
+      this.clearComparison();
+      this.buildClock();
+    }
+  }
+
+  /**
+   * Fill the jump list with one entry per segment, naming the step of each view
+   */
+  populateJumpList() {
+    const jumpList = document.getElementById('jumpToStep');
+    if (!jumpList) return;
+
+    const label = (side, index) => {
+      const span = this.spans[side][index];
+      if (!span || span.final) {
+        return 'Result';
+      }
+      const step = this.controllers[side].clipper.getStep(span.stepIndex);
+      return step.description || `Clip edge ${span.stepIndex + 1}`;
+    };
+    let html = '<option value="" disabled selected>Jump to…</option>';
+    this.segments.forEach((segment, i) => {
+      html += `<option value="${i}">${i + 1}. ${label(0, i)} | ${label(1, i)}</option>`;
+    });
+    jumpList.innerHTML = html;
+  }
+
+  /**
+   * Sync the transport bar with the shared clock
+   */
+  updateTransportState() {
+    if (!this.active) return;
+
+    const hasTimeline = this.timeline !== null;
+    const playing = hasTimeline && this.timeline.isActive();
+
+    const prevBtn = document.getElementById('prevStep');
+    const nextBtn = document.getElementById('nextStep');
+    const playBtn = document.getElementById('playPause');
+    const scrubber = document.getElementById('timelineScrubber');
+    const jumpList = document.getElementById('jumpToStep');
+
+    nextBtn.disabled = !hasTimeline || this.currentSegmentIndex >= this.segments.length - 1;
+    prevBtn.disabled = !hasTimeline || this.timeline.time() <= 0;
+    playBtn.disabled = !hasTimeline;
+    playBtn.textContent = playing ? 'Pause' : 'Play';
+    scrubber.disabled = !hasTimeline;
+    scrubber.value = hasTimeline ? Math.round(this.timeline.progress() * 1000) : 0;
+    jumpList.disabled = !hasTimeline;
+    if (hasTimeline && this.currentSegmentIndex >= 0) {
+      jumpList.value = String(this.currentSegmentIndex);
+    }
+  }
+
+  /**
+   * Shade the differences between the two final results and fill the Compare tab
+   * @param {Boolean} showTab - Whether to switch to the Compare tab
+   */
+  showComparison(showTab) {
+    const lines = this.controllers.map(controller => controller.isLineClipper());
+    const canDiff = this.showDiff && !lines[0] && !lines[1];
+    const views = this.controllers.map(controller => controller.canvasManager);
+    views.forEach((view, side) => {
+      view.compareRings = canDiff ? views[1 - side].getValidResultRings() : null;
+      view.drawResultDiff();
+    });
+
+    this.summaryElement.innerHTML = this.describeComparison(lines);
+    this.compared = true;
+    if (showTab) {
+      this.primary.canvasManager.showDataTab('compare');
+    }
+  }
+
+  /**
+   * Remove the diff shading from both views
+   */
+  clearComparison() {
+    this.compared = false;
+    this.controllers.forEach(controller => {
+      if (controller.canvasManager.compareRings) {
+        controller.canvasManager.compareRings = null;
+        this.redrawView(controller);
+      }
+    });
+  }
+
+  /**
+   * Measure a view's final result. The even-odd area is only right for
+   * rings that do not cross, which every clipper and operation now returns
+   * (the multi-ring xor included), so both views are measured the same way.
+   * @param {AnimationController} controller - Controller of the view
+   * @returns {Object} - {count, vertices, area} for polygons, {count, length} for line segments
+   */
+  measureResult(controller) {
+    const view = controller.canvasManager;
+    if (controller.isLineClipper()) {
+      return {
+        count: view.resultLines.length,
+        length: view.resultLines.reduce((sum, line) => sum + view.getDistance(line.start, line.end), 0)
+      };
+    }
+    const rings = view.getValidResultRings();
+    return {
+      count: rings.length,
+      vertices: rings.reduce((sum, ring) => sum + ring.length, 0),
+      area: GeometryUtils.evenOddArea(rings)
+    };
+  }
+
+  /**
+   * Build the Compare tab: one column per view and a verdict on the areas
+   * @param {Array} lines - Whether each view runs a line clipper
+   * @returns {String} - HTML
+   */
+  describeComparison(lines) {
+    const results = this.controllers.map(controller => this.measureResult(controller));
+    const row = (label, values) => `<tr><td>${label}</td>${values.map(value => `<td>${value}</td>`).join('')}</tr>`;
+    const valueOf = (key, format) => results.map(result => (key in result ? format(result[key]) : '–'));
+
+    let html = '<table class="compare-table"><tr><th></th><th>Left</th><th>Right</th></tr>';
+    html += row('Algorithm', this.controllers.map(controller => controller.clipper.name));
+    html += row('First clip edge', this.controllers.map(controller =>
+      controller.clipEdgeStart % Math.max(1, controller.canvasManager.clippingPolygon.length) + 1));
+    html += row('Result', results.map((result, side) =>
+      (lines[side] ? `${result.count} segment(s)` : `${result.count} polygon(s)`)));
+    if (!lines[0] || !lines[1]) {
+      html += row('Vertices', valueOf('vertices', value => value));
+      html += row('Area', valueOf('area', value => value.toFixed(2)));
+    }
+    if (lines[0] || lines[1]) {
+      html += row('Visible length', valueOf('length', value => value.toFixed(2)));
+    }
+    html += '</table>';
+
+    let verdict;
+    if (lines[0] || lines[1]) {
+      verdict = lines[0] && lines[1]
+        ? this.compareValues(results[0].length, results[1].length, 'Visible lengths')
+        : 'A polygon result and a line result cannot be compared';
+    } else {
+      verdict = this.compareValues(results[0].area, results[1].area, 'Areas');
+    }
+    html += `<p class="compare-verdict">${verdict}`;
+    if (this.showDiff && !lines[0] && !lines[1]) {
+      html += '<br><span class="compare-legend own"></span>Only in this view\'s result' +
+        '<span class="compare-legend other"></span>Only in the other view\'s result';
+    }
+    html += '</p>';
+
+    this.controllers.forEach((controller, side) => {
+      const warning = controller.getClipperWarning();
+      if (warning) {
+        html += `<p class="empty-state warning">${side === 0 ? 'Left' : 'Right'}: ${warning}</p>`;
+      }
+    });
+    return html;
+  }
+
+  /**
+   * Say whether two measures agree, and by how much they differ if not
+   * @param {Number} left - Measure of the left result
+   * @param {Number} right - Measure of the right result
+   * @param {String} name - Plural name of the measure, e.g. "Areas"
+   * @returns {String} - Verdict sentence
+   */
+  compareValues(left, right, name) {
+    const difference = Math.abs(left - right);
+    const larger = Math.max(Math.abs(left), Math.abs(right));
+    if (difference <= 1e-6 * Math.max(1, larger)) {
+      return `${name} are equal`;
+    }
+    return `${name} differ by ${difference.toFixed(2)} (${(difference / larger * 100).toFixed(1)}% of the larger)`;
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Clipping Core Globals
+ *
+ * The UI scripts are classic scripts that use the geometry core as globals.
+ * This module loads the core and puts every export on window. Module scripts
+ * run before DOMContentLoaded, so the core is in place by the time script.js
+ * builds the app.
+ */
+
+import * as core from './clipping-core.js';
+
+Object.assign(window, core);
@@ -0,0 +1,155 @@
+/**
+ * Cyrus-Beck Line Clipping Algorithm Implementation
+ *
+ * This file contains the implementation of the Cyrus-Beck algorithm, which
+ * clips parametric line segments against any convex clipping polygon using
+ * the inward normal of each clip edge.
+ */
+
+import { GeometryUtils } from './geometry-utils.js';
+import { StepRecorder } from './step-recorder.js';
+
+export class CyrusBeck extends StepRecorder {
+  constructor() {
+    super();
+    this.name = 'Cyrus-Beck';
+    this.subjectType = 'lines';
+    this.requiresConvexClipper = true; // Each clip edge is treated as a half-plane
+  }
+
+  /**
+   * Evaluate the parametric line at t
+   * @param {Object} line - {start, end}
+   * @param {Number} t - Parameter in [0, 1]
+   * @returns {Object} - The point P(t)
+   */
+  pointAt(line, t) {
+    return {
+      x: line.start.x + t * (line.end.x - line.start.x),
+      y: line.start.y + t * (line.end.y - line.start.y)
+    };
+  }
+
+  /**
+   * Clip one segment against every edge of the convex clipper
+   * @param {Object} line - {start, end}
+   * @param {Number} lineIndex - Index of the line, for step descriptions
+   * @param {Array} clipper - Clipper polygon with positive signed area
+   * @param {Array} accepted - Visible segments found so far (appended to)
+   * @returns {Object|null} - The visible part of the segment, or null
+   */
+  clipLine(line, lineIndex, clipper, accepted) {
+    const label = `Line ${lineIndex + 1}`;
+    const direction = { x: line.end.x - line.start.x, y: line.end.y - line.start.y };
+    let tEnter = 0;
+    let tLeave = 1;
+
+    const addStep = (details) => {
+      if (!this.recordSteps) return;
+      this.steps.push(Object.assign({
+        phase: 'boundary',
+        line: JSON.parse(JSON.stringify(line)),
+        originalLine: JSON.parse(JSON.stringify(line)),
+        tInterval: { tEnter, tLeave },
+        inputPolygon: [],
+        outputPolygon: [],
+        intersections: [],
+        actions: [],
+        outputLines: JSON.parse(JSON.stringify(accepted))
+      }, details));
+    };
+
+    for (let i = 0; i < clipper.length; i++) {
+      const edgeStart = clipper[i];
+      const edgeEnd = clipper[(i + 1) % clipper.length];
+      const edge = { start: {...edgeStart}, end: {...edgeEnd} };
+
+      // Inside is on the left of the directed edge, so (-ey, ex) points inwards
+      const normal = { x: -(edgeEnd.y - edgeStart.y), y: edgeEnd.x - edgeStart.x };
+      const numerator = normal.x * (line.start.x - edgeStart.x) + normal.y * (line.start.y - edgeStart.y);
+      const denominator = normal.x * direction.x + normal.y * direction.y;
+
+      if (denominator === 0) {
+        if (numerator < 0) {
+          addStep({
+            phase: 'reject',
+            description: `${label}: parallel to clip edge ${i + 1} and outside it, reject`,
+            clipEdge: edge,
+            actions: [{ type: 'REJECT_LINE', vertex: {...line.start}, reason: `Parallel and outside clip edge ${i + 1}` }]
+          });
+          return null;
+        }
+        addStep({
+          description: `${label}: parallel to clip edge ${i + 1} and inside it, t-interval unchanged`,
+          clipEdge: edge
+        });
+        continue;
+      }
+
+      const t = -numerator / denominator;
+      const entering = denominator > 0;
+      if (entering) {
+        tEnter = Math.max(tEnter, t);
+      } else {
+        tLeave = Math.min(tLeave, t);
+      }
+
+      const crossing = t >= 0 && t <= 1 ? [this.pointAt(line, t)] : [];
+      addStep({
+        description: `${label}: clip edge ${i + 1} N·D = ${denominator.toFixed(1)}, t = ${t.toFixed(3)} (${entering ? 'entering' : 'leaving'}) → [${tEnter.toFixed(3)}, ${tLeave.toFixed(3)}]`,
+        clipEdge: edge,
+        intersections: crossing,
+        actions: crossing.map(vertex => ({
+          type: 'ADD_INTERSECTION',
+          vertex,
+          reason: entering ? `Potentially entering at t = ${t.toFixed(3)}` : `Potentially leaving at t = ${t.toFixed(3)}`
+        }))
+      });
+
+      if (tEnter > tLeave) {
+        addStep({
+          phase: 'reject',
+          description: `${label}: tEnter ${tEnter.toFixed(3)} > tLeave ${tLeave.toFixed(3)}, reject`,
+          actions: [{ type: 'REJECT_LINE', vertex: {...line.start}, reason: 'Empty t-interval' }]
+        });
+        return null;
+      }
+    }
+
+    const visible = { start: this.pointAt(line, tEnter), end: this.pointAt(line, tLeave) };
+    accepted.push(visible);
+    addStep({
+      phase: 'accept',
+      description: `${label}: visible for t in [${tEnter.toFixed(3)}, ${tLeave.toFixed(3)}], accept`,
+      line: JSON.parse(JSON.stringify(visible)),
+      intersections: [visible.start, visible.end],
+      actions: [{ type: 'ACCEPT_LINE', vertex: {...visible.start}, reason: 'Non-empty t-interval' }],
+      outputLines: JSON.parse(JSON.stringify(accepted))
+    });
+    return visible;
+  }
+
+  /**
+   * Clip a set of line segments against a convex clipping polygon
+   * @param {Array} lines - Array of {start, end} segments
+   * @param {Array} clipPolygon - Array of points of a convex polygon
+   * @returns {Array} - The visible segments
+   */
+  clip(lines, clipPolygon) {
+    // Reset steps for animation
+    this.clearSteps();
+
+    if (!lines || !clipPolygon || lines.length === 0 || clipPolygon.length < 3) {
+      return [];
+    }
+
+    const clipper = GeometryUtils.orientPositive(clipPolygon);
+    const accepted = [];
+
+    lines.forEach((line, lineIndex) => {
+      this.clipLine(line, lineIndex, clipper, accepted);
+    });
+
+    return accepted;
+  }
+}
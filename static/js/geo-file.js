@@ -0,0 +1,449 @@
+/**
+ * GeoJSON and WKT Interchange
+ *
+ * This file reads map polygons from GeoJSON and WKT, projects their
+ * longitude/latitude coordinates onto the canvas, and writes canvas
+ * polygons back out through the inverse of the same projection.
+ */
+
+import { GeometryUtils } from './geometry-utils.js';
+
+export class GeoFile {
+  /**
+   * Free space kept around the imported geometry, in pixels
+   */
+  static get MARGIN() {
+    return 40;
+  }
+
+  /**
+   * Read polygons from GeoJSON or WKT text.
+   * GeoJSON features whose "role" property is "subject" or "clipping" go to
+   * that polygon; otherwise the first two polygons are used in order.
+   * Holes are kept with the polygon they belong to.
+   * @param {String} text - GeoJSON or WKT
+   * @returns {Object} - {shapes: [{role, ring, holes}], errors, warnings}; rings are [lon, lat] pairs
+   */
+  static parse(text) {
+    const trimmed = text.trim();
+    const warnings = [];
+    let shapes;
+
+    try {
+      shapes = trimmed.startsWith('{') || trimmed.startsWith('[')
+        ? GeoFile.readGeoJson(JSON.parse(trimmed), warnings)
+        : GeoFile.readWkt(trimmed, warnings);
+    } catch (error) {
+      return { shapes: [], errors: [error.message], warnings };
+    }
+
+    const invalid = shapes.filter(shape => [shape.ring, ...shape.holes].some(ring => ring.length < 3 ||
+      !ring.every(p => Number.isFinite(p[0]) && Number.isFinite(p[1]))));
+    if (invalid.length > 0) {
+      return { shapes: [], errors: [`${invalid.length} polygon(s) have fewer than 3 points or invalid coordinates`], warnings };
+    }
+    if (shapes.length === 0) {
+      return { shapes: [], errors: ['No Polygon or MultiPolygon geometry found'], warnings };
+    }
+
+    return { shapes, errors: [], warnings };
+  }
+
+  /**
+   * Collect polygons from any GeoJSON object
+   * @param {Object} data - FeatureCollection, Feature or geometry
+   * @param {Array} warnings - Collects notes about skipped content
+   * @param {String|null} role - Role inherited from the enclosing feature
+   * @returns {Array} - Array of {role, ring, holes}
+   */
+  static readGeoJson(data, warnings, role = null) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Not a GeoJSON object');
+    }
+
+    switch (data.type) {
+      case 'FeatureCollection':
+        return [].concat(...(data.features || []).map(feature => GeoFile.readGeoJson(feature, warnings)));
+      case 'Feature': {
+        const properties = data.properties || {};
+        const featureRole = ['subject', 'clipping'].includes(properties.role) ? properties.role : null;
+        return data.geometry ? GeoFile.readGeoJson(data.geometry, warnings, featureRole) : [];
+      }
+      case 'GeometryCollection':
+        return [].concat(...(data.geometries || []).map(geometry => GeoFile.readGeoJson(geometry, warnings, role)));
+      case 'Polygon':
+        return [GeoFile.polygonRings(data.coordinates, role)];
+      case 'MultiPolygon':
+        return (data.coordinates || []).map(polygon => GeoFile.polygonRings(polygon, role));
+      default:
+        warnings.push(`${data.type || 'Untyped'} geometry skipped`);
+        return [];
+    }
+  }
+
+  /**
+   * Split a polygon given as an array of rings into its outer ring and holes
+   * @param {Array} rings - Outer ring followed by holes
+   * @param {String|null} role - Role of the polygon
+   * @returns {Object} - {role, ring, holes}
+   */
+  static polygonRings(rings, role) {
+    if (!Array.isArray(rings) || !rings.every(Array.isArray) || rings.length === 0) {
+      throw new Error('Polygon coordinates must be an array of rings');
+    }
+    const [outer, ...holes] = rings.map(ring =>
+      GeoFile.dropClosingPosition(ring.map(position => [Number(position[0]), Number(position[1])])));
+    return { role, ring: outer, holes };
+  }
+
+  /**
+   * Read POLYGON, MULTIPOLYGON and GEOMETRYCOLLECTION strings, one or more
+   * per text (separated by whitespace or semicolons)
+   * @param {String} text - WKT
+   * @param {Array} warnings - Collects notes about skipped content
+   * @returns {Array} - Array of {role, ring, holes}
+   */
+  static readWkt(text, warnings) {
+    const tokens = text.toUpperCase().match(/[A-Z]+|\(|\)|,|[-+]?(?:\d*\.\d+|\d+\.?)(?:E[-+]?\d+)?/g) || [];
+    let i = 0;
+
+    const expect = (token) => {
+      if (tokens[i] !== token) {
+        throw new Error(`WKT: expected "${token}" but found "${tokens[i] || 'end of text'}"`);
+      }
+      i++;
+    };
+    // ( x y, x y, ... )
+    const readRing = () => {
+      const ring = [];
+      expect('(');
+      while (tokens[i] !== ')') {
+        if (i >= tokens.length) {
+          throw new Error('WKT: unexpected end of text in a ring');
+        }
+        const x = parseFloat(tokens[i++]);
+        const y = parseFloat(tokens[i++]);
+        // A Z or M value is skipped
+        while (tokens[i] !== ',' && tokens[i] !== ')' && i < tokens.length) i++;
+        ring.push([x, y]);
+        if (tokens[i] === ',') i++;
+      }
+      expect(')');
+      return GeoFile.dropClosingPosition(ring);
+    };
+    // ( ring, ring, ... )
+    const readPolygon = () => {
+      const rings = [];
+      expect('(');
+      rings.push(readRing());
+      while (tokens[i] === ',') {
+        i++;
+        rings.push(readRing());
+      }
+      expect(')');
+      return { role: null, ring: rings[0], holes: rings.slice(1) };
+    };
+    const readGeometry = () => {
+      const type = tokens[i++];
+      // Dimension tags such as Z, M or ZM
+      while (/^(Z|M|ZM)$/.test(tokens[i])) i++;
+      if (tokens[i] === 'EMPTY') {
+        i++;
+        return [];
+      }
+
+      switch (type) {
+        case 'POLYGON':
+          return [readPolygon()];
+        case 'MULTIPOLYGON': {
+          const polygons = [];
+          expect('(');
+          polygons.push(readPolygon());
+          while (tokens[i] === ',') {
+            i++;
+            polygons.push(readPolygon());
+          }
+          expect(')');
+          return polygons;
+        }
+        case 'GEOMETRYCOLLECTION': {
+          const shapes = [];
+          expect('(');
+          shapes.push(...readGeometry());
+          while (tokens[i] === ',') {
+            i++;
+            shapes.push(...readGeometry());
+          }
+          expect(')');
+          return shapes;
+        }
+        default: {
+          if (!/^[A-Z]+$/.test(type || '')) {
+            throw new Error('Not GeoJSON or WKT');
+          }
+          warnings.push(`${type} geometry skipped`);
+          // Skip the balanced parentheses of the unsupported geometry
+          let depth = 0;
+          do {
+            if (tokens[i] === '(') depth++;
+            if (tokens[i] === ')') depth--;
+            i++;
+          } while (depth > 0 && i < tokens.length);
+          return [];
+        }
+      }
+    };
+
+    const shapes = [];
+    while (i < tokens.length) {
+      if (tokens[i] === ',') {
+        i++;
+        continue;
+      }
+      shapes.push(...readGeometry());
+    }
+    return shapes;
+  }
+
+  /**
+   * Remove a last position that repeats the first one
+   * @param {Array} ring - Array of [x, y]
+   * @returns {Array} - Ring without the duplicate closing position
+   */
+  static dropClosingPosition(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+      return ring.slice(0, -1);
+    }
+    return ring;
+  }
+
+  /**
+   * Build the projection that fits the rings onto the canvas. Coordinates that
+   * look like longitude/latitude are stretched by cos(latitude) at the center
+   * so shapes keep their proportions; anything else is treated as planar.
+   * Latitude grows northwards, so the y axis is flipped.
+   * @param {Array} rings - Arrays of [x, y]
+   * @param {Number} width - Canvas width
+   * @param {Number} height - Canvas height
+   * @returns {Object} - Projection for project() and unproject()
+   */
+  static createProjection(rings, width, height) {
+    const positions = [].concat(...rings);
+    const minLon = Math.min(...positions.map(p => p[0]));
+    const maxLon = Math.max(...positions.map(p => p[0]));
+    const minLat = Math.min(...positions.map(p => p[1]));
+    const maxLat = Math.max(...positions.map(p => p[1]));
+
+    const geographic = minLon >= -180 && maxLon <= 180 && minLat >= -90 && maxLat <= 90;
+    const kx = geographic ? Math.max(Math.cos((minLat + maxLat) / 2 * Math.PI / 180), 0.01) : 1;
+
+    const spanX = (maxLon - minLon) * kx || 1;
+    const spanY = (maxLat - minLat) || 1;
+    const margin = Math.min(GeoFile.MARGIN, width / 4, height / 4);
+    const scale = Math.min((width - 2 * margin) / spanX, (height - 2 * margin) / spanY);
+
+    return {
+      kx,
+      minX: minLon * kx,
+      maxY: maxLat,
+      scale,
+      offsetX: (width - spanX * scale) / 2,
+      offsetY: (height - spanY * scale) / 2
+    };
+  }
+
+  /**
+   * Convert a map position to a canvas point
+   * @param {Object} projection - From createProjection()
+   * @param {Array} position - [lon, lat]
+   * @returns {Object} - Canvas point {x, y}
+   */
+  static project(projection, position) {
+    return {
+      x: projection.offsetX + (position[0] * projection.kx - projection.minX) * projection.scale,
+      y: projection.offsetY + (projection.maxY - position[1]) * projection.scale
+    };
+  }
+
+  /**
+   * Convert a canvas point back to a map position
+   * @param {Object|null} projection - From createProjection(); null keeps canvas coordinates
+   * @param {Object} point - Canvas point {x, y}
+   * @returns {Array} - [lon, lat]
+   */
+  static unproject(projection, point) {
+    if (!projection) {
+      return [point.x, point.y];
+    }
+    return [
+      ((point.x - projection.offsetX) / projection.scale + projection.minX) / projection.kx,
+      projection.maxY - (point.y - projection.offsetY) / projection.scale
+    ];
+  }
+
+  /**
+   * Turn parsed shapes into a scene for CanvasManager.loadScene().
+   * The holes of the subject and every further subject-tagged polygon become
+   * subject rings; the clipping polygon keeps only its outer ring.
+   * @param {Array} shapes - From parse()
+   * @param {Number} width - Canvas width
+   * @param {Number} height - Canvas height
+   * @returns {Object} - {scene, ignored, droppedHoles}: the scene carries its geoProjection
+   */
+  static toScene(shapes, width, height) {
+    const { subjectRings, clipping, ignored } = GeoFile.assignRoles(shapes);
+    const clippingRings = clipping ? [clipping.ring] : [];
+    const projection = GeoFile.createProjection(subjectRings.concat(clippingRings), width, height);
+    const toCanvas = (ring) => ring.map(position => GeoFile.project(projection, position));
+    const [subject = [], ...rings] = subjectRings.map(toCanvas);
+
+    return {
+      scene: {
+        subjectPolygon: subject,
+        subjectRings: rings,
+        clippingPolygon: clippingRings.length > 0 ? toCanvas(clippingRings[0]) : [],
+        geoProjection: projection
+      },
+      ignored,
+      droppedHoles: clipping ? clipping.holes.length : 0
+    };
+  }
+
+  /**
+   * Decide which parsed shapes form the subject and which one is the clipping
+   * polygon: tagged shapes go where their role says, and the first untagged
+   * ones fill whatever is still missing, subject first
+   * @param {Array} shapes - From parse()
+   * @returns {Object} - {subjectRings, clipping, ignored}: the outer rings and holes of every
+   *                     subject shape, the clipping shape or null, and the number of unused shapes
+   */
+  static assignRoles(shapes) {
+    const untagged = shapes.filter(shape => shape.role === null);
+    const subjects = shapes.filter(shape => shape.role === 'subject');
+    if (subjects.length === 0 && untagged.length > 0) {
+      subjects.push(untagged.shift());
+    }
+    const clipping = shapes.find(shape => shape.role === 'clipping') || untagged.shift() || null;
+
+    return {
+      subjectRings: [].concat(...subjects.map(shape => [shape.ring, ...shape.holes])),
+      clipping,
+      ignored: shapes.length - subjects.length - (clipping ? 1 : 0)
+    };
+  }
+
+  /**
+   * Convert a canvas ring to a closed map ring, counterclockwise for outer
+   * rings and clockwise for holes as GeoJSON (RFC 7946) expects
+   * @param {Object|null} projection - Projection of the imported scene
+   * @param {Array} polygon - Canvas points
+   * @param {Boolean} hole - Whether the ring is a hole
+   * @returns {Array} - Closed array of [lon, lat]
+   */
+  static toRing(projection, polygon, hole = false) {
+    const ring = polygon.map(point => GeoFile.unproject(projection, point).map(GeoFile.round));
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % ring.length];
+      area += a[0] * b[1] - b[0] * a[1];
+    }
+    if (hole ? area > 0 : area < 0) {
+      ring.reverse();
+    }
+    ring.push(ring[0].slice());
+    return ring;
+  }
+
+  /**
+   * Limit output precision to what the canvas can resolve
+   * @param {Number} value - Coordinate
+   * @returns {Number} - Value rounded to 7 decimals (about 1 cm in degrees)
+   */
+  static round(value) {
+    return Math.round(value * 1e7) / 1e7;
+  }
+
+  /**
+   * Build a GeoJSON geometry for a list of canvas rings read with the
+   * even-odd rule. Each hole goes to the smallest outer ring around it.
+   * @param {Object|null} projection - Projection of the imported scene
+   * @param {Array} polygons - Canvas rings
+   * @returns {Object|null} - Polygon, MultiPolygon, or null when there are no rings
+   */
+  static toGeometry(projection, polygons) {
+    const rings = polygons.filter(polygon => polygon.length >= 3);
+    const roles = GeometryUtils.classifyRings(rings);
+    const outers = rings.filter((ring, i) => roles[i] === 'outer');
+    if (outers.length === 0) {
+      return null;
+    }
+
+    const holes = outers.map(() => []);
+    rings.forEach((ring, i) => {
+      if (roles[i] !== 'hole') {
+        return;
+      }
+      let owner = -1;
+      outers.forEach((outer, j) => {
+        if (GeometryUtils.pointInPolygon(ring[0], outer) &&
+            (owner === -1 || GeometryUtils.area(outer) < GeometryUtils.area(outers[owner]))) {
+          owner = j;
+        }
+      });
+      if (owner !== -1) {
+        holes[owner].push(ring);
+      }
+    });
+
+    const coordinates = outers.map((outer, j) => [GeoFile.toRing(projection, outer)]
+      .concat(holes[j].map(hole => GeoFile.toRing(projection, hole, true))));
+    return coordinates.length === 1
+      ? { type: 'Polygon', coordinates: coordinates[0] }
+      : { type: 'MultiPolygon', coordinates };
+  }
+
+  /**
+   * Export the subject, clipping and result polygons as a GeoJSON FeatureCollection
+   * @param {CanvasManager} canvasManager - Source of the polygons and the projection
+   * @returns {String} - GeoJSON text
+   */
+  static createGeoJson(canvasManager) {
+    const projection = canvasManager.geoProjection;
+    const layers = [
+      ['subject', canvasManager.getSubjectRings()],
+      ['clipping', [canvasManager.clippingPolygon]],
+      ['result', canvasManager.resultPolygons]
+    ];
+
+    const features = layers
+      .map(([role, polygons]) => ({
+        type: 'Feature',
+        properties: { role },
+        geometry: GeoFile.toGeometry(projection, polygons)
+      }))
+      .filter(feature => feature.geometry !== null);
+
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+  }
+
+  /**
+   * Export the clipped result as WKT
+   * @param {CanvasManager} canvasManager - Source of the result and the projection
+   * @returns {String} - POLYGON, MULTIPOLYGON or "POLYGON EMPTY"
+   */
+  static createWkt(canvasManager) {
+    const geometry = GeoFile.toGeometry(canvasManager.geoProjection, canvasManager.resultPolygons);
+    const ringText = (ring) => `(${ring.map(p => `${p[0]} ${p[1]}`).join(', ')})`;
+
+    if (!geometry) {
+      return 'POLYGON EMPTY';
+    }
+    if (geometry.type === 'Polygon') {
+      return `POLYGON (${geometry.coordinates.map(ringText).join(', ')})`;
+    }
+    return `MULTIPOLYGON (${geometry.coordinates.map(polygon => `(${polygon.map(ringText).join(', ')})`).join(', ')})`;
+  }
+}
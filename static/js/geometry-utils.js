@@ -0,0 +1,688 @@
+/**
+ * Geometry Utilities
+ *
+ * This file contains small polygon helpers shared by the clipping
+ * algorithm implementations (area, orientation, containment, segment
+ * intersection).
+ *
+ * orientation() is exact: the floating-point cross product is trusted only
+ * when it is larger than its worst-case rounding error, and otherwise the
+ * determinant is evaluated again in exact integer arithmetic. The line
+ * predicates built on it take a distance tolerance, so callers decide how
+ * close to a line counts as on it.
+ */
+
+export class GeometryUtils {
+  /**
+   * Calculate the signed area of a polygon (shoelace formula)
+   * @param {Array} polygon - Array of points
+   * @returns {Number} - Positive for clockwise on screen (y-down), negative otherwise
+   */
+  static signedArea(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+      const current = polygon[i];
+      const next = polygon[(i + 1) % polygon.length];
+      area += current.x * next.y - next.x * current.y;
+    }
+    return area / 2;
+  }
+
+  /**
+   * Calculate the absolute area of a polygon
+   * @param {Array} polygon - Array of points
+   * @returns {Number} - The area
+   */
+  static area(polygon) {
+    return Math.abs(GeometryUtils.signedArea(polygon));
+  }
+
+  /**
+   * Return a copy of the polygon wound so that its signed area is positive
+   * @param {Array} polygon - Array of points
+   * @returns {Array} - Re-oriented copy of the polygon
+   */
+  static orientPositive(polygon) {
+    const copy = polygon.map(point => ({ x: point.x, y: point.y }));
+    return GeometryUtils.signedArea(copy) < 0 ? copy.reverse() : copy;
+  }
+
+  /**
+   * Check whether a point lies inside a polygon (even-odd ray casting)
+   * @param {Object} point - The point to check
+   * @param {Array} polygon - Array of points
+   * @returns {Boolean} - True if the point is inside
+   */
+  static pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Exact side of a point relative to the directed line through a and b
+   * @param {Object} a - First point of the line
+   * @param {Object} b - Second point of the line
+   * @param {Object} c - Point to classify
+   * @returns {Number} - 1 if c is on the left (positive cross product), -1 if on the right, 0 if exactly on the line
+   */
+  static orientation(a, b, c) {
+    const left = (b.x - a.x) * (c.y - a.y);
+    const right = (b.y - a.y) * (c.x - a.x);
+    const det = left - right;
+
+    // Error bound for the floating-point evaluation (Shewchuk's ccwerrboundA)
+    const bound = 3.3306690738754716e-16 * (Math.abs(left) + Math.abs(right));
+    if (Math.abs(det) > bound) {
+      return Math.sign(det);
+    }
+    return GeometryUtils.exactOrientation(a, b, c);
+  }
+
+  /**
+   * Evaluate the orientation determinant without rounding. Every double is
+   * an integer times a power of two, so after scaling all six coordinates
+   * by the smallest power the determinant is an integer computed with BigInt.
+   * @param {Object} a - First point of the line
+   * @param {Object} b - Second point of the line
+   * @param {Object} c - Point to classify
+   * @returns {Number} - 1, -1 or 0
+   */
+  static exactOrientation(a, b, c) {
+    const values = [a.x, a.y, b.x, b.y, c.x, c.y].map(GeometryUtils.splitDouble);
+    const minExponent = Math.min(...values.filter(v => v.mantissa !== 0n).map(v => v.exponent));
+    const [ax, ay, bx, by, cx, cy] = values.map(v =>
+      v.mantissa === 0n ? 0n : v.mantissa << BigInt(v.exponent - minExponent));
+
+    const det = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    return det > 0n ? 1 : (det < 0n ? -1 : 0);
+  }
+
+  /**
+   * Write a finite double as mantissa * 2^exponent with an integer mantissa
+   * @param {Number} value - Finite number
+   * @returns {Object} - {mantissa: BigInt, exponent: Number}
+   */
+  static splitDouble(value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    const high = view.getUint32(0);
+    const low = view.getUint32(4);
+
+    const biased = (high >>> 20) & 0x7ff;
+    let mantissa = (BigInt(high & 0xfffff) << 32n) | BigInt(low);
+    if (biased !== 0) {
+      mantissa |= 1n << 52n; // Implicit leading bit of normal numbers
+    }
+    if (high >>> 31) {
+      mantissa = -mantissa;
+    }
+    return { mantissa, exponent: (biased === 0 ? 1 : biased) - 1075 };
+  }
+
+  /**
+   * Side of a point relative to a directed line, with a tolerance band
+   * @param {Object} point - Point to classify
+   * @param {Object} lineStart - First point of the line
+   * @param {Object} lineEnd - Second point of the line
+   * @param {Number} epsilon - Distance from the line that still counts as on it
+   * @returns {Number} - 1 for the left side, -1 for the right side, 0 within epsilon of the line
+   */
+  static sideOfLine(point, lineStart, lineEnd, epsilon) {
+    const dx = lineEnd.x - lineStart.x;
+    const dy = lineEnd.y - lineStart.y;
+    const cross = dx * (point.y - lineStart.y) - dy * (point.x - lineStart.x);
+    if (Math.abs(cross) <= epsilon * Math.hypot(dx, dy)) {
+      return 0;
+    }
+    return GeometryUtils.orientation(lineStart, lineEnd, point);
+  }
+
+  /**
+   * Intersect a segment with an infinite line, parametrically along the segment
+   * @param {Object} s - Start point of the segment
+   * @param {Object} e - End point of the segment
+   * @param {Object} lineStart - First point of the line
+   * @param {Object} lineEnd - Second point of the line
+   * @returns {Object|null} - {x, y, t} with t in [0, 1], or null when the segment is parallel to the line
+   */
+  static lineIntersection(s, e, lineStart, lineEnd) {
+    const dx = lineEnd.x - lineStart.x;
+    const dy = lineEnd.y - lineStart.y;
+    // Signed distances of both endpoints from the line, times its length
+    const ds = dx * (s.y - lineStart.y) - dy * (s.x - lineStart.x);
+    const de = dx * (e.y - lineStart.y) - dy * (e.x - lineStart.x);
+
+    if (ds === de) {
+      return null;
+    }
+
+    const t = Math.min(Math.max(ds / (ds - de), 0), 1);
+    if (t === 0) return { x: s.x, y: s.y, t };
+    if (t === 1) return { x: e.x, y: e.y, t };
+    return { x: s.x + t * (e.x - s.x), y: s.y + t * (e.y - s.y), t };
+  }
+
+  /**
+   * Intersect two segments and report the parametric positions along both
+   * @param {Object} p1 - Start point of the first segment
+   * @param {Object} p2 - End point of the first segment
+   * @param {Object} q1 - Start point of the second segment
+   * @param {Object} q2 - End point of the second segment
+   * @returns {Object|null} - {x, y, alphaP, alphaQ} or null if they do not cross
+   */
+  static segmentIntersection(p1, p2, q1, q2) {
+    const rx = p2.x - p1.x;
+    const ry = p2.y - p1.y;
+    const sx = q2.x - q1.x;
+    const sy = q2.y - q1.y;
+    const denom = rx * sy - ry * sx;
+
+    // Parallel or coincident segments do not produce a single crossing. The
+    // cross product scales with both lengths, so the test is on the angle.
+    if (Math.abs(denom) <= 1e-10 * Math.hypot(rx, ry) * Math.hypot(sx, sy)) {
+      return null;
+    }
+
+    const qpx = q1.x - p1.x;
+    const qpy = q1.y - p1.y;
+    const alphaP = (qpx * sy - qpy * sx) / denom;
+    const alphaQ = (qpx * ry - qpy * rx) / denom;
+
+    if (alphaP < 0 || alphaP > 1 || alphaQ < 0 || alphaQ > 1) {
+      return null;
+    }
+
+    return {
+      x: p1.x + alphaP * rx,
+      y: p1.y + alphaP * ry,
+      alphaP,
+      alphaQ
+    };
+  }
+
+  /**
+   * Check whether a simple polygon is convex (all turns have the same sign)
+   * @param {Array} polygon - Array of points
+   * @returns {Boolean} - True if no turn goes against the winding direction
+   */
+  static isConvex(polygon) {
+    let sign = 0;
+    for (let i = 0; i < polygon.length; i++) {
+      const a = polygon[i];
+      const b = polygon[(i + 1) % polygon.length];
+      const c = polygon[(i + 2) % polygon.length];
+      const turn = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+
+      // Collinear vertices do not break convexity; the turn scales with both edge lengths
+      if (Math.abs(turn) <= 1e-9 * Math.hypot(b.x - a.x, b.y - a.y) * Math.hypot(c.x - b.x, c.y - b.y)) continue;
+
+      if (sign === 0) {
+        sign = Math.sign(turn);
+      } else if (Math.sign(turn) !== sign) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Find the points where two collinear segments touch or overlap: the ends
+   * of the shared stretch, or the one point they have in common
+   * @param {Object} p1 - Start point of the first segment
+   * @param {Object} p2 - End point of the first segment
+   * @param {Object} q1 - Start point of the second segment
+   * @param {Object} q2 - End point of the second segment
+   * @returns {Array} - Up to two {x, y, alphaP, alphaQ}; empty if the segments are not collinear or do not meet
+   */
+  static collinearOverlap(p1, p2, q1, q2) {
+    if (GeometryUtils.orientation(p1, p2, q1) !== 0 || GeometryUtils.orientation(p1, p2, q2) !== 0) {
+      return [];
+    }
+    // Position of a point along a segment, 0 at its start and 1 at its end
+    const along = (point, start, end) => {
+      const dx = end.x - start.x;
+      const dy = end.y - start.y;
+      const length = dx * dx + dy * dy;
+      return length === 0 ? 0 : ((point.x - start.x) * dx + (point.y - start.y) * dy) / length;
+    };
+
+    // The shared stretch is bounded by endpoints of either segment that lie on the other one
+    const contacts = [];
+    [[p1, 0, null], [p2, 1, null], [q1, null, 0], [q2, null, 1]].forEach(([point, alphaP, alphaQ]) => {
+      const contact = {
+        x: point.x,
+        y: point.y,
+        alphaP: alphaP === null ? along(point, p1, p2) : alphaP,
+        alphaQ: alphaQ === null ? along(point, q1, q2) : alphaQ
+      };
+      const onBoth = [contact.alphaP, contact.alphaQ].every(alpha => alpha >= 0 && alpha <= 1);
+      if (onBoth && !contacts.some(other => other.x === contact.x && other.y === contact.y)) {
+        contacts.push(contact);
+      }
+    });
+    return contacts;
+  }
+
+  /**
+   * Find every point where non-adjacent edges of a polygon cross or touch,
+   * including both ends of edges that overlap along a line, and where an
+   * edge folds back over its neighbour. Edges are sorted by their left end
+   * and swept over x, so each edge is only tested against the edges whose
+   * x-range is still open at its left end and whose y-range overlaps it.
+   * This prunes most pairs in drawn shapes, but it is not a Bentley-Ottmann
+   * sweep: when many edges span the same x-range, as in a comb, every pair
+   * of them is still tested.
+   * @param {Array} polygon - Array of points
+   * @returns {Array} - Crossings as {x, y, edgeA, edgeB, alphaA, alphaB}, with edgeA < edgeB;
+   *                    contacts of overlapping edges have overlap: true
+   */
+  static findSelfIntersections(polygon) {
+    const crossings = [];
+    const n = polygon.length;
+    if (n < 4) {
+      return crossings;
+    }
+
+    const edges = polygon.map((start, index) => {
+      const end = polygon[(index + 1) % n];
+      return {
+        index,
+        minX: Math.min(start.x, end.x),
+        maxX: Math.max(start.x, end.x),
+        minY: Math.min(start.y, end.y),
+        maxY: Math.max(start.y, end.y)
+      };
+    });
+    edges.sort((a, b) => a.minX - b.minX);
+
+    let active = [];
+    edges.forEach(edge => {
+      // Edges that end left of the sweep line can no longer meet anything
+      active = active.filter(other => other.maxX >= edge.minX);
+
+      active.forEach(other => {
+        if (other.maxY < edge.minY || other.minY > edge.maxY) return;
+
+        const i = Math.min(edge.index, other.index);
+        const j = Math.max(edge.index, other.index);
+        const a1 = polygon[i];
+        const a2 = polygon[(i + 1) % n];
+        const b1 = polygon[j];
+        const b2 = polygon[(j + 1) % n];
+
+        // Neighbouring edges share a vertex, so they only count when one folds back over the other
+        if (j - i === 1 || (i === 0 && j === n - 1)) {
+          const shared = j - i === 1 ? a2 : a1;
+          GeometryUtils.collinearOverlap(a1, a2, b1, b2)
+            .filter(contact => contact.x !== shared.x || contact.y !== shared.y)
+            .forEach(contact => crossings.push({
+              x: contact.x, y: contact.y, edgeA: i, edgeB: j, alphaA: contact.alphaP, alphaB: contact.alphaQ, overlap: true
+            }));
+          return;
+        }
+
+        const hit = GeometryUtils.segmentIntersection(a1, a2, b1, b2);
+        if (hit) {
+          crossings.push({ x: hit.x, y: hit.y, edgeA: i, edgeB: j, alphaA: hit.alphaP, alphaB: hit.alphaQ });
+          return;
+        }
+        // Parallel edges have no single crossing, but may lie on top of each other
+        GeometryUtils.collinearOverlap(a1, a2, b1, b2).forEach(contact => crossings.push({
+          x: contact.x, y: contact.y, edgeA: i, edgeB: j, alphaA: contact.alphaP, alphaB: contact.alphaQ, overlap: true
+        }));
+      });
+      active.push(edge);
+    });
+
+    return crossings.sort((a, b) => a.edgeA - b.edgeA || a.edgeB - b.edgeB || a.alphaA - b.alphaA);
+  }
+
+  /**
+   * Split a polygon with crossing edges into simple polygons. Every crossing
+   * is inserted as a vertex on both of its edges; walking the outline, each
+   * time the walk returns to a point it already passed, the loop since then
+   * is cut off as a polygon of its own.
+   * @param {Array} polygon - Array of points
+   * @returns {Array} - Simple polygons with non-zero area, largest first
+   */
+  static splitSelfIntersections(polygon) {
+    const crossings = GeometryUtils.findSelfIntersections(polygon);
+    const copy = (point) => ({ x: point.x, y: point.y });
+    if (crossings.length === 0) {
+      return [polygon.map(copy)];
+    }
+
+    // Crossings on each edge, in order along it
+    const inserts = polygon.map(() => []);
+    crossings.forEach(crossing => {
+      const point = { x: crossing.x, y: crossing.y };
+      inserts[crossing.edgeA].push({ point, alpha: crossing.alphaA });
+      inserts[crossing.edgeB].push({ point, alpha: crossing.alphaB });
+    });
+
+    const outline = [];
+    polygon.forEach((vertex, i) => {
+      outline.push(copy(vertex));
+      inserts[i].sort((a, b) => a.alpha - b.alpha).forEach(insert => outline.push(copy(insert.point)));
+    });
+
+    const same = (a, b) => Math.abs(a.x - b.x) <= 1e-9 && Math.abs(a.y - b.y) <= 1e-9;
+    const loops = [];
+    const path = [];
+    outline.forEach(point => {
+      const at = path.findIndex(other => same(other, point));
+      if (at !== -1) {
+        loops.push(path.splice(at));
+      }
+      path.push(point);
+    });
+    loops.push(path);
+
+    return loops
+      .map(loop => loop.filter((point, i) => !same(point, loop[(i + 1) % loop.length])))
+      .filter(loop => loop.length >= 3 && GeometryUtils.area(loop) > 1e-9)
+      .sort((a, b) => GeometryUtils.area(b) - GeometryUtils.area(a));
+  }
+
+  /**
+   * Calculate the axis-aligned bounding box of a set of points
+   * @param {Array} points - Array of points
+   * @returns {Object} - {minX, minY, maxX, maxY}
+   */
+  static boundingBox(points) {
+    return {
+      minX: Math.min(...points.map(p => p.x)),
+      minY: Math.min(...points.map(p => p.y)),
+      maxX: Math.max(...points.map(p => p.x)),
+      maxY: Math.max(...points.map(p => p.y))
+    };
+  }
+
+  /**
+   * Check whether a polygon is exactly its own axis-aligned bounding box
+   * @param {Array} polygon - Array of points
+   * @returns {Boolean} - True for an axis-aligned rectangle
+   */
+  static isAxisAlignedRectangle(polygon) {
+    const box = GeometryUtils.boundingBox(polygon);
+    const area = (box.maxX - box.minX) * (box.maxY - box.minY);
+    return area > 0 && Math.abs(GeometryUtils.area(polygon) - area) < 1e-6 * area;
+  }
+
+  /**
+   * Calculate the centroid (vertex average) of a polygon
+   * @param {Array} polygon - Array of points
+   * @returns {Object} - The centre point
+   */
+  static centroid(polygon) {
+    let x = 0, y = 0;
+    polygon.forEach(point => {
+      x += point.x;
+      y += point.y;
+    });
+    return { x: x / polygon.length, y: y / polygon.length };
+  }
+
+  /**
+   * Label each ring of a multi-ring polygon as an outer boundary or a hole.
+   * A ring inside an odd number of the other rings is a hole, which is what
+   * the even-odd fill rule draws.
+   * Rings may touch, so the test uses the first vertex or edge midpoint of
+   * the ring that is not on the boundary of another ring.
+   * @param {Array} rings - Array of polygons that do not cross each other
+   * @returns {Array} - "outer" or "hole" for each ring
+   */
+  static classifyRings(rings) {
+    const others = (i) => rings.filter((other, j) => j !== i && other.length >= 3);
+    const onBoundary = (point, polygon) => polygon.some((a, k) => {
+      const b = polygon[(k + 1) % polygon.length];
+      const cross = (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+      return Math.abs(cross) <= 1e-9 * Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)) &&
+        point.x >= Math.min(a.x, b.x) - 1e-9 && point.x <= Math.max(a.x, b.x) + 1e-9 &&
+        point.y >= Math.min(a.y, b.y) - 1e-9 && point.y <= Math.max(a.y, b.y) + 1e-9;
+    });
+
+    return rings.map((ring, i) => {
+      if (ring.length === 0) {
+        return 'outer';
+      }
+      const midpoints = ring.map((a, k) => {
+        const b = ring[(k + 1) % ring.length];
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      });
+      const sample = ring.concat(midpoints).find(point =>
+        !others(i).some(other => onBoundary(point, other))) || ring[0];
+      const depth = others(i).filter(other => GeometryUtils.pointInPolygon(sample, other)).length;
+      return depth % 2 === 0 ? 'outer' : 'hole';
+    });
+  }
+
+  /**
+   * Area covered by a set of rings under the even-odd rule: the outer
+   * rings count positive and the holes negative, whatever their winding
+   * @param {Array} rings - Array of polygons that do not cross each other
+   * @returns {Number} - The covered area
+   */
+  static evenOddArea(rings) {
+    const roles = GeometryUtils.classifyRings(rings);
+    return rings.reduce((sum, ring, i) => sum + (roles[i] === 'hole' ? -1 : 1) * GeometryUtils.area(ring), 0);
+  }
+
+  /**
+   * Distance from a point to a segment
+   * @param {Object} point - The point
+   * @param {Object} a - Start point of the segment
+   * @param {Object} b - End point of the segment
+   * @returns {Number} - The distance
+   */
+  static distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 :
+      Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+  }
+
+  /**
+   * Check whether two polygons touch anywhere other than at proper crossings:
+   * a vertex of one on an edge or vertex of the other, which includes shared
+   * vertices and edges that overlap along a line
+   * @param {Array} a - First polygon
+   * @param {Array} b - Second polygon
+   * @returns {Boolean} - True if a vertex lies on the other polygon's boundary
+   */
+  static hasBoundaryContacts(a, b) {
+    const box = GeometryUtils.boundingBox(a.concat(b));
+    const tolerance = 1e-9 * Math.max(box.maxX - box.minX, box.maxY - box.minY);
+    const onBoundary = (point, polygon) => polygon.some((start, i) =>
+      GeometryUtils.distanceToSegment(point, start, polygon[(i + 1) % polygon.length]) <= tolerance);
+    return a.some(point => onBoundary(point, b)) || b.some(point => onBoundary(point, a));
+  }
+
+  /**
+   * Find a small shift of the clipper that turns every contact with the
+   * subject into proper crossings. The direction is kept away from every
+   * edge direction, so edges that overlapped along a line end up crossing.
+   * @param {Array} subject - Subject polygon
+   * @param {Array} clipper - Clipper polygon that touches it
+   * @returns {Object|null} - {x, y} shift, or null if none of the tried directions leaves the polygons apart
+   */
+  static contactFreeOffset(subject, clipper) {
+    const box = GeometryUtils.boundingBox(subject.concat(clipper));
+    const size = 1e-7 * Math.max(box.maxX - box.minX, box.maxY - box.minY);
+    const edgeAngles = [subject, clipper].flatMap(polygon => polygon.map((a, i) => {
+      const b = polygon[(i + 1) % polygon.length];
+      return Math.atan2(b.y - a.y, b.x - a.x);
+    }));
+
+    // Try directions from the one furthest from any edge direction
+    const candidates = Array.from({ length: 16 }, (_, k) => 0.1 + k * Math.PI / 16)
+      .map(angle => ({
+        angle,
+        clearance: Math.min(...edgeAngles.map(edge => Math.abs(Math.sin(angle - edge))))
+      }))
+      .sort((a, b) => b.clearance - a.clearance);
+
+    for (const { angle } of candidates) {
+      const offset = { x: size * Math.cos(angle), y: size * Math.sin(angle) };
+      if (!GeometryUtils.hasBoundaryContacts(subject, GeometryUtils.translate(clipper, offset))) {
+        return offset;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Return a copy of the polygon moved by an offset
+   * @param {Array} polygon - Array of points
+   * @param {Object} offset - {x, y} shift
+   * @returns {Array} - Moved copy of the polygon
+   */
+  static translate(polygon, offset) {
+    return polygon.map(point => ({ x: point.x + offset.x, y: point.y + offset.y }));
+  }
+
+  /**
+   * Move the result of clipping against a shifted clipper back onto the
+   * input geometry. Shifted clip vertices go back to where they were,
+   * crossings are recomputed from the unshifted edges, and the slivers and
+   * spikes the shift left along touching edges are removed.
+   * @param {Array} rings - Result polygons computed against the shifted clipper
+   * @param {Array} subject - Subject polygon
+   * @param {Array} clipper - Clipper polygon before the shift
+   * @param {Object} offset - {x, y} shift from contactFreeOffset()
+   * @returns {Array} - Result polygons on the input geometry
+   */
+  static snapToInputs(rings, subject, clipper, offset) {
+    const shift = Math.hypot(offset.x, offset.y);
+    const tolerance = 100 * shift;
+    const vertices = subject.concat(clipper);
+    const shifted = new Map(clipper.map(point => [`${point.x + offset.x},${point.y + offset.y}`, point]));
+    const edges = (polygon) => polygon.map((a, i) => [a, polygon[(i + 1) % polygon.length]]);
+    const subjectEdges = edges(subject);
+    const clipEdges = edges(clipper);
+
+    const snap = (point) => {
+      const original = shifted.get(`${point.x},${point.y}`) ||
+        subject.find(vertex => vertex.x === point.x && vertex.y === point.y);
+      if (original) {
+        return { x: original.x, y: original.y };
+      }
+
+      // A crossing: the closest crossing of the unshifted edges near it
+      let best = null;
+      let bestDistance = tolerance;
+      const near = ([a, b]) => GeometryUtils.distanceToSegment(point, a, b) <= tolerance;
+      subjectEdges.filter(near).forEach(([p1, p2]) => {
+        clipEdges.filter(near).forEach(([q1, q2]) => {
+          const rx = p2.x - p1.x;
+          const ry = p2.y - p1.y;
+          const denom = rx * (q2.y - q1.y) - ry * (q2.x - q1.x);
+          if (denom === 0) return;
+          const alpha = ((q1.x - p1.x) * (q2.y - q1.y) - (q1.y - p1.y) * (q2.x - q1.x)) / denom;
+          const crossing = { x: p1.x + alpha * rx, y: p1.y + alpha * ry };
+          const distance = Math.hypot(crossing.x - point.x, crossing.y - point.y);
+          if (distance <= bestDistance) {
+            best = crossing;
+            bestDistance = distance;
+          }
+        });
+      });
+
+      // Crossings that fell on a vertex take the vertex itself, so equal points compare equal
+      const anchor = best || point;
+      const vertex = vertices.find(v => Math.hypot(v.x - anchor.x, v.y - anchor.y) <= (best ? 1e-3 * shift : tolerance));
+      if (vertex) {
+        return { x: vertex.x, y: vertex.y };
+      }
+      return best || { x: point.x, y: point.y };
+    };
+
+    return rings.map(ring => {
+      const points = ring.map(snap);
+      let changed = true;
+      while (changed && points.length >= 3) {
+        changed = false;
+        for (let i = 0; i < points.length && points.length >= 3; i++) {
+          const prev = points[(i + points.length - 1) % points.length];
+          const current = points[i];
+          const next = points[(i + 1) % points.length];
+          const duplicate = current.x === prev.x && current.y === prev.y;
+          const spike = GeometryUtils.orientation(prev, current, next) === 0 &&
+            (current.x - prev.x) * (next.x - current.x) + (current.y - prev.y) * (next.y - current.y) <= 0;
+          if (duplicate || spike) {
+            points.splice(i, 1);
+            changed = true;
+            i--;
+          }
+        }
+      }
+      return points;
+    }).filter(ring => {
+      if (ring.length < 3) {
+        return false;
+      }
+      const perimeter = ring.reduce((sum, a, i) => {
+        const b = ring[(i + 1) % ring.length];
+        return sum + Math.hypot(b.x - a.x, b.y - a.y);
+      }, 0);
+      return GeometryUtils.area(ring) > shift * perimeter;
+    });
+  }
+
+  /**
+   * Find a point strictly inside a simple polygon: the centre of the first
+   * convex corner's triangle that no other part of the polygon cuts into
+   * @param {Array} polygon - Array of points
+   * @returns {Object} - A point inside the polygon
+   */
+  static interiorPoint(polygon) {
+    const sign = Math.sign(GeometryUtils.signedArea(polygon));
+    for (let i = 0; i < polygon.length; i++) {
+      const prev = polygon[(i + polygon.length - 1) % polygon.length];
+      const current = polygon[i];
+      const next = polygon[(i + 1) % polygon.length];
+      if (GeometryUtils.orientation(prev, current, next) !== sign) continue;
+
+      const centre = {
+        x: (prev.x + current.x + next.x) / 3,
+        y: (prev.y + current.y + next.y) / 3
+      };
+      if (GeometryUtils.pointInPolygon(centre, polygon)) {
+        return centre;
+      }
+    }
+    return GeometryUtils.centroid(polygon);
+  }
+
+  /**
+   * Check whether one polygon lies inside another when their boundaries do
+   * not cross. The test point is the first vertex or edge midpoint of the
+   * polygon that is not on the other boundary; if the whole boundary is
+   * shared, the polygons cover the same area and a point strictly inside
+   * decides.
+   * @param {Array} polygon - Polygon to test
+   * @param {Array} other - Polygon that may contain it
+   * @returns {Boolean} - True if the polygon is inside the other one
+   */
+  static polygonInside(polygon, other) {
+    const box = GeometryUtils.boundingBox(polygon.concat(other));
+    const tolerance = 1e-9 * Math.max(box.maxX - box.minX, box.maxY - box.minY);
+    const midpoints = polygon.map((a, i) => {
+      const b = polygon[(i + 1) % polygon.length];
+      return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    });
+    const sample = polygon.concat(midpoints).find(point => !other.some((a, i) =>
+      GeometryUtils.distanceToSegment(point, a, other[(i + 1) % other.length]) <= tolerance));
+    return GeometryUtils.pointInPolygon(sample || GeometryUtils.interiorPoint(polygon), other);
+  }
+}
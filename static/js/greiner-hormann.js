@@ -0,0 +1,381 @@
+/**
+ * Greiner-Hormann Polygon Boolean Operations Implementation
+ *
+ * This file contains the implementation of the Greiner-Hormann algorithm,
+ * which computes the intersection, union, difference or symmetric
+ * difference of two arbitrary simple polygons.
+ */
+
+import { GeometryUtils } from './geometry-utils.js';
+import { StepRecorder } from './step-recorder.js';
+
+export class GreinerHormann extends StepRecorder {
+  constructor() {
+    super();
+    this.name = 'Greiner-Hormann';
+    this.unresolvedContacts = false; // Set when touching polygons could not be moved apart
+    this.operation = 'intersection';
+  }
+
+  /**
+   * Available boolean operations and their traversal directions.
+   * "Forwards" flips the entry/exit labelling of that polygon's intersections.
+   */
+  static get OPERATIONS() {
+    return {
+      'intersection': { label: 'Intersection (S ∩ C)', subjectForwards: true, clipForwards: true },
+      'union': { label: 'Union (S ∪ C)', subjectForwards: false, clipForwards: false },
+      'difference': { label: 'Difference (S − C)', subjectForwards: false, clipForwards: true },
+      'reverse-difference': { label: 'Difference (C − S)', subjectForwards: true, clipForwards: false },
+      'xor': { label: 'Symmetric difference (S ⊕ C)' }
+    };
+  }
+
+  /**
+   * Select the boolean operation computed by clip()
+   * @param {String} operation - One of the keys of GreinerHormann.OPERATIONS
+   */
+  setOperation(operation) {
+    if (!GreinerHormann.OPERATIONS[operation]) {
+      throw new Error(`Unknown boolean operation: ${operation}`);
+    }
+    this.operation = operation;
+  }
+
+  /**
+   * Build a circular doubly linked vertex list for a polygon
+   * @param {Array} polygon - Array of points
+   * @returns {Array} - Array of nodes, linked through next/prev
+   */
+  createVertexList(polygon) {
+    const nodes = polygon.map(point => ({
+      x: point.x,
+      y: point.y,
+      intersection: false,
+      entry: false,
+      visited: false,
+      neighbor: null,
+      alpha: 0,
+      next: null,
+      prev: null
+    }));
+
+    nodes.forEach((node, index) => {
+      node.next = nodes[(index + 1) % nodes.length];
+      node.prev = nodes[(index - 1 + nodes.length) % nodes.length];
+    });
+
+    return nodes;
+  }
+
+  /**
+   * Insert an intersection node after a vertex, ordered by alpha along the edge
+   * @param {Object} vertex - Start vertex of the edge
+   * @param {Object} node - Intersection node to insert
+   */
+  insertIntersection(vertex, node) {
+    let current = vertex;
+    while (current.next.intersection && current.next.alpha < node.alpha) {
+      current = current.next;
+    }
+
+    node.prev = current;
+    node.next = current.next;
+    current.next.prev = node;
+    current.next = node;
+  }
+
+  /**
+   * Phase 1: find every crossing and insert it into both vertex lists
+   * @param {Array} subjectNodes - Original subject vertices
+   * @param {Array} clipNodes - Original clipper vertices
+   * @param {String} prefix - Step description prefix
+   * @returns {Number} - Number of intersections found
+   */
+  findIntersections(subjectNodes, clipNodes, prefix) {
+    const epsilon = 1e-9;
+    let count = 0;
+
+    clipNodes.forEach((clipStart, j) => {
+      const clipEnd = clipNodes[(j + 1) % clipNodes.length];
+      const found = [];
+
+      subjectNodes.forEach((subjectStart, i) => {
+        const subjectEnd = subjectNodes[(i + 1) % subjectNodes.length];
+        const hit = GeometryUtils.segmentIntersection(subjectStart, subjectEnd, clipStart, clipEnd);
+
+        // clipApart() moves the clipper off every vertex it touches, so a hit at a vertex is rounding noise
+        if (!hit || hit.alphaP <= epsilon || hit.alphaP >= 1 - epsilon ||
+            hit.alphaQ <= epsilon || hit.alphaQ >= 1 - epsilon) {
+          return;
+        }
+
+        const subjectNode = { x: hit.x, y: hit.y, intersection: true, entry: false, visited: false, alpha: hit.alphaP };
+        const clipNode = { x: hit.x, y: hit.y, intersection: true, entry: false, visited: false, alpha: hit.alphaQ };
+        subjectNode.neighbor = clipNode;
+        clipNode.neighbor = subjectNode;
+
+        this.insertIntersection(subjectStart, subjectNode);
+        this.insertIntersection(clipStart, clipNode);
+
+        found.push({ x: hit.x, y: hit.y, subjectEdge: i });
+      });
+
+      if (this.recordSteps) {
+        this.steps.push({
+          phase: 'intersections',
+          description: `${prefix}Clip edge ${j + 1}: found ${found.length} intersection(s)`,
+          clipEdge: {
+            start: { x: clipStart.x, y: clipStart.y },
+            end: { x: clipEnd.x, y: clipEnd.y }
+          },
+          inputPolygon: subjectNodes.map(node => ({ x: node.x, y: node.y })),
+          outputPolygon: [],
+          outputPolygons: [],
+          intersections: found.map(p => ({ x: p.x, y: p.y })),
+          actions: found.map(p => ({
+            type: 'ADD_INTERSECTION',
+            vertex: { x: p.x, y: p.y },
+            reason: `Subject edge ${p.subjectEdge + 1} crosses clip edge ${j + 1}`
+          }))
+        });
+      }
+
+      count += found.length;
+    });
+
+    return count;
+  }
+
+  /**
+   * Phase 2: label the intersections of one list as entry or exit points
+   * @param {Object} start - First original vertex of the list
+   * @param {Array} otherPolygon - The polygon the list is tested against
+   * @param {Boolean} forwards - Whether the operation keeps this polygon's inside
+   * @returns {Object} - Lists of entry and exit points
+   */
+  labelIntersections(start, otherPolygon, forwards) {
+    const entries = [];
+    const exits = [];
+
+    // Starting outside, the first crossing enters; flipping "forwards" inverts every label
+    let entry = GeometryUtils.pointInPolygon(start, otherPolygon) ? !forwards : forwards;
+    let current = start;
+
+    do {
+      if (current.intersection) {
+        current.entry = entry;
+        (entry ? entries : exits).push({ x: current.x, y: current.y });
+        entry = !entry;
+      }
+      current = current.next;
+    } while (current !== start);
+
+    return { entries, exits };
+  }
+
+  /**
+   * Phase 3: trace result polygons by walking the labelled lists
+   * @param {Object} subjectStart - First original subject vertex
+   * @param {String} prefix - Step description prefix
+   * @returns {Array} - Array of result polygons
+   */
+  traverse(subjectStart, prefix) {
+    const results = [];
+
+    const nextUnvisited = () => {
+      let current = subjectStart;
+      do {
+        if (current.intersection && !current.visited) {
+          return current;
+        }
+        current = current.next;
+      } while (current !== subjectStart);
+      return null;
+    };
+
+    let start;
+    while ((start = nextUnvisited()) !== null) {
+      const ring = [{ x: start.x, y: start.y }];
+      const actions = [{
+        type: 'ADD_INTERSECTION',
+        vertex: { x: start.x, y: start.y },
+        reason: 'Start at an unvisited intersection'
+      }];
+      let current = start;
+      let onSubject = true;
+
+      do {
+        current.visited = true;
+        current.neighbor.visited = true;
+
+        // Entry points continue forwards along the list, exit points backwards
+        const forwards = current.entry;
+        do {
+          current = forwards ? current.next : current.prev;
+          ring.push({ x: current.x, y: current.y });
+          actions.push({
+            type: current.intersection ? 'ADD_INTERSECTION' : 'ADD_VERTEX',
+            vertex: { x: current.x, y: current.y },
+            reason: `${current.intersection ? 'Reached intersection' : 'Follow'} ${onSubject ? 'subject' : 'clipper'} ${forwards ? 'forwards' : 'backwards'}`
+          });
+        } while (!current.intersection);
+
+        // Jump to the same point on the other polygon
+        current = current.neighbor;
+        onSubject = !onSubject;
+      } while (!current.visited);
+
+      // The walk ends back at the starting point, which is already the first vertex
+      ring.pop();
+      actions.pop();
+
+      if (ring.length >= 3) {
+        results.push(ring);
+      }
+
+      if (this.recordSteps) {
+        this.steps.push({
+          phase: 'traversal',
+          description: `${prefix}Traced result polygon ${results.length} (${ring.length} vertices)`,
+          inputPolygon: [],
+          outputPolygon: JSON.parse(JSON.stringify(ring)),
+          outputPolygons: JSON.parse(JSON.stringify(results)),
+          intersections: [],
+          actions
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Result of an operation when the polygon boundaries never cross
+   * @param {Array} subject - Subject polygon
+   * @param {Array} clipper - Clipper polygon
+   * @param {String} operation - Operation key
+   * @returns {Array} - Array of result polygons (a contained ring becomes a hole)
+   */
+  resolveContainment(subject, clipper, operation) {
+    const subjectInClip = GeometryUtils.polygonInside(subject, clipper);
+    const clipInSubject = !subjectInClip && GeometryUtils.polygonInside(clipper, subject);
+
+    switch (operation) {
+      case 'intersection':
+        return subjectInClip ? [subject] : (clipInSubject ? [clipper] : []);
+      case 'union':
+        return subjectInClip ? [clipper] : (clipInSubject ? [subject] : [subject, clipper]);
+      case 'difference':
+        return subjectInClip ? [] : (clipInSubject ? [subject, clipper] : [subject]);
+      case 'reverse-difference':
+        return clipInSubject ? [] : (subjectInClip ? [clipper, subject] : [clipper]);
+      default:
+        return subjectInClip ? [clipper, subject] : [subject, clipper];
+    }
+  }
+
+  /**
+   * Run one Greiner-Hormann pass for an operation with fixed traversal directions
+   * @param {Array} subject - Subject polygon
+   * @param {Array} clipper - Clipper polygon
+   * @param {String} operation - Operation key (not 'xor')
+   * @param {String} prefix - Step description prefix
+   * @returns {Array} - Array of result polygons
+   */
+  runPass(subject, clipper, operation, prefix = '') {
+    const { subjectForwards, clipForwards } = GreinerHormann.OPERATIONS[operation];
+    const subjectNodes = this.createVertexList(subject);
+    const clipNodes = this.createVertexList(clipper);
+
+    // Phase 1: intersection discovery
+    const count = this.findIntersections(subjectNodes, clipNodes, prefix);
+
+    if (count === 0) {
+      const results = this.resolveContainment(subject, clipper, operation);
+      if (this.recordSteps) {
+        this.steps.push({
+          phase: 'traversal',
+          description: `${prefix}No crossings: result decided by containment`,
+          inputPolygon: JSON.parse(JSON.stringify(subject)),
+          outputPolygon: results.length > 0 ? JSON.parse(JSON.stringify(results[0])) : [],
+          outputPolygons: JSON.parse(JSON.stringify(results)),
+          intersections: [],
+          actions: []
+        });
+      }
+      return results;
+    }
+
+    // Phase 2: entry/exit labelling of both lists
+    const subjectLabels = this.labelIntersections(subjectNodes[0], clipper, subjectForwards);
+    this.labelIntersections(clipNodes[0], subject, clipForwards);
+
+    if (this.recordSteps) {
+      this.steps.push({
+        phase: 'labelling',
+        description: `${prefix}Labelled ${subjectLabels.entries.length} entry and ${subjectLabels.exits.length} exit point(s)`,
+        inputPolygon: JSON.parse(JSON.stringify(subject)),
+        outputPolygon: [],
+        outputPolygons: [],
+        intersections: subjectLabels.entries.concat(subjectLabels.exits),
+        entering: subjectLabels.entries,
+        exiting: subjectLabels.exits,
+        actions: subjectLabels.entries.map(vertex => ({
+          type: 'MARK_ENTERING',
+          vertex,
+          reason: 'Subject traversal continues forwards from here'
+        })).concat(subjectLabels.exits.map(vertex => ({
+          type: 'MARK_EXITING',
+          vertex,
+          reason: 'Subject traversal continues backwards from here'
+        })))
+      });
+    }
+
+    // Phase 3: traversal
+    return this.traverse(subjectNodes[0], prefix);
+  }
+
+  /**
+   * Compute the selected boolean operation of two polygons
+   * @param {Array} subjectPolygon - Array of points in the subject polygon
+   * @param {Array} clipPolygon - Array of points in the clipper polygon
+   * @returns {Array} - Array of result polygons
+   */
+  clip(subjectPolygon, clipPolygon) {
+    // Reset steps for animation
+    this.clearSteps();
+    this.unresolvedContacts = false;
+
+    if (!subjectPolygon || !clipPolygon ||
+        subjectPolygon.length < 3 || clipPolygon.length < 3) {
+      return [];
+    }
+
+    return this.clipApart(subjectPolygon, clipPolygon, clipper => this.runOperation(subjectPolygon, clipper));
+  }
+
+  /**
+   * Compute the selected operation of two polygons whose boundaries only meet at proper crossings
+   * @param {Array} subjectPolygon - Array of points in the subject polygon
+   * @param {Array} clipPolygon - Array of points in the clipper polygon
+   * @returns {Array} - Array of result polygons
+   */
+  runOperation(subjectPolygon, clipPolygon) {
+    if (this.operation !== 'xor') {
+      return this.runPass(subjectPolygon, clipPolygon, this.operation);
+    }
+
+    // Symmetric difference is the disjoint union of both differences
+    const subjectOnly = this.runPass(subjectPolygon, clipPolygon, 'difference', 'S − C: ');
+    const clipOnly = this.runPass(subjectPolygon, clipPolygon, 'reverse-difference', 'C − S: ');
+    const results = subjectOnly.concat(clipOnly);
+
+    const lastStep = this.steps[this.steps.length - 1];
+    if (this.recordSteps && lastStep) {
+      lastStep.outputPolygons = JSON.parse(JSON.stringify(results));
+    }
+    return results;
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Undo/Redo History
+ *
+ * This file contains a bounded command history. Each command knows how to
+ * undo and redo itself; the canvas records one command per edit.
+ */
+
+class HistoryManager {
+  constructor(limit = 100) {
+    this.limit = limit; // Oldest commands are dropped beyond this many
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Record a command that has just been carried out
+   * @param {Object} command - {label, undo(), redo()}
+   */
+  record(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+
+    // A new edit makes the undone commands unreachable
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Undo the most recent command
+   * @returns {Object|null} - The undone command, or null if there is none
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) {
+      return null;
+    }
+
+    command.undo();
+    this.redoStack.push(command);
+    this.notify();
+    return command;
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @returns {Object|null} - The redone command, or null if there is none
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) {
+      return null;
+    }
+
+    command.redo();
+    this.undoStack.push(command);
+    this.notify();
+    return command;
+  }
+
+  /**
+   * Check whether there is anything to undo
+   * @returns {Boolean} - True if the undo stack is not empty
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is anything to redo
+   * @returns {Boolean} - True if the redo stack is not empty
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget every recorded command
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Tell the UI that the stacks changed
+   */
+  notify() {
+    const undoCommand = this.undoStack[this.undoStack.length - 1];
+    const redoCommand = this.redoStack[this.redoStack.length - 1];
+
+    const event = new CustomEvent('historyChanged', {
+      detail: {
+        canUndo: this.canUndo(),
+        canRedo: this.canRedo(),
+        undoLabel: undoCommand ? undoCommand.label : null,
+        redoLabel: redoCommand ? redoCommand.label : null
+      }
+    });
+    document.dispatchEvent(event);
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Liang-Barsky Line Clipping Algorithm Implementation
+ *
+ * This file contains the implementation of the Liang-Barsky algorithm,
+ * which clips a parametric line segment P(t) = P0 + t(P1 - P0) against a
+ * rectangular window by narrowing the visible interval [tEnter, tLeave].
+ */
+
+import { GeometryUtils } from './geometry-utils.js';
+import { StepRecorder } from './step-recorder.js';
+
+export class LiangBarsky extends StepRecorder {
+  constructor() {
+    super();
+    this.name = 'Liang-Barsky';
+    this.subjectType = 'lines';
+  }
+
+  /**
+   * Evaluate the parametric line at t
+   * @param {Object} line - {start, end}
+   * @param {Number} t - Parameter in [0, 1]
+   * @returns {Object} - The point P(t)
+   */
+  pointAt(line, t) {
+    return {
+      x: line.start.x + t * (line.end.x - line.start.x),
+      y: line.start.y + t * (line.end.y - line.start.y)
+    };
+  }
+
+  /**
+   * Clip one segment against the window
+   * @param {Object} line - {start, end}
+   * @param {Number} lineIndex - Index of the line, for step descriptions
+   * @param {Object} window - {minX, minY, maxX, maxY}
+   * @param {Array} accepted - Visible segments found so far (appended to)
+   * @returns {Object|null} - The visible part of the segment, or null
+   */
+  clipLine(line, lineIndex, window, accepted) {
+    const label = `Line ${lineIndex + 1}`;
+    const dx = line.end.x - line.start.x;
+    const dy = line.end.y - line.start.y;
+
+    // p_k * t <= q_k for each boundary (the canvas y axis points down, so "top" is minY)
+    const boundaries = [
+      { name: 'left', p: -dx, q: line.start.x - window.minX, start: { x: window.minX, y: window.minY }, end: { x: window.minX, y: window.maxY } },
+      { name: 'right', p: dx, q: window.maxX - line.start.x, start: { x: window.maxX, y: window.minY }, end: { x: window.maxX, y: window.maxY } },
+      { name: 'top', p: -dy, q: line.start.y - window.minY, start: { x: window.minX, y: window.minY }, end: { x: window.maxX, y: window.minY } },
+      { name: 'bottom', p: dy, q: window.maxY - line.start.y, start: { x: window.minX, y: window.maxY }, end: { x: window.maxX, y: window.maxY } }
+    ];
+
+    let tEnter = 0;
+    let tLeave = 1;
+
+    const addStep = (details) => {
+      if (!this.recordSteps) return;
+      this.steps.push(Object.assign({
+        phase: 'boundary',
+        line: JSON.parse(JSON.stringify(line)),
+        originalLine: JSON.parse(JSON.stringify(line)),
+        window: {...window},
+        tInterval: { tEnter, tLeave },
+        inputPolygon: [],
+        outputPolygon: [],
+        intersections: [],
+        actions: [],
+        outputLines: JSON.parse(JSON.stringify(accepted))
+      }, details));
+    };
+
+    for (const boundary of boundaries) {
+      const edge = { start: boundary.start, end: boundary.end };
+
+      if (boundary.p === 0) {
+        // Parallel to this boundary: either entirely outside or irrelevant
+        if (boundary.q < 0) {
+          addStep({
+            phase: 'reject',
+            description: `${label}: parallel to the ${boundary.name} boundary and outside it (p = 0, q = ${boundary.q.toFixed(1)} < 0), reject`,
+            clipEdge: edge,
+            actions: [{ type: 'REJECT_LINE', vertex: {...line.start}, reason: `Parallel and outside the ${boundary.name} boundary` }]
+          });
+          return null;
+        }
+        addStep({
+          description: `${label}: parallel to the ${boundary.name} boundary and inside it (p = 0), t-interval unchanged`,
+          clipEdge: edge
+        });
+        continue;
+      }
+
+      const r = boundary.q / boundary.p;
+      const entering = boundary.p < 0;
+      if (entering) {
+        tEnter = Math.max(tEnter, r);
+      } else {
+        tLeave = Math.min(tLeave, r);
+      }
+
+      const crossing = r >= 0 && r <= 1 ? [this.pointAt(line, r)] : [];
+      addStep({
+        description: `${label}: ${boundary.name} boundary p = ${boundary.p.toFixed(1)}, q = ${boundary.q.toFixed(1)}, t = ${r.toFixed(3)} (${entering ? 'entering' : 'leaving'}) → [${tEnter.toFixed(3)}, ${tLeave.toFixed(3)}]`,
+        clipEdge: edge,
+        intersections: crossing,
+        actions: crossing.map(vertex => ({
+          type: 'ADD_INTERSECTION',
+          vertex,
+          reason: entering ? `Potentially entering at t = ${r.toFixed(3)}` : `Potentially leaving at t = ${r.toFixed(3)}`
+        }))
+      });
+
+      if (tEnter > tLeave) {
+        addStep({
+          phase: 'reject',
+          description: `${label}: tEnter ${tEnter.toFixed(3)} > tLeave ${tLeave.toFixed(3)}, reject`,
+          actions: [{ type: 'REJECT_LINE', vertex: {...line.start}, reason: 'Empty t-interval' }]
+        });
+        return null;
+      }
+    }
+
+    const visible = { start: this.pointAt(line, tEnter), end: this.pointAt(line, tLeave) };
+    accepted.push(visible);
+    addStep({
+      phase: 'accept',
+      description: `${label}: visible for t in [${tEnter.toFixed(3)}, ${tLeave.toFixed(3)}], accept`,
+      line: JSON.parse(JSON.stringify(visible)),
+      intersections: [visible.start, visible.end],
+      actions: [{ type: 'ACCEPT_LINE', vertex: {...visible.start}, reason: 'Non-empty t-interval' }],
+      outputLines: JSON.parse(JSON.stringify(accepted))
+    });
+    return visible;
+  }
+
+  /**
+   * Clip a set of line segments against the clipping polygon's window
+   * @param {Array} lines - Array of {start, end} segments
+   * @param {Array} clipPolygon - Array of points; its bounding box is the window
+   * @returns {Array} - The visible segments
+   */
+  clip(lines, clipPolygon) {
+    // Reset steps for animation
+    this.clearSteps();
+
+    if (!lines || !clipPolygon || lines.length === 0 || clipPolygon.length < 3) {
+      return [];
+    }
+
+    const window = GeometryUtils.boundingBox(clipPolygon);
+    const accepted = [];
+
+    if (!GeometryUtils.isAxisAlignedRectangle(clipPolygon)) {
+      if (this.recordSteps) {
+        this.steps.push({
+          phase: 'window',
+          description: 'Clipping polygon is not an axis-aligned rectangle: using its bounding box as the window',
+          window: {...window},
+          inputPolygon: [],
+          outputPolygon: [],
+          intersections: [],
+          actions: [],
+          outputLines: []
+        });
+      }
+    }
+
+    lines.forEach((line, lineIndex) => {
+      this.clipLine(line, lineIndex, window, accepted);
+    });
+
+    return accepted;
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Multi-Ring Clipping
+ *
+ * This file wraps a polygon clipper so the subject can have several rings:
+ * extra outer parts and holes. The rings are read with the even-odd rule,
+ * which makes the subject the symmetric difference of its rings, so every
+ * operation can be done one ring at a time:
+ *
+ *   S ∩ C = ⊕ (Ri ∩ C)        S − C = ⊕ (Ri − C)
+ *   C − S = C ⊕ ⊕ (Ri ∩ C)    S ∪ C = C ⊕ ⊕ (Ri − C)
+ *   S ⊕ C = (S − C) ∪ (C − S) = ⊕ (Ri − C) ⊕ C ⊕ ⊕ (Ri ∩ C)
+ *
+ * C ⊕ ⊕ Ri would give the same symmetric difference, but its rings cross
+ * each other; every ring built from the identities above stays on one side
+ * of the clipping polygon's boundary, so the result rings never cross.
+ *
+ * Each ring is clipped on its own by the wrapped algorithm and the result
+ * rings are drawn together with the even-odd fill. This is exactly what
+ * Sutherland-Hodgman does with multi-ring input: it never sees how the
+ * rings relate, so a hole cut open by the clipper comes out as a separate
+ * ring, joined to the window boundary by degenerate edges.
+ */
+
+import { GeometryUtils } from './geometry-utils.js';
+import { StepRecorder } from './step-recorder.js';
+
+export class MultiRingClipper extends StepRecorder {
+  /**
+   * @param {Object} clipper - Polygon clipper exposing clip(), getStep() and getTotalSteps()
+   */
+  constructor(clipper) {
+    super();
+    this.clipper = clipper;
+    this.missedIntersections = []; // Collected from the wrapped clipper over all rings
+    this.unresolvedContacts = false; // Whether the wrapped clipper could not move touching polygons apart for any ring
+  }
+
+  /**
+   * How each ring is clipped for every boolean operation, and whether the
+   * clipping polygon is added as one more ring (see the identities above).
+   * A ring with several operations is clipped once for each.
+   */
+  static get OPERATIONS() {
+    return {
+      'intersection': { ringOperations: ['intersection'], addClipper: false },
+      'difference': { ringOperations: ['difference'], addClipper: false },
+      'reverse-difference': { ringOperations: ['intersection'], addClipper: true },
+      'union': { ringOperations: ['difference'], addClipper: true },
+      'xor': { ringOperations: ['difference', 'intersection'], addClipper: true }
+    };
+  }
+
+  get name() {
+    return this.clipper.name;
+  }
+
+  get requiresConvexClipper() {
+    return this.clipper.requiresConvexClipper;
+  }
+
+  /**
+   * Clip every ring of the subject against the clipping polygon
+   * @param {Array} subject - One polygon, or an array of rings
+   * @param {Array} clipPolygon - Array of points in the clipper polygon
+   * @returns {Array} - Array of result rings (a single polygon for a one-ring subject
+   *                    clipped by Sutherland-Hodgman, as the wrapped clipper returns it)
+   */
+  clip(subject, clipPolygon) {
+    this.clearSteps();
+    this.missedIntersections = [];
+    this.unresolvedContacts = false;
+
+    const rings = (Array.isArray(subject[0]) ? subject : [subject]).filter(ring => ring.length >= 3);
+    const recordSteps = this.clipper.recordSteps;
+    this.clipper.recordSteps = this.recordSteps;
+
+    try {
+      // A single ring is the plain algorithm, steps and all
+      if (rings.length <= 1) {
+        const result = this.clipper.clip(rings[0] || [], clipPolygon);
+        this.steps = this.clipper.steps;
+        this.missedIntersections = (this.clipper.missedIntersections || []).slice();
+        this.unresolvedContacts = Boolean(this.clipper.unresolvedContacts);
+        return result;
+      }
+      if (!clipPolygon || clipPolygon.length < 3) {
+        return [];
+      }
+      return this.clipRings(rings, clipPolygon);
+    } finally {
+      this.clipper.recordSteps = recordSteps;
+    }
+  }
+
+  /**
+   * Clip each ring in turn and combine the pieces
+   * @param {Array} rings - Subject rings with at least 3 points each
+   * @param {Array} clipPolygon - Array of points in the clipper polygon
+   * @returns {Array} - Array of result rings
+   */
+  clipRings(rings, clipPolygon) {
+    const operation = this.clipper.operation || 'intersection';
+    const { ringOperations, addClipper } = MultiRingClipper.OPERATIONS[operation];
+    const roles = GeometryUtils.classifyRings(rings);
+    const results = [];
+
+    rings.forEach((ring, i) => {
+      ringOperations.forEach(ringOperation => {
+        const prefix = ringOperations.length > 1
+          ? `Ring ${i + 1} of ${rings.length} (${roles[i]}), ${ringOperation}: `
+          : `Ring ${i + 1} of ${rings.length} (${roles[i]}): `;
+        const output = this.clipRing(ring, clipPolygon, ringOperation);
+        const finished = results.slice();
+        const total = this.clipper.steps.length;
+        this.clipper.steps.forEach((step, j) => {
+          this.steps.push(this.wrapStep(step, step.description
+            ? `${prefix}${step.description}`
+            : `${prefix}clip edge ${j + 1} of ${total}`, finished, { label: prefix, index: j }));
+        });
+        results.push(...output);
+      });
+    });
+
+    if (addClipper) {
+      results.push(JSON.parse(JSON.stringify(clipPolygon)));
+      this.addStep('Added the clipping polygon as one more ring', clipPolygon, results);
+    }
+
+    this.addStep(`Combined ${results.length} ring(s) with the even-odd rule`, [], results);
+    return results;
+  }
+
+  /**
+   * Run the wrapped clipper on one ring, with the operation that ring needs
+   * @param {Array} ring - Subject ring
+   * @param {Array} clipPolygon - Array of points in the clipper polygon
+   * @param {String} ringOperation - Boolean operation for this ring
+   * @returns {Array} - Result rings of this ring
+   */
+  clipRing(ring, clipPolygon, ringOperation) {
+    const operation = this.clipper.operation;
+    if (operation && operation !== ringOperation) {
+      this.clipper.setOperation(ringOperation);
+    }
+
+    try {
+      const result = this.clipper.clip(ring, clipPolygon);
+      this.missedIntersections.push(...(this.clipper.missedIntersections || []));
+      this.unresolvedContacts = this.unresolvedContacts || Boolean(this.clipper.unresolvedContacts);
+      if (!result || result.length === 0) {
+        return [];
+      }
+      return (Array.isArray(result[0]) ? result : [result]).filter(r => r.length >= 3);
+    } finally {
+      if (operation) {
+        this.clipper.setOperation(operation);
+      }
+    }
+  }
+
+  /**
+   * Copy a step of the wrapped clipper, adding the rings finished before it to its output
+   * @param {Object} step - Step of the wrapped clipper
+   * @param {String} description - Step description naming the ring
+   * @param {Array} finished - Result rings of the earlier rings
+   * @param {Object} ring - {label, index}: ring prefix and step index within the ring, for the indicator
+   * @returns {Object} - The step for the combined run
+   */
+  wrapStep(step, description, finished, ring) {
+    const output = step.outputPolygons || (step.outputPolygon.length > 0 ? [step.outputPolygon] : []);
+    return Object.assign({}, step, {
+      description,
+      ring,
+      outputPolygons: JSON.parse(JSON.stringify(finished)).concat(output)
+    });
+  }
+
+  /**
+   * Record a step of the combined run that is not a step of the wrapped clipper
+   * @param {String} description - What happened
+   * @param {Array} inputPolygon - Ring the step works on
+   * @param {Array} results - Result rings so far
+   */
+  addStep(description, inputPolygon, results) {
+    if (!this.recordSteps) {
+      return;
+    }
+    this.steps.push({
+      phase: 'rings',
+      description,
+      inputPolygon: JSON.parse(JSON.stringify(inputPolygon)),
+      outputPolygon: [],
+      outputPolygons: JSON.parse(JSON.stringify(results)),
+      intersections: [],
+      actions: []
+    });
+  }
+}
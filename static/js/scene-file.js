@@ -0,0 +1,235 @@
+/**
+ * Scene Files
+ *
+ * This file contains the versioned JSON format used to save and load a
+ * scene: both polygons, any extra subject rings, the subject lines, the
+ * last result, the chosen algorithm and the size of the canvas it was drawn on.
+ */
+
+export class SceneFile {
+  /**
+   * Identifier written into every scene file
+   */
+  static get FORMAT() {
+    return 'polygon-clipping-scene';
+  }
+
+  /**
+   * Current version of the format. Files with any other version are rejected.
+   */
+  static get VERSION() {
+    return 1;
+  }
+
+  /**
+   * Build the scene object for the current state of the canvas
+   * @param {CanvasManager} canvasManager - Source of the polygons and canvas size
+   * @param {String} algorithm - Value of the algorithm selector
+   * @param {String} operation - Greiner-Hormann boolean operation
+   * @returns {Object} - Scene ready for JSON.stringify
+   */
+  static create(canvasManager, algorithm, operation) {
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    return {
+      format: SceneFile.FORMAT,
+      version: SceneFile.VERSION,
+      canvas: {
+        width: canvasManager.canvas.width,
+        height: canvasManager.canvas.height
+      },
+      algorithm,
+      operation,
+      subjectPolygon: copy(canvasManager.subjectPolygon),
+      subjectRings: copy(canvasManager.subjectRings),
+      clippingPolygon: copy(canvasManager.clippingPolygon),
+      subjectLines: copy(canvasManager.subjectLines),
+      resultPolygon: copy(canvasManager.resultPolygon),
+      resultPolygons: copy(canvasManager.resultPolygons),
+      resultLines: copy(canvasManager.resultLines)
+    };
+  }
+
+  /**
+   * Serialize a scene as pretty-printed JSON
+   * @param {Object} scene - Scene from create()
+   * @returns {String} - JSON text
+   */
+  static stringify(scene) {
+    return JSON.stringify(scene, null, 2);
+  }
+
+  /**
+   * Parse and validate scene JSON
+   * @param {String} text - File contents
+   * @param {Object} options - {algorithms, operations}: accepted selector values
+   * @returns {Object} - {scene, errors}; scene is null when errors is not empty
+   */
+  static parse(text, options) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { scene: null, errors: [`Not valid JSON: ${error.message}`] };
+    }
+
+    const errors = SceneFile.validate(data, options);
+    return { scene: errors.length === 0 ? data : null, errors };
+  }
+
+  /**
+   * Check a parsed scene against the format
+   * @param {Object} data - Parsed JSON
+   * @param {Object} options - {algorithms, operations}: accepted selector values
+   * @returns {Array} - Error messages, empty when the scene is valid
+   */
+  static validate(data, options) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['The file does not contain a scene object'];
+    }
+    if (data.format !== SceneFile.FORMAT) {
+      errors.push(`Unknown format "${data.format}" (expected "${SceneFile.FORMAT}")`);
+    }
+    if (data.version !== SceneFile.VERSION) {
+      errors.push(`Unknown scene version ${JSON.stringify(data.version)} (this app reads version ${SceneFile.VERSION})`);
+    }
+
+    if (data.canvas !== undefined) {
+      const { width, height } = data.canvas || {};
+      if (!SceneFile.isCoordinate(width) || !SceneFile.isCoordinate(height) || width <= 0 || height <= 0) {
+        errors.push('Canvas size must be two positive numbers');
+      }
+    }
+
+    if (data.algorithm !== undefined && !options.algorithms.includes(data.algorithm)) {
+      errors.push(`Unknown algorithm "${data.algorithm}"`);
+    }
+    if (data.operation !== undefined && !options.operations.includes(data.operation)) {
+      errors.push(`Unknown boolean operation "${data.operation}"`);
+    }
+
+    errors.push(...SceneFile.validatePolygon(data.subjectPolygon, 'Subject polygon'));
+    errors.push(...SceneFile.validatePolygon(data.clippingPolygon, 'Clipping polygon'));
+
+    if (data.subjectRings !== undefined) {
+      if (!Array.isArray(data.subjectRings)) {
+        errors.push('Subject rings must be an array of polygons');
+      } else {
+        data.subjectRings.forEach((ring, i) => {
+          errors.push(...SceneFile.validatePolygon(ring, `Subject ring ${i + 2}`));
+          if (Array.isArray(ring) && ring.length === 0) {
+            errors.push(`Subject ring ${i + 2} is empty`);
+          }
+        });
+        if (data.subjectRings.length > 0 && !(Array.isArray(data.subjectPolygon) && data.subjectPolygon.length > 0)) {
+          errors.push('Subject rings need a subject polygon');
+        }
+      }
+    }
+
+    if (data.subjectLines !== undefined) {
+      if (!Array.isArray(data.subjectLines)) {
+        errors.push('Subject lines must be an array');
+      } else {
+        data.subjectLines.forEach((line, i) => {
+          if (!line || !SceneFile.isPoint(line.start) || !SceneFile.isPoint(line.end)) {
+            errors.push(`Line ${i + 1} needs a start and an end point with numeric coordinates`);
+          }
+        });
+      }
+    }
+
+    // The saved result is only for display, but it still has to be drawable
+    const isRing = (ring) => Array.isArray(ring) && ring.every(point => SceneFile.isPoint(point));
+    if (data.resultPolygon !== undefined && !isRing(data.resultPolygon)) {
+      errors.push('Result polygon must be an array of points');
+    }
+    if (data.resultPolygons !== undefined && !(Array.isArray(data.resultPolygons) && data.resultPolygons.every(isRing))) {
+      errors.push('Result polygons must be arrays of points');
+    }
+    if (data.resultLines !== undefined && !(Array.isArray(data.resultLines) &&
+        data.resultLines.every(line => line && SceneFile.isPoint(line.start) && SceneFile.isPoint(line.end)))) {
+      errors.push('Result lines must have start and end points');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check one polygon of a scene. An empty polygon is allowed.
+   * @param {Array} polygon - Array of points
+   * @param {String} label - Name used in the messages
+   * @returns {Array} - Error messages
+   */
+  static validatePolygon(polygon, label) {
+    if (polygon === undefined) {
+      return [];
+    }
+    if (!Array.isArray(polygon)) {
+      return [`${label} must be an array of points`];
+    }
+    if (polygon.length > 0 && polygon.length < 3) {
+      return [`${label} has ${polygon.length} point(s), needs at least 3`];
+    }
+
+    const errors = [];
+    polygon.forEach((point, i) => {
+      if (!SceneFile.isPoint(point)) {
+        const value = point ? `(${point.x}, ${point.y})` : String(point);
+        errors.push(`${label} point ${i + 1} has an invalid coordinate ${value}`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Check for a finite number
+   * @param {*} value - Value to check
+   * @returns {Boolean} - True for a usable coordinate
+   */
+  static isCoordinate(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+
+  /**
+   * Check for a point with finite x and y
+   * @param {*} point - Value to check
+   * @returns {Boolean} - True for a usable point
+   */
+  static isPoint(point) {
+    return !!point && SceneFile.isCoordinate(point.x) && SceneFile.isCoordinate(point.y);
+  }
+
+  /**
+   * Fit a scene saved on a canvas of another size onto the current canvas.
+   * The scale is uniform, so shapes keep their proportions, and the scene
+   * is centered on the axis with space left over.
+   * @param {Object} scene - Validated scene
+   * @param {Number} width - Current canvas width
+   * @param {Number} height - Current canvas height
+   * @returns {Object} - Rescaled copy of the scene
+   */
+  static rescale(scene, width, height) {
+    const copy = JSON.parse(JSON.stringify(scene));
+    if (!scene.canvas || (scene.canvas.width === width && scene.canvas.height === height)) {
+      return copy;
+    }
+
+    const scale = Math.min(width / scene.canvas.width, height / scene.canvas.height);
+    const offsetX = (width - scene.canvas.width * scale) / 2;
+    const offsetY = (height - scene.canvas.height * scale) / 2;
+    const transform = (point) => ({ x: point.x * scale + offsetX, y: point.y * scale + offsetY });
+    const transformLine = (line) => ({ start: transform(line.start), end: transform(line.end) });
+
+    copy.canvas = { width, height };
+    copy.subjectPolygon = (scene.subjectPolygon || []).map(transform);
+    copy.subjectRings = (scene.subjectRings || []).map(ring => ring.map(transform));
+    copy.clippingPolygon = (scene.clippingPolygon || []).map(transform);
+    copy.subjectLines = (scene.subjectLines || []).map(transformLine);
+    copy.resultPolygon = (scene.resultPolygon || []).map(transform);
+    copy.resultPolygons = (scene.resultPolygons || []).map(ring => ring.map(transform));
+    copy.resultLines = (scene.resultLines || []).map(transformLine);
+    return copy;
+  }
+}
@@ -12,19 +12,81 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initialize the canvas manager
   const canvasManager = new CanvasManager('clipCanvas');
   
-  // Initialize the polygon clipper
-  const clipper = new SutherlandHodgman();
+  // Initialize the polygon clippers, keyed by the algorithm selector's values
+  const clippers = {
+    'sutherland-hodgman': new SutherlandHodgman(),
+    'weiler-atherton': new WeilerAtherton(),
+    'greiner-hormann': new GreinerHormann(),
+    'cohen-sutherland': new CohenSutherland(),
+    'liang-barsky': new LiangBarsky(),
+    'cyrus-beck': new CyrusBeck()
+  };
+  
+  // The clipping core is silent by default; the app keeps Sutherland-Hodgman's debug log
+  clippers['sutherland-hodgman'].logger = console;
   
   // Initialize the animation controller
-  const animationController = new AnimationController(canvasManager, clipper);
+  const animationController = new AnimationController(canvasManager, clippers['sutherland-hodgman']);
+  
+  // Compare mode: a second view that clips the same input, driven in lock-step with this one
+  const compareController = new CompareController(animationController, clippers);
   
   // UI Elements
   const drawSubjectBtn = document.getElementById('drawSubject');
+  const drawRingBtn = document.getElementById('drawRing');
   const drawClippingBtn = document.getElementById('drawClipping');
+  const drawLinesBtn = document.getElementById('drawLines');
   const runClippingBtn = document.getElementById('runClipping');
+  const algorithmSelect = document.getElementById('algorithmSelect');
+  const operationSelect = document.getElementById('operationSelect');
   const resetCanvasBtn = document.getElementById('resetCanvas');
+  const undoBtn = document.getElementById('undo');
+  const redoBtn = document.getElementById('redo');
+  const importSceneBtn = document.getElementById('importScene');
+  const exportSceneBtn = document.getElementById('exportScene');
+  const sceneFileInput = document.getElementById('sceneFileInput');
+  const exportSvgBtn = document.getElementById('exportSvg');
+  const svgIncludeSteps = document.getElementById('svgIncludeSteps');
+  const exportGeoJsonBtn = document.getElementById('exportGeoJson');
+  const exportWktBtn = document.getElementById('exportWkt');
+  const copyLinkBtn = document.getElementById('copyLink');
+  const canvasContainer = document.querySelector('.canvas-container');
+  const shapeToolSelect = document.getElementById('shapeTool');
+  const shapeSidesInput = document.getElementById('shapeSides');
+  const shapeSidesLabel = document.getElementById('shapeSidesLabel');
+  const shapeRotationInput = document.getElementById('shapeRotation');
+  const starInnerRatioInput = document.getElementById('starInnerRatio');
+  const lassoToleranceInput = document.getElementById('lassoTolerance');
+  const shapeOptionLabels = document.querySelectorAll('.shape-option');
+  const crossingPolicySelect = document.getElementById('crossingPolicy');
+  const repairPolygonsBtn = document.getElementById('repairPolygons');
+  const zoomInBtn = document.getElementById('zoomIn');
+  const zoomOutBtn = document.getElementById('zoomOut');
+  const zoomLevel = document.getElementById('zoomLevel');
+  const fitViewBtn = document.getElementById('fitView');
+  const resetViewBtn = document.getElementById('resetView');
+  const showAxesToggle = document.getElementById('showAxes');
+  const yUpToggle = document.getElementById('yUpAxis');
+  const snapToggles = document.querySelectorAll('.snap-toggle');
+  const gridSpacingInput = document.getElementById('gridSpacing');
+  const angleIncrementInput = document.getElementById('angleIncrement');
   const stepByStepToggle = document.getElementById('stepByStep');
+  const vertexDetailToggle = document.getElementById('vertexDetail');
+  const cleanupToggle = document.getElementById('cleanupOutput');
+  const toleranceInput = document.getElementById('tolerance');
+  const liveClippingToggle = document.getElementById('liveClipping');
+  const prevStepBtn = document.getElementById('prevStep');
+  const playPauseBtn = document.getElementById('playPause');
   const nextStepBtn = document.getElementById('nextStep');
+  const timelineScrubber = document.getElementById('timelineScrubber');
+  const jumpToStepSelect = document.getElementById('jumpToStep');
+  const playbackSpeedSelect = document.getElementById('playbackSpeed');
+  const compareModeToggle = document.getElementById('compareMode');
+  const compareAlgorithmSelect = document.getElementById('compareAlgorithm');
+  const clipEdgeStartInput = document.getElementById('clipEdgeStart');
+  const compareClipEdgeStartInput = document.getElementById('compareClipEdgeStart');
+  const compareDiffToggle = document.getElementById('compareDiff');
+  const compareOptionLabels = document.querySelectorAll('.compare-option');
   const tabs = document.querySelectorAll('.tab');
   const dataPanels = document.querySelectorAll('.data-panel');
   
@@ -53,31 +115,701 @@ document.addEventListener('DOMContentLoaded', () => {
     updateButtonState('drawingSubject');
   });
   
+  drawRingBtn.addEventListener('click', () => {
+    console.log('Add Ring button clicked');
+    if (canvasManager.startDrawingRing()) {
+      updateButtonState('drawingSubject');
+    }
+  });
+  
   drawClippingBtn.addEventListener('click', () => {
     console.log('Draw Clipping button clicked');
     canvasManager.startDrawingPolygon('clipping');
     updateButtonState('drawingClipping');
   });
   
+  shapeToolSelect.addEventListener('change', (e) => {
+    const tool = e.target.value;
+    console.log(`Shape tool changed to: ${tool}`);
+    canvasManager.setShapeTool(tool);
+    
+    // Only show the settings of the chosen tool
+    shapeOptionLabels.forEach(label => {
+      label.hidden = !label.dataset.tools.split(' ').includes(tool);
+    });
+    shapeSidesLabel.textContent = tool === 'star' ? 'Tips' : 'Sides';
+  });
+  
+  [shapeSidesInput, shapeRotationInput, starInnerRatioInput, lassoToleranceInput].forEach(input => {
+    input.addEventListener('input', () => {
+      const sides = parseInt(shapeSidesInput.value, 10);
+      canvasManager.setShapeOptions({
+        sides: Number.isFinite(sides) ? Math.min(64, Math.max(3, sides)) : 6,
+        rotation: parseFloat(shapeRotationInput.value) || 0,
+        innerRatio: parseFloat(starInnerRatioInput.value),
+        lassoTolerance: parseFloat(lassoToleranceInput.value)
+      });
+    });
+  });
+  
+  crossingPolicySelect.addEventListener('change', (e) => {
+    console.log(`Crossing policy changed to: ${e.target.value}`);
+    canvasManager.setCrossingPolicy(e.target.value);
+  });
+  
+  /**
+   * Ask before a repair drops pieces of the clipping polygon, which has to stay one polygon
+   * @returns {Boolean} - True if the repair may go ahead
+   */
+  function confirmClippingRepair() {
+    const loss = canvasManager.getClippingRepairLoss();
+    if (!loss) {
+      return true;
+    }
+    const others = loss.pieces === 2 ? 'the other piece' : `the other ${loss.pieces - 1} pieces`;
+    return window.confirm(
+      `The clipping polygon splits into ${loss.pieces} pieces, but it has to stay one polygon. ` +
+      `Keep the largest piece and drop ${others} (${loss.droppedPercent}% of its area)?`
+    );
+  }
+  
+  repairPolygonsBtn.addEventListener('click', () => {
+    if (!confirmClippingRepair()) {
+      animationController.updateStepIndicator('Repair cancelled: the polygons were left as drawn');
+      return;
+    }
+    const summary = canvasManager.repairPolygons();
+    if (summary) {
+      const diagnostics = canvasManager.clippingDiagnostics;
+      animationController.updateStepIndicator(diagnostics && diagnostics.summary
+        ? `${summary}. ${diagnostics.summary}`
+        : summary);
+    }
+  });
+  
+  zoomInBtn.addEventListener('click', () => {
+    canvasManager.zoomBy(1.25);
+  });
+  
+  zoomOutBtn.addEventListener('click', () => {
+    canvasManager.zoomBy(0.8);
+  });
+  
+  fitViewBtn.addEventListener('click', () => {
+    canvasManager.fitToContent();
+  });
+  
+  resetViewBtn.addEventListener('click', () => {
+    canvasManager.resetView();
+  });
+  
+  showAxesToggle.addEventListener('change', (e) => {
+    canvasManager.setShowAxes(e.target.checked);
+  });
+  
+  yUpToggle.addEventListener('change', (e) => {
+    canvasManager.setYUp(e.target.checked);
+  });
+  
+  snapToggles.forEach(toggle => {
+    toggle.addEventListener('change', (e) => {
+      canvasManager.setSnapping({ [e.target.dataset.snap]: e.target.checked });
+    });
+  });
+  
+  gridSpacingInput.addEventListener('change', (e) => {
+    const spacing = parseFloat(e.target.value);
+    canvasManager.setGridSpacing(Number.isFinite(spacing) && spacing > 0 ? spacing : null);
+    if (!canvasManager.gridSpacing) {
+      e.target.value = '';
+    }
+  });
+  
+  angleIncrementInput.addEventListener('change', (e) => {
+    const degrees = parseFloat(e.target.value);
+    canvasManager.setAngleIncrement(Number.isFinite(degrees) ? degrees : 15);
+    e.target.value = canvasManager.angleIncrement;
+  });
+  
+  // Zooming and panning redraw the canvas, so the playback frame has to be drawn again on top
+  document.addEventListener('viewChanged', (e) => {
+    zoomLevel.textContent = `${Math.round(e.detail.scale * 100)}%`;
+    animationController.redrawCurrentFrame();
+  });
+  
+  drawLinesBtn.addEventListener('click', () => {
+    // The same button starts and finishes line drawing
+    if (canvasManager.isDrawing && canvasManager.selectedPolygon === 'lines') {
+      console.log('Finish Lines button clicked');
+      canvasManager.finishLines();
+      return;
+    }
+    console.log('Draw Lines button clicked');
+    canvasManager.startDrawingLines();
+    updateButtonState('drawingLines');
+  });
+  
   runClippingBtn.addEventListener('click', () => {
-    animationController.runClippingAnimation();
+    // Polygons that cross themselves are split first, or not clipped at all
+    if (canvasManager.hasCrossings()) {
+      if (canvasManager.crossingPolicy === 'reject') {
+        animationController.updateStepIndicator(canvasManager.describeCrossings());
+        return;
+      }
+      if (canvasManager.crossingPolicy === 'repair') {
+        if (!confirmClippingRepair()) {
+          animationController.updateStepIndicator('Clipping cancelled: the clipping polygon crosses itself and was left as drawn');
+          return;
+        }
+        canvasManager.repairPolygons();
+      }
+    }
+    if (compareController.active) {
+      compareController.run();
+    } else {
+      animationController.runClippingAnimation();
+    }
     updateButtonState('running');
   });
   
+  algorithmSelect.addEventListener('change', (e) => {
+    console.log(`Algorithm changed to: ${e.target.value}`);
+    animationController.setClipper(clippers[e.target.value]);
+    
+    // Boolean operations are only offered by the Greiner-Hormann engine
+    operationSelect.hidden = e.target.value !== 'greiner-hormann';
+    
+    canvasManager.setResultPolygon([]);
+    canvasManager.render();
+    updateButtonState('ready');
+    
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(true);
+    }
+  });
+  
+  operationSelect.addEventListener('change', (e) => {
+    console.log(`Boolean operation changed to: ${e.target.value}`);
+    clippers['greiner-hormann'].setOperation(e.target.value);
+    animationController.reset();
+    canvasManager.setResultPolygon([]);
+    canvasManager.render();
+    updateButtonState('ready');
+    
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(true);
+    }
+  });
+  
   resetCanvasBtn.addEventListener('click', () => {
     canvasManager.reset();
     animationController.reset();
     updateButtonState('default');
   });
   
+  undoBtn.addEventListener('click', () => {
+    canvasManager.undo();
+  });
+  
+  redoBtn.addEventListener('click', () => {
+    canvasManager.redo();
+  });
+  
+  exportSceneBtn.addEventListener('click', () => {
+    const scene = SceneFile.create(canvasManager, algorithmSelect.value, operationSelect.value);
+    downloadFile('clipping-scene.json', SceneFile.stringify(scene), 'application/json');
+  });
+  
+  exportSvgBtn.addEventListener('click', () => {
+    const svg = SvgFile.create(canvasManager, {
+      clipper: svgIncludeSteps.checked ? animationController.clipper : null
+    });
+    downloadFile('clipping-scene.svg', svg, 'image/svg+xml');
+  });
+  
+  exportGeoJsonBtn.addEventListener('click', () => {
+    downloadFile('clipping-scene.geojson', GeoFile.createGeoJson(canvasManager), 'application/geo+json');
+    announceGeoExport('GeoJSON');
+  });
+  
+  exportWktBtn.addEventListener('click', () => {
+    downloadFile('clipping-result.wkt', GeoFile.createWkt(canvasManager), 'text/plain');
+    announceGeoExport('WKT');
+  });
+  
+  copyLinkBtn.addEventListener('click', () => {
+    // Put the state in the address bar too, so reloading keeps it
+    history.replaceState(null, '', UrlState.encode(captureUrlState()));
+    const link = window.location.href;
+    
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject(new Error('no clipboard'));
+    copied
+      .then(() => animationController.updateStepIndicator('Link copied: opening it shows this scene at this step'))
+      .catch(() => window.prompt('Copy this link:', link));
+  });
+  
+  importSceneBtn.addEventListener('click', () => {
+    sceneFileInput.click();
+  });
+  
+  sceneFileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      importSceneFile(file);
+    }
+    // Allow the same file to be picked again
+    e.target.value = '';
+  });
+  
+  // Scene files can also be dropped onto the canvas
+  canvasContainer.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    canvasContainer.classList.add('drop-target');
+  });
+  
+  canvasContainer.addEventListener('dragleave', () => {
+    canvasContainer.classList.remove('drop-target');
+  });
+  
+  canvasContainer.addEventListener('drop', (e) => {
+    e.preventDefault();
+    canvasContainer.classList.remove('drop-target');
+    const file = e.dataTransfer.files[0];
+    if (file) {
+      importSceneFile(file);
+    }
+  });
+  
+  /**
+   * Offer text as a file download
+   * @param {String} filename - Suggested file name
+   * @param {String} text - File contents
+   * @param {String} type - MIME type
+   */
+  function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+  
+  /**
+   * Read a dropped or picked file and import it as a scene
+   * @param {File} file - A JSON scene or an SVG drawing
+   */
+  function importSceneFile(file) {
+    file.text()
+      .then(text => {
+        const trimmed = text.trimStart();
+        if (/\.svg$/i.test(file.name) || trimmed.startsWith('<')) {
+          return importSvg(text, file.name);
+        }
+        // Scene files are JSON too, so GeoJSON is recognized by its type
+        const isGeo = /\.(geojson|wkt)$/i.test(file.name) || /^[A-Za-z]/.test(trimmed) ||
+          /"type"\s*:\s*"(FeatureCollection|Feature|Polygon|MultiPolygon|GeometryCollection)"/.test(text);
+        return isGeo ? importGeo(text, file.name) : importScene(text, file.name);
+      })
+      .catch(error => animationController.updateStepIndicator(`Could not read ${file.name}: ${error.message}`));
+  }
+  
+  /**
+   * Validate scene JSON and load it, fitted to the current canvas
+   * @param {String} text - Scene JSON
+   * @param {String} name - File name for messages
+   */
+  function importScene(text, name) {
+    const { scene, errors } = SceneFile.parse(text, {
+      algorithms: Object.keys(clippers),
+      operations: Object.keys(GreinerHormann.OPERATIONS)
+    });
+    
+    if (errors.length > 0) {
+      console.log(`Scene ${name} rejected:`, errors);
+      animationController.updateStepIndicator(`Import failed: ${errors.join('; ')}`);
+      return;
+    }
+    
+    const canvas = canvasManager.canvas;
+    const fitted = SceneFile.rescale(scene, canvas.width, canvas.height);
+    
+    // Select the saved algorithm first: changing it clears the result
+    if (scene.operation) {
+      operationSelect.value = scene.operation;
+      clippers['greiner-hormann'].setOperation(scene.operation);
+    }
+    if (scene.algorithm && scene.algorithm !== algorithmSelect.value) {
+      algorithmSelect.value = scene.algorithm;
+      animationController.setClipper(clippers[scene.algorithm]);
+      operationSelect.hidden = scene.algorithm !== 'greiner-hormann';
+    }
+    
+    animationController.reset();
+    const diagnostics = canvasManager.loadScene(fitted);
+    updateButtonState('ready');
+    
+    const rescaled = scene.canvas && (scene.canvas.width !== canvas.width || scene.canvas.height !== canvas.height);
+    const summary = diagnostics && diagnostics.summary;
+    animationController.updateStepIndicator(summary || (rescaled
+      ? `Imported ${name} (rescaled from ${scene.canvas.width}×${scene.canvas.height})`
+      : `Imported ${name}`));
+    
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(false);
+    }
+  }
+  
+  /**
+   * Load the subject and clipping polygons from an SVG drawing, fitted to the canvas
+   * @param {String} text - SVG markup
+   * @param {String} name - File name for messages
+   */
+  function importSvg(text, name) {
+    const { scene, errors, warnings } = SvgFile.parse(text);
+    
+    if (errors.length > 0) {
+      console.log(`SVG ${name} rejected:`, errors);
+      animationController.updateStepIndicator(`Import failed: ${errors.join('; ')}`);
+      return;
+    }
+    if (warnings.length > 0) {
+      console.log(`SVG ${name} warnings:`, warnings);
+    }
+    
+    const canvas = canvasManager.canvas;
+    const fitted = SceneFile.rescale(scene, canvas.width, canvas.height);
+    
+    animationController.reset();
+    const diagnostics = canvasManager.loadScene(fitted, 'Import SVG');
+    updateButtonState('ready');
+    
+    const summary = diagnostics && diagnostics.summary;
+    const notes = warnings.length > 0 ? ` (${warnings.join('; ')})` : '';
+    animationController.updateStepIndicator(summary || `Imported ${name}${notes}`);
+    
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(false);
+    }
+  }
+  
+  /**
+   * Load map polygons from GeoJSON or WKT, projected to fit the canvas
+   * @param {String} text - GeoJSON or WKT
+   * @param {String} name - File name for messages
+   */
+  function importGeo(text, name) {
+    const { shapes, errors, warnings } = GeoFile.parse(text);
+    
+    if (errors.length > 0) {
+      console.log(`Map file ${name} rejected:`, errors);
+      animationController.updateStepIndicator(`Import failed: ${errors.join('; ')}`);
+      return;
+    }
+    
+    const canvas = canvasManager.canvas;
+    const { scene, ignored, droppedHoles } = GeoFile.toScene(shapes, canvas.width, canvas.height);
+    if (ignored > 0) {
+      warnings.push(`${ignored} extra polygon(s) ignored`);
+    }
+    if (droppedHoles > 0) {
+      warnings.push(`${droppedHoles} hole(s) of the clipping polygon ignored`);
+    }
+    console.log(`Map file ${name} projection:`, scene.geoProjection, warnings);
+    
+    animationController.reset();
+    const diagnostics = canvasManager.loadScene(scene, 'Import map');
+    updateButtonState('ready');
+    
+    const summary = diagnostics && diagnostics.summary;
+    const notes = warnings.length > 0 ? ` (${warnings.join('; ')})` : '';
+    animationController.updateStepIndicator(summary || `Imported ${name}${notes}`);
+    
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(false);
+    }
+  }
+  
+  /**
+   * Say which coordinates a GeoJSON or WKT export used
+   * @param {String} format - Name of the format
+   */
+  function announceGeoExport(format) {
+    animationController.updateStepIndicator(canvasManager.geoProjection
+      ? `Exported ${format} in map coordinates`
+      : `Exported ${format} in canvas coordinates (no map file was imported)`);
+  }
+  
+  /**
+   * Collect the scene and playback position for a shareable link
+   * @returns {Object} - State for UrlState.encode()
+   */
+  function captureUrlState() {
+    const hasTimeline = animationController.timeline !== null;
+    const frameIndex = animationController.currentFrameIndex;
+    return {
+      algorithm: algorithmSelect.value,
+      operation: operationSelect.value,
+      stepByStep: stepByStepToggle.checked,
+      vertexDetail: vertexDetailToggle.checked,
+      cleanup: cleanupToggle.checked,
+      epsilon: clippers['sutherland-hodgman'].epsilon,
+      stepIndex: hasTimeline ? animationController.clipper.currentStepIndex : null,
+      frameIndex: hasTimeline && frameIndex >= 0 ? frameIndex : null,
+      subjectPolygon: canvasManager.subjectPolygon,
+      subjectRings: canvasManager.getSubjectRings().slice(1),
+      clippingPolygon: canvasManager.clippingPolygon,
+      subjectLines: canvasManager.subjectLines
+    };
+  }
+  
+  /**
+   * Open the scene in a shared link, paused at the step it was copied on
+   * @param {String} hash - URL hash
+   */
+  function restoreUrlState(hash) {
+    const decoded = UrlState.decode(hash, {
+      algorithms: Object.keys(clippers),
+      operations: Object.keys(GreinerHormann.OPERATIONS)
+    });
+    if (!decoded) {
+      return;
+    }
+    if (decoded.errors.length > 0) {
+      console.log('Link rejected:', decoded.errors);
+      animationController.updateStepIndicator(`Could not open link: ${decoded.errors.join('; ')}`);
+      return;
+    }
+    
+    const { state } = decoded;
+    console.log('Restoring scene from link:', state);
+    
+    // Links hold a single view
+    if (compareController.active) {
+      setCompareMode(false);
+    }
+    
+    operationSelect.value = state.operation;
+    clippers['greiner-hormann'].setOperation(state.operation);
+    algorithmSelect.value = state.algorithm;
+    animationController.setClipper(clippers[state.algorithm]);
+    operationSelect.hidden = state.algorithm !== 'greiner-hormann';
+    
+    stepByStepToggle.checked = state.stepByStep;
+    animationController.setStepByStepMode(state.stepByStep);
+    vertexDetailToggle.checked = state.vertexDetail;
+    animationController.setVertexDetailMode(state.vertexDetail);
+    cleanupToggle.checked = state.cleanup;
+    clippers['sutherland-hodgman'].cleanupOutput = state.cleanup;
+    clippers['sutherland-hodgman'].setEpsilon(state.epsilon);
+    toleranceInput.value = clippers['sutherland-hodgman'].epsilon;
+    
+    animationController.reset();
+    // Links hold world coordinates, which do not depend on the size of the canvas
+    const diagnostics = canvasManager.loadScene(UrlState.toScene(state), 'Open link');
+    updateButtonState('ready');
+    animationController.updateStepIndicator((diagnostics && diagnostics.summary) || 'Opened shared scene');
+    
+    if (state.stepIndex === null || !canRunClipping()) {
+      return;
+    }
+    
+    animationController.runClippingAnimation();
+    updateButtonState('running');
+    
+    // The frame index is exact; fall back to the start of the step if the frames differ
+    const frame = animationController.frames[state.frameIndex];
+    if (frame && frame.stepIndex === state.stepIndex) {
+      animationController.seek(frame.start);
+    } else if (state.frameIndex !== null) {
+      animationController.jumpToStep(state.stepIndex);
+    }
+  }
+  
+  // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; Cmd works the same on macOS
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      canvasManager.undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      canvasManager.redo();
+    }
+  });
+  
   stepByStepToggle.addEventListener('change', (e) => {
-    animationController.setStepByStepMode(e.target.checked);
+    activePlayback().setStepByStepMode(e.target.checked);
+  });
+  
+  vertexDetailToggle.addEventListener('change', (e) => {
+    activePlayback().setVertexDetailMode(e.target.checked);
+  });
+  
+  cleanupToggle.addEventListener('change', (e) => {
+    clippers['sutherland-hodgman'].cleanupOutput = e.target.checked;
+    animationController.reset();
+    canvasManager.setResultPolygon([]);
+    canvasManager.render();
+    updateButtonState('ready');
+    
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(true);
+    }
+  });
+  
+  toleranceInput.addEventListener('change', (e) => {
+    clippers['sutherland-hodgman'].setEpsilon(parseFloat(e.target.value));
+    e.target.value = clippers['sutherland-hodgman'].epsilon;
+    animationController.reset();
+    canvasManager.setResultPolygon([]);
+    canvasManager.render();
+    updateButtonState('ready');
+    
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(true);
+    }
+  });
+  
+  liveClippingToggle.addEventListener('change', (e) => {
+    if (e.target.checked) {
+      animationController.reset();
+      scheduleLiveClipping(true);
+    }
+  });
+  
+  // Live re-clipping runs at most once per animation frame, however fast the edits arrive
+  let liveClippingFrame = null;
+  let liveClippingAnnounce = false;
+  
+  /**
+   * Queue a live re-clip for the next animation frame
+   * @param {Boolean} announce - Whether to summarize the result in the step indicator
+   */
+  function scheduleLiveClipping(announce) {
+    liveClippingAnnounce = liveClippingAnnounce || announce;
+    if (liveClippingFrame !== null) {
+      return;
+    }
+    
+    liveClippingFrame = requestAnimationFrame(() => {
+      liveClippingFrame = null;
+      animationController.runLiveClipping(liveClippingAnnounce);
+      if (compareController.active) {
+        compareController.runLiveClipping(liveClippingAnnounce);
+      }
+      liveClippingAnnounce = false;
+    });
+  }
+  
+  compareModeToggle.addEventListener('change', (e) => {
+    setCompareMode(e.target.checked);
+  });
+  
+  compareAlgorithmSelect.addEventListener('change', (e) => {
+    console.log(`Compare algorithm changed to: ${e.target.value}`);
+    compareController.setAlgorithm(e.target.value);
+    updateButtonState('ready');
+    
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(true);
+    }
+  });
+  
+  [[clipEdgeStartInput, 'left'], [compareClipEdgeStartInput, 'right']].forEach(([input, side]) => {
+    input.addEventListener('change', () => {
+      // Edges are numbered from 1 in the UI, like in the step indicator
+      const edge = parseInt(input.value, 10);
+      input.value = Number.isFinite(edge) && edge >= 1 ? edge : 1;
+      compareController.setClipEdgeStart(side, Number(input.value) - 1);
+      updateButtonState('ready');
+      
+      if (liveClippingToggle.checked) {
+        scheduleLiveClipping(true);
+      }
+    });
   });
   
+  compareDiffToggle.addEventListener('change', (e) => {
+    compareController.setShowDiff(e.target.checked);
+  });
+  
+  /**
+   * Show or hide the second view and its settings
+   * @param {Boolean} enabled - Whether compare mode is on
+   */
+  function setCompareMode(enabled) {
+    compareModeToggle.checked = enabled;
+    compareOptionLabels.forEach(label => {
+      label.hidden = !enabled;
+    });
+    // The left view's first edge only applies in compare mode
+    clipEdgeStartInput.value = 1;
+    compareController.setActive(enabled);
+    updateButtonState('ready');
+    
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(true);
+    }
+  }
+  
+  /**
+   * Get what the transport bar drives: both views in compare mode, otherwise the main one
+   * @returns {AnimationController|CompareController} - Object with the playback methods
+   */
+  function activePlayback() {
+    return compareController.active ? compareController : animationController;
+  }
+  
   nextStepBtn.addEventListener('click', () => {
-    animationController.nextStep();
+    activePlayback().nextStep();
+  });
+  
+  prevStepBtn.addEventListener('click', () => {
+    activePlayback().previousStep();
   });
   
+  playPauseBtn.addEventListener('click', () => {
+    activePlayback().togglePlayback();
+  });
+  
+  timelineScrubber.addEventListener('input', (e) => {
+    activePlayback().scrubTo(Number(e.target.value) / 1000);
+  });
+  
+  jumpToStepSelect.addEventListener('change', (e) => {
+    activePlayback().jumpToStep(Number(e.target.value));
+  });
+  
+  playbackSpeedSelect.addEventListener('change', (e) => {
+    activePlayback().setPlaybackSpeed(Number(e.target.value));
+  });
+  
+  /**
+   * Disable the playback transport while the scene is being edited
+   */
+  function disableTransport() {
+    [prevStepBtn, playPauseBtn, nextStepBtn, timelineScrubber, jumpToStepSelect].forEach(control => {
+      control.disabled = true;
+    });
+  }
+  
+  /**
+   * Check whether the current algorithm has the input it needs
+   * @returns {Boolean} - True if clipping can run
+   */
+  function canRunClipping() {
+    const subjectReady = animationController.isLineClipper()
+      ? canvasManager.subjectLines.length > 0
+      : canvasManager.subjectPolygon.length >= 3;
+    return subjectReady && canvasManager.clippingPolygon.length >= 3;
+  }
+  
   /**
    * Update button states based on application state
    * @param {String} state - The current app state
@@ -87,39 +819,63 @@ document.addEventListener('DOMContentLoaded', () => {
     switch(state) {
       case 'default':
         drawSubjectBtn.disabled = false;
+        drawRingBtn.disabled = true;
         drawClippingBtn.disabled = false;
+        drawLinesBtn.disabled = false;
+        drawLinesBtn.textContent = 'Draw Lines';
+        algorithmSelect.disabled = false;
         runClippingBtn.disabled = true;
-        nextStepBtn.disabled = true;
+        disableTransport();
         break;
         
       case 'drawingSubject':
         drawSubjectBtn.disabled = true;
+        drawRingBtn.disabled = true;
         drawClippingBtn.disabled = true;
+        drawLinesBtn.disabled = true;
+        algorithmSelect.disabled = true;
         runClippingBtn.disabled = true;
-        nextStepBtn.disabled = true;
+        disableTransport();
         break;
         
       case 'drawingClipping':
         drawSubjectBtn.disabled = true;
+        drawRingBtn.disabled = true;
+        drawClippingBtn.disabled = true;
+        drawLinesBtn.disabled = true;
+        algorithmSelect.disabled = true;
+        runClippingBtn.disabled = true;
+        disableTransport();
+        break;
+        
+      case 'drawingLines':
+        drawSubjectBtn.disabled = true;
+        drawRingBtn.disabled = true;
         drawClippingBtn.disabled = true;
+        drawLinesBtn.disabled = false;
+        drawLinesBtn.textContent = 'Finish Lines';
+        algorithmSelect.disabled = true;
         runClippingBtn.disabled = true;
-        nextStepBtn.disabled = true;
+        disableTransport();
         break;
         
       case 'ready':
         drawSubjectBtn.disabled = false;
+        drawRingBtn.disabled = canvasManager.subjectPolygon.length < 3;
         drawClippingBtn.disabled = false;
-        runClippingBtn.disabled = canvasManager.subjectPolygon.length < 3 || canvasManager.clippingPolygon.length < 3;
-        nextStepBtn.disabled = true;
+        drawLinesBtn.disabled = false;
+        drawLinesBtn.textContent = 'Draw Lines';
+        algorithmSelect.disabled = false;
+        runClippingBtn.disabled = !canRunClipping();
+        disableTransport();
         break;
         
       case 'running':
         drawSubjectBtn.disabled = true;
+        drawRingBtn.disabled = true;
         drawClippingBtn.disabled = true;
+        drawLinesBtn.disabled = true;
         runClippingBtn.disabled = true;
-        if (!stepByStepToggle.checked) {
-          nextStepBtn.disabled = true;
-        }
         break;
     }
   }
@@ -191,6 +947,7 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('Force enabling buttons after timeout');
     drawSubjectBtn.disabled = false;
     drawClippingBtn.disabled = false;
+    drawLinesBtn.disabled = false;
   }, 1000);
   
   // Add event listener for polygon completion
@@ -198,5 +955,91 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('Polygon completed event received:', event.detail);
     // Set the button state to ready after polygon completion
     updateButtonState('ready');
+    
+    // Surface clipping polygon problems instead of letting them produce a silent empty result
+    // Crossings left in place come first, since they say how to repair them
+    const { diagnostics, crossings, repair } = event.detail;
+    const summary = (crossings && crossings.length > 0 ? canvasManager.describeCrossings() : null) ||
+      [repair, diagnostics && diagnostics.summary].filter(Boolean).join('. ') || null;
+    if (summary) {
+      animationController.updateStepIndicator(summary);
+    }
+    
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(!summary);
+    }
+  });
+  
+  // Closing was refused because the new polygon would cross itself
+  document.addEventListener('polygonRejected', (event) => {
+    const { polygonType, crossings } = event.detail;
+    animationController.updateStepIndicator(
+      `The ${canvasManager.getPolygonName(polygonType)} would cross itself at ${crossings.length} point(s): move or undo the last point, then close it again`
+    );
+  });
+  
+  // The Repair button is only useful while some polygon crosses itself
+  document.addEventListener('crossingsChanged', (event) => {
+    repairPolygonsBtn.disabled = event.detail.count === 0;
+  });
+  
+  // Editing a closed polygon invalidates the last clipping run
+  document.addEventListener('polygonEdited', (event) => {
+    const { polygonType, action, dragging, diagnostics } = event.detail;
+    
+    // Stop any playback as soon as a drag starts; the result is already cleared
+    if (animationController.timeline) {
+      animationController.reset();
+    }
+    
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(!dragging && !(diagnostics && diagnostics.summary));
+    }
+    if (dragging) {
+      return;
+    }
+    
+    console.log('Polygon edited event received:', event.detail);
+    updateButtonState('ready');
+    
+    if (diagnostics && diagnostics.summary) {
+      animationController.updateStepIndicator(diagnostics.summary);
+    } else if (action !== 'repair' && canvasManager.hasCrossings()) {
+      animationController.updateStepIndicator(canvasManager.describeCrossings());
+    } else if (!liveClippingToggle.checked) {
+      animationController.updateStepIndicator(`${polygonType === 'clipping' ? 'Clipping' : 'Subject'} polygon edited (${action}): run clipping again to see the result`);
+    }
+  });
+  
+  // Keep the undo/redo buttons in step with the history
+  document.addEventListener('historyChanged', (event) => {
+    const { canUndo, canRedo, undoLabel, redoLabel } = event.detail;
+    undoBtn.disabled = !canUndo;
+    redoBtn.disabled = !canRedo;
+    undoBtn.title = canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    redoBtn.title = canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+  });
+  
+  // Undo/redo restored an earlier scene: stop playback and match the buttons to it
+  document.addEventListener('sceneRestored', (event) => {
+    const { isDrawing, selectedPolygon } = event.detail;
+    animationController.reset();
+    
+    if (isDrawing) {
+      const drawingStates = { subject: 'drawingSubject', clipping: 'drawingClipping', lines: 'drawingLines' };
+      updateButtonState(drawingStates[selectedPolygon] || 'drawingSubject'); // Subject rings are "ring-N"
+      return;
+    }
+    
+    updateButtonState('ready');
+    if (liveClippingToggle.checked) {
+      scheduleLiveClipping(true);
+    }
+  });
+  
+  // Open a shared link, now and whenever another one is pasted into this tab
+  restoreUrlState(window.location.hash);
+  window.addEventListener('hashchange', () => {
+    restoreUrlState(window.location.hash);
   });
 });
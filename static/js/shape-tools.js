@@ -0,0 +1,158 @@
+/**
+ * Shape Tools
+ *
+ * This file builds ready-made polygons for the drawing tools: rectangles,
+ * regular polygons, stars and simplified freehand outlines. Every shape is
+ * returned as a plain array of points with positive signed area, the same
+ * winding the clippers expect.
+ */
+
+class ShapeTools {
+  /**
+   * Axis-aligned rectangle spanned by two opposite corners
+   * @param {Object} a - First corner
+   * @param {Object} b - Opposite corner
+   * @returns {Array} - Four points
+   */
+  static rectangle(a, b) {
+    const minX = Math.min(a.x, b.x);
+    const maxX = Math.max(a.x, b.x);
+    const minY = Math.min(a.y, b.y);
+    const maxY = Math.max(a.y, b.y);
+    return [
+      { x: minX, y: minY },
+      { x: maxX, y: minY },
+      { x: maxX, y: maxY },
+      { x: minX, y: maxY }
+    ];
+  }
+
+  /**
+   * Regular polygon inscribed in a circle
+   * @param {Object} center - Center of the circle
+   * @param {Number} radius - Distance from the center to each vertex
+   * @param {Number} sides - Number of vertices (at least 3)
+   * @param {Number} rotation - Angle of the first vertex in degrees; 0 puts it straight up
+   * @returns {Array} - One point per side
+   */
+  static regularPolygon(center, radius, sides, rotation = 0) {
+    const count = Math.max(3, Math.round(sides));
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      points.push(ShapeTools.polar(center, radius, rotation + i * 360 / count));
+    }
+    return GeometryUtils.orientPositive(points);
+  }
+
+  /**
+   * Star with alternating outer and inner vertices, a simple concave test shape
+   * @param {Object} center - Center of the star
+   * @param {Number} radius - Distance from the center to the tips
+   * @param {Number} tips - Number of tips (at least 3)
+   * @param {Number} innerRatio - Inner radius as a fraction of the outer one
+   * @param {Number} rotation - Angle of the first tip in degrees; 0 puts it straight up
+   * @returns {Array} - Two points per tip
+   */
+  static star(center, radius, tips, innerRatio = 0.5, rotation = 0) {
+    const count = Math.max(3, Math.round(tips));
+    const points = [];
+    for (let i = 0; i < count * 2; i++) {
+      const r = i % 2 === 0 ? radius : radius * innerRatio;
+      points.push(ShapeTools.polar(center, r, rotation + i * 180 / count));
+    }
+    return GeometryUtils.orientPositive(points);
+  }
+
+  /**
+   * Point at a distance and compass-style angle from a center (0° is up on screen)
+   * @param {Object} center - Origin
+   * @param {Number} radius - Distance
+   * @param {Number} degrees - Angle, clockwise on screen
+   * @returns {Object} - The point
+   */
+  static polar(center, radius, degrees) {
+    const angle = degrees * Math.PI / 180;
+    return {
+      x: center.x + radius * Math.sin(angle),
+      y: center.y - radius * Math.cos(angle)
+    };
+  }
+
+  /**
+   * Turn a freehand path into a polygon with few vertices
+   * @param {Array} path - Points in drawing order
+   * @param {Number} tolerance - Largest distance in pixels a removed point may lie from the outline
+   * @returns {Array} - Closed outline (without a repeated first point), empty if it collapses
+   */
+  static lasso(path, tolerance) {
+    if (path.length < 3) {
+      return [];
+    }
+
+    // Close the path so the last stretch back to the start is simplified too
+    const closed = path.concat([path[0]]);
+    const simplified = ShapeTools.simplify(closed, tolerance).slice(0, -1);
+    if (simplified.length < 3 || GeometryUtils.area(simplified) < 1e-9) {
+      return [];
+    }
+    return GeometryUtils.orientPositive(simplified);
+  }
+
+  /**
+   * Ramer-Douglas-Peucker simplification of an open polyline
+   * @param {Array} points - Polyline points
+   * @param {Number} tolerance - Largest allowed distance of a dropped point from the result
+   * @returns {Array} - The kept points, including both ends
+   */
+  static simplify(points, tolerance) {
+    if (points.length < 3) {
+      return points.slice();
+    }
+
+    // Iterative version: a stack of index ranges avoids deep recursion on long paths
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length > 0) {
+      const [first, last] = stack.pop();
+      let farthest = -1;
+      let maxDistance = tolerance;
+
+      for (let i = first + 1; i < last; i++) {
+        const distance = ShapeTools.distanceToSegment(points[i], points[first], points[last]);
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          farthest = i;
+        }
+      }
+
+      if (farthest !== -1) {
+        keep[farthest] = true;
+        stack.push([first, farthest], [farthest, last]);
+      }
+    }
+
+    return points.filter((point, i) => keep[i]);
+  }
+
+  /**
+   * Distance from a point to a segment
+   * @param {Object} p - The point
+   * @param {Object} a - Segment start
+   * @param {Object} b - Segment end
+   * @returns {Number} - Shortest distance
+   */
+  static distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    if (lengthSquared === 0) {
+      return Math.hypot(p.x - a.x, p.y - a.y);
+    }
+
+    const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+  }
+}
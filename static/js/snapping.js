@@ -0,0 +1,106 @@
+/**
+ * Snapping
+ *
+ * This file moves a pointer position onto something nearby: a grid
+ * intersection, an existing vertex, the closest point of an edge, or a
+ * direction that is a whole multiple of an angle increment from a previous
+ * vertex. All inputs and outputs are world coordinates.
+ */
+
+class Snapping {
+  /**
+   * Nearest grid intersection
+   * @param {Object} point - Point to snap
+   * @param {Number} spacing - Grid spacing
+   * @returns {Object} - The intersection
+   */
+  static toGrid(point, spacing) {
+    return {
+      x: Math.round(point.x / spacing) * spacing,
+      y: Math.round(point.y / spacing) * spacing
+    };
+  }
+
+  /**
+   * Point at the same distance from an origin, turned to the nearest angle increment
+   * @param {Object} point - Point to snap
+   * @param {Object} origin - Previous vertex the angle is measured from
+   * @param {Number} increment - Angle increment in degrees
+   * @returns {Object|null} - {point, degrees}, or null when the point is on the origin
+   */
+  static toAngle(point, origin, increment) {
+    const dx = point.x - origin.x;
+    const dy = point.y - origin.y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) {
+      return null;
+    }
+
+    const step = increment * Math.PI / 180;
+    const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+    return {
+      point: { x: origin.x + length * Math.cos(angle), y: origin.y + length * Math.sin(angle) },
+      degrees: ((Math.round(angle * 180 / Math.PI) % 360) + 360) % 360
+    };
+  }
+
+  /**
+   * Closest vertex within a radius
+   * @param {Object} point - Point to snap
+   * @param {Array} vertices - Candidate points
+   * @param {Number} radius - Largest snapping distance
+   * @returns {Object|null} - The vertex, or null if none is close enough
+   */
+  static nearestVertex(point, vertices, radius) {
+    let best = null;
+    let bestDistance = radius;
+    vertices.forEach(vertex => {
+      const distance = Math.hypot(point.x - vertex.x, point.y - vertex.y);
+      if (distance <= bestDistance) {
+        best = vertex;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Closest point on any edge within a radius
+   * @param {Object} point - Point to snap
+   * @param {Array} edges - Candidate edges as {start, end}
+   * @param {Number} radius - Largest snapping distance
+   * @returns {Object|null} - {point, edge}, or null if no edge is close enough
+   */
+  static nearestOnEdge(point, edges, radius) {
+    let best = null;
+    let bestDistance = radius;
+    edges.forEach(edge => {
+      const closest = Snapping.closestPointOnSegment(point, edge.start, edge.end);
+      const distance = Math.hypot(point.x - closest.x, point.y - closest.y);
+      if (distance <= bestDistance) {
+        best = { point: closest, edge };
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Closest point of a segment to a point
+   * @param {Object} p - The point
+   * @param {Object} a - Segment start
+   * @param {Object} b - Segment end
+   * @returns {Object} - Point on the segment
+   */
+  static closestPointOnSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    if (lengthSquared === 0) {
+      return { x: a.x, y: a.y };
+    }
+
+    const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+    return { x: a.x + t * dx, y: a.y + t * dy };
+  }
+}
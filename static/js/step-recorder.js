@@ -0,0 +1,121 @@
+/**
+ * Step Recording
+ *
+ * This file contains the base class of the polygon and line clippers. It
+ * keeps the list of steps a clipper records while it runs and lets the
+ * animation walk through them one at a time. It also runs the polygon
+ * clippers that only see proper crossings on polygons that merely touch.
+ */
+
+import { GeometryUtils } from './geometry-utils.js';
+
+export class StepRecorder {
+  constructor() {
+    this.steps = [];
+    this.currentStepIndex = -1;
+    this.recordSteps = true; // Turned off by live re-clipping, which only needs the result
+  }
+
+  /**
+   * Forget the steps of the previous run, before a new one starts
+   */
+  clearSteps() {
+    this.steps = [];
+    this.currentStepIndex = -1;
+  }
+
+  /**
+   * Get the total number of steps in the clipping process
+   * @returns {Number} - The number of steps
+   */
+  getTotalSteps() {
+    return this.steps.length;
+  }
+
+  /**
+   * Get a specific step in the clipping process
+   * @param {Number} index - The step index
+   * @returns {Object} - The step details
+   */
+  getStep(index) {
+    if (index < 0 || index >= this.steps.length) {
+      return null;
+    }
+    return this.steps[index];
+  }
+
+  /**
+   * Get the next step in the clipping process
+   * @returns {Object} - The next step details
+   */
+  getNextStep() {
+    if (this.currentStepIndex < this.steps.length - 1) {
+      this.currentStepIndex++;
+      return this.steps[this.currentStepIndex];
+    }
+    return null;
+  }
+
+  /**
+   * Reset the current step index
+   */
+  resetSteps() {
+    this.currentStepIndex = -1;
+  }
+
+  /**
+   * Run a clip that only sees proper crossings on polygons that may touch.
+   * Touching vertices and edges are turned into crossings by moving the
+   * clipper a tiny distance, and a last step moves the result back onto the
+   * input points. If no such shift is found, the polygons are clipped as
+   * they are, unresolvedContacts is set and a step warns about it.
+   * @param {Array} subject - Subject polygon
+   * @param {Array} clipper - Clipper polygon
+   * @param {Function} clipCrossing - Clips the subject against the clipper it is given
+   * @returns {Array} - Array of result polygons
+   */
+  clipApart(subject, clipper, clipCrossing) {
+    this.unresolvedContacts = false;
+    if (!GeometryUtils.hasBoundaryContacts(subject, clipper)) {
+      return clipCrossing(clipper);
+    }
+
+    const offset = GeometryUtils.contactFreeOffset(subject, clipper);
+    let results;
+    let description;
+    if (offset) {
+      results = GeometryUtils.snapToInputs(clipCrossing(GeometryUtils.translate(clipper, offset)), subject, clipper, offset);
+      description = `The polygons touch, so the clipper was shifted by (${offset.x.toExponential(1)}, ` +
+        `${offset.y.toExponential(1)}); moved the result back onto the input points`;
+    } else {
+      this.unresolvedContacts = true;
+      results = clipCrossing(clipper);
+      description = 'Warning: the polygons touch and no small shift of the clipper moves them apart, ' +
+        'so crossings at touching points may be missing from the result';
+    }
+
+    if (this.recordSteps) {
+      this.steps.push({
+        phase: 'traversal',
+        description,
+        inputPolygon: JSON.parse(JSON.stringify(subject)),
+        outputPolygon: results.length > 0 ? JSON.parse(JSON.stringify(results[0])) : [],
+        outputPolygons: JSON.parse(JSON.stringify(results)),
+        intersections: [],
+        actions: []
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Get the current step in the clipping process
+   * @returns {Object} - The current step details
+   */
+  getCurrentStep() {
+    if (this.currentStepIndex >= 0 && this.currentStepIndex < this.steps.length) {
+      return this.steps[this.currentStepIndex];
+    }
+    return null;
+  }
+}
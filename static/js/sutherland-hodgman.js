@@ -3,103 +3,97 @@
  * 
  * This file contains the implementation of the Sutherland-Hodgman algorithm
  * for clipping a subject polygon against a clipper polygon.
+ *
+ * The algorithm always returns a single ring. When a concave subject leaves
+ * the window and comes back, the pieces are joined by zero-area "bridge"
+ * edges running along the clip boundary, and an intersection that falls on
+ * a subject vertex repeats that vertex. The optional cleanup pass removes
+ * these artifacts and splits the ring into separate polygons.
  */
 
-class SutherlandHodgman {
+import { GeometryUtils } from './geometry-utils.js';
+import { StepRecorder } from './step-recorder.js';
+
+export class SutherlandHodgman extends StepRecorder {
   constructor() {
-    this.steps = [];
-    this.currentStepIndex = -1;
+    super();
+    this.name = 'Sutherland-Hodgman';
+    this.requiresConvexClipper = true; // Each clip edge is treated as a half-plane
+    this.cleanupOutput = false; // Run cleanup() on the final output list
+    this.epsilon = SutherlandHodgman.DEFAULT_EPSILON; // Distance that still counts as on a line
+    this.missedIntersections = []; // Crossings the classification expected but no intersection was found for
+    this.logger = null; // Gets debug messages through log(), e.g. console in the browser; silent by default
+  }
+  
+  /**
+   * Write a debug message to the logger, if there is one.
+   * Live re-clipping skips the debug output along with the steps.
+   * @param {...*} args - Message parts, as for console.log
+   */
+  log(...args) {
+    if (this.logger && this.recordSteps) {
+      this.logger.log(...args);
+    }
+  }
+  
+  /**
+   * Default distance tolerance of the predicates
+   */
+  static get DEFAULT_EPSILON() {
+    return 1e-9;
+  }
+  
+  /**
+   * Set the distance within which a point counts as on a clip line
+   * @param {Number} epsilon - Non-negative tolerance in world units
+   */
+  setEpsilon(epsilon) {
+    this.epsilon = Number.isFinite(epsilon) && epsilon >= 0 ? epsilon : SutherlandHodgman.DEFAULT_EPSILON;
   }
   
   /**
-   * Determine if a point is inside a clipping edge
+   * Determine if a point is inside a clipping edge. The side is decided by an
+   * exact orientation test; points within epsilon of the line count as inside.
    * @param {Object} point - The point to check
    * @param {Object} clipEdgeStart - Start point of clipping edge
    * @param {Object} clipEdgeEnd - End point of clipping edge
-   * @returns {Boolean} - True if inside, false if outside
+   * @returns {Boolean} - True if inside (left of the directed edge or on it), false if outside
    */
   isInside(point, clipEdgeStart, clipEdgeEnd) {
-    // Vector cross product to determine if point is to the left of the directed edge
-    // For the edge vector (edge_x, edge_y) and point vector from start to point (point_x, point_y)
-    // The sign of edge_x * point_y - edge_y * point_x determines which side the point is on
-    const edge_x = clipEdgeEnd.x - clipEdgeStart.x;
-    const edge_y = clipEdgeEnd.y - clipEdgeStart.y;
-    const point_x = point.x - clipEdgeStart.x;
-    const point_y = point.y - clipEdgeStart.y;
-    
-    // Cross product: if positive, point is on the inside (left of directed edge)
-    return (edge_x * point_y - edge_y * point_x) >= 0;
+    return GeometryUtils.sideOfLine(point, clipEdgeStart, clipEdgeEnd, this.epsilon) >= 0;
   }
   
   /**
-   * Calculate the intersection point of a polygon edge and a clipping edge
+   * Calculate where a subject edge crosses the line through a clipping edge.
+   * Each clip edge stands for a half-plane, so the crossing may lie beyond
+   * the ends of the clip edge itself. The inside test is exact but the
+   * distances used here are rounded, so an edge classified as crossing is
+   * not guaranteed to get a point; clip() reports the ones that do not.
    * @param {Object} s - Start point of subject edge
    * @param {Object} e - End point of subject edge
    * @param {Object} clipStart - Start point of clipping edge
    * @param {Object} clipEnd - End point of clipping edge
-   * @returns {Object} - The intersection point
+   * @returns {Object|null} - The intersection point, or null if the subject edge is parallel to the clip line
    */
   computeIntersection(s, e, clipStart, clipEnd) {
-    // Line equations: A1x + B1y + C1 = 0 and A2x + B2y + C2 = 0
-    const A1 = e.y - s.y;
-    const B1 = s.x - e.x;
-    const C1 = e.x * s.y - s.x * e.y;
-    
-    const A2 = clipEnd.y - clipStart.y;
-    const B2 = clipStart.x - clipEnd.x;
-    const C2 = clipEnd.x * clipStart.y - clipStart.x * clipEnd.y;
-    
-    // Calculate determinant
-    const det = A1 * B2 - A2 * B1;
-    
-    if (Math.abs(det) < 1e-8) {
-      // Lines are parallel or coincident
-      return null;
-    }
-    
-    // Calculate intersection
-    const x = (B1 * C2 - B2 * C1) / det;
-    const y = (A2 * C1 - A1 * C2) / det;
-    
-    // Check if intersection is on both line segments
-    if (this.isOnSegment({x, y}, s, e) && this.isOnSegment({x, y}, clipStart, clipEnd)) {
-      return {x, y};
-    }
-    
-    return null;
+    const hit = GeometryUtils.lineIntersection(s, e, clipStart, clipEnd);
+    return hit ? { x: hit.x, y: hit.y } : null;
   }
   
   /**
-   * Check if a point is on a line segment
-   * @param {Object} p - The point to check
-   * @param {Object} s - Start point of segment
-   * @param {Object} e - End point of segment
-   * @returns {Boolean} - True if point is on the segment
+   * Note a subject edge that crosses the clip line by the inside/outside
+   * classification but has no computable intersection, so its crossing is lost
+   * @param {Object} subjectEdge - {start, end} of the subject edge
+   * @param {Object} clipEdgeStart - Start point of the clipping edge
+   * @param {Object} clipEdgeEnd - End point of the clipping edge
    */
-  isOnSegment(p, s, e) {
-    const epsilon = 1e-8; // Small value to account for floating point precision
-    
-    // Check if point is within the bounding box of the segment
-    if (p.x < Math.min(s.x, e.x) - epsilon || p.x > Math.max(s.x, e.x) + epsilon ||
-        p.y < Math.min(s.y, e.y) - epsilon || p.y > Math.max(s.y, e.y) + epsilon) {
-      return false;
-    }
-    
-    // If the segment is vertical
-    if (Math.abs(s.x - e.x) < epsilon) {
-      return Math.abs(p.x - s.x) < epsilon;
-    }
-    
-    // If the segment is horizontal
-    if (Math.abs(s.y - e.y) < epsilon) {
-      return Math.abs(p.y - s.y) < epsilon;
-    }
-    
-    // Check if point lies on the line segment using the line equation
-    // Confirm point is on the line by checking the slope
-    const slope1 = (p.y - s.y) / (p.x - s.x);
-    const slope2 = (e.y - s.y) / (e.x - s.x);
-    return Math.abs(slope1 - slope2) < epsilon;
+  reportMissedIntersection(subjectEdge, clipEdgeStart, clipEdgeEnd) {
+    this.missedIntersections.push({
+      subjectEdge: { start: { ...subjectEdge.start }, end: { ...subjectEdge.end } },
+      clipEdge: { start: { ...clipEdgeStart }, end: { ...clipEdgeEnd } }
+    });
+    this.log('Expected an intersection but none was computed:', JSON.stringify(subjectEdge), 'against',
+      JSON.stringify(clipEdgeStart), JSON.stringify(clipEdgeEnd));
   }
   
   /**
@@ -115,6 +109,10 @@ class SutherlandHodgman {
       return [];
     }
     
+    if (!this.recordSteps) {
+      return this.clipAgainstEdgeFast(subjectPolygon, clipEdgeStart, clipEdgeEnd);
+    }
+    
     const outputList = [];
     
     // Create step details for animation
@@ -139,13 +137,22 @@ class SutherlandHodgman {
       const currentInside = this.isInside(currentPoint, clipEdgeStart, clipEdgeEnd);
       const nextInside = this.isInside(nextPoint, clipEdgeStart, clipEdgeEnd);
       
+      // The subject edge S→E each action belongs to, for per-vertex playback
+      const subjectEdge = {
+        index: i,
+        start: {...currentPoint},
+        end: {...nextPoint}
+      };
+      
       // Case 1: Both points inside - add the second point
       if (currentInside && nextInside) {
         outputList.push({...nextPoint});
         edgeStepDetails.actions.push({
           type: 'ADD_VERTEX',
           vertex: {...nextPoint},
-          reason: 'Both endpoints inside'
+          reason: 'Both endpoints inside',
+          subjectEdge,
+          case: 1
         });
       } 
       // Case 2: First point inside, second point outside - add the intersection
@@ -159,7 +166,18 @@ class SutherlandHodgman {
           edgeStepDetails.actions.push({
             type: 'ADD_INTERSECTION',
             vertex: {...intersection},
-            reason: 'Moving from inside to outside'
+            reason: 'Moving from inside to outside',
+            subjectEdge,
+            case: 2
+          });
+        } else {
+          this.reportMissedIntersection(subjectEdge, clipEdgeStart, clipEdgeEnd);
+          edgeStepDetails.actions.push({
+            type: 'MISSED_INTERSECTION',
+            vertex: {...nextPoint},
+            reason: 'Moving from inside to outside, but no intersection could be computed',
+            subjectEdge,
+            case: 2
           });
         }
       }
@@ -174,14 +192,27 @@ class SutherlandHodgman {
           edgeStepDetails.actions.push({
             type: 'ADD_INTERSECTION',
             vertex: {...intersection},
-            reason: 'Moving from outside to inside'
+            reason: 'Moving from outside to inside',
+            subjectEdge,
+            case: 3
+          });
+        } else {
+          this.reportMissedIntersection(subjectEdge, clipEdgeStart, clipEdgeEnd);
+          edgeStepDetails.actions.push({
+            type: 'MISSED_INTERSECTION',
+            vertex: {...currentPoint},
+            reason: 'Moving from outside to inside, but no intersection could be computed',
+            subjectEdge,
+            case: 3
           });
         }
         outputList.push({...nextPoint});
         edgeStepDetails.actions.push({
           type: 'ADD_VERTEX',
           vertex: {...nextPoint},
-          reason: 'Second endpoint inside'
+          reason: 'Second endpoint inside',
+          subjectEdge,
+          case: 3
         });
       }
       // Case 4: Both points outside - add nothing
@@ -189,7 +220,9 @@ class SutherlandHodgman {
         edgeStepDetails.actions.push({
           type: 'SKIP_VERTEX',
           vertex: {...nextPoint},
-          reason: 'Both endpoints outside'
+          reason: 'Both endpoints outside',
+          subjectEdge,
+          case: 4
         });
       }
     }
@@ -199,6 +232,43 @@ class SutherlandHodgman {
     return outputList;
   }
   
+  /**
+   * Clip a subject polygon against one edge without recording a step,
+   * for live re-clipping where only the result is drawn
+   * @param {Array} subjectPolygon - Array of points in the subject polygon
+   * @param {Object} clipEdgeStart - Start point of the clipping edge
+   * @param {Object} clipEdgeEnd - End point of the clipping edge
+   * @returns {Array} - The clipped polygon
+   */
+  clipAgainstEdgeFast(subjectPolygon, clipEdgeStart, clipEdgeEnd) {
+    const outputList = [];
+    
+    for (let i = 0; i < subjectPolygon.length; i++) {
+      const currentPoint = subjectPolygon[i];
+      const nextPoint = subjectPolygon[(i + 1) % subjectPolygon.length];
+      const currentInside = this.isInside(currentPoint, clipEdgeStart, clipEdgeEnd);
+      const nextInside = this.isInside(nextPoint, clipEdgeStart, clipEdgeEnd);
+      
+      // Cases 2 and 3: the edge crosses the clip line
+      if (currentInside !== nextInside) {
+        const intersection = this.computeIntersection(
+          currentPoint, nextPoint, clipEdgeStart, clipEdgeEnd
+        );
+        if (intersection) {
+          outputList.push(intersection);
+        } else {
+          this.reportMissedIntersection({ start: currentPoint, end: nextPoint }, clipEdgeStart, clipEdgeEnd);
+        }
+      }
+      // Cases 1 and 3: the second endpoint is inside
+      if (nextInside) {
+        outputList.push({...nextPoint});
+      }
+    }
+    
+    return outputList;
+  }
+  
   /**
    * Clip a subject polygon against all edges of a clipper polygon
    * @param {Array} subjectPolygon - Array of points in the subject polygon
@@ -207,13 +277,13 @@ class SutherlandHodgman {
    */
   clip(subjectPolygon, clipPolygon) {
     // Reset steps for animation
-    this.steps = [];
-    this.currentStepIndex = -1;
+    this.clearSteps();
+    this.missedIntersections = [];
     
     // Validate inputs - both polygons must have at least 3 points
     if (!subjectPolygon || !clipPolygon || 
         subjectPolygon.length < 3 || clipPolygon.length < 3) {
-      console.log("Invalid polygons for clipping");
+      this.log("Invalid polygons for clipping");
       return [];
     }
     
@@ -221,81 +291,234 @@ class SutherlandHodgman {
     let outputList = [...subjectPolygon];
     
     // Debug
-    console.log("Initial polygon:", JSON.stringify(outputList));
+    this.log("Initial polygon:", JSON.stringify(outputList));
     
     // Clip against each edge of the clipping polygon
     for (let i = 0; i < clipPolygon.length; i++) {
       const clipEdgeStart = clipPolygon[i];
       const clipEdgeEnd = clipPolygon[(i + 1) % clipPolygon.length];
       
-      console.log(`Clipping against edge ${i}: ${JSON.stringify(clipEdgeStart)} to ${JSON.stringify(clipEdgeEnd)}`);
+      this.log(`Clipping against edge ${i}: ${JSON.stringify(clipEdgeStart)} to ${JSON.stringify(clipEdgeEnd)}`);
       
       // For each edge, clip the current output list
       outputList = this.clipAgainstEdge(outputList, clipEdgeStart, clipEdgeEnd);
       
       // Debug the interim result
-      console.log(`After edge ${i}, result: ${JSON.stringify(outputList)}`);
+      this.log(`After edge ${i}, result: ${JSON.stringify(outputList)}`);
       
       // If at any point we have no points left, exit early
       if (outputList.length < 3) {
-        console.log("No intersection found - exiting early");
+        this.log("No intersection found - exiting early");
         return [];
       }
     }
     
     // Log the final result
-    console.log("Final clipped polygon:", JSON.stringify(outputList));
+    this.log("Final clipped polygon:", JSON.stringify(outputList));
     
+    if (this.cleanupOutput) {
+      return this.cleanup(outputList, clipPolygon);
+    }
     return outputList;
   }
   
   /**
-   * Get the total number of steps in the clipping process
-   * @returns {Number} - The number of steps
+   * Remove duplicate and collinear vertices and the bridge edges along the
+   * clip boundary, then split what is left into separate polygons
+   * @param {Array} polygon - Final output list of clip()
+   * @param {Array} clipPolygon - Array of points in the clipper polygon
+   * @returns {Array} - Array of polygons
    */
-  getTotalSteps() {
-    return this.steps.length;
+  cleanup(polygon, clipPolygon) {
+    const removedVertices = [];
+    const bridges = [];
+    
+    let edges = this.toEdges(this.removeRedundantVertices(polygon, removedVertices));
+    for (let i = 0; i < clipPolygon.length; i++) {
+      edges = this.cancelBridges(edges, clipPolygon[i], clipPolygon[(i + 1) % clipPolygon.length], bridges);
+    }
+    
+    const polygons = this.traceLoops(edges)
+      .map(loop => this.removeRedundantVertices(loop, removedVertices))
+      .filter(loop => loop.length >= 3 && GeometryUtils.area(loop) > this.epsilon);
+    
+    if (this.recordSteps) {
+      const removed = ['duplicate', 'collinear', 'spike']
+        .map(reason => [removedVertices.filter(v => v.reason === reason).length, `${reason} vertex(es)`])
+        .concat([[bridges.length, 'bridge edge(s)']])
+        .filter(([n]) => n > 0)
+        .map(([n, what]) => `${n} ${what}`);
+      this.steps.push({
+        phase: 'cleanup',
+        description: `Cleanup: ${removed.length > 0 ? `removed ${removed.join(', ')}` : 'nothing to remove'}; ` +
+          `${polygons.length} polygon(s) remain`,
+        inputPolygon: JSON.parse(JSON.stringify(polygon)),
+        outputPolygon: [],
+        outputPolygons: JSON.parse(JSON.stringify(polygons)),
+        intersections: [],
+        actions: [],
+        artifacts: { vertices: removedVertices, edges: bridges }
+      });
+    }
+    
+    return polygons;
   }
   
   /**
-   * Get a specific step in the clipping process
-   * @param {Number} index - The step index
-   * @returns {Object} - The step details
+   * Drop vertices that add nothing to the outline: repeats of the next
+   * vertex, vertices in the middle of a straight run, and the tips of
+   * zero-width spikes where the outline doubles back on itself
+   * @param {Array} polygon - Array of points
+   * @param {Array} removed - Collects {point, reason} for every dropped vertex
+   * @returns {Array} - The remaining vertices
    */
-  getStep(index) {
-    if (index < 0 || index >= this.steps.length) {
-      return null;
+  removeRedundantVertices(polygon, removed) {
+    const ring = polygon.map(p => ({ x: p.x, y: p.y }));
+    const epsilon = this.epsilon;
+    
+    let changed = true;
+    while (changed && ring.length >= 3) {
+      changed = false;
+      for (let i = 0; i < ring.length && ring.length >= 3; i++) {
+        const prev = ring[(i - 1 + ring.length) % ring.length];
+        const point = ring[i];
+        const next = ring[(i + 1) % ring.length];
+        const toPoint = { x: point.x - prev.x, y: point.y - prev.y };
+        const toNext = { x: next.x - point.x, y: next.y - point.y };
+        
+        let reason = null;
+        if (Math.hypot(toNext.x, toNext.y) <= epsilon) {
+          reason = 'duplicate';
+        } else if (Math.abs(toPoint.x * toNext.y - toPoint.y * toNext.x) <=
+            epsilon * Math.hypot(toPoint.x, toPoint.y) * Math.hypot(toNext.x, toNext.y)) {
+          reason = toPoint.x * toNext.x + toPoint.y * toNext.y >= 0 ? 'collinear' : 'spike';
+        }
+        
+        if (reason) {
+          removed.push({ point: { ...point }, reason });
+          ring.splice(i, 1);
+          i--;
+          changed = true;
+        }
+      }
     }
-    return this.steps[index];
+    
+    return ring.length >= 3 ? ring : [];
   }
   
   /**
-   * Get the next step in the clipping process
-   * @returns {Object} - The next step details
+   * List the edges of a polygon
+   * @param {Array} polygon - Array of points
+   * @returns {Array} - Array of {start, end}
    */
-  getNextStep() {
-    if (this.currentStepIndex < this.steps.length - 1) {
-      this.currentStepIndex++;
-      return this.steps[this.currentStepIndex];
-    }
-    return null;
+  toEdges(polygon) {
+    return polygon.map((point, i) => ({ start: point, end: polygon[(i + 1) % polygon.length] }));
   }
   
   /**
-   * Reset the current step index
+   * Cancel the parts of the edges on one clip line that are covered once in
+   * each direction. Those are bridges: the outline runs along the boundary
+   * to the next piece and later comes back the same way, enclosing nothing.
+   * The remaining parts are split at every vertex on the line.
+   * @param {Array} edges - Array of {start, end}
+   * @param {Object} clipStart - Start point of the clipping edge
+   * @param {Object} clipEnd - End point of the clipping edge
+   * @param {Array} bridges - Collects the cancelled parts as {start, end}
+   * @returns {Array} - The edges with the bridges removed
    */
-  resetSteps() {
-    this.currentStepIndex = -1;
+  cancelBridges(edges, clipStart, clipEnd, bridges) {
+    const dx = clipEnd.x - clipStart.x;
+    const dy = clipEnd.y - clipStart.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const length = Math.sqrt(lengthSquared);
+    if (length === 0) {
+      return edges;
+    }
+    
+    const epsilon = this.epsilon;
+    const onLine = (p) => Math.abs(dx * (p.y - clipStart.y) - dy * (p.x - clipStart.x)) / length <= epsilon;
+    const paramOf = (p) => ((p.x - clipStart.x) * dx + (p.y - clipStart.y) * dy) / lengthSquared;
+    
+    const kept = [];
+    const runs = [];
+    edges.forEach(edge => {
+      if (onLine(edge.start) && onLine(edge.end)) {
+        runs.push({ from: paramOf(edge.start), to: paramOf(edge.end), edge });
+      } else {
+        kept.push(edge);
+      }
+    });
+    if (runs.length === 0) {
+      return edges;
+    }
+    
+    // Break the line at every vertex on it, keeping the original point for each,
+    // so a vertex that touches a run from the other side splits it
+    const breaks = [];
+    edges.forEach(edge => {
+      if (onLine(edge.start)) {
+        const t = paramOf(edge.start);
+        if (!breaks.some(b => Math.abs(b.t - t) * length <= epsilon)) {
+          breaks.push({ t, point: edge.start });
+        }
+      }
+    });
+    breaks.sort((a, b) => a.t - b.t);
+    
+    for (let k = 0; k + 1 < breaks.length; k++) {
+      const middle = (breaks[k].t + breaks[k + 1].t) / 2;
+      let forward = 0;
+      let backward = 0;
+      runs.forEach(run => {
+        if (Math.min(run.from, run.to) < middle && middle < Math.max(run.from, run.to)) {
+          if (run.to > run.from) forward++;
+          else backward++;
+        }
+      });
+      
+      const start = breaks[k].point;
+      const end = breaks[k + 1].point;
+      for (let n = 0; n < Math.min(forward, backward); n++) {
+        bridges.push({ start: { ...start }, end: { ...end } });
+      }
+      for (let n = 0; n < Math.abs(forward - backward); n++) {
+        kept.push(forward > backward ? { start, end } : { start: end, end: start });
+      }
+    }
+    
+    return kept;
   }
   
   /**
-   * Get the current step in the clipping process
-   * @returns {Object} - The current step details
+   * Join edges end to start into closed loops. Whenever the walk comes back
+   * to a point it already passed, the part since then is split off as its
+   * own polygon, so pieces that touch at a vertex come out separately.
+   * @param {Array} edges - Array of {start, end}
+   * @returns {Array} - Array of polygons
    */
-  getCurrentStep() {
-    if (this.currentStepIndex >= 0 && this.currentStepIndex < this.steps.length) {
-      return this.steps[this.currentStepIndex];
+  traceLoops(edges) {
+    const epsilon = this.epsilon;
+    const same = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) <= epsilon;
+    const unused = edges.slice();
+    const loops = [];
+    
+    while (unused.length > 0) {
+      let edge = unused.shift();
+      const path = [edge.start];
+      
+      while (edge) {
+        const end = edge.end;
+        const at = path.findIndex(point => same(point, end));
+        if (at !== -1) {
+          loops.push(path.splice(at));
+        }
+        path.push(end);
+        
+        const next = unused.findIndex(candidate => same(candidate.start, end));
+        edge = next !== -1 ? unused.splice(next, 1)[0] : null;
+      }
     }
-    return null;
+    
+    return loops;
   }
 }
@@ -0,0 +1,631 @@
+/**
+ * SVG Import and Export
+ *
+ * This file converts the canvas geometry to an SVG document with one layer
+ * per polygon (Inkscape reads the groups as layers), and reads polygons
+ * back from <polygon>, <polyline>, <rect> and <path> elements.
+ */
+
+class SvgFile {
+  /**
+   * Number of straight segments used for each flattened curve
+   */
+  static get CURVE_SEGMENTS() {
+    return 16;
+  }
+
+  /**
+   * Build an SVG document for the current canvas geometry
+   * @param {CanvasManager} canvasManager - Source of the polygons, lines and colors
+   * @param {Object} options - {clipper}: when given, every recorded step output is
+   *                           added as a hidden layer
+   * @returns {String} - SVG markup
+   */
+  static create(canvasManager, options = {}) {
+    const { width, height } = canvasManager.canvas;
+    const colors = canvasManager.colors;
+    const layers = [];
+
+    const subject = SvgFile.pathElement(canvasManager.getSubjectRings(), colors.subject, colors.subject) +
+      SvgFile.lineElements(canvasManager.subjectLines, colors.subject);
+    layers.push(SvgFile.layer('subject', 'Subject', subject));
+    layers.push(SvgFile.layer('clipping', 'Clipping',
+      SvgFile.polygonElements([canvasManager.clippingPolygon], colors.clipping, colors.clipping)));
+
+    const result = SvgFile.pathElement(canvasManager.resultPolygons, colors.result, colors.resultStroke) +
+      SvgFile.lineElements(canvasManager.resultLines, colors.resultStroke);
+    layers.push(SvgFile.layer('result', 'Result', result));
+
+    // Intermediate outputs are hidden so the document opens showing the final picture
+    const clipper = options.clipper;
+    if (clipper && clipper.getTotalSteps() > 0) {
+      const steps = [];
+      for (let i = 0; i < clipper.getTotalSteps(); i++) {
+        const step = clipper.getStep(i);
+        const rings = step.outputPolygons || [step.outputPolygon];
+        const content = SvgFile.pathElement(rings, colors.partialOutput, colors.partialOutput) +
+          SvgFile.lineElements(step.outputLines || [], colors.partialOutput);
+        const label = step.description || `Clip edge ${i + 1}`;
+        steps.push(SvgFile.layer(`step-${i + 1}`, `Step ${i + 1}: ${label}`, content, true));
+      }
+      layers.push(SvgFile.layer('steps', 'Steps', steps.join('')));
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+      `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+      `  <rect id="background" width="${width}" height="${height}" fill="${colors.background}"/>\n` +
+      layers.join('') +
+      '</svg>\n';
+  }
+
+  /**
+   * Wrap content in a group that Inkscape shows as a layer
+   * @param {String} id - Element id, also used to recognize the layer on import
+   * @param {String} label - Layer name
+   * @param {String} content - Child markup
+   * @param {Boolean} hidden - Whether the layer starts hidden
+   * @returns {String} - Group markup
+   */
+  static layer(id, label, content, hidden = false) {
+    const style = hidden ? ' style="display:none"' : '';
+    return `  <g id="${id}" inkscape:groupmode="layer" inkscape:label="${SvgFile.escape(label)}"${style}>\n${content}  </g>\n`;
+  }
+
+  /**
+   * Build one <polygon> per ring with at least 3 points
+   * @param {Array} rings - Array of polygons
+   * @param {String} fill - Fill color
+   * @param {String} stroke - Stroke color
+   * @returns {String} - Polygon markup
+   */
+  static polygonElements(rings, fill, stroke) {
+    return rings
+      .filter(ring => ring.length >= 3)
+      .map(ring => {
+        const points = ring.map(p => `${SvgFile.format(p.x)},${SvgFile.format(p.y)}`).join(' ');
+        return `    <polygon points="${points}" fill="${fill}" fill-opacity="0.5" stroke="${stroke}" stroke-width="2"/>\n`;
+      })
+      .join('');
+  }
+
+  /**
+   * Build a single even-odd <path> from several rings, so nested rings show as holes
+   * @param {Array} rings - Array of polygons
+   * @param {String} fill - Fill color
+   * @param {String} stroke - Stroke color
+   * @returns {String} - Path markup, or nothing without a ring of at least 3 points
+   */
+  static pathElement(rings, fill, stroke) {
+    const valid = rings.filter(ring => ring.length >= 3);
+    if (valid.length <= 1) {
+      return SvgFile.polygonElements(valid, fill, stroke);
+    }
+
+    const d = valid
+      .map(ring => 'M ' + ring.map(p => `${SvgFile.format(p.x)},${SvgFile.format(p.y)}`).join(' L ') + ' Z')
+      .join(' ');
+    return `    <path d="${d}" fill="${fill}" fill-opacity="0.5" fill-rule="evenodd" stroke="${stroke}" stroke-width="2"/>\n`;
+  }
+
+  /**
+   * Build one <line> per segment
+   * @param {Array} lines - Array of {start, end}
+   * @param {String} stroke - Stroke color
+   * @returns {String} - Line markup
+   */
+  static lineElements(lines, stroke) {
+    return lines
+      .map(line => `    <line x1="${SvgFile.format(line.start.x)}" y1="${SvgFile.format(line.start.y)}" ` +
+        `x2="${SvgFile.format(line.end.x)}" y2="${SvgFile.format(line.end.y)}" stroke="${stroke}" stroke-width="2"/>\n`)
+      .join('');
+  }
+
+  /**
+   * Round a coordinate for output
+   * @param {Number} value - Coordinate
+   * @returns {String} - At most two decimals
+   */
+  static format(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Escape text for an XML attribute
+   * @param {String} text - Raw text
+   * @returns {String} - Escaped text
+   */
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Read the subject and clipping polygons from SVG markup.
+   * Shapes inside an element whose id or Inkscape label has the word
+   * "subject", "clip" or "clipping" go to that polygon; otherwise the first
+   * two shapes are used in document order. Every subject shape (or subpath)
+   * after the first becomes an extra subject ring. Result, step and
+   * background elements are skipped, and so are definitions that are not
+   * drawn themselves (<defs>, <clipPath>, <mask>, <marker>, <symbol>, <pattern>).
+   * @param {String} text - SVG markup
+   * @returns {Object} - {scene, errors, warnings}; scene is in the SceneFile format
+   */
+  static parse(text) {
+    const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+    const svg = doc.documentElement;
+    if (!svg || svg.nodeName.toLowerCase() !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+      return { scene: null, errors: ['Not a valid SVG document'], warnings: [] };
+    }
+
+    const warnings = [];
+    const shapes = [];
+    Array.from(svg.querySelectorAll('polygon, polyline, rect, path')).forEach(element => {
+      const role = SvgFile.getRole(element);
+      if (role === 'skip') return;
+
+      const matrix = SvgFile.getTransform(element);
+      SvgFile.readShape(element, warnings).forEach(points => {
+        shapes.push({ role, points: points.map(p => SvgFile.applyMatrix(matrix, p)) });
+      });
+    });
+
+    const usable = shapes.filter(shape => shape.points.length >= 3);
+    if (usable.length === 0) {
+      return { scene: null, errors: ['No <polygon>, <polyline>, <rect> or <path> with at least 3 points found'], warnings };
+    }
+
+    // Tagged shapes win; untagged ones fill the remaining slots in document order
+    const untagged = usable.filter(shape => shape.role === null);
+    const subjects = usable.filter(shape => shape.role === 'subject');
+    const subject = subjects[0] || untagged.shift();
+    const clipping = usable.find(shape => shape.role === 'clipping') || untagged.shift();
+    const rings = subjects.slice(1);
+    const ignored = usable.length - (subject ? 1 : 0) - rings.length - (clipping ? 1 : 0);
+    if (ignored > 0) {
+      warnings.push(`${ignored} extra shape(s) ignored`);
+    }
+
+    const viewport = SvgFile.getViewport(svg, usable);
+    const shift = (points) => points.map(p => ({ x: p.x - viewport.x, y: p.y - viewport.y }));
+
+    return {
+      scene: {
+        format: SceneFile.FORMAT,
+        version: SceneFile.VERSION,
+        canvas: { width: viewport.width, height: viewport.height },
+        subjectPolygon: subject ? shift(subject.points) : [],
+        subjectRings: rings.map(ring => shift(ring.points)),
+        clippingPolygon: clipping ? shift(clipping.points) : []
+      },
+      errors: [],
+      warnings
+    };
+  }
+
+  /**
+   * Decide which polygon a shape belongs to from its own and its ancestors' names
+   * @param {Element} element - Shape element
+   * @returns {String|null} - "subject", "clipping", "skip" or null when untagged
+   */
+  static getRole(element) {
+    // Figma and Inkscape keep frames and clip paths in these; they are not drawn as shapes
+    for (let node = element.parentNode; node && node.getAttribute; node = node.parentNode) {
+      if (/^(defs|clippath|mask|marker|symbol|pattern)$/.test(node.nodeName.toLowerCase())) return 'skip';
+    }
+
+    for (let node = element; node && node.getAttribute; node = node.parentNode) {
+      const name = `${node.getAttribute('id') || ''} ${node.getAttribute('inkscape:label') || ''}`.toLowerCase();
+      if (/\b(results?|steps?|background)\b/.test(name)) return 'skip';
+      if (/\bclip(ping)?\b/.test(name)) return 'clipping';
+      if (/\bsubject\b/.test(name)) return 'subject';
+    }
+    return null;
+  }
+
+  /**
+   * Get the area of the document that maps onto the canvas
+   * @param {Element} svg - Root element
+   * @param {Array} shapes - Shapes found, used when the size is not declared
+   * @returns {Object} - {x, y, width, height}
+   */
+  static getViewport(svg, shapes) {
+    const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+      return { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+    }
+
+    const width = parseFloat(svg.getAttribute('width'));
+    const height = parseFloat(svg.getAttribute('height'));
+    if (width > 0 && height > 0) {
+      return { x: 0, y: 0, width, height };
+    }
+
+    // No declared size: frame the shapes with a 10% margin
+    const box = GeometryUtils.boundingBox([].concat(...shapes.map(shape => shape.points)));
+    const margin = Math.max(box.maxX - box.minX, box.maxY - box.minY) * 0.1 || 1;
+    return {
+      x: box.minX - margin,
+      y: box.minY - margin,
+      width: box.maxX - box.minX + 2 * margin,
+      height: box.maxY - box.minY + 2 * margin
+    };
+  }
+
+  /**
+   * Convert one shape element to point lists
+   * @param {Element} element - <polygon>, <polyline>, <rect> or <path>
+   * @param {Array} warnings - Collects notes about approximations
+   * @returns {Array} - One array of points per closed outline
+   */
+  static readShape(element, warnings) {
+    const tag = element.nodeName.toLowerCase();
+    const number = (name) => parseFloat(element.getAttribute(name)) || 0;
+
+    if (tag === 'rect') {
+      const x = number('x');
+      const y = number('y');
+      const w = number('width');
+      const h = number('height');
+      return [[{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }]];
+    }
+
+    if (tag === 'polygon' || tag === 'polyline') {
+      const values = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number);
+      const points = [];
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        points.push({ x: values[i], y: values[i + 1] });
+      }
+      return [SvgFile.dropClosingPoint(points)];
+    }
+
+    return SvgFile.parsePath(element.getAttribute('d') || '', warnings);
+  }
+
+  /**
+   * Flatten path data into point lists, one per subpath. Cubic and quadratic
+   * curves and elliptical arcs are split into straight segments.
+   * @param {String} d - Path data
+   * @param {Array} warnings - Collects notes about approximations
+   * @returns {Array} - Array of point arrays
+   */
+  static parsePath(d, warnings) {
+    const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+    const subpaths = [];
+    let points = [];
+    let current = { x: 0, y: 0 };
+    let start = { x: 0, y: 0 };
+    let lastControl = null;
+    let command = null;
+    let i = 0;
+
+    const next = () => parseFloat(tokens[i++]);
+    // Arc flags are single digits and may be written without separators ("a5 5 0 0110 10")
+    const flag = () => {
+      const token = tokens[i];
+      if (token && token.length > 1 && /^[01]\d/.test(token)) {
+        tokens[i] = token.slice(1);
+        return token[0] === '1';
+      }
+      return next() === 1;
+    };
+    const isNumber = () => i < tokens.length && !/^[a-zA-Z]$/.test(tokens[i]);
+    const finish = () => {
+      if (points.length > 0) subpaths.push(SvgFile.dropClosingPoint(points));
+      points = [];
+    };
+    const lineTo = (point) => {
+      current = point;
+      points.push(point);
+    };
+    const flatten = (fn) => {
+      for (let k = 1; k <= SvgFile.CURVE_SEGMENTS; k++) {
+        lineTo(fn(k / SvgFile.CURVE_SEGMENTS));
+      }
+    };
+
+    while (i < tokens.length) {
+      if (!isNumber()) {
+        command = tokens[i++];
+      } else if (command === null) {
+        i++; // Numbers before the first command are ignored
+        continue;
+      }
+
+      const relative = command === command.toLowerCase();
+      const base = relative ? current : { x: 0, y: 0 };
+      const point = () => {
+        const x = next();
+        const y = next();
+        return { x: base.x + x, y: base.y + y };
+      };
+      const p0 = current;
+
+      switch (command.toUpperCase()) {
+        case 'M':
+          finish();
+          start = point();
+          lineTo(start);
+          // Further pairs after a move are implicit line-tos
+          command = relative ? 'l' : 'L';
+          lastControl = null;
+          break;
+        case 'L':
+          lineTo(point());
+          lastControl = null;
+          break;
+        case 'H':
+          lineTo({ x: (relative ? current.x : 0) + next(), y: current.y });
+          lastControl = null;
+          break;
+        case 'V':
+          lineTo({ x: current.x, y: (relative ? current.y : 0) + next() });
+          lastControl = null;
+          break;
+        case 'C':
+        case 'S': {
+          const c1 = command.toUpperCase() === 'C' ? point()
+            : (lastControl && lastControl.cubic ? { x: 2 * p0.x - lastControl.x, y: 2 * p0.y - lastControl.y } : p0);
+          const c2 = point();
+          const end = point();
+          flatten(t => SvgFile.cubicAt(p0, c1, c2, end, t));
+          lastControl = { x: c2.x, y: c2.y, cubic: true };
+          break;
+        }
+        case 'Q':
+        case 'T': {
+          const c = command.toUpperCase() === 'Q' ? point()
+            : (lastControl && !lastControl.cubic ? { x: 2 * p0.x - lastControl.x, y: 2 * p0.y - lastControl.y } : p0);
+          const end = point();
+          flatten(t => SvgFile.quadraticAt(p0, c, end, t));
+          lastControl = { x: c.x, y: c.y, cubic: false };
+          break;
+        }
+        case 'A': {
+          // rx ry rotation large-arc sweep x y
+          const rx = next();
+          const ry = next();
+          const rotation = next();
+          const largeArc = flag();
+          const sweep = flag();
+          const end = point();
+          const arc = SvgFile.arcCenter(p0, rx, ry, rotation, largeArc, sweep, end);
+          if (arc) {
+            flatten(t => t === 1 ? end : SvgFile.arcAt(arc, t));
+          } else if (end.x !== p0.x || end.y !== p0.y) {
+            lineTo(end); // A zero radius makes the arc a straight line
+          }
+          lastControl = null;
+          break;
+        }
+        case 'Z':
+          current = start;
+          finish();
+          lastControl = null;
+          break;
+        default:
+          warnings.push(`Unsupported path command "${command}" ignored`);
+          while (isNumber()) i++;
+      }
+    }
+
+    finish();
+    return subpaths;
+  }
+
+  /**
+   * Point on a cubic Bézier curve
+   * @param {Object} p0 - Start point
+   * @param {Object} c1 - First control point
+   * @param {Object} c2 - Second control point
+   * @param {Object} p1 - End point
+   * @param {Number} t - Parameter in [0, 1]
+   * @returns {Object} - The point at t
+   */
+  static cubicAt(p0, c1, c2, p1, t) {
+    const u = 1 - t;
+    return {
+      x: u * u * u * p0.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * p1.x,
+      y: u * u * u * p0.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * p1.y
+    };
+  }
+
+  /**
+   * Point on a quadratic Bézier curve
+   * @param {Object} p0 - Start point
+   * @param {Object} c - Control point
+   * @param {Object} p1 - End point
+   * @param {Number} t - Parameter in [0, 1]
+   * @returns {Object} - The point at t
+   */
+  static quadraticAt(p0, c, p1, t) {
+    const u = 1 - t;
+    return {
+      x: u * u * p0.x + 2 * u * t * c.x + t * t * p1.x,
+      y: u * u * p0.y + 2 * u * t * c.y + t * t * p1.y
+    };
+  }
+
+  /**
+   * Convert an arc from its end points to its centre and angles (SVG
+   * implementation notes, F.6.5). Radii that are too small to reach the end
+   * point are scaled up, as a renderer does.
+   * @param {Object} p0 - Start point
+   * @param {Number} rx - Radius along the rotated x axis
+   * @param {Number} ry - Radius along the rotated y axis
+   * @param {Number} rotation - Rotation of the ellipse in degrees
+   * @param {Boolean} largeArc - Whether the arc spans more than 180 degrees
+   * @param {Boolean} sweep - Whether the arc runs at increasing angles
+   * @param {Object} p1 - End point
+   * @returns {Object|null} - {cx, cy, rx, ry, cos, sin, start, delta}, or null if the arc is a straight line or empty
+   */
+  static arcCenter(p0, rx, ry, rotation, largeArc, sweep, p1) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0 || (p0.x === p1.x && p0.y === p1.y)) {
+      return null;
+    }
+
+    const angle = rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = (p0.x - p1.x) / 2;
+    const dy = (p0.y - p1.y) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    const coefficient = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cx1 = coefficient * rx * y1 / ry;
+    const cy1 = -coefficient * ry * x1 / rx;
+
+    const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const ux = (x1 - cx1) / rx;
+    const uy = (y1 - cy1) / ry;
+    const vx = (-x1 - cx1) / rx;
+    const vy = (-y1 - cy1) / ry;
+    let delta = vectorAngle(ux, uy, vx, vy);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    return {
+      cx: cos * cx1 - sin * cy1 + (p0.x + p1.x) / 2,
+      cy: sin * cx1 + cos * cy1 + (p0.y + p1.y) / 2,
+      rx,
+      ry,
+      cos,
+      sin,
+      start: vectorAngle(1, 0, ux, uy),
+      delta
+    };
+  }
+
+  /**
+   * Point on an arc given by arcCenter()
+   * @param {Object} arc - Centre form of the arc
+   * @param {Number} t - Parameter in [0, 1]
+   * @returns {Object} - The point at t
+   */
+  static arcAt(arc, t) {
+    const theta = arc.start + arc.delta * t;
+    const x = arc.rx * Math.cos(theta);
+    const y = arc.ry * Math.sin(theta);
+    return {
+      x: arc.cx + arc.cos * x - arc.sin * y,
+      y: arc.cy + arc.sin * x + arc.cos * y
+    };
+  }
+
+  /**
+   * Remove a last point that repeats the first one
+   * @param {Array} points - Outline points
+   * @returns {Array} - Outline without the duplicate closing point
+   */
+  static dropClosingPoint(points) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (points.length > 1 && Math.abs(first.x - last.x) < 1e-9 && Math.abs(first.y - last.y) < 1e-9) {
+      return points.slice(0, -1);
+    }
+    return points;
+  }
+
+  /**
+   * Combine the transform attributes of an element and its ancestors
+   * @param {Element} element - Shape element
+   * @returns {Array} - Affine matrix [a, b, c, d, e, f]
+   */
+  static getTransform(element) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    for (let node = element; node && node.getAttribute; node = node.parentNode) {
+      matrix = SvgFile.multiply(SvgFile.parseTransform(node.getAttribute('transform') || ''), matrix);
+    }
+    return matrix;
+  }
+
+  /**
+   * Parse a transform attribute into one matrix
+   * @param {String} text - e.g. "translate(10 20) scale(2)"
+   * @returns {Array} - Affine matrix [a, b, c, d, e, f]
+   */
+  static parseTransform(text) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const args = match[2].trim().split(/[\s,]+/).map(Number);
+      let m;
+      switch (match[1]) {
+        case 'matrix':
+          m = args;
+          break;
+        case 'translate':
+          m = [1, 0, 0, 1, args[0], args[1] || 0];
+          break;
+        case 'scale':
+          m = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+          break;
+        case 'rotate': {
+          const angle = args[0] * Math.PI / 180;
+          const cos = Math.cos(angle);
+          const sin = Math.sin(angle);
+          const cx = args[1] || 0;
+          const cy = args[2] || 0;
+          // Rotation about (cx, cy): translate, rotate, translate back
+          m = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+          break;
+        }
+        case 'skewX':
+          m = [1, 0, Math.tan(args[0] * Math.PI / 180), 1, 0, 0];
+          break;
+        case 'skewY':
+          m = [1, Math.tan(args[0] * Math.PI / 180), 0, 1, 0, 0];
+          break;
+      }
+      matrix = SvgFile.multiply(matrix, m);
+    }
+
+    return matrix;
+  }
+
+  /**
+   * Multiply two affine matrices (m1 applied after m2)
+   * @param {Array} m1 - Outer matrix
+   * @param {Array} m2 - Inner matrix
+   * @returns {Array} - The product
+   */
+  static multiply(m1, m2) {
+    return [
+      m1[0] * m2[0] + m1[2] * m2[1],
+      m1[1] * m2[0] + m1[3] * m2[1],
+      m1[0] * m2[2] + m1[2] * m2[3],
+      m1[1] * m2[2] + m1[3] * m2[3],
+      m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+      m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+  }
+
+  /**
+   * Apply an affine matrix to a point
+   * @param {Array} m - Matrix [a, b, c, d, e, f]
+   * @param {Object} point - The point
+   * @returns {Object} - Transformed point
+   */
+  static applyMatrix(m, point) {
+    return {
+      x: m[0] * point.x + m[2] * point.y + m[4],
+      y: m[1] * point.x + m[3] * point.y + m[5]
+    };
+  }
+}
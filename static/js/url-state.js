@@ -0,0 +1,165 @@
+/**
+ * Shareable URL State
+ *
+ * This file packs the scene and the playback position into the URL hash,
+ * e.g. #v=1&alg=sutherland-hodgman&sbs=1&cu=1&step=2&frame=7&s=10,10,90,10,90,90&c=...
+ * Coordinates are world coordinates, written in full as flat x,y lists, so
+ * a link reopens exactly the same scene. Each extra subject ring adds one
+ * more r=x,y,... entry.
+ */
+
+class UrlState {
+  /**
+   * Current version of the hash format
+   */
+  static get VERSION() {
+    return 1;
+  }
+
+  /**
+   * Build the hash for a state
+   * @param {Object} state - {algorithm, operation, stepByStep, vertexDetail, cleanup, epsilon, stepIndex, frameIndex,
+   *                         subjectPolygon, subjectRings, clippingPolygon, subjectLines}
+   * @returns {String} - Hash including the leading "#"
+   */
+  static encode(state) {
+    const parts = [
+      `v=${UrlState.VERSION}`,
+      `alg=${encodeURIComponent(state.algorithm)}`
+    ];
+
+    if (state.algorithm === 'greiner-hormann') {
+      parts.push(`op=${encodeURIComponent(state.operation)}`);
+    }
+    if (state.stepByStep) parts.push('sbs=1');
+    if (state.vertexDetail) parts.push('vd=1');
+    if (state.cleanup) parts.push('cu=1');
+    if (state.epsilon !== undefined && state.epsilon !== SutherlandHodgman.DEFAULT_EPSILON) {
+      parts.push(`eps=${state.epsilon}`);
+    }
+    if (state.stepIndex !== null && state.stepIndex !== undefined) {
+      parts.push(`step=${state.stepIndex}`);
+      if (state.frameIndex !== null && state.frameIndex !== undefined) {
+        parts.push(`frame=${state.frameIndex}`);
+      }
+    }
+
+    const points = (polygon) => polygon.map(p => `${UrlState.format(p.x)},${UrlState.format(p.y)}`).join(',');
+    if (state.subjectPolygon.length > 0) parts.push(`s=${points(state.subjectPolygon)}`);
+    (state.subjectRings || []).forEach(ring => parts.push(`r=${points(ring)}`));
+    if (state.clippingPolygon.length > 0) parts.push(`c=${points(state.clippingPolygon)}`);
+    if (state.subjectLines.length > 0) {
+      parts.push(`l=${points([].concat(...state.subjectLines.map(line => [line.start, line.end])))}`);
+    }
+
+    return `#${parts.join('&')}`;
+  }
+
+  /**
+   * Write a coordinate as the shortest text that reads back as the same number.
+   * A "+" would be read back as a space, so exponents are written without it.
+   * @param {Number} value - Coordinate
+   * @returns {String} - Text form
+   */
+  static format(value) {
+    return String(value).replace('e+', 'e');
+  }
+
+  /**
+   * Read a state from a hash
+   * @param {String} hash - location.hash, with or without the leading "#"
+   * @param {Object} options - {algorithms, operations}: accepted selector values
+   * @returns {Object|null} - {state, errors}, or null when the hash holds no scene
+   */
+  static decode(hash, options) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('v')) {
+      return null;
+    }
+
+    const version = Number(params.get('v'));
+    if (version !== UrlState.VERSION) {
+      return { state: null, errors: [`Unknown link version ${params.get('v')} (this app reads version ${UrlState.VERSION})`] };
+    }
+
+    const errors = [];
+    const readPoints = (key, label, text = params.get(key)) => {
+      if (text === null) return [];
+      const values = text.split(',').map(Number);
+      if (values.length % 2 !== 0) {
+        errors.push(`${label} has an odd number of coordinates`);
+        return [];
+      }
+      const points = [];
+      for (let i = 0; i < values.length; i += 2) {
+        points.push({ x: values[i], y: values[i + 1] });
+      }
+      return points;
+    };
+    const readIndex = (key) => {
+      if (!params.has(key)) return null;
+      const value = Number(params.get(key));
+      if (!Number.isInteger(value) || value < 0) {
+        errors.push(`"${key}" must be a non-negative whole number`);
+        return null;
+      }
+      return value;
+    };
+
+    const readTolerance = () => {
+      if (!params.has('eps')) return SutherlandHodgman.DEFAULT_EPSILON;
+      const value = Number(params.get('eps'));
+      if (!Number.isFinite(value) || value < 0) {
+        errors.push('"eps" must be a non-negative number');
+        return SutherlandHodgman.DEFAULT_EPSILON;
+      }
+      return value;
+    };
+
+    const lineEnds = readPoints('l', 'Line list');
+    const subjectLines = [];
+    for (let i = 0; i + 1 < lineEnds.length; i += 2) {
+      subjectLines.push({ start: lineEnds[i], end: lineEnds[i + 1] });
+    }
+    if (lineEnds.length % 2 !== 0) {
+      errors.push('Line list has an unpaired endpoint');
+    }
+
+    const state = {
+      algorithm: params.get('alg') || 'sutherland-hodgman',
+      operation: params.get('op') || 'intersection',
+      stepByStep: params.get('sbs') === '1',
+      vertexDetail: params.get('vd') === '1',
+      cleanup: params.get('cu') === '1',
+      epsilon: readTolerance(),
+      stepIndex: readIndex('step'),
+      frameIndex: readIndex('frame'),
+      subjectPolygon: readPoints('s', 'Subject polygon'),
+      subjectRings: params.getAll('r').map((text, i) => readPoints('r', `Subject ring ${i + 2}`, text)),
+      clippingPolygon: readPoints('c', 'Clipping polygon'),
+      subjectLines
+    };
+
+    // The scene part follows the same rules as a scene file
+    errors.push(...SceneFile.validate(UrlState.toScene(state), options));
+    return { state: errors.length === 0 ? state : null, errors };
+  }
+
+  /**
+   * Convert a decoded state to a scene for CanvasManager.loadScene()
+   * @param {Object} state - State from decode()
+   * @returns {Object} - Scene object
+   */
+  static toScene(state) {
+    return {
+      format: SceneFile.FORMAT,
+      version: SceneFile.VERSION,
+      algorithm: state.algorithm,
+      operation: state.operation,
+      subjectPolygon: state.subjectPolygon,
+      subjectRings: state.subjectRings,
+      clippingPolygon: state.clippingPolygon,
+      subjectLines: state.subjectLines
+    };
+  }
+}
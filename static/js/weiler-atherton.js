@@ -0,0 +1,303 @@
+/**
+ * Weiler-Atherton Polygon Clipping Algorithm Implementation
+ *
+ * This file contains the implementation of the Weiler-Atherton algorithm,
+ * which clips a subject polygon against an arbitrary (convex or concave)
+ * clipper polygon and can return several disjoint result polygons.
+ */
+
+import { GeometryUtils } from './geometry-utils.js';
+import { StepRecorder } from './step-recorder.js';
+
+export class WeilerAtherton extends StepRecorder {
+  constructor() {
+    super();
+    this.name = 'Weiler-Atherton';
+    this.unresolvedContacts = false; // Set when touching polygons could not be moved apart
+  }
+
+  /**
+   * Find every crossing between the subject and the clipper, grouped by clip edge
+   * @param {Array} subject - Subject polygon (normalized orientation)
+   * @param {Array} clipper - Clipper polygon (normalized orientation)
+   * @returns {Array} - Intersection records with edge indices and alphas
+   */
+  findIntersections(subject, clipper) {
+    const epsilon = 1e-9;
+    const intersections = [];
+
+    for (let j = 0; j < clipper.length; j++) {
+      const clipStart = clipper[j];
+      const clipEnd = clipper[(j + 1) % clipper.length];
+      const found = [];
+
+      for (let i = 0; i < subject.length; i++) {
+        const hit = GeometryUtils.segmentIntersection(
+          subject[i], subject[(i + 1) % subject.length], clipStart, clipEnd
+        );
+
+        // clipApart() moves the clipper off every vertex it touches, so a hit at a vertex is rounding noise
+        if (hit && hit.alphaP > epsilon && hit.alphaP < 1 - epsilon &&
+            hit.alphaQ > epsilon && hit.alphaQ < 1 - epsilon) {
+          found.push({
+            id: intersections.length + found.length,
+            x: hit.x,
+            y: hit.y,
+            subjectEdge: i,
+            subjectAlpha: hit.alphaP,
+            clipEdge: j,
+            clipAlpha: hit.alphaQ
+          });
+        }
+      }
+
+      if (this.recordSteps) {
+        this.steps.push({
+          phase: 'intersections',
+          description: `Clip edge ${j + 1}: found ${found.length} intersection(s)`,
+          clipEdge: {
+            start: {...clipStart},
+            end: {...clipEnd}
+          },
+          inputPolygon: JSON.parse(JSON.stringify(subject)),
+          outputPolygon: [],
+          outputPolygons: [],
+          intersections: found.map(p => ({x: p.x, y: p.y})),
+          actions: found.map(p => ({
+            type: 'ADD_INTERSECTION',
+            vertex: {x: p.x, y: p.y},
+            reason: `Subject edge ${p.subjectEdge + 1} crosses clip edge ${j + 1}`
+          }))
+        });
+      }
+
+      intersections.push(...found);
+    }
+
+    return intersections;
+  }
+
+  /**
+   * Build a vertex list with intersection nodes inserted along each edge
+   * @param {Array} polygon - The polygon's vertices
+   * @param {Array} intersections - Intersection records
+   * @param {String} edgeKey - Property holding the edge index for this polygon
+   * @param {String} alphaKey - Property holding the position along the edge
+   * @returns {Array} - Ordered list of vertex and intersection nodes
+   */
+  buildVertexList(polygon, intersections, edgeKey, alphaKey) {
+    const list = [];
+
+    for (let i = 0; i < polygon.length; i++) {
+      list.push({ x: polygon[i].x, y: polygon[i].y, intersection: false });
+
+      intersections
+        .filter(p => p[edgeKey] === i)
+        .sort((a, b) => a[alphaKey] - b[alphaKey])
+        .forEach(p => {
+          list.push({ x: p.x, y: p.y, intersection: true, id: p.id, visited: false });
+        });
+    }
+
+    return list;
+  }
+
+  /**
+   * Label each intersection on the subject list as entering or exiting the clipper
+   * @param {Array} subjectList - Subject vertex list
+   * @param {Array} clipper - Clipper polygon
+   */
+  classifyIntersections(subjectList, clipper) {
+    const entering = [];
+    const exiting = [];
+
+    subjectList.forEach((node, index) => {
+      if (!node.intersection) return;
+
+      // The subject enters the clipper if the piece of edge after the crossing is inside
+      const next = subjectList[(index + 1) % subjectList.length];
+      const midpoint = { x: (node.x + next.x) / 2, y: (node.y + next.y) / 2 };
+      node.entering = GeometryUtils.pointInPolygon(midpoint, clipper);
+
+      (node.entering ? entering : exiting).push({x: node.x, y: node.y});
+    });
+
+    if (this.recordSteps) {
+      this.steps.push({
+        phase: 'classification',
+        description: `Classified ${entering.length} entering and ${exiting.length} exiting intersection(s)`,
+        inputPolygon: subjectList.filter(node => !node.intersection).map(node => ({x: node.x, y: node.y})),
+        outputPolygon: [],
+        outputPolygons: [],
+        intersections: entering.concat(exiting),
+        entering,
+        exiting,
+        actions: entering.map(vertex => ({
+          type: 'MARK_ENTERING',
+          vertex,
+          reason: 'Subject edge passes from outside to inside the clipper'
+        })).concat(exiting.map(vertex => ({
+          type: 'MARK_EXITING',
+          vertex,
+          reason: 'Subject edge passes from inside to outside the clipper'
+        })))
+      });
+    }
+  }
+
+  /**
+   * Trace the output polygons by walking both vertex lists
+   * @param {Array} subjectList - Subject vertex list
+   * @param {Array} clipList - Clipper vertex list
+   * @returns {Array} - Array of result polygons
+   */
+  traverse(subjectList, clipList) {
+    const results = [];
+    const subjectIndexById = {};
+    const clipIndexById = {};
+    subjectList.forEach((node, index) => {
+      if (node.intersection) subjectIndexById[node.id] = index;
+    });
+    clipList.forEach((node, index) => {
+      if (node.intersection) clipIndexById[node.id] = index;
+    });
+
+    const maxIterations = (subjectList.length + clipList.length) * 2;
+
+    subjectList.forEach(start => {
+      if (!start.intersection || !start.entering || start.visited) return;
+
+      const ring = [];
+      const actions = [];
+      let onSubject = true;
+      let index = subjectIndexById[start.id];
+      let iterations = 0;
+
+      ring.push({x: start.x, y: start.y});
+      actions.push({ type: 'ADD_INTERSECTION', vertex: {x: start.x, y: start.y}, reason: 'Start at an unvisited entering intersection' });
+      start.visited = true;
+      clipList[clipIndexById[start.id]].visited = true;
+
+      while (iterations++ < maxIterations) {
+        const list = onSubject ? subjectList : clipList;
+        index = (index + 1) % list.length;
+        const node = list[index];
+
+        if (node.intersection && node.id === start.id) {
+          break;
+        }
+
+        ring.push({x: node.x, y: node.y});
+
+        if (!node.intersection) {
+          actions.push({
+            type: 'ADD_VERTEX',
+            vertex: {x: node.x, y: node.y},
+            reason: onSubject ? 'Subject vertex inside the clipper' : 'Clipper vertex inside the subject'
+          });
+          continue;
+        }
+
+        // Switch lists at every intersection: exiting -> clipper, entering -> subject
+        node.visited = true;
+        actions.push({
+          type: 'ADD_INTERSECTION',
+          vertex: {x: node.x, y: node.y},
+          reason: onSubject ? 'Exiting intersection: continue along the clipper' : 'Entering intersection: continue along the subject'
+        });
+
+        if (onSubject) {
+          clipList[clipIndexById[node.id]].visited = true;
+          index = clipIndexById[node.id];
+        } else {
+          subjectList[subjectIndexById[node.id]].visited = true;
+          index = subjectIndexById[node.id];
+        }
+        onSubject = !onSubject;
+      }
+
+      if (ring.length >= 3) {
+        results.push(ring);
+      }
+
+      if (this.recordSteps) {
+        this.steps.push({
+          phase: 'traversal',
+          description: `Traced result polygon ${results.length} (${ring.length} vertices)`,
+          inputPolygon: subjectList.filter(n => !n.intersection).map(n => ({x: n.x, y: n.y})),
+          outputPolygon: JSON.parse(JSON.stringify(ring)),
+          outputPolygons: JSON.parse(JSON.stringify(results)),
+          intersections: [],
+          actions
+        });
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Clip a subject polygon against a clipper polygon
+   * @param {Array} subjectPolygon - Array of points in the subject polygon
+   * @param {Array} clipPolygon - Array of points in the clipper polygon
+   * @returns {Array} - Array of result polygons (empty if there is no overlap)
+   */
+  clip(subjectPolygon, clipPolygon) {
+    // Reset steps for animation
+    this.clearSteps();
+    this.unresolvedContacts = false;
+
+    if (!subjectPolygon || !clipPolygon ||
+        subjectPolygon.length < 3 || clipPolygon.length < 3) {
+      return [];
+    }
+
+    return this.clipApart(subjectPolygon, clipPolygon, clipper => this.clipCrossing(subjectPolygon, clipper));
+  }
+
+  /**
+   * Clip two polygons whose boundaries only meet at proper crossings
+   * @param {Array} subjectPolygon - Array of points in the subject polygon
+   * @param {Array} clipPolygon - Array of points in the clipper polygon
+   * @returns {Array} - Array of result polygons (empty if there is no overlap)
+   */
+  clipCrossing(subjectPolygon, clipPolygon) {
+    // Both lists must wind the same way so the traversal can always move forward
+    const subject = GeometryUtils.orientPositive(subjectPolygon);
+    const clipper = GeometryUtils.orientPositive(clipPolygon);
+
+    // Phase 1: intersection discovery, one step per clip edge
+    const intersections = this.findIntersections(subject, clipper);
+
+    // Without crossings the result is one polygon fully containing the other, or nothing
+    if (intersections.length === 0) {
+      let results = [];
+      if (GeometryUtils.polygonInside(subject, clipper)) {
+        results = [subject];
+      } else if (GeometryUtils.polygonInside(clipper, subject)) {
+        results = [clipper];
+      }
+
+      if (this.recordSteps) {
+        this.steps.push({
+          phase: 'traversal',
+          description: results.length > 0 ? 'No crossings: one polygon contains the other' : 'No crossings: polygons are disjoint',
+          inputPolygon: JSON.parse(JSON.stringify(subject)),
+          outputPolygon: results.length > 0 ? JSON.parse(JSON.stringify(results[0])) : [],
+          outputPolygons: JSON.parse(JSON.stringify(results)),
+          intersections: [],
+          actions: []
+        });
+      }
+      return results;
+    }
+
+    // Phase 2: build the vertex lists and label entering/exiting intersections
+    const subjectList = this.buildVertexList(subject, intersections, 'subjectEdge', 'subjectAlpha');
+    const clipList = this.buildVertexList(clipper, intersections, 'clipEdge', 'clipAlpha');
+    this.classifyIntersections(subjectList, clipper);
+
+    // Phase 3: walk the lists to build every output polygon
+    return this.traverse(subjectList, clipList);
+  }
+}
@@ -0,0 +1,159 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { rectangle, assertClose } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../bin/polygon-clip.js', import.meta.url));
+
+/**
+ * Run the command-line tool
+ * @param {...String} args - Command-line arguments
+ * @returns {Object} - {status, stdout, stderr}
+ */
+function run(...args) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 20000 });
+  return { status, stdout, stderr };
+}
+
+/**
+ * Scene file text in the app's save format
+ * @param {Object} fields - Polygons, lines, algorithm and operation
+ * @returns {String} - JSON text
+ */
+function scene(fields) {
+  return JSON.stringify({ format: 'polygon-clipping-scene', version: 1, ...fields });
+}
+
+describe('polygon-clip', () => {
+  let dir;
+  const file = (name) => path.join(dir, name);
+
+  before(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'polygon-clip-'));
+    writeFileSync(file('squares.json'), scene({ subjectPolygon: rectangle(0, 0, 10, 10), clippingPolygon: rectangle(5, 5, 15, 15) }));
+    writeFileSync(file('squares.wkt'), 'POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0))\nPOLYGON ((5 5, 15 5, 15 15, 5 15, 5 5))\n');
+    writeFileSync(file('tagged.geojson'), JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { role: 'clipping' }, geometry: { type: 'Polygon', coordinates: [[[5, 5], [15, 5], [15, 15], [5, 15], [5, 5]]] } },
+        { type: 'Feature', properties: { role: 'subject' }, geometry: { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]], [[6, 6], [7, 6], [7, 7], [6, 7], [6, 6]]] } }
+      ]
+    }));
+    writeFileSync(file('lines.json'), scene({
+      algorithm: 'liang-barsky',
+      subjectLines: [{ start: { x: -5, y: 5 }, end: { x: 15, y: 5 } }],
+      clippingPolygon: rectangle(0, 0, 10, 10)
+    }));
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('clips a scene, a WKT pair and a GeoJSON pair to the same area', () => {
+    const { status, stdout, stderr } = run(file('squares.json'), file('squares.wkt'));
+    assert.equal(status, 0, stderr);
+    const outputs = JSON.parse(stdout);
+    assert.deepEqual(outputs.map(output => output.resultArea), [25, 25]);
+    assert.equal(outputs[0].algorithm, 'sutherland-hodgman');
+
+    // The hole of the subject is inside the clipper, so it is cut out of the result
+    const tagged = JSON.parse(run(file('tagged.geojson'), '--algorithm', 'greiner-hormann').stdout)[0];
+    assertClose(tagged.resultArea, 24);
+    assert.equal(tagged.subjectRings.length, 1);
+  });
+
+  it('applies the chosen Greiner-Hormann operation', () => {
+    const [output] = JSON.parse(run(file('squares.wkt'), '-a', 'greiner-hormann', '-p', 'union').stdout);
+    assert.equal(output.operation, 'union');
+    assertClose(output.resultArea, 175);
+  });
+
+  it('computes the xor of one ring and of a subject with a hole', () => {
+    const { status, stdout, stderr } = run(file('squares.wkt'), file('tagged.geojson'), '-a', 'greiner-hormann', '-p', 'xor');
+    assert.equal(status, 0, stderr);
+    const [squares, tagged] = JSON.parse(stdout);
+    assertClose(squares.resultArea, 150);
+    // 99 for the subject and 100 for the clipper, minus twice the 24 they share
+    assertClose(tagged.resultArea, 151);
+  });
+
+  it('uses the algorithm saved in a scene, including line clippers', () => {
+    const [output] = JSON.parse(run(file('lines.json')).stdout);
+    assert.equal(output.algorithm, 'liang-barsky');
+    assert.deepEqual(output.resultLines, [{ start: { x: 0, y: 5 }, end: { x: 10, y: 5 } }]);
+  });
+
+  it('includes the recorded steps on request', () => {
+    const [plain] = JSON.parse(run(file('squares.wkt')).stdout);
+    const [traced] = JSON.parse(run(file('squares.wkt'), '--steps').stdout);
+    assert.equal(plain.steps, undefined);
+    assert.equal(traced.steps.length, 4);
+    assert.deepEqual(Object.keys(traced.steps[0]).slice(0, 2), ['clipEdge', 'inputPolygon']);
+  });
+
+  it('writes one result file per input of a directory', () => {
+    const outDir = file('results');
+    const { status, stdout, stderr } = run(dir, '--out-dir', outDir);
+    assert.equal(status, 0, stderr);
+    assert.equal(stdout, '');
+    assert.deepEqual(readdirSync(outDir).sort(), [
+      'lines.json.result.json', 'squares.json.result.json', 'squares.wkt.result.json', 'tagged.geojson.result.json'
+    ]);
+    assert.equal(JSON.parse(readFileSync(path.join(outDir, 'squares.wkt.result.json'), 'utf8')).resultArea, 25);
+    rmSync(outDir, { recursive: true });
+  });
+
+  it('reports an output directory it cannot write to for each file and exits with status 1', () => {
+    const outDir = path.join(file('squares.wkt'), 'results');
+    const { status, stderr } = run(file('squares.wkt'), file('tagged.geojson'), '--out-dir', outDir);
+    assert.equal(status, 1);
+    const lines = stderr.trim().split('\n');
+    assert.equal(lines.length, 2, stderr);
+    assert.match(lines[0], /^polygon-clip: cannot write .*squares\.wkt\.result\.json \(ENOTDIR\)$/);
+    assert.match(lines[1], /^polygon-clip: cannot write .*tagged\.geojson\.result\.json \(ENOTDIR\)$/);
+  });
+
+  it('exits with status 1 and names the file for polygons with fewer than three vertices', () => {
+    const bad = file('bad.json');
+    writeFileSync(bad, scene({ subjectPolygon: rectangle(0, 0, 10, 10).slice(0, 2), clippingPolygon: rectangle(5, 5, 15, 15) }));
+    const { status, stdout, stderr } = run(bad, file('squares.wkt'));
+    rmSync(bad);
+    assert.equal(status, 1);
+    assert.match(stderr, /bad\.json: Subject polygon has 2 point\(s\), needs at least 3/);
+    assert.equal(JSON.parse(stdout).length, 1, 'the valid input is still clipped');
+  });
+
+  it('rejects short WKT rings, missing polygons and unreadable files', () => {
+    const short = file('short.wkt');
+    writeFileSync(short, 'POLYGON ((0 0, 10 0, 0 0))\nPOLYGON ((5 5, 15 5, 15 15, 5 5))');
+    assert.match(run(short).stderr, /fewer than 3 points/);
+    writeFileSync(short, 'POLYGON ((0 0, 10 0, 10 10, 0 0))');
+    assert.match(run(short).stderr, /Clipping polygon is missing/);
+    rmSync(short);
+
+    const missing = run(file('missing.wkt'));
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /missing\.wkt: cannot be read \(ENOENT\)/);
+  });
+
+  it('exits with status 2 for usage errors', () => {
+    assert.equal(run().status, 2);
+    const unknown = run(file('squares.wkt'), '--algorithm', 'vatti');
+    assert.equal(unknown.status, 2);
+    assert.match(unknown.stderr, /Unknown algorithm "vatti"/);
+    assert.equal(run('--help').status, 0);
+  });
+
+  it('warns about a concave clipper with Sutherland-Hodgman but still clips', () => {
+    const concave = file('concave.wkt');
+    writeFileSync(concave, 'POLYGON ((-5 20, 35 20, 35 25, -5 25))\nPOLYGON ((0 0, 30 0, 30 30, 20 30, 20 10, 10 10, 10 30, 0 30))');
+    const { status, stdout, stderr } = run(concave);
+    rmSync(concave);
+    assert.equal(status, 0);
+    assert.match(stderr, /warning: Sutherland-Hodgman needs a convex clipping polygon/);
+    assert.equal(JSON.parse(stdout)[0].warnings.length, 1);
+  });
+});
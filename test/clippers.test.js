@@ -0,0 +1,226 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SutherlandHodgman, WeilerAtherton, GreinerHormann, MultiRingClipper,
+  CohenSutherland, LiangBarsky, CyrusBeck, GeometryUtils
+} from '../static/js/clipping-core.js';
+import { rectangle, points, resultArea, ringCrossings, assertClose, assertSamePolygon } from './helpers.js';
+
+const u = points(0, 0, 30, 0, 30, 30, 20, 30, 20, 10, 10, 10, 10, 30, 0, 30); // Concave, open at the bottom
+const bar = rectangle(-5, 20, 35, 25); // Crosses both legs of the U
+const totalArea = (rings) => rings.reduce((sum, ring) => sum + GeometryUtils.area(ring), 0);
+
+describe('concave clipping polygons', () => {
+  it('break Sutherland-Hodgman, which treats every clip edge as a half-plane', () => {
+    const clipper = new SutherlandHodgman();
+    assert.equal(clipper.requiresConvexClipper, true);
+    assert.equal(resultArea(clipper.clip(bar, u)), 0);
+  });
+
+  it('are handled by Weiler-Atherton, with one result polygon per piece', () => {
+    const result = new WeilerAtherton().clip(bar, u);
+    assert.equal(result.length, 2);
+    result.forEach(polygon => assertClose(GeometryUtils.area(polygon), 50));
+  });
+
+  it('are handled by Greiner-Hormann', () => {
+    const result = new GreinerHormann().clip(bar, u);
+    assert.equal(result.length, 2);
+    assertClose(totalArea(result), 100);
+  });
+});
+
+describe('small coordinates', () => {
+  // Raw longitude and latitude give squares like these
+  const subject = rectangle(0, 0, 1e-6, 1e-6);
+  const clip = rectangle(5e-7, 5e-7, 1.5e-6, 1.5e-6);
+
+  [SutherlandHodgman, WeilerAtherton, GreinerHormann].forEach(Clipper => {
+    it(`are crossings, not parallel edges, for ${new Clipper().name}`, () => {
+      assertClose(Math.abs(resultArea(new Clipper().clip(subject, clip))), 2.5e-13, 1e-25);
+    });
+  });
+});
+
+describe('WeilerAtherton with touching polygons', () => {
+  it('clips against a clipper that shares an edge, returning the input points', () => {
+    const result = new WeilerAtherton().clip(rectangle(0, 0, 10, 10), rectangle(5, 0, 15, 10));
+    assert.equal(result.length, 1);
+    assertSamePolygon(result[0], rectangle(5, 0, 10, 10), 0);
+  });
+
+  it('returns nothing for polygons that only share an edge or a vertex', () => {
+    const clipper = new WeilerAtherton();
+    assert.deepEqual(clipper.clip(rectangle(0, 0, 10, 10), rectangle(10, 0, 20, 10)), []);
+    assert.deepEqual(clipper.clip(rectangle(0, 0, 10, 10), rectangle(10, 10, 20, 20)), []);
+  });
+
+  it('keeps the overlap when one polygon has its vertices on the other\'s edges', () => {
+    const clipper = new WeilerAtherton();
+    assertClose(totalArea(clipper.clip(rectangle(0, 0, 10, 10), points(5, 0, 10, 5, 5, 10, 0, 5))), 50);
+    assertClose(totalArea(clipper.clip(rectangle(0, 0, 10, 10), rectangle(0, 0, 10, 10))), 100);
+    assertClose(totalArea(clipper.clip(rectangle(0, 0, 10, 10), rectangle(0, 0, 5, 10))), 50);
+  });
+
+  it('warns in a step when no shift moves the polygons apart', () => {
+    const contactFreeOffset = GeometryUtils.contactFreeOffset;
+    GeometryUtils.contactFreeOffset = () => null;
+    try {
+      [new WeilerAtherton(), new GreinerHormann()].forEach(clipper => {
+        clipper.clip(rectangle(0, 0, 10, 10), rectangle(5, 0, 15, 10));
+        assert.equal(clipper.unresolvedContacts, true, clipper.name);
+        assert.match(clipper.getStep(clipper.getTotalSteps() - 1).description, /^Warning: the polygons touch/);
+
+        clipper.clip(rectangle(0, 0, 10, 10), rectangle(5, 5, 15, 15));
+        assert.equal(clipper.unresolvedContacts, false, clipper.name);
+      });
+    } finally {
+      GeometryUtils.contactFreeOffset = contactFreeOffset;
+    }
+  });
+
+  it('decides containment with a point off the other boundary', () => {
+    const clipper = new WeilerAtherton();
+    clipper.recordSteps = false;
+    assertClose(totalArea(clipper.clip(rectangle(2, 2, 4, 4), rectangle(0, 0, 10, 10))), 4);
+    assertClose(totalArea(clipper.clip(rectangle(0, 0, 10, 10), rectangle(2, 2, 4, 4))), 4);
+    assert.deepEqual(clipper.clip(rectangle(0, 0, 10, 10), rectangle(20, 20, 30, 30)), []);
+  });
+});
+
+describe('GreinerHormann operations', () => {
+  const expected = {
+    'intersection': 25,
+    'union': 175,
+    'difference': 75,
+    'reverse-difference': 75,
+    'xor': 150
+  };
+
+  Object.entries(expected).forEach(([operation, area]) => {
+    it(`computes the ${operation} of two overlapping squares`, () => {
+      const clipper = new GreinerHormann();
+      clipper.setOperation(operation);
+      assertClose(totalArea(clipper.clip(rectangle(0, 0, 10, 10), rectangle(5, 5, 15, 15))), area);
+      assert.ok(clipper.getTotalSteps() > 0);
+    });
+  });
+
+  it('computes the xor without recording steps, as live mode does', () => {
+    const clipper = new GreinerHormann();
+    clipper.setOperation('xor');
+    clipper.recordSteps = false;
+    assertClose(totalArea(clipper.clip(rectangle(0, 0, 10, 10), rectangle(5, 5, 15, 15))), 150);
+    assert.equal(clipper.getTotalSteps(), 0);
+  });
+
+  const touching = {
+    'shares an edge with': [rectangle(5, 0, 15, 10), { 'intersection': 50, 'union': 150, 'difference': 50, 'reverse-difference': 50, 'xor': 100 }],
+    'lies along an edge of': [rectangle(10, 0, 20, 10), { 'intersection': 0, 'union': 200, 'difference': 100, 'reverse-difference': 100, 'xor': 200 }],
+    'shares a vertex with': [rectangle(10, 10, 20, 20), { 'intersection': 0, 'union': 200, 'difference': 100, 'reverse-difference': 100, 'xor': 200 }],
+    'has its vertices on the edges of': [points(5, 0, 10, 5, 5, 10, 0, 5), { 'intersection': 50, 'union': 100, 'difference': 50, 'reverse-difference': 0, 'xor': 50 }],
+    'is identical to': [rectangle(0, 0, 10, 10), { 'intersection': 100, 'union': 100, 'difference': 0, 'reverse-difference': 0, 'xor': 0 }]
+  };
+
+  Object.entries(touching).forEach(([relation, [clip, areas]]) => {
+    it(`computes every operation when the clipper ${relation} the subject`, () => {
+      const clipper = new GreinerHormann();
+      Object.entries(areas).forEach(([operation, area]) => {
+        clipper.setOperation(operation);
+        const result = clipper.clip(rectangle(0, 0, 10, 10), clip);
+        assertClose(GeometryUtils.evenOddArea(result), area, 1e-9, operation);
+        result.flat().forEach(point => assert.ok(Number.isInteger(point.x) && Number.isInteger(point.y), `${operation}: ${JSON.stringify(point)}`));
+      });
+    });
+  });
+
+  it('handles containment without crossings', () => {
+    const clipper = new GreinerHormann();
+    assertClose(totalArea(clipper.clip(rectangle(0, 0, 10, 10), rectangle(2, 2, 4, 4))), 4);
+    clipper.setOperation('difference');
+    const result = clipper.clip(rectangle(0, 0, 10, 10), rectangle(2, 2, 4, 4));
+    assert.deepEqual(GeometryUtils.classifyRings(result), ['outer', 'hole']);
+    assertClose(GeometryUtils.area(result[0]) - GeometryUtils.area(result[1]), 96);
+  });
+});
+
+describe('MultiRingClipper', () => {
+  const rings = [rectangle(0, 0, 10, 10), rectangle(2, 2, 4, 4)]; // A square with a hole
+
+  it('clips a subject with a hole, read with the even-odd rule', () => {
+    const clipper = new MultiRingClipper(new SutherlandHodgman());
+    const result = clipper.clip(rings, rectangle(1, 1, 11, 11));
+    assert.deepEqual(GeometryUtils.classifyRings(result), ['outer', 'hole']);
+    assertClose(GeometryUtils.area(result[0]) - GeometryUtils.area(result[1]), 77);
+  });
+
+  it('names the ring in each step and restores the wrapped operation', () => {
+    const greinerHormann = new GreinerHormann();
+    greinerHormann.setOperation('union');
+    const clipper = new MultiRingClipper(greinerHormann);
+    clipper.clip(rings, rectangle(5, 5, 15, 15));
+    assert.equal(greinerHormann.operation, 'union');
+    assert.ok(clipper.getStep(0).description.startsWith('Ring 1 of 2 (outer)'));
+    assert.equal(clipper.getStep(clipper.getTotalSteps() - 1).phase, 'rings');
+  });
+
+  it('builds the xor from both differences, with result rings that do not cross', () => {
+    const greinerHormann = new GreinerHormann();
+    greinerHormann.setOperation('xor');
+    const clipper = new MultiRingClipper(greinerHormann);
+    const result = clipper.clip(rings, rectangle(3, 3, 15, 15));
+    assert.equal(ringCrossings(result), 0);
+    // 96 for the subject and 144 for the clipper, minus twice the 48 they share
+    assertClose(GeometryUtils.evenOddArea(result), 144);
+  });
+
+  it('passes a single ring straight to the wrapped clipper', () => {
+    const inner = new SutherlandHodgman();
+    const clipper = new MultiRingClipper(inner);
+    const result = clipper.clip(rectangle(0, 0, 10, 10), rectangle(5, 5, 15, 15));
+    assertClose(resultArea(result), 25);
+    assert.equal(clipper.getTotalSteps(), inner.getTotalSteps());
+  });
+});
+
+describe('line clippers', () => {
+  const window = rectangle(0, 0, 10, 10);
+  const lines = [
+    { start: { x: -5, y: 5 }, end: { x: 15, y: 5 } }, // Crosses the window
+    { start: { x: 2, y: 2 }, end: { x: 4, y: 4 } }, // Inside
+    { start: { x: 20, y: 0 }, end: { x: 30, y: 10 } }, // Outside
+    { start: { x: -5, y: -5 }, end: { x: 15, y: 15 } }, // Through two corners
+    { start: { x: 0, y: -5 }, end: { x: 0, y: 15 } } // Along the left edge
+  ];
+  const expected = [
+    { start: { x: 0, y: 5 }, end: { x: 10, y: 5 } },
+    { start: { x: 2, y: 2 }, end: { x: 4, y: 4 } },
+    { start: { x: 0, y: 0 }, end: { x: 10, y: 10 } },
+    { start: { x: 0, y: 0 }, end: { x: 0, y: 10 } }
+  ];
+
+  [CohenSutherland, LiangBarsky, CyrusBeck].forEach(LineClipper => {
+    it(`${new LineClipper().name} clips segments to a rectangular window`, () => {
+      const clipper = new LineClipper();
+      assert.equal(clipper.subjectType, 'lines');
+      assert.deepEqual(clipper.clip(lines, window), expected);
+      assert.ok(clipper.getTotalSteps() >= lines.length);
+    });
+  });
+
+  it('Cyrus-Beck clips against any convex polygon in either winding', () => {
+    const triangle = points(0, 0, 10, 0, 5, 10);
+    const line = [{ start: { x: -5, y: 5 }, end: { x: 15, y: 5 } }];
+    const result = [{ start: { x: 2.5, y: 5 }, end: { x: 7.5, y: 5 } }];
+    assert.deepEqual(new CyrusBeck().clip(line, triangle), result);
+    assert.deepEqual(new CyrusBeck().clip(line, triangle.slice().reverse()), result);
+  });
+
+  it('Cohen-Sutherland and Liang-Barsky use the bounding box of other clipping polygons', () => {
+    const triangle = points(0, 0, 10, 0, 5, 10);
+    const line = [{ start: { x: -5, y: 5 }, end: { x: 15, y: 5 } }];
+    [CohenSutherland, LiangBarsky].forEach(LineClipper => {
+      assert.deepEqual(new LineClipper().clip(line, triangle), [{ start: { x: 0, y: 5 }, end: { x: 10, y: 5 } }]);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SutherlandHodgman, WeilerAtherton, GreinerHormann,
+  CohenSutherland, LiangBarsky, CyrusBeck, GeometryUtils
+} from '../static/js/clipping-core.js';
+import {
+  createRandom, randomConvexPolygon, randomStarPolygon, convexIntersection,
+  insideConvex, insideOrOn, distanceToBoundary, resultArea, assertClose
+} from './helpers.js';
+
+// Every case has its own seed; a failure names it, and FUZZ_SEED=<seed> FUZZ_RUNS=1 replays just that case
+const SEED = Number(process.env.FUZZ_SEED) || 1;
+const RUNS = Number(process.env.FUZZ_RUNS) || 300;
+const TOLERANCE = 1e-7; // Relative, for areas and distances in a 1000-unit scene
+
+/**
+ * Run a property check on RUNS random cases
+ * @param {Function} check - Called with a seeded random generator for each case
+ */
+function fuzz(check) {
+  for (let run = 0; run < RUNS; run++) {
+    const seed = SEED + run;
+    try {
+      check(createRandom(seed));
+    } catch (error) {
+      error.message = `seed ${seed}: ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Random center in the scene
+ * @param {Function} random - Random generator
+ * @returns {Object} - Point in [200, 800]²
+ */
+function randomCenter(random) {
+  return { x: 200 + random() * 600, y: 200 + random() * 600 };
+}
+
+/**
+ * Two overlapping or nearby random convex polygons
+ * @param {Function} random - Random generator
+ * @returns {Object} - {subject, clipPolygon}
+ */
+function convexPair(random) {
+  const center = randomCenter(random);
+  const offset = () => (random() - 0.5) * 300;
+  return {
+    subject: randomConvexPolygon(random, { x: center.x + offset(), y: center.y + offset() }, 50 + random() * 250),
+    clipPolygon: randomConvexPolygon(random, center, 50 + random() * 250)
+  };
+}
+
+describe('fuzzing Sutherland-Hodgman with convex subjects and clippers', () => {
+  it('keeps every result vertex inside both polygons', () => {
+    fuzz(random => {
+      const { subject, clipPolygon } = convexPair(random);
+      const result = new SutherlandHodgman().clip(subject, clipPolygon);
+      result.forEach(point => {
+        assert.ok(insideConvex(point, clipPolygon, TOLERANCE * 1000), `${JSON.stringify(point)} is outside the clipper`);
+        assert.ok(insideConvex(point, subject, TOLERANCE * 1000), `${JSON.stringify(point)} is outside the subject`);
+      });
+    });
+  });
+
+  it('never returns more area than the smaller polygon', () => {
+    fuzz(random => {
+      const { subject, clipPolygon } = convexPair(random);
+      const area = resultArea(new SutherlandHodgman().clip(subject, clipPolygon));
+      const smaller = Math.min(GeometryUtils.area(subject), GeometryUtils.area(clipPolygon));
+      assert.ok(area >= 0, `negative area ${area}`);
+      assert.ok(area <= smaller * (1 + TOLERANCE), `area ${area} exceeds ${smaller}`);
+    });
+  });
+
+  it('returns a convex polygon', () => {
+    fuzz(random => {
+      const { subject, clipPolygon } = convexPair(random);
+      const result = new SutherlandHodgman().clip(subject, clipPolygon);
+      assert.ok(result.length === 0 || GeometryUtils.isConvex(result), JSON.stringify(result));
+    });
+  });
+
+  it('agrees with the reference intersection of convex polygons', () => {
+    fuzz(random => {
+      const { subject, clipPolygon } = convexPair(random);
+      const result = new SutherlandHodgman().clip(subject, clipPolygon);
+      const reference = convexIntersection(subject, clipPolygon);
+      assertClose(resultArea(result), GeometryUtils.area(reference), TOLERANCE, 'area');
+    });
+  });
+
+  it('agrees with Weiler-Atherton and Greiner-Hormann', () => {
+    fuzz(random => {
+      const { subject, clipPolygon } = convexPair(random);
+      const expected = resultArea(new SutherlandHodgman().clip(subject, clipPolygon));
+      const total = (rings) => rings.reduce((sum, ring) => sum + GeometryUtils.area(ring), 0);
+      assertClose(total(new WeilerAtherton().clip(subject, clipPolygon)), expected, TOLERANCE, 'Weiler-Atherton');
+      assertClose(total(new GreinerHormann().clip(subject, clipPolygon)), expected, TOLERANCE, 'Greiner-Hormann');
+    });
+  });
+
+  it('does not depend on the winding of the subject or the first clip edge', () => {
+    fuzz(random => {
+      const { subject, clipPolygon } = convexPair(random);
+      const expected = resultArea(new SutherlandHodgman().clip(subject, clipPolygon));
+      const start = Math.floor(random() * clipPolygon.length);
+      const rotated = clipPolygon.slice(start).concat(clipPolygon.slice(0, start));
+      assertClose(-resultArea(new SutherlandHodgman().clip(subject.slice().reverse(), rotated)), expected, TOLERANCE);
+    });
+  });
+});
+
+describe('fuzzing Sutherland-Hodgman with concave subjects', () => {
+  /**
+   * A random star-shaped subject and a convex clipper around the same area
+   * @param {Function} random - Random generator
+   * @returns {Object} - {subject, clipPolygon}
+   */
+  function concavePair(random) {
+    const center = randomCenter(random);
+    return {
+      subject: randomStarPolygon(random, center, 100 + random() * 200),
+      clipPolygon: randomConvexPolygon(random, { x: center.x + (random() - 0.5) * 200, y: center.y }, 50 + random() * 200)
+    };
+  }
+
+  it('keeps every vertex inside the subject, except on bridges along the clip boundary', () => {
+    fuzz(random => {
+      const { subject, clipPolygon } = concavePair(random);
+      new SutherlandHodgman().clip(subject, clipPolygon).forEach(point => {
+        assert.ok(insideConvex(point, clipPolygon, TOLERANCE * 1000), `${JSON.stringify(point)} is outside the clipper`);
+        assert.ok(insideOrOn(point, subject, TOLERANCE * 1000) || distanceToBoundary(point, clipPolygon) <= TOLERANCE * 1000,
+          `${JSON.stringify(point)} is outside the subject and off the clip boundary`);
+      });
+    });
+  });
+
+  it('keeps every vertex inside both polygons once cleanup has removed the bridges', () => {
+    fuzz(random => {
+      const { subject, clipPolygon } = concavePair(random);
+      const clipper = new SutherlandHodgman();
+      clipper.cleanupOutput = true;
+      clipper.clip(subject, clipPolygon).forEach(piece => piece.forEach(point => {
+        assert.ok(insideConvex(point, clipPolygon, TOLERANCE * 1000), `${JSON.stringify(point)} is outside the clipper`);
+        assert.ok(insideOrOn(point, subject, TOLERANCE * 1000), `${JSON.stringify(point)} is outside the subject`);
+      }));
+    });
+  });
+
+  it('has the area of the true intersection, since the bridge edges enclose none', () => {
+    fuzz(random => {
+      const { subject, clipPolygon } = concavePair(random);
+      const area = resultArea(new SutherlandHodgman().clip(subject, clipPolygon));
+      const reference = new GreinerHormann().clip(subject, clipPolygon)
+        .reduce((sum, ring) => sum + GeometryUtils.area(ring), 0);
+      assert.ok(area <= Math.min(GeometryUtils.area(subject), GeometryUtils.area(clipPolygon)) * (1 + TOLERANCE));
+      assertClose(area, reference, TOLERANCE, 'area');
+    });
+  });
+
+  it('keeps the area when cleanup splits the output into simple polygons', () => {
+    fuzz(random => {
+      const { subject, clipPolygon } = concavePair(random);
+      const raw = resultArea(new SutherlandHodgman().clip(subject, clipPolygon));
+      const clipper = new SutherlandHodgman();
+      clipper.cleanupOutput = true;
+      const pieces = clipper.clip(subject, clipPolygon);
+      assertClose(resultArea(pieces), raw, TOLERANCE, 'area');
+      pieces.forEach(piece => assert.ok(piece.length >= 3));
+    });
+  });
+});
+
+describe('fuzzing the line clippers', () => {
+  /**
+   * Random segment in or around the scene
+   * @param {Function} random - Random generator
+   * @returns {Object} - {start, end}
+   */
+  function randomSegment(random) {
+    const point = () => ({ x: random() * 1000, y: random() * 1000 });
+    return { start: point(), end: point() };
+  }
+
+  it('gives the same segments with all three algorithms on a rectangle', () => {
+    fuzz(random => {
+      const x = random() * 600;
+      const y = random() * 600;
+      const window = [{ x, y }, { x: x + 50 + random() * 300, y }, { x: x + 50 + random() * 300, y: y + 50 + random() * 300 }];
+      window.push({ x, y: window[2].y });
+      window[1].x = window[2].x;
+
+      const lines = Array.from({ length: 5 }, () => randomSegment(random));
+      const expected = new LiangBarsky().clip(lines, window);
+      [new CohenSutherland(), new CyrusBeck()].forEach(clipper => {
+        const result = clipper.clip(lines, window);
+        assert.equal(result.length, expected.length, clipper.name);
+        result.forEach((line, i) => {
+          ['start', 'end'].forEach(end => {
+            assertClose(line[end].x, expected[i][end].x, TOLERANCE, `${clipper.name} ${end}.x`);
+            assertClose(line[end].y, expected[i][end].y, TOLERANCE, `${clipper.name} ${end}.y`);
+          });
+        });
+      });
+    });
+  });
+
+  it('keeps Cyrus-Beck output inside a convex clipper and on the original segment', () => {
+    fuzz(random => {
+      const clipPolygon = randomConvexPolygon(random, randomCenter(random), 50 + random() * 250);
+      const lines = Array.from({ length: 5 }, () => randomSegment(random));
+      new CyrusBeck().clip(lines, clipPolygon).forEach(line => {
+        [line.start, line.end].forEach(point => {
+          assert.ok(insideConvex(point, clipPolygon, TOLERANCE * 1000), `${JSON.stringify(point)} is outside the clipper`);
+          assert.ok(lines.some(original => Math.abs(GeometryUtils.signedArea([original.start, original.end, point])) <
+            TOLERANCE * 1e6), `${JSON.stringify(point)} is not on any input segment`);
+        });
+      });
+    });
+  });
+});
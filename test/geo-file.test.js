@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeoFile } from '../static/js/clipping-core.js';
+import { rectangle, assertClose } from './helpers.js';
+
+/**
+ * Twice the signed area of a [lon, lat] ring, positive when counterclockwise on a map
+ * @param {Array} ring - Closed or open array of [lon, lat]
+ * @returns {Number} - The shoelace sum
+ */
+function mapArea(ring) {
+  return ring.reduce((sum, a, i) => {
+    const b = ring[(i + 1) % ring.length];
+    return sum + a[0] * b[1] - b[0] * a[1];
+  }, 0);
+}
+
+/**
+ * Stand-in for the CanvasManager fields the exporters read
+ * @param {Object} fields - Polygons and projection to override
+ * @returns {Object} - {geoProjection, clippingPolygon, resultPolygons, getSubjectRings()}
+ */
+function canvas(fields) {
+  const { subjectRings = [], ...rest } = fields;
+  return { geoProjection: null, clippingPolygon: [], resultPolygons: [], getSubjectRings: () => subjectRings, ...rest };
+}
+
+describe('GeoFile.assignRoles', () => {
+  const shape = (role) => ({ role, ring: [[0, 0], [1, 0], [1, 1]], holes: [] });
+
+  it('fills the missing roles with untagged shapes, subject first', () => {
+    const shapes = [shape(null), shape('clipping'), shape(null)];
+    const { subjectRings, clipping, ignored } = GeoFile.assignRoles(shapes);
+    assert.equal(subjectRings.length, 1);
+    assert.equal(clipping, shapes[1]);
+    assert.equal(ignored, 1);
+  });
+
+  it('returns no clipping shape when there is none', () => {
+    assert.equal(GeoFile.assignRoles([shape('subject')]).clipping, null);
+  });
+});
+
+describe('GeoFile.parse', () => {
+  it('rejects truncated WKT instead of reading past the end', () => {
+    ['POLYGON((0 0, 10 0, 10 10', 'POLYGON((0 0, 10 0, 10 10,', 'MULTIPOLYGON(((0 0, 10 0, 10 10)), ((5 5'].forEach(text => {
+      const { shapes, errors } = GeoFile.parse(text);
+      assert.deepEqual(shapes, []);
+      assert.deepEqual(errors, ['WKT: unexpected end of text in a ring'], text);
+    });
+  });
+
+  it('reports a missing closing parenthesis after a complete ring', () => {
+    assert.deepEqual(GeoFile.parse('POLYGON((0 0, 10 0, 10 10)').errors, ['WKT: expected ")" but found "end of text"']);
+  });
+});
+
+describe('GeoFile projection', () => {
+  const roundTrip = (rings) => {
+    const projection = GeoFile.createProjection(rings, 800, 600);
+    rings.flat().forEach(position => {
+      const point = GeoFile.project(projection, position);
+      assert.ok(point.x >= 0 && point.x <= 800 && point.y >= 0 && point.y <= 600, JSON.stringify(point));
+      const back = GeoFile.unproject(projection, point);
+      assertClose(back[0], position[0], 1e-9 * Math.max(1, Math.abs(position[0])));
+      assertClose(back[1], position[1], 1e-9 * Math.max(1, Math.abs(position[1])));
+    });
+    return projection;
+  };
+
+  it('fits longitude and latitude onto the canvas, north up, and maps them back', () => {
+    const rings = [[[10, 50], [11, 50], [11, 51], [10, 51]], [[10.2, 50.2], [10.4, 50.2], [10.4, 50.4]]];
+    const projection = roundTrip(rings);
+    assertClose(projection.kx, Math.cos(50.5 * Math.PI / 180));
+
+    const south = GeoFile.project(projection, [10, 50]);
+    const north = GeoFile.project(projection, [10, 51]);
+    const east = GeoFile.project(projection, [11, 50]);
+    assert.ok(north.y < south.y);
+    assertClose((east.x - south.x) / (south.y - north.y), projection.kx, 1e-9, 'a degree of longitude shrinks by cos(latitude)');
+  });
+
+  it('treats coordinates outside longitude and latitude as planar', () => {
+    const projection = roundTrip([[[500000, 5600000], [501000, 5600000], [501000, 5602000], [500000, 5602000]]]);
+    assert.equal(projection.kx, 1);
+  });
+
+  it('keeps canvas coordinates without a projection', () => {
+    assert.deepEqual(GeoFile.unproject(null, { x: 3, y: 4 }), [3, 4]);
+  });
+});
+
+describe('GeoFile export', () => {
+  const projection = GeoFile.createProjection([[[10, 50], [11, 51]]], 800, 600);
+
+  it('writes closed outer rings counterclockwise and holes clockwise in GeoJSON', () => {
+    const outer = rectangle(100, 100, 500, 400);
+    const hole = rectangle(200, 200, 300, 300);
+    [outer, outer.slice().reverse()].forEach(subject => {
+      const data = JSON.parse(GeoFile.createGeoJson(canvas({
+        geoProjection: projection,
+        subjectRings: [subject, hole.slice().reverse()],
+        clippingPolygon: rectangle(50, 50, 150, 150)
+      })));
+      assert.deepEqual(data.features.map(feature => feature.properties.role), ['subject', 'clipping']);
+
+      const [shell, inner] = data.features[0].geometry.coordinates;
+      assert.deepEqual(shell[0], shell[shell.length - 1]);
+      assert.ok(mapArea(shell) > 0, 'outer ring counterclockwise');
+      assert.ok(mapArea(inner) < 0, 'hole clockwise');
+    });
+  });
+
+  it('writes the result as WKT with the same winding, and POLYGON EMPTY without one', () => {
+    const wkt = GeoFile.createWkt(canvas({
+      geoProjection: projection,
+      resultPolygons: [rectangle(100, 100, 200, 200).reverse(), rectangle(300, 300, 400, 400)]
+    }));
+    assert.match(wkt, /^MULTIPOLYGON \(/);
+    const { shapes, errors } = GeoFile.parse(wkt);
+    assert.deepEqual(errors, []);
+    assert.equal(shapes.length, 2);
+    shapes.forEach(shape => assert.ok(mapArea(shape.ring) > 0));
+
+    assert.equal(GeoFile.createWkt(canvas({ geoProjection: projection })), 'POLYGON EMPTY');
+  });
+});
@@ -0,0 +1,253 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeometryUtils } from '../static/js/clipping-core.js';
+import { rectangle, points, createRandom, randomStarPolygon, assertClose } from './helpers.js';
+
+describe('GeometryUtils.signedArea', () => {
+  it('is positive for polygons that are clockwise on screen', () => {
+    assert.equal(GeometryUtils.signedArea(rectangle(0, 0, 10, 5)), 50);
+    assert.equal(GeometryUtils.signedArea(rectangle(0, 0, 10, 5).reverse()), -50);
+    assert.equal(GeometryUtils.area(rectangle(0, 0, 10, 5).reverse()), 50);
+  });
+
+  it('is zero for collinear points', () => {
+    assert.equal(GeometryUtils.signedArea(points(0, 0, 1, 1, 2, 2)), 0);
+  });
+});
+
+describe('GeometryUtils.orientation', () => {
+  const a = { x: 12, y: 12 };
+  const b = { x: 24, y: 24 };
+
+  it('tells left, right and on the line apart', () => {
+    assert.equal(GeometryUtils.orientation({ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 5, y: 5 }), 1);
+    assert.equal(GeometryUtils.orientation({ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 5, y: -5 }), -1);
+    assert.equal(GeometryUtils.orientation({ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 5, y: 0 }), 0);
+  });
+
+  it('is exact for points one unit in the last place off a line', () => {
+    const ulp = 2 ** -53;
+    assert.equal(GeometryUtils.orientation(a, b, { x: 0.5, y: 0.5 }), 0);
+    assert.equal(GeometryUtils.orientation(a, b, { x: 0.5 + ulp, y: 0.5 }), -1);
+    assert.equal(GeometryUtils.orientation(a, b, { x: 0.5, y: 0.5 + ulp }), 1);
+  });
+
+  it('agrees with the exact BigInt evaluation near a line', () => {
+    for (let i = 0; i < 64; i++) {
+      for (let j = 0; j < 64; j++) {
+        const c = { x: 0.5 + i * 2 ** -53, y: 0.5 + j * 2 ** -53 };
+        assert.equal(GeometryUtils.orientation(a, b, c), GeometryUtils.exactOrientation(a, b, c), JSON.stringify(c));
+      }
+    }
+  });
+
+  it('stays consistent when the points are permuted', () => {
+    for (let i = 0; i < 32; i++) {
+      for (let j = 0; j < 32; j++) {
+        const c = { x: 0.5 + i * 2 ** -53, y: 0.5 + j * 2 ** -53 };
+        const sign = GeometryUtils.orientation(a, b, c);
+        assert.equal(GeometryUtils.orientation(b, c, a), sign);
+        assert.equal(GeometryUtils.orientation(c, a, b), sign);
+        assert.equal(GeometryUtils.orientation(b, a, c), sign === 0 ? 0 : -sign);
+      }
+    }
+  });
+
+  it('splits doubles into an integer mantissa and a power of two', () => {
+    [0.1, -3.75, 1e-300, 12345.678, 2 ** 60].forEach(value => {
+      const { mantissa, exponent } = GeometryUtils.splitDouble(value);
+      assert.equal(Number(mantissa) * 2 ** exponent, value);
+    });
+  });
+});
+
+describe('GeometryUtils.sideOfLine', () => {
+  const start = { x: 0, y: 0 };
+  const end = { x: 10, y: 0 };
+
+  it('reports points within epsilon as on the line', () => {
+    assert.equal(GeometryUtils.sideOfLine({ x: 5, y: 1e-10 }, start, end, 1e-9), 0);
+    assert.equal(GeometryUtils.sideOfLine({ x: 5, y: 1e-10 }, start, end, 0), 1);
+    assert.equal(GeometryUtils.sideOfLine({ x: 5, y: -1e-3 }, start, end, 1e-9), -1);
+  });
+
+  it('measures epsilon as a distance, whatever the length of the line', () => {
+    const far = { x: 1e6, y: 0 };
+    assert.equal(GeometryUtils.sideOfLine({ x: 5, y: 5e-10 }, start, far, 1e-9), 0);
+    assert.equal(GeometryUtils.sideOfLine({ x: 5, y: 2e-9 }, start, far, 1e-9), 1);
+  });
+});
+
+describe('GeometryUtils.lineIntersection', () => {
+  it('reports where a segment meets a line and how far along the segment', () => {
+    assert.deepEqual(GeometryUtils.lineIntersection({ x: 0, y: -2 }, { x: 0, y: 6 }, { x: -1, y: 0 }, { x: 1, y: 0 }), { x: 0, y: 0, t: 0.25 });
+  });
+
+  it('returns null for parallel input', () => {
+    assert.equal(GeometryUtils.lineIntersection({ x: 0, y: 1 }, { x: 5, y: 1 }, { x: 0, y: 0 }, { x: 1, y: 0 }), null);
+  });
+});
+
+describe('GeometryUtils.segmentIntersection', () => {
+  it('finds a crossing with its position along both segments', () => {
+    assert.deepEqual(GeometryUtils.segmentIntersection({ x: 0, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }, { x: 10, y: 0 }),
+      { x: 5, y: 5, alphaP: 0.5, alphaQ: 0.5 });
+  });
+
+  it('does not extend the segments', () => {
+    assert.equal(GeometryUtils.segmentIntersection({ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 10 }, { x: 10, y: 0 }), null);
+  });
+
+  it('ignores parallel and collinear segments', () => {
+    assert.equal(GeometryUtils.segmentIntersection({ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 1 }, { x: 10, y: 1 }), null);
+    assert.equal(GeometryUtils.segmentIntersection({ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 5, y: 0 }, { x: 15, y: 0 }), null);
+  });
+});
+
+describe('GeometryUtils.isConvex', () => {
+  it('accepts convex polygons in either winding and ignores collinear vertices', () => {
+    assert.equal(GeometryUtils.isConvex(rectangle(0, 0, 10, 10)), true);
+    assert.equal(GeometryUtils.isConvex(rectangle(0, 0, 10, 10).reverse()), true);
+    assert.equal(GeometryUtils.isConvex(points(0, 0, 5, 0, 10, 0, 10, 10, 0, 10)), true);
+  });
+
+  it('rejects a reflex vertex', () => {
+    assert.equal(GeometryUtils.isConvex(points(0, 0, 10, 0, 5, 2, 10, 10, 0, 10)), false);
+  });
+
+  it('rejects a reflex vertex at any scale', () => {
+    const l = points(0, 0, 2, 0, 2, 1, 1, 1, 1, 2, 0, 2);
+    [1e-6, 1, 1e6].forEach(scale => {
+      assert.equal(GeometryUtils.isConvex(l.map(p => ({ x: p.x * scale, y: p.y * scale }))), false, `scale ${scale}`);
+    });
+  });
+});
+
+describe('GeometryUtils.findSelfIntersections', () => {
+  it('finds the crossing of a bow-tie', () => {
+    const crossings = GeometryUtils.findSelfIntersections(points(0, 0, 10, 10, 10, 0, 0, 10));
+    assert.equal(crossings.length, 1);
+    assert.deepEqual({ x: crossings[0].x, y: crossings[0].y, edgeA: crossings[0].edgeA, edgeB: crossings[0].edgeB },
+      { x: 5, y: 5, edgeA: 0, edgeB: 2 });
+  });
+
+  it('finds nothing in simple polygons', () => {
+    assert.deepEqual(GeometryUtils.findSelfIntersections(rectangle(0, 0, 10, 10)), []);
+    assert.deepEqual(GeometryUtils.findSelfIntersections(points(0, 0, 10, 0, 5, 2, 10, 10, 0, 10)), []);
+  });
+
+  it('reports both ends of edges that overlap along a line', () => {
+    // Two squares drawn as one outline that runs back along the first edge from x = 20 to 5
+    const polygon = points(0, 0, 10, 0, 10, 10, 20, 10, 20, 0, 5, 0, 5, -5, 0, -5);
+    const overlaps = GeometryUtils.findSelfIntersections(polygon).filter(crossing => crossing.overlap);
+    assert.deepEqual(overlaps.map(({ x, y, edgeA, edgeB }) => ({ x, y, edgeA, edgeB })),
+      [{ x: 5, y: 0, edgeA: 0, edgeB: 4 }, { x: 10, y: 0, edgeA: 0, edgeB: 4 }]);
+  });
+
+  it('reports an edge that folds back over its neighbour', () => {
+    const crossings = GeometryUtils.findSelfIntersections(points(0, 0, 10, 0, 10, 10, 5, 10, 5, 20, 5, 15, 0, 10));
+    assert.deepEqual(crossings.filter(crossing => crossing.overlap).map(({ x, y, edgeA, edgeB }) => ({ x, y, edgeA, edgeB })),
+      [{ x: 5, y: 15, edgeA: 3, edgeB: 4 }]);
+  });
+
+  it('ignores collinear edges that do not meet', () => {
+    // A U whose two feet lie on the same line
+    assert.deepEqual(GeometryUtils.findSelfIntersections(points(0, 0, 10, 0, 10, 20, 20, 20, 20, 0, 30, 0, 30, 30, 0, 30)), []);
+  });
+
+  it('matches testing every pair of edges', () => {
+    const random = createRandom(7);
+    for (let run = 0; run < 100; run++) {
+      const polygon = Array.from({ length: 4 + Math.floor(random() * 10) }, () => ({ x: random() * 100, y: random() * 100 }));
+      const expected = [];
+      const n = polygon.length;
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 2; j < n; j++) {
+          if (i === 0 && j === n - 1) continue;
+          if (GeometryUtils.segmentIntersection(polygon[i], polygon[i + 1], polygon[j], polygon[(j + 1) % n])) {
+            expected.push(`${i}-${j}`);
+          }
+        }
+      }
+      const found = GeometryUtils.findSelfIntersections(polygon).map(c => `${c.edgeA}-${c.edgeB}`);
+      assert.deepEqual(found, expected, JSON.stringify(polygon));
+    }
+  });
+});
+
+describe('GeometryUtils.splitSelfIntersections', () => {
+  it('splits a bow-tie into its two triangles', () => {
+    const pieces = GeometryUtils.splitSelfIntersections(points(0, 0, 10, 10, 10, 0, 0, 10));
+    assert.equal(pieces.length, 2);
+    pieces.forEach(piece => {
+      assert.equal(piece.length, 3);
+      assertClose(GeometryUtils.area(piece), 25);
+    });
+  });
+
+  it('returns a copy of a simple polygon', () => {
+    const square = rectangle(0, 0, 10, 10);
+    const pieces = GeometryUtils.splitSelfIntersections(square);
+    assert.deepEqual(pieces, [square]);
+    assert.notEqual(pieces[0], square);
+  });
+
+  it('leaves only simple pieces', () => {
+    const random = createRandom(11);
+    for (let run = 0; run < 50; run++) {
+      const polygon = Array.from({ length: 4 + Math.floor(random() * 8) }, () => ({ x: random() * 100, y: random() * 100 }));
+      GeometryUtils.splitSelfIntersections(polygon).forEach(piece => {
+        assert.deepEqual(GeometryUtils.findSelfIntersections(piece), [], JSON.stringify(polygon));
+      });
+    }
+  });
+
+  it('splits an outline that runs back along one of its edges into simple pieces', () => {
+    const pieces = GeometryUtils.splitSelfIntersections(points(0, 0, 10, 0, 10, 10, 20, 10, 20, 0, 5, 0, 5, -5, 0, -5));
+    pieces.forEach(piece => assert.deepEqual(GeometryUtils.findSelfIntersections(piece), [], JSON.stringify(piece)));
+    assert.deepEqual(pieces.map(piece => GeometryUtils.area(piece)), [100, 25]);
+  });
+
+  it('leaves a simple star-shaped polygon alone', () => {
+    const polygon = randomStarPolygon(createRandom(3), { x: 0, y: 0 }, 50);
+    assert.equal(GeometryUtils.splitSelfIntersections(polygon).length, 1);
+  });
+});
+
+describe('GeometryUtils.classifyRings', () => {
+  it('labels rings inside an odd number of others as holes', () => {
+    const rings = [rectangle(0, 0, 100, 100), rectangle(10, 10, 90, 90), rectangle(20, 20, 30, 30), rectangle(200, 0, 210, 10)];
+    assert.deepEqual(GeometryUtils.classifyRings(rings), ['outer', 'hole', 'outer', 'outer']);
+  });
+});
+
+describe('GeometryUtils.evenOddArea', () => {
+  it('subtracts holes whatever the winding of the rings', () => {
+    const rings = [rectangle(0, 0, 100, 100), rectangle(10, 10, 90, 90).reverse(), rectangle(20, 20, 30, 30), rectangle(200, 0, 210, 10)];
+    assert.equal(GeometryUtils.evenOddArea(rings), 10000 - 6400 + 100 + 100);
+    assert.equal(GeometryUtils.evenOddArea([]), 0);
+  });
+});
+
+describe('GeometryUtils.contactFreeOffset', () => {
+  it('is only needed for polygons that touch', () => {
+    assert.equal(GeometryUtils.hasBoundaryContacts(rectangle(0, 0, 10, 10), rectangle(5, 5, 15, 15)), false);
+    assert.equal(GeometryUtils.hasBoundaryContacts(rectangle(0, 0, 10, 10), rectangle(10, 10, 20, 20)), true);
+  });
+
+  it('moves a clipper that shares an edge so that no vertex touches the subject', () => {
+    const subject = rectangle(0, 0, 10, 10);
+    const clipper = rectangle(5, 0, 15, 10);
+    const offset = GeometryUtils.contactFreeOffset(subject, clipper);
+    assert.ok(offset && Math.hypot(offset.x, offset.y) < 1e-5);
+    assert.equal(GeometryUtils.hasBoundaryContacts(subject, GeometryUtils.translate(clipper, offset)), false);
+  });
+});
+
+describe('GeometryUtils.polygonInside', () => {
+  it('tests a point that is not on the other boundary', () => {
+    assert.equal(GeometryUtils.polygonInside(rectangle(0, 0, 5, 10), rectangle(0, 0, 10, 10)), true);
+    assert.equal(GeometryUtils.polygonInside(rectangle(10, 0, 20, 10), rectangle(0, 0, 10, 10)), false);
+    assert.equal(GeometryUtils.polygonInside(rectangle(0, 0, 10, 10), rectangle(0, 0, 10, 10)), true);
+  });
+});
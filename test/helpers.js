@@ -0,0 +1,252 @@
+/**
+ * Test Helpers
+ *
+ * Shapes, a seeded random generator for the fuzz tests, and an independent
+ * reference for the intersection of two convex polygons. Polygons use the
+ * app's y-down coordinates: a positive signed area is clockwise on screen,
+ * with the inside on the left of every edge.
+ */
+
+import assert from 'node:assert/strict';
+import { GeometryUtils } from '../static/js/clipping-core.js';
+
+/**
+ * Axis-aligned rectangle with a positive signed area
+ * @param {Number} minX - Left edge
+ * @param {Number} minY - Top edge
+ * @param {Number} maxX - Right edge
+ * @param {Number} maxY - Bottom edge
+ * @returns {Array} - Four points
+ */
+export function rectangle(minX, minY, maxX, maxY) {
+  return [
+    { x: minX, y: minY },
+    { x: maxX, y: minY },
+    { x: maxX, y: maxY },
+    { x: minX, y: maxY }
+  ];
+}
+
+/**
+ * Turn a flat list of coordinates into points
+ * @param {...Number} coordinates - x1, y1, x2, y2, ...
+ * @returns {Array} - Points
+ */
+export function points(...coordinates) {
+  const result = [];
+  for (let i = 0; i < coordinates.length; i += 2) {
+    result.push({ x: coordinates[i], y: coordinates[i + 1] });
+  }
+  return result;
+}
+
+/**
+ * Deterministic random numbers (mulberry32), so a failing fuzz case can be replayed from its seed
+ * @param {Number} seed - 32-bit seed
+ * @returns {Function} - Returns a number in [0, 1) on every call
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random convex polygon: points on a rotated ellipse at sorted random angles
+ * @param {Function} random - Random generator
+ * @param {Object} center - Middle of the ellipse
+ * @param {Number} radius - Largest semi-axis
+ * @returns {Array} - Convex polygon with a positive signed area
+ */
+export function randomConvexPolygon(random, center, radius) {
+  const count = 3 + Math.floor(random() * 8);
+  const rx = radius * (0.4 + 0.6 * random());
+  const ry = radius * (0.4 + 0.6 * random());
+  const rotation = random() * Math.PI;
+  const angles = Array.from({ length: count }, () => random() * Math.PI * 2).sort((a, b) => a - b);
+
+  const polygon = angles.map(angle => {
+    const x = rx * Math.cos(angle);
+    const y = ry * Math.sin(angle);
+    return {
+      x: center.x + x * Math.cos(rotation) - y * Math.sin(rotation),
+      y: center.y + x * Math.sin(rotation) + y * Math.cos(rotation)
+    };
+  });
+  return convexHull(polygon);
+}
+
+/**
+ * Random simple polygon that is star-shaped around its center, usually concave
+ * @param {Function} random - Random generator
+ * @param {Object} center - Point every vertex can see
+ * @param {Number} radius - Largest distance of a vertex from the center
+ * @returns {Array} - Simple polygon with a positive signed area
+ */
+export function randomStarPolygon(random, center, radius) {
+  const count = 4 + Math.floor(random() * 12);
+  return Array.from({ length: count }, (_, i) => {
+    const angle = (i + 0.2 + 0.6 * random()) * Math.PI * 2 / count;
+    const distance = radius * (0.2 + 0.8 * random());
+    return { x: center.x + distance * Math.cos(angle), y: center.y + distance * Math.sin(angle) };
+  });
+}
+
+/**
+ * Convex hull (Andrew's monotone chain), without collinear points
+ * @param {Array} input - Points
+ * @returns {Array} - Hull with a positive signed area
+ */
+export function convexHull(input) {
+  const sorted = input.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) {
+    return sorted;
+  }
+
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const half = (list) => {
+    const hull = [];
+    list.forEach(point => {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+        hull.pop();
+      }
+      hull.push(point);
+    });
+    hull.pop();
+    return hull;
+  };
+  return half(sorted).concat(half(sorted.slice().reverse()));
+}
+
+/**
+ * Check whether a point is inside a convex polygon with a positive signed area, or within a tolerance of it
+ * @param {Object} point - Point to check
+ * @param {Array} polygon - Convex polygon
+ * @param {Number} tolerance - Distance outside that still counts as inside
+ * @returns {Boolean} - True if inside or close
+ */
+export function insideConvex(point, polygon, tolerance = 1e-7) {
+  return polygon.every((start, i) => {
+    const end = polygon[(i + 1) % polygon.length];
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    return dx * (point.y - start.y) - dy * (point.x - start.x) >= -tolerance * Math.hypot(dx, dy);
+  });
+}
+
+/**
+ * Distance from a point to the nearest edge of a polygon
+ * @param {Object} point - The point
+ * @param {Array} polygon - Any polygon
+ * @returns {Number} - The distance
+ */
+export function distanceToBoundary(point, polygon) {
+  return Math.min(...polygon.map((start, i) => {
+    const end = polygon[(i + 1) % polygon.length];
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = dx * dx + dy * dy;
+    const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / length));
+    return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+  }));
+}
+
+/**
+ * Check whether a point is inside a polygon or within a tolerance of its boundary
+ * @param {Object} point - Point to check
+ * @param {Array} polygon - Any simple polygon
+ * @param {Number} tolerance - Distance outside that still counts as inside
+ * @returns {Boolean} - True if inside or close
+ */
+export function insideOrOn(point, polygon, tolerance = 1e-7) {
+  return GeometryUtils.pointInPolygon(point, polygon) || distanceToBoundary(point, polygon) <= tolerance;
+}
+
+/**
+ * Reference intersection of two convex polygons, computed without any
+ * clipping: the hull of the vertices of each inside the other and of every
+ * crossing between their edges
+ * @param {Array} a - Convex polygon with a positive signed area
+ * @param {Array} b - Convex polygon with a positive signed area
+ * @returns {Array} - The intersection, empty if it has no area
+ */
+export function convexIntersection(a, b) {
+  const candidates = a.filter(point => insideConvex(point, b, 0))
+    .concat(b.filter(point => insideConvex(point, a, 0)));
+
+  a.forEach((p1, i) => {
+    const p2 = a[(i + 1) % a.length];
+    b.forEach((q1, j) => {
+      const hit = GeometryUtils.segmentIntersection(p1, p2, q1, b[(j + 1) % b.length]);
+      if (hit) {
+        candidates.push({ x: hit.x, y: hit.y });
+      }
+    });
+  });
+
+  const hull = convexHull(candidates);
+  return hull.length >= 3 ? hull : [];
+}
+
+/**
+ * Total signed area of a clipper result: one polygon or an array of rings
+ * @param {Array} result - What clip() returned
+ * @returns {Number} - Sum of the signed areas
+ */
+export function resultArea(result) {
+  if (result.length === 0) {
+    return 0;
+  }
+  const rings = Array.isArray(result[0]) ? result : [result];
+  return rings.reduce((sum, ring) => sum + GeometryUtils.signedArea(ring), 0);
+}
+
+/**
+ * Count the places where an edge of one ring crosses an edge of another
+ * ring in the interior of both; touching and shared edges do not count
+ * @param {Array} rings - Array of polygons
+ * @returns {Number} - Number of proper crossings between different rings
+ */
+export function ringCrossings(rings) {
+  const edges = (ring) => ring.map((a, k) => [a, ring[(k + 1) % ring.length]]);
+  let count = 0;
+  rings.forEach((ring, i) => rings.slice(i + 1).forEach(other => edges(ring).forEach(([p1, p2]) => edges(other).forEach(([q1, q2]) => {
+    const hit = GeometryUtils.segmentIntersection(p1, p2, q1, q2);
+    if (hit && hit.alphaP > 1e-9 && hit.alphaP < 1 - 1e-9 && hit.alphaQ > 1e-9 && hit.alphaQ < 1 - 1e-9) {
+      count++;
+    }
+  }))));
+  return count;
+}
+
+/**
+ * Assert that two numbers agree to a relative and absolute tolerance
+ * @param {Number} actual - Value under test
+ * @param {Number} expected - Expected value
+ * @param {Number} tolerance - Allowed difference, relative to the larger magnitude but at least absolute
+ * @param {String} message - Context for the failure
+ */
+export function assertClose(actual, expected, tolerance = 1e-9, message = '') {
+  const scale = Math.max(1, Math.abs(actual), Math.abs(expected));
+  assert.ok(Math.abs(actual - expected) <= tolerance * scale,
+    `${message}${message ? ': ' : ''}expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Assert that two polygons have the same vertices in the same cyclic order
+ * @param {Array} actual - Polygon under test
+ * @param {Array} expected - Expected polygon
+ * @param {Number} tolerance - Allowed coordinate difference
+ */
+export function assertSamePolygon(actual, expected, tolerance = 1e-9) {
+  assert.equal(actual.length, expected.length, `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  const same = (p, q) => Math.abs(p.x - q.x) <= tolerance && Math.abs(p.y - q.y) <= tolerance;
+  const offset = actual.findIndex(point => same(point, expected[0]));
+  assert.ok(offset !== -1 && expected.every((point, i) => same(actual[(offset + i) % actual.length], point)),
+    `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
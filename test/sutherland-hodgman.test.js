@@ -0,0 +1,262 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SutherlandHodgman, GeometryUtils } from '../static/js/clipping-core.js';
+import { rectangle, points, resultArea, assertClose, assertSamePolygon } from './helpers.js';
+
+const edge = { start: { x: 0, y: 0 }, end: { x: 10, y: 0 } }; // Inside is y > 0, below the edge on screen
+
+describe('SutherlandHodgman.isInside', () => {
+  const clipper = new SutherlandHodgman();
+
+  it('is true on the left of the clip edge and false on the right', () => {
+    assert.equal(clipper.isInside({ x: 5, y: 5 }, edge.start, edge.end), true);
+    assert.equal(clipper.isInside({ x: 5, y: -5 }, edge.start, edge.end), false);
+  });
+
+  it('counts points on the clip line as inside, also beyond the ends of the edge', () => {
+    assert.equal(clipper.isInside({ x: 5, y: 0 }, edge.start, edge.end), true);
+    assert.equal(clipper.isInside({ x: -20, y: 0 }, edge.start, edge.end), true);
+    assert.equal(clipper.isInside({ x: 30, y: 0 }, edge.start, edge.end), true);
+  });
+
+  it('treats points within epsilon of the line as on it', () => {
+    const near = { x: 5, y: -1e-12 };
+    assert.equal(clipper.isInside(near, edge.start, edge.end), true);
+
+    const exact = new SutherlandHodgman();
+    exact.setEpsilon(0);
+    assert.equal(exact.isInside(near, edge.start, edge.end), false);
+  });
+
+  it('falls back to the default tolerance for invalid epsilons', () => {
+    const other = new SutherlandHodgman();
+    other.setEpsilon(-1);
+    assert.equal(other.epsilon, SutherlandHodgman.DEFAULT_EPSILON);
+    other.setEpsilon(NaN);
+    assert.equal(other.epsilon, SutherlandHodgman.DEFAULT_EPSILON);
+  });
+
+  it('flips with the direction of the clip edge', () => {
+    const point = { x: 5, y: 5 };
+    assert.notEqual(clipper.isInside(point, edge.start, edge.end), clipper.isInside(point, edge.end, edge.start));
+  });
+});
+
+describe('SutherlandHodgman.computeIntersection', () => {
+  const clipper = new SutherlandHodgman();
+
+  it('finds the crossing of a subject edge with the clip edge', () => {
+    assert.deepEqual(clipper.computeIntersection({ x: 2, y: -4 }, { x: 6, y: 4 }, edge.start, edge.end), { x: 4, y: 0 });
+  });
+
+  it('intersects the infinite clip line, not just the clip edge', () => {
+    assert.deepEqual(clipper.computeIntersection({ x: 40, y: -5 }, { x: 40, y: 5 }, edge.start, edge.end), { x: 40, y: 0 });
+  });
+
+  it('returns an endpoint exactly when it lies on the line', () => {
+    assert.deepEqual(clipper.computeIntersection({ x: 3, y: 0 }, { x: 7, y: 9 }, edge.start, edge.end), { x: 3, y: 0 });
+    assert.deepEqual(clipper.computeIntersection({ x: 7, y: 9 }, { x: 3, y: 0 }, edge.start, edge.end), { x: 3, y: 0 });
+  });
+
+  it('returns null for a subject edge parallel to the clip line', () => {
+    assert.equal(clipper.computeIntersection({ x: 0, y: 1 }, { x: 10, y: 1 }, edge.start, edge.end), null);
+    assert.equal(clipper.computeIntersection({ x: 2, y: 0 }, { x: 8, y: 0 }, edge.start, edge.end), null);
+  });
+
+  it('does not depend on the direction of the subject edge', () => {
+    const s = { x: 1.1, y: -3.7 };
+    const e = { x: 8.3, y: 2.9 };
+    const forwards = clipper.computeIntersection(s, e, edge.start, edge.end);
+    const backwards = clipper.computeIntersection(e, s, edge.start, edge.end);
+    assertClose(forwards.x, backwards.x);
+    assertClose(forwards.y, 0);
+    assertClose(backwards.y, 0);
+  });
+});
+
+describe('SutherlandHodgman.clip', () => {
+  describe('textbook cases', () => {
+    it('clips two overlapping squares to their common square', () => {
+      const result = new SutherlandHodgman().clip(rectangle(0, 0, 10, 10), rectangle(5, 5, 15, 15));
+      assertSamePolygon(result, rectangle(5, 5, 10, 10));
+    });
+
+    it('cuts the tip off a triangle', () => {
+      const result = new SutherlandHodgman().clip(points(0, 0, 20, 0, 10, 20), rectangle(-5, -5, 25, 10));
+      assertSamePolygon(result, points(0, 0, 20, 0, 15, 10, 5, 10));
+    });
+
+    it('keeps a subject that lies inside the clipper unchanged', () => {
+      const subject = rectangle(2, 2, 4, 4);
+      assertSamePolygon(new SutherlandHodgman().clip(subject, rectangle(0, 0, 10, 10)), subject);
+    });
+
+    it('returns the clipper when it lies inside the subject', () => {
+      const clipPolygon = rectangle(2, 2, 4, 4);
+      assertSamePolygon(new SutherlandHodgman().clip(rectangle(0, 0, 10, 10), clipPolygon), clipPolygon);
+    });
+
+    it('returns an empty polygon for disjoint inputs', () => {
+      assert.deepEqual(new SutherlandHodgman().clip(rectangle(0, 0, 10, 10), rectangle(20, 20, 30, 30)), []);
+    });
+
+    it('joins the pieces of a concave subject with bridge edges along the clip boundary', () => {
+      const u = points(0, 0, 30, 0, 30, 30, 20, 30, 20, 10, 10, 10, 10, 30, 0, 30);
+      const result = new SutherlandHodgman().clip(u, rectangle(-5, 20, 35, 25));
+      assert.equal(result.length, 8);
+      assertClose(resultArea(result), 100);
+    });
+  });
+
+  describe('collinear, touching and degenerate inputs', () => {
+    it('keeps edges that lie on the clip boundary', () => {
+      const result = new SutherlandHodgman().clip(rectangle(0, 0, 10, 10), rectangle(5, 0, 15, 10));
+      assertSamePolygon(result, rectangle(5, 0, 10, 10));
+    });
+
+    it('returns the polygon itself when subject and clipper are equal', () => {
+      const square = rectangle(0, 0, 10, 10);
+      assertSamePolygon(new SutherlandHodgman().clip(square, square), square);
+    });
+
+    it('collapses to zero area when the polygons only share an edge', () => {
+      const result = new SutherlandHodgman().clip(rectangle(0, 0, 10, 10), rectangle(10, 0, 20, 10));
+      assert.equal(resultArea(result), 0);
+      assert.ok(result.every(point => point.x === 10));
+    });
+
+    it('collapses to a single point when the polygons only touch at a corner', () => {
+      const result = new SutherlandHodgman().clip(rectangle(0, 0, 10, 10), rectangle(10, 10, 20, 20));
+      assert.ok(result.every(point => point.x === 10 && point.y === 10));
+    });
+
+    it('repeats a vertex where an intersection lands on it, which cleanup removes', () => {
+      const triangle = points(5, -5, 15, 5, -5, 5);
+      const raw = new SutherlandHodgman().clip(triangle, rectangle(0, 0, 10, 10));
+      assert.equal(raw.length, 6);
+      assertClose(resultArea(raw), 50);
+
+      const clipper = new SutherlandHodgman();
+      clipper.cleanupOutput = true;
+      const cleaned = clipper.clip(triangle, rectangle(0, 0, 10, 10));
+      assert.equal(cleaned.length, 1);
+      assertSamePolygon(cleaned[0], points(0, 5, 0, 0, 10, 0, 10, 5));
+    });
+
+    it('returns an empty polygon for inputs with fewer than three points', () => {
+      const clipper = new SutherlandHodgman();
+      assert.deepEqual(clipper.clip(points(0, 0, 1, 1), rectangle(0, 0, 10, 10)), []);
+      assert.deepEqual(clipper.clip(rectangle(0, 0, 10, 10), points(0, 0, 1, 1)), []);
+      assert.deepEqual(clipper.clip([], []), []);
+      assert.deepEqual(clipper.clip(null, rectangle(0, 0, 10, 10)), []);
+    });
+
+    it('passes a zero-area subject through without dividing by zero', () => {
+      const result = new SutherlandHodgman().clip(points(0, 0, 5, 5, 10, 10), rectangle(-1, -1, 11, 11));
+      assert.equal(resultArea(result), 0);
+      assert.ok(result.every(point => Number.isFinite(point.x) && Number.isFinite(point.y)));
+    });
+  });
+
+  describe('orientation', () => {
+    it('gives the same region for either winding of the subject, keeping the winding', () => {
+      const clipPolygon = rectangle(5, 5, 15, 15);
+      const forwards = new SutherlandHodgman().clip(rectangle(0, 0, 10, 10), clipPolygon);
+      const backwards = new SutherlandHodgman().clip(rectangle(0, 0, 10, 10).reverse(), clipPolygon);
+      assertClose(resultArea(forwards), 25);
+      assertClose(resultArea(backwards), -25);
+    });
+
+    it('needs the inside of the clipper on the left of each edge', () => {
+      const subject = rectangle(0, 0, 10, 10);
+      const reversed = rectangle(5, 5, 15, 15).reverse();
+      assert.deepEqual(new SutherlandHodgman().clip(subject, reversed), []);
+
+      const result = new SutherlandHodgman().clip(subject, GeometryUtils.orientPositive(reversed));
+      assertClose(resultArea(result), 25);
+    });
+
+    it('does not depend on which clip edge comes first', () => {
+      const subject = points(0, 0, 20, 0, 10, 20);
+      const clipPolygon = points(2, 2, 18, 4, 14, 16, 4, 12);
+      const expected = resultArea(new SutherlandHodgman().clip(subject, clipPolygon));
+      for (let start = 1; start < clipPolygon.length; start++) {
+        const rotated = clipPolygon.slice(start).concat(clipPolygon.slice(0, start));
+        assertClose(resultArea(new SutherlandHodgman().clip(subject, rotated)), expected);
+      }
+    });
+  });
+
+  describe('steps', () => {
+    it('records one step per clip edge, ending with the result', () => {
+      const clipper = new SutherlandHodgman();
+      const result = clipper.clip(rectangle(0, 0, 10, 10), rectangle(5, 5, 15, 15));
+      assert.equal(clipper.getTotalSteps(), 4);
+
+      const last = clipper.getStep(3);
+      assert.deepEqual(last.outputPolygon, result);
+      assert.deepEqual(last.clipEdge, { start: { x: 5, y: 15 }, end: { x: 5, y: 5 } });
+      assert.equal(clipper.getStep(4), null);
+      assert.equal(clipper.getStep(-1), null);
+    });
+
+    it('chains each step output into the next step input', () => {
+      const clipper = new SutherlandHodgman();
+      clipper.clip(points(0, 0, 20, 0, 10, 20), points(2, 2, 18, 4, 14, 16, 4, 12));
+      for (let i = 1; i < clipper.getTotalSteps(); i++) {
+        assert.deepEqual(clipper.getStep(i).inputPolygon, clipper.getStep(i - 1).outputPolygon);
+      }
+    });
+
+    it('walks the steps with getNextStep and starts over after resetSteps', () => {
+      const clipper = new SutherlandHodgman();
+      clipper.clip(rectangle(0, 0, 10, 10), rectangle(5, 5, 15, 15));
+      const walked = [];
+      let step;
+      while ((step = clipper.getNextStep()) !== null) {
+        walked.push(step);
+      }
+      assert.equal(walked.length, 4);
+      assert.equal(clipper.getCurrentStep(), walked[3]);
+
+      clipper.resetSteps();
+      assert.equal(clipper.getCurrentStep(), null);
+      assert.equal(clipper.getNextStep(), walked[0]);
+    });
+
+    it('skips the steps but not the result when recordSteps is off', () => {
+      const clipper = new SutherlandHodgman();
+      clipper.recordSteps = false;
+      const result = clipper.clip(rectangle(0, 0, 10, 10), rectangle(5, 5, 15, 15));
+      assert.equal(clipper.getTotalSteps(), 0);
+      assertSamePolygon(result, rectangle(5, 5, 10, 10));
+    });
+
+    it('reports a crossing whose intersection could not be computed', () => {
+      const clipper = new SutherlandHodgman();
+      clipper.computeIntersection = () => null;
+      clipper.clip(rectangle(0, 0, 10, 10), rectangle(5, -5, 15, 15));
+
+      assert.equal(clipper.missedIntersections.length, 2);
+      const missed = clipper.steps.flatMap(step => step.actions).filter(action => action.type === 'MISSED_INTERSECTION');
+      assert.deepEqual(missed.map(action => action.case).sort(), [2, 3]);
+
+      clipper.recordSteps = false;
+      clipper.clip(rectangle(0, 0, 10, 10), rectangle(5, -5, 15, 15));
+      assert.equal(clipper.missedIntersections.length, 2);
+    });
+
+    it('splits the output into separate polygons in a final cleanup step', () => {
+      const clipper = new SutherlandHodgman();
+      clipper.cleanupOutput = true;
+      const u = points(0, 0, 30, 0, 30, 30, 20, 30, 20, 10, 10, 10, 10, 30, 0, 30);
+      const result = clipper.clip(u, rectangle(-5, 20, 35, 25));
+
+      assert.equal(result.length, 2);
+      result.forEach(polygon => assertClose(GeometryUtils.area(polygon), 50));
+      const last = clipper.getStep(clipper.getTotalSteps() - 1);
+      assert.equal(last.phase, 'cleanup');
+      assert.equal(last.artifacts.edges.length > 0, true);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { GeometryUtils, SceneFile } from '../static/js/clipping-core.js';
+import { assertClose } from './helpers.js';
+
+// svg-file.js is a classic script that uses the core as globals, as in the browser
+const source = readFileSync(new URL('../static/js/svg-file.js', import.meta.url), 'utf8');
+const SvgFile = vm.runInNewContext(`${source}\nSvgFile`, { GeometryUtils, SceneFile });
+// Objects made in the script's context have other prototypes than ours
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Minimal stand-in for a DOM element, enough for getRole()
+ * @param {String} nodeName - Tag name
+ * @param {Object} attributes - Attribute values by name
+ * @param {Array} children - Child elements
+ * @returns {Object} - The element, with parentNode set on its children
+ */
+function element(nodeName, attributes = {}, children = []) {
+  const node = { nodeName, parentNode: null, getAttribute: (name) => attributes[name] ?? null, children };
+  children.forEach(child => { child.parentNode = node; });
+  return node;
+}
+
+describe('SvgFile.parseTransform', () => {
+  const apply = (text, x, y) => plain(SvgFile.applyMatrix(SvgFile.parseTransform(text), { x, y }));
+
+  it('applies the transforms of a list from right to left', () => {
+    assert.deepEqual(apply('translate(10 20) scale(2)', 1, 1), { x: 12, y: 22 });
+    assert.deepEqual(apply('scale(2), translate(10,20)', 1, 1), { x: 22, y: 42 });
+  });
+
+  it('rotates about a given centre', () => {
+    const point = apply('rotate(90 10 10)', 20, 10);
+    assertClose(point.x, 10);
+    assertClose(point.y, 20);
+  });
+
+  it('reads matrix, one-argument scale and skew', () => {
+    assert.deepEqual(apply('matrix(1 0 0 1 5 -5)', 1, 2), { x: 6, y: -3 });
+    assert.deepEqual(apply('scale(3)', 1, 2), { x: 3, y: 6 });
+    assertClose(apply('skewX(45)', 0, 10).x, 10);
+  });
+
+  it('is the identity without transforms', () => {
+    assert.deepEqual(plain(SvgFile.parseTransform('')), [1, 0, 0, 1, 0, 0]);
+  });
+});
+
+describe('SvgFile.parsePath', () => {
+  const parse = (d) => {
+    const warnings = [];
+    return { subpaths: plain(SvgFile.parsePath(d, warnings)), warnings };
+  };
+
+  it('reads absolute and relative lines, one point list per subpath', () => {
+    const { subpaths, warnings } = parse('M0,0 L10,0 10,10 Z m20,0 h10 v10 h-10 z');
+    assert.deepEqual(subpaths, [
+      [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }],
+      [{ x: 20, y: 0 }, { x: 30, y: 0 }, { x: 30, y: 10 }, { x: 20, y: 10 }]
+    ]);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('flattens cubic and quadratic curves', () => {
+    const [cubic] = parse('M0,0 C0,10 10,10 10,0 Z').subpaths;
+    assert.equal(cubic.length, SvgFile.CURVE_SEGMENTS + 1);
+    assert.deepEqual(cubic[SvgFile.CURVE_SEGMENTS / 2], { x: 5, y: 7.5 });
+    const [quadratic] = parse('M0,0 Q5,10 10,0 Z').subpaths;
+    assert.deepEqual(quadratic[SvgFile.CURVE_SEGMENTS / 2], { x: 5, y: 5 });
+  });
+
+  it('flattens a circle drawn as two arcs', () => {
+    const [circle] = parse('M0,10 A10,10 0 0 1 20,10 A10,10 0 0 1 0,10 Z').subpaths;
+    assert.equal(circle.length, 2 * SvgFile.CURVE_SEGMENTS);
+    circle.forEach(point => assertClose(Math.hypot(point.x - 10, point.y - 10), 10));
+    assertClose(GeometryUtils.area(circle), 100 * Math.PI, 5);
+  });
+
+  it('reads arc flags written without separators and picks the arc they name', () => {
+    // Small arc with sweep 1 from (0,0) to (10,0) bulges towards negative y on the canvas
+    const [small] = parse('M0,0 a5,5 0 0110,0').subpaths;
+    assertClose(small[SvgFile.CURVE_SEGMENTS / 2].x, 5);
+    assertClose(small[SvgFile.CURVE_SEGMENTS / 2].y, -5);
+    const [large] = parse('M0,0 a10,10 0 1 1 10,0').subpaths;
+    assert.ok(Math.max(...large.map(p => Math.abs(p.y))) > 10);
+  });
+
+  it('scales radii that are too small and draws zero radii as lines', () => {
+    const [scaled] = parse('M0,0 A1,1 0 0 1 10,0').subpaths;
+    assertClose(scaled[SvgFile.CURVE_SEGMENTS / 2].y, -5);
+    assert.deepEqual(parse('M0,0 A0,5 0 0 1 10,0').subpaths, [[{ x: 0, y: 0 }, { x: 10, y: 0 }]]);
+  });
+});
+
+describe('SvgFile.getRole', () => {
+  it('skips shapes that are only definitions, such as the clip path of a Figma frame', () => {
+    const rect = element('rect');
+    element('svg', {}, [element('defs', {}, [element('clipPath', { id: 'clip0_1_2' }, [rect])])]);
+    assert.equal(SvgFile.getRole(rect), 'skip');
+  });
+
+  it('matches role names as whole words', () => {
+    const role = (id) => {
+      const path = element('path');
+      element('g', { id }, [path]);
+      return SvgFile.getRole(path);
+    };
+    assert.equal(role('clipping'), 'clipping');
+    assert.equal(role('Clip window'), 'clipping');
+    assert.equal(role('clip0_1_2'), null);
+    assert.equal(role('subject'), 'subject');
+    assert.equal(role('step-3'), 'skip');
+    assert.equal(role('stepper'), null);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { SutherlandHodgman, SceneFile, GreinerHormann } from '../static/js/clipping-core.js';
+import { rectangle } from './helpers.js';
+
+// url-state.js is a classic script that uses the core as globals, as in the browser
+const source = readFileSync(new URL('../static/js/url-state.js', import.meta.url), 'utf8');
+const UrlState = vm.runInNewContext(`${source}\nUrlState`, { SutherlandHodgman, SceneFile, URLSearchParams });
+// Objects made in the script's context have other prototypes than ours
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const options = { algorithms: ['sutherland-hodgman', 'greiner-hormann'], operations: Object.keys(GreinerHormann.OPERATIONS) };
+
+/**
+ * State as captured by the app, with the playback fields filled in
+ * @param {Object} fields - Polygons and settings to override
+ * @returns {Object} - State for UrlState.encode()
+ */
+function state(fields) {
+  return {
+    algorithm: 'sutherland-hodgman',
+    operation: 'intersection',
+    stepByStep: false,
+    vertexDetail: false,
+    cleanup: false,
+    epsilon: SutherlandHodgman.DEFAULT_EPSILON,
+    stepIndex: null,
+    frameIndex: null,
+    subjectPolygon: [],
+    subjectRings: [],
+    clippingPolygon: [],
+    subjectLines: [],
+    ...fields
+  };
+}
+
+describe('UrlState', () => {
+  it('reads back exactly the coordinates it wrote', () => {
+    const original = state({
+      algorithm: 'greiner-hormann',
+      operation: 'xor',
+      stepIndex: 3,
+      frameIndex: 12,
+      subjectPolygon: [{ x: 0.1 + 0.2, y: 1 / 3 }, { x: 123456.789, y: -2.5e-7 }, { x: -1e21, y: Math.PI }],
+      subjectRings: [rectangle(-0.05, 0.15, 10.25, 10.35)],
+      clippingPolygon: [{ x: 5 / 7, y: 5 }, { x: 15.04, y: 5.06 }, { x: 15, y: 15 }]
+    });
+    const { state: decoded, errors } = UrlState.decode(UrlState.encode(original), options);
+    assert.deepEqual(plain(errors), []);
+    assert.deepEqual(plain(decoded), original);
+  });
+});